@@ -1,5 +1,7 @@
 // Import mongoose library for MongoDB connection
 const mongoose = require('mongoose');
+// Data migrations that bring old documents up to date
+const runMigrations = require('./migrations');
 
 /**
  * connectDB - Establishes connection to MongoDB database
@@ -8,7 +10,8 @@ const mongoose = require('mongoose');
  * 1. Reads the MongoDB URI from environment variables
  * 2. Attempts to connect to the database using mongoose
  * 3. Logs success or error messages
- * 4. Exits the process if connection fails
+ * 4. Runs data migrations (see config/migrations.js)
+ * 5. Exits the process if connection or a migration fails
  */
 const connectDB = async () => {
   try {
@@ -17,6 +20,9 @@ const connectDB = async () => {
     
     // Log successful connection with host information
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Update documents created by older versions of the app
+    await runMigrations();
   } catch (error) {
     // Log error details if connection fails
     console.error(`Error: ${error.message}`);
@@ -0,0 +1,200 @@
+// Import models that need data migrations
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Membership = require('../models/Membership');
+const Job = require('../models/Job');
+const Migration = require('../models/Migration');
+const { PRIORITIES } = require('../utils/taskStatus');
+const { scheduleTaskReminders } = require('../services/reminders');
+const { now } = require('../services/jobs');
+
+/**
+ * DATA MIGRATIONS
+ * 
+ * MongoDB has no fixed schema, so documents created by older versions of
+ * the app can be missing fields that newer code expects.
+ * 
+ * Each migration below brings old documents up to date. They run every
+ * time the server connects to the database, so every migration MUST be
+ * idempotent: it only touches documents that still need it, and running
+ * it twice does nothing the second time.
+ * 
+ * A migration that has to look at too many documents to run on every
+ * start sets once: true. It runs on the next start only, and is then
+ * recorded in the migrations collection (see models/Migration.js).
+ * 
+ * To add a migration, append an object with a name and an async up() function.
+ */
+const migrations = [
+    {
+        // Tasks created before the status workflow only have "completed"
+        name: 'task-status-from-completed',
+        up: async () => {
+            const done = await Task.updateMany(
+                { status: { $exists: false }, completed: true },
+                { $set: { status: 'done' } }
+            );
+            const todo = await Task.updateMany(
+                { status: { $exists: false } },
+                { $set: { status: 'todo', completed: false } }
+            );
+            return done.modifiedCount + todo.modifiedCount;
+        }
+    },
+    {
+        // Tasks created before priorities existed
+        name: 'task-default-priority',
+        up: async () => {
+            const result = await Task.updateMany(
+                { priority: { $exists: false } },
+                { $set: { priority: 'medium' } }
+            );
+            return result.modifiedCount;
+        }
+    },
+    {
+        // Tasks created before sorting by priority was supported
+        name: 'task-priority-rank',
+        up: async () => {
+            let changed = 0;
+            for (const [rank, priority] of PRIORITIES.entries()) {
+                const result = await Task.updateMany(
+                    { priority, priorityRank: { $ne: rank } },
+                    { $set: { priorityRank: rank } }
+                );
+                changed += result.modifiedCount;
+            }
+            return changed;
+        }
+    },
+    {
+        // Users created before workspaces existed get a personal workspace
+        // Their custom statuses (stored on the user back then) move to it
+        // (once: it looks at every user)
+        name: 'user-personal-workspace',
+        once: true,
+        up: async () => {
+            const memberIds = await Membership.distinct('user');
+            const users = await User.collection
+                .find({ _id: { $nin: memberIds } })
+                .project({ username: 1, customStatuses: 1 })
+                .toArray();
+
+            for (const user of users) {
+                await Workspace.createWithOwner(user, {
+                    name: `${user.username}'s workspace`,
+                    personal: true,
+                    customStatuses: user.customStatuses || []
+                });
+            }
+
+            // The statuses now live on the workspace
+            await User.collection.updateMany(
+                { customStatuses: { $exists: true } },
+                { $unset: { customStatuses: '' } }
+            );
+
+            return users.length;
+        }
+    },
+    {
+        // Tasks, tags and projects created before workspaces existed
+        // belong to their creator's personal workspace
+        // (once: it goes through every personal workspace)
+        name: 'workspace-for-existing-data',
+        once: true,
+        up: async () => {
+            let changed = 0;
+            const workspaces = await Workspace.find({ personal: true }).select('owner');
+
+            for (const Model of [Task, Tag, Project]) {
+                for (const workspace of workspaces) {
+                    const result = await Model.updateMany(
+                        { user: workspace.owner, workspace: { $exists: false } },
+                        { $set: { workspace: workspace._id } }
+                    );
+                    changed += result.modifiedCount;
+                }
+            }
+
+            return changed;
+        }
+    },
+    {
+        // Tag and project names used to be unique per user, now per workspace
+        name: 'drop-user-name-indexes',
+        up: async () => {
+            let changed = 0;
+            for (const Model of [Tag, Project]) {
+                try {
+                    await Model.collection.dropIndex('user_1_name_1');
+                    changed++;
+
+                    // The workspace index may have failed to build while
+                    // old documents had no workspace - build it again
+                    await Model.createIndexes();
+                } catch (error) {
+                    // Already dropped (or the collection doesn't exist yet)
+                    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+                        throw error;
+                    }
+                }
+            }
+            return changed;
+        }
+    },
+    {
+        // Open tasks due later, created before due date reminders existed, get them
+        // (once: it looks at every open task)
+        name: 'task-due-date-reminders',
+        once: true,
+        up: async () => {
+            const scheduledTaskIds = await Job.distinct('data.task', { name: 'task.reminder', status: 'pending' });
+            const tasks = await Task.find({
+                _id: { $nin: scheduledTaskIds },
+                completed: false,
+                dueDate: { $gt: now() }
+            });
+
+            let changed = 0;
+            for (const task of tasks) {
+                changed += await scheduleTaskReminders(task);
+            }
+            return changed;
+        }
+    }
+];
+
+/**
+ * runMigrations - Runs every migration in order
+ * 
+ * Logs how many documents each migration changed (only when it changed any)
+ * A failing migration stops the rest and the error is passed to the caller
+ * Migrations marked "once" are skipped when they already ran
+ */
+const runMigrations = async () => {
+    const applied = new Set(await Migration.distinct('name'));
+
+    for (const migration of migrations) {
+        if (migration.once && applied.has(migration.name)) {
+            continue;
+        }
+
+        const changed = await migration.up();
+        if (migration.once) {
+            await Migration.updateOne(
+                { name: migration.name },
+                { $setOnInsert: { appliedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+        if (changed > 0) {
+            console.log(`Migration "${migration.name}": updated ${changed} document(s)`);
+        }
+    }
+};
+
+module.exports = runMigrations;
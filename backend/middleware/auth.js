@@ -1,7 +1,13 @@
 // Import jsonwebtoken to verify JWT tokens
 const jwt = require('jsonwebtoken');
+// Import mongoose to check ids
+const mongoose = require('mongoose');
 // Import User model to fetch user data
 const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ApiToken = require('../models/ApiToken');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * Authentication Middleware
@@ -11,11 +17,17 @@ const User = require('../models/User');
  * How it works:
  * 1. Extracts JWT token from Authorization header
  * 2. Verifies the token is valid and not expired
- * 3. Finds the user in database using the ID from token
- * 4. Attaches user object to request for use in route handlers
- * 5. Calls next() to proceed to the actual route handler
+ * 3. Checks the session of the token wasn't logged out (see models/Session.js)
+ * 4. Finds the user in database using the ID from token
+ * 5. Attaches user object (and req.authSession) to request for use in route handlers
+ * 6. Calls next() to proceed to the actual route handler
  * 
  * If any step fails, returns 401 Unauthorized error
+ * 
+ * Personal API tokens ("tm_pat_...", see models/ApiToken.js) are accepted
+ * too: the request acts as the token's owner, and req.apiToken is set.
+ * Routes say which scope they need with requireScope, or refuse
+ * API tokens with denyApiTokens.
  */
 const protect = async (req, res, next) => {
     let token;
@@ -31,10 +43,21 @@ const protect = async (req, res, next) => {
             // Split "Bearer token" and take the second part (the actual token)
             token = req.headers.authorization.split(' ')[1];
 
+            // Personal API token instead of a JWT
+            if (ApiToken.isApiToken(token)) {
+                return await authenticateApiToken(req, res, next, token);
+            }
+
             // Verify token using the same secret key used to create it
             // This returns the decoded payload (containing user ID)
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // The session may have been revoked from another device
+            const session = await Session.findActive(decoded.sid, decoded.id);
+            if (!session) {
+                return res.status(401).json({ message: 'Not authorized, session expired' });
+            }
+
             // Find user in database using ID from token
             // .select('-password') excludes the password field from the result
             // We attach the user object to req so routes can access it
@@ -45,10 +68,24 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'User not found' });
             }
 
+            // Disabled by an admin (their sessions are logged out too, this
+            // catches requests that were already on their way)
+            const disabledMessage = req.user.getDisabledMessage();
+            if (disabledMessage) {
+                return res.status(401).json({ message: disabledMessage });
+            }
+
+            req.authSession = session;
+            session.touch(req.ip);
+
             // User is authenticated, proceed to the route handler
             next();
         } catch (error) {
             // Token verification failed (invalid or expired)
+            // Expired access tokens are normal - the client gets a new one at /api/auth/refresh
+            if (error.name === 'TokenExpiredError') {
+                return res.status(401).json({ message: 'Not authorized, token expired' });
+            }
             console.error('Token verification failed:', error.message);
             res.status(401).json({ message: 'Not authorized, token failed' });
         }
@@ -58,5 +95,176 @@ const protect = async (req, res, next) => {
     }
 };
 
-// Export the middleware function
-module.exports = { protect };
+/**
+ * Authenticate a request made with a personal API token
+ * (called by protect)
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} token - Token from the Authorization header
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+    const apiToken = await ApiToken.findUsable(token);
+    if (!apiToken) {
+        return res.status(401).json({ message: 'Not authorized, invalid or expired API token' });
+    }
+
+    req.user = await User.findById(apiToken.user).select('-password');
+    if (!req.user) {
+        return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Scripts stop working while the account waits to be deleted
+    if (req.user.deletionScheduledAt) {
+        return res.status(401).json({ message: 'Not authorized, the account is scheduled for deletion' });
+    }
+
+    // ...or while an admin disabled it
+    const disabledMessage = req.user.getDisabledMessage();
+    if (disabledMessage) {
+        return res.status(401).json({ message: disabledMessage });
+    }
+
+    req.apiToken = apiToken;
+    apiToken.touch(req.ip);
+
+    next();
+};
+
+/**
+ * API Token Scope Middleware
+ * 
+ * Purpose: Say which scope an API token needs for a route
+ * Requests logged in with a password (JWT) aren't affected
+ * Must run after protect
+ * 
+ * Usage:
+ *   router.get('/', protect, requireScope('tasks:read'), requirePermission('tasks:read'), handler)
+ * 
+ * Returns 403 Forbidden if the token doesn't have the scope
+ * (the owner's role in the workspace is still checked by requirePermission)
+ * 
+ * @param {string} scope - tasks:read / tasks:write
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (req.apiToken && !req.apiToken.hasScope(scope)) {
+        return res.status(403).json({ message: `This API token needs the ${scope} scope` });
+    }
+    next();
+};
+
+/**
+ * Middleware to refuse API tokens
+ * 
+ * Purpose: Keep account and workspace management for logged in users only
+ * (a leaked script token can't create more tokens, remove members...)
+ * Must run after protect
+ */
+const denyApiTokens = (req, res, next) => {
+    if (req.apiToken) {
+        return res.status(403).json({ message: 'API tokens cannot be used for this request' });
+    }
+    next();
+};
+
+/**
+ * Role Middleware
+ * 
+ * Purpose: Only let users with a role on the whole app through
+ * (e.g. the admin console, see routes/admin.js)
+ * Must run after protect
+ * 
+ * Usage:
+ *   router.use(protect, denyApiTokens, requireRole('admin'))
+ * 
+ * Returns 403 Forbidden if the user doesn't have the role
+ * 
+ * @param {string} role - One of User.USER_ROLES, e.g. "admin"
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (req.user.role !== role) {
+        return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+    next();
+};
+
+/**
+ * Workspace Middleware
+ * 
+ * Purpose: Find the workspace a request is about, and the user's role in it
+ * Must run after protect
+ * 
+ * The workspace comes from (first match wins):
+ * 1. The :workspaceId URL parameter (e.g. /api/workspaces/:workspaceId/members)
+ * 2. The X-Workspace-Id header (sent by the frontend with every request)
+ * 3. The user's first workspace (their personal one)
+ * 
+ * Attaches req.workspace and req.membership ({ role, ... })
+ * Responds with 404 if the user isn't a member, so other people's
+ * workspaces can't be discovered by guessing ids
+ */
+const loadWorkspace = async (req, res, next) => {
+    try {
+        const workspaceId = req.params.workspaceId || req.get('X-Workspace-Id');
+
+        let membership;
+        if (workspaceId) {
+            if (!mongoose.isValidObjectId(workspaceId)) {
+                return res.status(400).json({ message: 'Invalid workspace id' });
+            }
+            membership = await Membership.findOne({ workspace: workspaceId, user: req.user._id });
+        } else {
+            membership = await Membership.findOne({ user: req.user._id }).sort({ createdAt: 1 });
+        }
+
+        if (membership) {
+            await membership.populate('workspace');
+        }
+        if (!membership || !membership.workspace) {
+            return res.status(404).json({ message: 'Workspace not found' });
+        }
+
+        req.membership = membership;
+        req.workspace = membership.workspace;
+
+        next();
+    } catch (error) {
+        console.error('Error loading workspace:', error);
+        res.status(500).json({ message: 'Server error while loading workspace' });
+    }
+};
+
+/**
+ * Permission Middleware
+ * 
+ * Purpose: Only let members whose role has a permission through
+ * Loads the workspace first (see loadWorkspace) if that hasn't happened yet
+ * 
+ * Usage:
+ *   router.get('/', protect, requirePermission('tasks:read'), handler)
+ * 
+ * Permissions per role are defined in utils/permissions.js
+ * Returns 403 Forbidden if the user's role doesn't have the permission
+ * 
+ * @param {string} permission - e.g. "tasks:write"
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    const check = () => {
+        if (!hasPermission(req.membership.role, permission)) {
+            return res.status(403).json({ message: 'You do not have permission to do this in this workspace' });
+        }
+        next();
+    };
+
+    if (req.membership) {
+        return check();
+    }
+    loadWorkspace(req, res, check);
+};
+
+// Export the middleware functions
+module.exports = { protect, requireScope, denyApiTokens, requireRole, loadWorkspace, requirePermission };
@@ -0,0 +1,239 @@
+/**
+ * RATE LIMITING MIDDLEWARE
+ *
+ * Limits how many requests a client can make in a time window
+ * (fixed window: the count starts over when the window ends)
+ *
+ * Usage:
+ *   const loginLimiter = rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, max: 20 });
+ *   router.post('/login', loginLimiter, handler);
+ *
+ * Requests are counted per IP by default; keyGenerator counts them per
+ * something else (e.g. the email of the account being logged into).
+ *
+ * Every response has the standard headers (IETF draft "RateLimit header fields"):
+ *   RateLimit-Limit: 20        requests allowed in the window
+ *   RateLimit-Remaining: 7     requests left
+ *   RateLimit-Reset: 540       seconds until the window starts over
+ * Blocked requests get 429 Too Many Requests and a Retry-After header.
+ *
+ * Counts are kept in a "store". Which one is used is set with
+ * RATE_LIMIT_STORE in .env:
+ * - memory (default): counts in this process (lost on restart, not shared
+ *                     between several server processes)
+ * - redis:            counts in Redis at REDIS_URL, shared by every process
+ *                     (needs the redis package, an optional dependency)
+ * Other stores can be plugged in with setStore.
+ */
+
+// ============================================
+// STORES
+// A store has two async functions:
+// - increment(key, windowMs) -> { count, resetAt } (count includes this request)
+// - reset(key)
+// ============================================
+
+/**
+ * Keep counts in memory
+ */
+class MemoryStore {
+    constructor() {
+        this.hits = new Map();
+
+        // Forget finished windows now and then, so the map doesn't grow forever
+        this.cleanupTimer = setInterval(() => {
+            const now = Date.now();
+            for (const [key, hit] of this.hits) {
+                if (hit.resetAt <= now) this.hits.delete(key);
+            }
+        }, 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let hit = this.hits.get(key);
+
+        if (!hit || hit.resetAt <= now) {
+            hit = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, hit);
+        }
+        hit.count += 1;
+
+        return { count: hit.count, resetAt: new Date(hit.resetAt) };
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+}
+
+/**
+ * Keep counts in Redis (node-redis v4 client)
+ * The key expires with the window, so Redis cleans up by itself
+ */
+class RedisStore {
+    /**
+     * @param {Object} client - Connected node-redis client
+     * @param {string} prefix - Prefix of the Redis keys
+     */
+    constructor(client, prefix = 'ratelimit:') {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async increment(key, windowMs) {
+        const redisKey = this.prefix + key;
+        const [count, ttl] = await this.client.multi().incr(redisKey).pTTL(redisKey).exec();
+
+        // New key: start the window
+        let remainingMs = Number(ttl);
+        if (remainingMs < 0) {
+            await this.client.pExpire(redisKey, windowMs);
+            remainingMs = windowMs;
+        }
+
+        return { count: Number(count), resetAt: new Date(Date.now() + remainingMs) };
+    }
+
+    async reset(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+/**
+ * Create the store configured in .env
+ *
+ * @returns {Object} Store
+ */
+const createStore = () => {
+    if ((process.env.RATE_LIMIT_STORE || 'memory') === 'redis') {
+        // Only needed (and installed) when Redis is used
+        const { createClient } = require('redis');
+        const client = createClient({ url: process.env.REDIS_URL });
+        client.on('error', (error) => console.error('Redis error:', error.message));
+        client.connect().catch((error) => console.error('Could not connect to Redis:', error.message));
+
+        return new RedisStore(client);
+    }
+
+    return new MemoryStore();
+};
+
+// Store used by every limiter (created on first use)
+let store = null;
+
+const getStore = () => {
+    if (!store) store = createStore();
+    return store;
+};
+
+/**
+ * Use another store (e.g. a Redis client set up elsewhere, or in tests)
+ *
+ * @param {Object} newStore - Object with increment and reset functions
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Time to wait, in words
+ *
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "45 seconds", "1 minute", "12 minutes"
+ */
+const formatWait = (seconds) => {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Send the 429 response of a blocked request
+ *
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client can try again
+ * @param {string} message - Start of the message, e.g. "Too many login attempts"
+ */
+const sendTooManyRequests = (res, retryAfter, message = 'Too many requests') => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        message: `${message}, please try again in ${formatWait(retryAfter)}`,
+        retryAfter
+    });
+};
+
+/**
+ * Create a rate limiting middleware
+ *
+ * @param {Object} options
+ * @param {string} options.name - Name of the limiter (keeps its counts apart from other limiters)
+ * @param {number} options.windowMs - Length of the window in ms
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} options.keyGenerator - (req) => key to count by (default: the IP).
+ *   Returning nothing skips the limiter for that request
+ * @param {string} options.message - Start of the message when blocked
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message }) => async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+        return next();
+    }
+
+    let hit;
+    try {
+        hit = await getStore().increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+        // Don't take the API down with the store - let the request through
+        console.error('Rate limit store error:', error.message);
+        return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+    const remaining = Math.max(0, max - hit.count);
+
+    // With several limiters on a route, the headers show the one with the fewest requests left
+    const previousRemaining = res.get('RateLimit-Remaining');
+    if (previousRemaining === undefined || remaining < Number(previousRemaining)) {
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+    }
+
+    if (hit.count > max) {
+        return sendTooManyRequests(res, resetSeconds, message);
+    }
+
+    next();
+};
+
+/**
+ * Count requests per email address in the body (e.g. per account for login)
+ *
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Lowercase email
+ */
+const emailKey = (req) => {
+    const email = req.body?.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : undefined;
+};
+
+module.exports = {
+    MemoryStore,
+    RedisStore,
+    setStore,
+    rateLimit,
+    emailKey,
+    formatWait,
+    sendTooManyRequests
+};
@@ -0,0 +1,192 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_TOKEN_SCOPES, scopesAllow } = require('../utils/permissions');
+
+// Every token starts with this, so it is easy to recognize (and to find in leaked code)
+const TOKEN_PREFIX = 'tm_pat_';
+
+/**
+ * ApiToken Schema - Personal access token for scripts and integrations
+ * 
+ * Sent like an access token: "Authorization: Bearer tm_pat_..."
+ * The protect middleware accepts it, and routes check its scopes
+ * (see requireScope in middleware/auth.js). It acts as its owner,
+ * with their role in each workspace.
+ * 
+ * The token is only shown once, when it is created; like invite tokens,
+ * only a SHA-256 hash of it is stored.
+ * 
+ * Fields:
+ * - user: The User the token acts as
+ * - name: What it is for, e.g. "CI deploy job"
+ * - tokenHash: Hash of the secret token
+ * - lastCharacters: End of the token, to tell tokens apart in the list
+ * - scopes: What the token can do (tasks:read, tasks:write - see utils/permissions.js)
+ * - expiresAt: The token stops working after this date (null = never)
+ * - lastUsedAt / lastUsedIp: When and where it was last used
+ */
+const apiTokenSchema = new mongoose.Schema(
+    {
+        // Owner of the token
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Name given by the user
+        name: {
+            type: String,
+            required: [true, 'Please add a token name'],
+            trim: true,
+            maxlength: [100, 'Token name cannot be more than 100 characters']
+        },
+
+        // SHA-256 of the token
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // Last 4 characters of the token
+        lastCharacters: {
+            type: String,
+            required: true
+        },
+
+        // What the token can do
+        scopes: {
+            type: [{
+                type: String,
+                enum: Object.keys(API_TOKEN_SCOPES)
+            }],
+            validate: {
+                validator: (scopes) => scopes.length > 0,
+                message: 'Please choose at least one scope'
+            }
+        },
+
+        // Expiry date (null = never expires)
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+
+        // Usage tracking
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        lastUsedIp: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Index on user - used to list a user's tokens
+ */
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Whether a bearer token looks like an API token (and not a JWT)
+ * 
+ * @param {string} token - Token from the Authorization header
+ * @returns {boolean}
+ */
+apiTokenSchema.statics.isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Hash a token
+ * 
+ * @param {string} token - Token from the Authorization header
+ * @returns {string} Hex SHA-256 hash
+ */
+apiTokenSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for a user
+ * 
+ * @param {Object} user - User document
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @returns {Promise<{ apiToken: Object, token: string }>}
+ *   The saved document and the token (only available here, it isn't stored)
+ */
+apiTokenSchema.statics.issue = async function (user, { name, scopes, expiresAt = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const apiToken = await this.create({
+        user: user._id,
+        name,
+        tokenHash: this.hashToken(token),
+        lastCharacters: token.slice(-4),
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    return { apiToken, token };
+};
+
+/**
+ * Find the token sent by a client
+ * 
+ * @param {string} token - Token from the Authorization header
+ * @returns {Promise<Object|null>} Token document, or null if it doesn't exist or expired
+ */
+apiTokenSchema.statics.findUsable = function (token) {
+    return this.findOne({
+        tokenHash: this.hashToken(token),
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+};
+
+/**
+ * Whether the token has a scope
+ * 
+ * @param {string} scope - e.g. "tasks:read"
+ * @returns {boolean}
+ */
+apiTokenSchema.methods.hasScope = function (scope) {
+    return scopesAllow(this.scopes, scope);
+};
+
+/**
+ * Record that the token was used
+ * Written at most once a minute, so busy scripts don't write on every request
+ * 
+ * @param {string} ip - IP of the request
+ */
+apiTokenSchema.methods.touch = function (ip) {
+    const now = new Date();
+    if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) return;
+
+    this.constructor
+        .updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: ip })
+        .catch((error) => console.error('Error updating API token usage:', error.message));
+};
+
+/**
+ * Fields sent to the client (never the hash)
+ */
+apiTokenSchema.methods.toJSON = function () {
+    return {
+        _id: this._id,
+        name: this.name,
+        lastCharacters: this.lastCharacters,
+        scopes: this.scopes,
+        expiresAt: this.expiresAt,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        createdAt: this.createdAt
+    };
+};
+
+// Create and export the ApiToken model
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,116 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Comment Schema - Discussion on a task
+ * 
+ * Fields:
+ * - workspace: Reference to the Workspace of the task (to clean up with the workspace)
+ * - task: Reference to the Task the comment is on
+ * - author: Reference to the User who wrote the comment
+ *   (null once their account was deleted, the comment stays)
+ * - body: The comment, in Markdown
+ * - mentions: Users mentioned with @username (members of the workspace only)
+ * - editedAt: When the body was last edited (null if never)
+ * - createdAt & updatedAt: Automatically managed timestamps
+ * 
+ * The task keeps the number of its comments in Task.commentCount,
+ * so the task list can show it without counting
+ */
+const commentSchema = new mongoose.Schema(
+    {
+        // Workspace of the task
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // Task the comment is on
+        task: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Task'
+        },
+
+        // Who wrote it
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+
+        // The comment (Markdown)
+        body: {
+            type: String,
+            required: [true, 'Please write a comment'],
+            trim: true,
+            maxlength: [5000, 'Comment cannot be more than 5000 characters']
+        },
+
+        // Users mentioned with @username
+        mentions: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+
+        // Set when the body is edited
+        editedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Compound index on task and createdAt
+ * Comments are listed per task, oldest first
+ */
+commentSchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * Index on workspace, to delete the comments with their workspace
+ */
+commentSchema.index({ workspace: 1 });
+
+/**
+ * Related documents included whenever a comment is sent to the client
+ */
+const COMMENT_RELATIONS = [
+    { path: 'author', select: 'username displayName' },
+    { path: 'mentions', select: 'username' }
+];
+
+/**
+ * Query helper: Comment.find(...).withRelations()
+ * Populates the author and the mentioned users of a list of comments
+ */
+commentSchema.query.withRelations = function () {
+    return this.populate(COMMENT_RELATIONS);
+};
+
+/**
+ * Document method: await comment.populateRelations()
+ * Same as withRelations, for a single comment that was just saved
+ */
+commentSchema.methods.populateRelations = function () {
+    return this.populate(COMMENT_RELATIONS);
+};
+
+/**
+ * Whether a user wrote the comment
+ * 
+ * @param {string|Object} userId - User id
+ * @returns {boolean}
+ */
+commentSchema.methods.isWrittenBy = function (userId) {
+    return Boolean(this.author) && String(this.author._id || this.author) === String(userId);
+};
+
+// Create and export the Comment model
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,153 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
+
+// How long an invite can be used
+const INVITE_LIFETIME_DAYS = 7;
+
+/**
+ * Invite Schema - An invitation to join a Workspace
+ * 
+ * Two kinds of invites:
+ * - email invite: only the user with that email can accept it
+ * - invite link:  no email, anyone with the link can accept it
+ * 
+ * Only a SHA-256 hash of the invite token is stored, so the links
+ * can't be rebuilt from the database
+ * 
+ * Fields:
+ * - workspace: The Workspace to join
+ * - email: Invited email address (null for invite links)
+ * - role: Role given when the invite is accepted (never owner)
+ * - tokenHash: Hash of the secret token in the invite link
+ * - invitedBy: The User who created the invite
+ * - expiresAt: The invite can't be used after this date
+ * - acceptedBy / acceptedAt: Set when an email invite is accepted
+ *   (invite links stay usable until they expire or are revoked)
+ */
+const inviteSchema = new mongoose.Schema(
+    {
+        // Workspace to join
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // Invited email (null = invite link)
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            default: null
+        },
+
+        // Role of the new member
+        role: {
+            type: String,
+            enum: ROLES.filter((role) => role !== 'owner'),
+            default: 'member'
+        },
+
+        // SHA-256 of the token
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // Who created the invite
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Expiry date
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Set once an email invite was used
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        acceptedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Index on workspace - used to list a workspace's invites
+ */
+inviteSchema.index({ workspace: 1, createdAt: -1 });
+
+/**
+ * Index on email - used to list the invites of the logged in user
+ */
+inviteSchema.index({ email: 1 });
+
+/**
+ * Hash an invite token
+ * 
+ * @param {string} token - Token from the invite link
+ * @returns {string} Hex SHA-256 hash
+ */
+inviteSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create an invite with a new random token
+ * 
+ * @param {Object} data - { workspace, email, role, invitedBy }
+ * @returns {Promise<{ invite: Object, token: string }>} The saved invite and its token
+ *   (the token is only available here, it isn't stored)
+ */
+inviteSchema.statics.createWithToken = async function (data) {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const invite = await this.create({
+        ...data,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + INVITE_LIFETIME_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { invite, token };
+};
+
+/**
+ * Find a usable invite by its token
+ * 
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object|null>} The invite (workspace populated), or null
+ *   if it doesn't exist, expired or was already accepted
+ */
+inviteSchema.statics.findUsable = function (token) {
+    return this.findOne({
+        tokenHash: this.hashToken(token),
+        expiresAt: { $gt: new Date() },
+        acceptedAt: null
+    }).populate('workspace', 'name');
+};
+
+/**
+ * Hide the token hash when sending an invite to the client
+ */
+inviteSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+// Create and export the Invite model
+module.exports = mongoose.model('Invite', inviteSchema);
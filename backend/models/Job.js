@@ -0,0 +1,126 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * States of a job
+ * - pending: waiting for runAt
+ * - running: claimed by a server process (lockedBy), handler in progress
+ * - done:    the handler finished
+ * - failed:  the handler threw on every attempt (see lastError)
+ */
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// Finished jobs (done or failed) are deleted after this many days
+const KEEP_DAYS = 7;
+
+/**
+ * Job Schema - Work to do at a given time, outside the request cycle
+ * 
+ * Fields:
+ * - name: Which handler runs the job (see services/jobs.js, defineJob)
+ * - data: Arguments passed to the handler
+ * - key: Optional id of the job, e.g. "reminder:<task>:<user>:60" - only
+ *   one pending job can have a key, so scheduling it again moves it
+ * - runAt: When the job should run (or be retried)
+ * - status: See JOB_STATUSES
+ * - attempts: How many times the handler was started
+ * - lockedBy, lockedAt: The server process running it, and since when
+ * - lastError: Message of the last failure
+ * - finishedAt: When it was done or gave up
+ * 
+ * Jobs are stored so they survive restarts; a job is claimed with one
+ * atomic update, so with several server processes only one runs it.
+ */
+const jobSchema = new mongoose.Schema(
+    {
+        // Name of the handler
+        name: {
+            type: String,
+            required: true
+        },
+
+        // Arguments of the handler
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+
+        // Optional id, unique among pending jobs
+        key: {
+            type: String,
+            default: null
+        },
+
+        // When to run
+        runAt: {
+            type: Date,
+            required: true
+        },
+
+        status: {
+            type: String,
+            enum: JOB_STATUSES,
+            default: 'pending'
+        },
+
+        attempts: {
+            type: Number,
+            default: 0
+        },
+
+        // Server process running the job
+        lockedBy: {
+            type: String,
+            default: null
+        },
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+
+        lastError: {
+            type: String,
+            default: null
+        },
+
+        finishedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true,
+        // data is Mixed: keep {} instead of leaving it out
+        minimize: false
+    }
+);
+
+/**
+ * Compound index on status and runAt
+ * Used to find the next job that is due
+ */
+jobSchema.index({ status: 1, runAt: 1 });
+
+/**
+ * Unique index on key, among pending jobs only
+ * Scheduling the same job twice (e.g. from two server processes) keeps one
+ */
+jobSchema.index(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending', key: { $type: 'string' } } }
+);
+
+/**
+ * TTL index: MongoDB deletes finished jobs KEEP_DAYS after they finished
+ * (pending and running jobs have no finishedAt, so they are kept)
+ */
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: KEEP_DAYS * 24 * 60 * 60 });
+
+/**
+ * Index on the task of task jobs (reminders), to cancel them
+ */
+jobSchema.index({ 'data.task': 1 }, { sparse: true });
+
+// Create and export the Job model
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,57 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+/**
+ * Membership Schema - Gives a User access to a Workspace with a role
+ * 
+ * Fields:
+ * - workspace: The Workspace
+ * - user: The member
+ * - role: owner / admin / member / viewer (see utils/permissions.js)
+ * - createdAt & updatedAt: Automatically managed timestamps
+ */
+const membershipSchema = new mongoose.Schema(
+    {
+        // Workspace the user belongs to
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // The member
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // What the member may do in the workspace
+        role: {
+            type: String,
+            enum: {
+                values: ROLES,
+                message: 'Role must be one of: ' + ROLES.join(', ')
+            },
+            default: 'member'
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * A user is a member of a workspace at most once
+ */
+membershipSchema.index({ workspace: 1, user: 1 }, { unique: true });
+
+/**
+ * Index on user - used to list a user's workspaces
+ */
+membershipSchema.index({ user: 1, createdAt: 1 });
+
+// Create and export the Membership model
+module.exports = mongoose.model('Membership', membershipSchema);
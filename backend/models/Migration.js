@@ -0,0 +1,31 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Migration Schema - A data migration that only runs once
+ * 
+ * Most migrations (see config/migrations.js) run on every start and only
+ * touch the documents that still need them. Those marked "once" would be
+ * too slow for that (e.g. they look at every open task), so they are
+ * recorded here after they ran and skipped afterwards.
+ * 
+ * Fields:
+ * - name: Name of the migration
+ * - appliedAt: When it ran
+ */
+const migrationSchema = new mongoose.Schema({
+    // Name of the migration (one document per migration)
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Create and export the Migration model
+module.exports = mongoose.model('Migration', migrationSchema);
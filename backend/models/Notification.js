@@ -0,0 +1,144 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Kinds of notifications
+ * Users choose which of them they get (User.notificationPreferences)
+ * - assigned: someone assigned the user to a task
+ * - due_soon: reminder that a task the user works on is due (services/reminders.js)
+ * - comment:  someone commented on a task the user created or works on
+ * - mention:  someone mentioned the user with @username in a comment
+ */
+const NOTIFICATION_TYPES = ['assigned', 'due_soon', 'comment', 'mention'];
+
+// Notifications are deleted after this many days, read or not
+const KEEP_DAYS = 90;
+
+/**
+ * Notification Schema - Something that happened that a user should know about
+ * 
+ * Fields:
+ * - user: Reference to the User who gets the notification
+ * - workspace: Reference to the Workspace of the task
+ * - type: What happened (see NOTIFICATION_TYPES)
+ * - task: Reference to the Task it is about
+ * - taskTitle: The task's title at the time (still readable once the task is deleted)
+ * - comment: Reference to the Comment, for comment and mention
+ * - actor: Reference to the User who did it (null for due_soon, or once
+ *   their account was deleted)
+ * - readAt: When the user read it (null = unread)
+ * - createdAt: When it happened
+ * 
+ * Created by services/notifications.js
+ */
+const notificationSchema = new mongoose.Schema(
+    {
+        // Who gets the notification
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Workspace of the task
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // What happened
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+
+        // The task it is about
+        task: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            required: true
+        },
+
+        // Title of the task when the notification was created
+        taskTitle: {
+            type: String,
+            default: ''
+        },
+
+        // The comment (comment and mention only)
+        comment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
+        },
+
+        // Who did it
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        // When it was read
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Only createdAt - reading a notification sets readAt
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+/**
+ * Compound index on user and createdAt
+ * A user's notifications are listed newest first
+ */
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Compound index on user and readAt
+ * Used to count the unread notifications
+ */
+notificationSchema.index({ user: 1, readAt: 1 });
+
+/**
+ * TTL index: MongoDB deletes notifications KEEP_DAYS after they were created
+ */
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: KEEP_DAYS * 24 * 60 * 60 });
+
+/**
+ * Index on workspace, to delete the notifications with their workspace
+ */
+notificationSchema.index({ workspace: 1 });
+
+/**
+ * Related documents included whenever a notification is sent to the client
+ */
+const NOTIFICATION_RELATIONS = [
+    { path: 'actor', select: 'username displayName' },
+    { path: 'workspace', select: 'name personal' }
+];
+
+/**
+ * Query helper: Notification.find(...).withRelations()
+ */
+notificationSchema.query.withRelations = function () {
+    return this.populate(NOTIFICATION_RELATIONS);
+};
+
+/**
+ * Document method: await notification.populateRelations()
+ */
+notificationSchema.methods.populateRelations = function () {
+    return this.populate(NOTIFICATION_RELATIONS);
+};
+
+// Available as Notification.TYPES (e.g. to validate preferences)
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+// Create and export the Notification model
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,80 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Project Schema - A list / board that tasks can be organised into
+ * 
+ * Fields:
+ * - workspace: Reference to the Workspace the project belongs to
+ * - user: Reference to the User who created this project
+ * - name: Project name, unique per workspace (case-insensitive)
+ * - color: Accent color as a hex value
+ * - icon: Short text or emoji shown next to the name
+ * - archived: Archived projects are hidden from the sidebar, and their
+ *   tasks from the "All tasks" list
+ * - createdAt & updatedAt: Automatically managed timestamps
+ * 
+ * Tasks reference their project by _id (see Task.project)
+ */
+const projectSchema = new mongoose.Schema(
+    {
+        // Workspace the project belongs to
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // Creator of the project
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Project name, e.g. "Work" or "Home renovation"
+        name: {
+            type: String,
+            required: [true, 'Please add a project name'],
+            trim: true,
+            maxlength: [50, 'Project name cannot be more than 50 characters']
+        },
+
+        // Accent color
+        color: {
+            type: String,
+            default: '#6366f1',
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1']
+        },
+
+        // Icon, usually a single emoji
+        icon: {
+            type: String,
+            trim: true,
+            default: '📁',
+            maxlength: [8, 'Project icon cannot be more than 8 characters']
+        },
+
+        // Archived projects are kept, but out of the way
+        archived: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Unique index on workspace + name
+ * The collation makes it case-insensitive: "Work" and "work" are the same project
+ */
+projectSchema.index(
+    { workspace: 1, name: 1 },
+    { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Create and export the Project model
+module.exports = mongoose.model('Project', projectSchema);
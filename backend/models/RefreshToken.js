@@ -0,0 +1,164 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a refresh token can be used (a login lasts this long without activity)
+const REFRESH_TOKEN_LIFETIME_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * RefreshToken Schema - Keeps a user logged in after their access token expires
+ * 
+ * Refresh tokens rotate: every time one is used (POST /api/auth/refresh)
+ * it is revoked and replaced by a new one. All tokens that come from
+ * the same login share a "family".
+ * 
+ * A revoked token being used again means it was stolen (either the thief
+ * or the user used it first), so the whole family is revoked and
+ * everyone using it has to log in again.
+ * 
+ * Only a SHA-256 hash of the token is stored, like invite tokens
+ * 
+ * Fields:
+ * - user: The User the token belongs to
+ * - tokenHash: Hash of the secret token (sent in an httpOnly cookie)
+ * - family: Id shared by every token of one login (the id of its Session)
+ * - expiresAt: The token can't be used after this date (then it is deleted)
+ * - revokedAt: Set when the token is rotated, or on logout
+ * - replacedBy: The token that replaced this one when it was rotated
+ * - userAgent / ip: Where the token was issued (for troubleshooting)
+ */
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        // Owner of the token
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // SHA-256 of the token
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // Login the token belongs to
+        family: {
+            type: String,
+            required: true
+        },
+
+        // Expiry date
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Set once the token can't be used anymore
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        // Token issued when this one was rotated
+        replacedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RefreshToken',
+            default: null
+        },
+
+        // Client that got the token
+        userAgent: {
+            type: String,
+            default: ''
+        },
+        ip: {
+            type: String,
+            default: ''
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * TTL index - MongoDB deletes tokens once they expire
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Index on family - used to revoke every token of a login
+ */
+refreshTokenSchema.index({ family: 1 });
+
+/**
+ * Index on user - used to revoke every token of a user
+ */
+refreshTokenSchema.index({ user: 1 });
+
+/**
+ * Hash a refresh token
+ * 
+ * @param {string} token - Token from the cookie
+ * @returns {string} Hex SHA-256 hash
+ */
+refreshTokenSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Expiry date of a refresh token issued now
+ * 
+ * @returns {Date}
+ */
+refreshTokenSchema.statics.expiryDate = () => new Date(Date.now() + REFRESH_TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Create a refresh token
+ * 
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @param {string} family - Id of the session (login) the token belongs to
+ * @param {ObjectId} id - Id of the new document (optional, e.g. already set as
+ *   the replacedBy of the token being rotated)
+ * @returns {Promise<{ refreshToken: Object, token: string }>} The saved document and the token
+ *   (the token is only available here, it isn't stored)
+ */
+refreshTokenSchema.statics.issue = async function (user, req, family, id = new mongoose.Types.ObjectId()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const refreshToken = await this.create({
+        _id: id,
+        user: user._id,
+        tokenHash: this.hashToken(token),
+        family,
+        expiresAt: this.expiryDate(),
+        userAgent: (req.get('User-Agent') || '').slice(0, 200),
+        ip: req.ip || ''
+    });
+
+    return { refreshToken, token };
+};
+
+/**
+ * Revoke every token of a login that isn't revoked yet
+ * 
+ * @param {string} family - Token family
+ * @returns {Promise}
+ */
+refreshTokenSchema.statics.revokeFamily = function (family) {
+    return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Check if the token can still be used
+ * 
+ * @returns {boolean}
+ */
+refreshTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create and export the RefreshToken model
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
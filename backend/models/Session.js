@@ -0,0 +1,203 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+// How often lastSeenAt is written (a busy tab doesn't write on every request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session Schema - One login of a user, on one device
+ * 
+ * Created when the user logs in, and listed on the account security page
+ * so they can see where they are logged in and log devices out.
+ * 
+ * The session id is the family of its refresh tokens (see models/RefreshToken.js)
+ * and is put in every access token ("sid"), so:
+ * - the protect middleware refuses access tokens of a revoked session
+ * - revoking a session revokes its refresh tokens too
+ * 
+ * Fields:
+ * - user: The User who logged in
+ * - userAgent / ip: Browser and IP that logged in
+ * - lastSeenAt / lastSeenIp: Last request made with the session
+ * - expiresAt: When the last refresh token expires (then it is deleted)
+ * - revokedAt: Set on logout, or when the session is revoked
+ */
+const sessionSchema = new mongoose.Schema(
+    {
+        // Owner of the session
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Client that logged in
+        userAgent: {
+            type: String,
+            default: ''
+        },
+        ip: {
+            type: String,
+            default: ''
+        },
+
+        // Last activity
+        lastSeenAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastSeenIp: {
+            type: String,
+            default: ''
+        },
+
+        // Expiry date
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Set once the session can't be used anymore
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * TTL index - MongoDB deletes sessions once they expire
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Index on user - used to list and revoke the sessions of a user
+ */
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+
+/**
+ * Start a session for a user
+ * 
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @param {Date} expiresAt - Expiry of the first refresh token
+ * @returns {Promise<Object>} The saved session
+ */
+sessionSchema.statics.start = function (user, req, expiresAt) {
+    const ip = req.ip || '';
+
+    return this.create({
+        user: user._id,
+        userAgent: (req.get('User-Agent') || '').slice(0, 200),
+        ip,
+        lastSeenIp: ip,
+        expiresAt
+    });
+};
+
+/**
+ * Find a session that can still be used
+ * 
+ * @param {string} id - Session id (from an access token or a refresh token family)
+ * @param {string} userId - The session must belong to this user
+ * @returns {Promise<Object|null>} Session document, or null
+ */
+sessionSchema.statics.findActive = function (id, userId) {
+    if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+
+    return this.findOne({
+        _id: id,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Revoke sessions and their refresh tokens
+ * 
+ * @param {Object} filter - Which sessions, e.g. { _id } or { user }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+sessionSchema.statics.revokeWhere = async function (filter) {
+    const sessions = await this.find({ ...filter, revokedAt: null }).select('_id');
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map((session) => session._id);
+    await this.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+    await RefreshToken.updateMany(
+        { family: { $in: ids.map(String) }, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+
+    return ids.length;
+};
+
+/**
+ * Revoke one session (logout, reused refresh token)
+ * 
+ * @param {string} id - Session id (refresh token family)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+sessionSchema.statics.revoke = async function (id) {
+    // Refresh tokens from before sessions existed have a random family
+    if (!mongoose.isValidObjectId(id)) {
+        await RefreshToken.revokeFamily(String(id));
+        return 0;
+    }
+    return this.revokeWhere({ _id: id });
+};
+
+/**
+ * Revoke every session of a user, except one
+ * (changing the password keeps the current device logged in)
+ * 
+ * @param {string} userId - User id
+ * @param {string} exceptId - Session to keep (omit to revoke them all)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+sessionSchema.statics.revokeForUser = function (userId, exceptId) {
+    const filter = { user: userId };
+    if (exceptId) {
+        filter._id = { $ne: exceptId };
+    }
+    return this.revokeWhere(filter);
+};
+
+/**
+ * Record that the session was used
+ * Written at most once a minute
+ * 
+ * @param {string} ip - IP of the request
+ */
+sessionSchema.methods.touch = function (ip) {
+    const now = new Date();
+    if (now - this.lastSeenAt < TOUCH_INTERVAL_MS && this.lastSeenIp === ip) return;
+
+    this.constructor
+        .updateOne({ _id: this._id }, { lastSeenAt: now, lastSeenIp: ip })
+        .catch((error) => console.error('Error updating session activity:', error.message));
+};
+
+/**
+ * Fields sent to the client
+ */
+sessionSchema.methods.toJSON = function () {
+    return {
+        _id: this._id,
+        userAgent: this.userAgent,
+        ip: this.ip,
+        lastSeenAt: this.lastSeenAt,
+        lastSeenIp: this.lastSeenIp,
+        expiresAt: this.expiresAt,
+        createdAt: this.createdAt
+    };
+};
+
+// Create and export the Session model
+module.exports = mongoose.model('Session', sessionSchema);
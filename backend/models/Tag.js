@@ -0,0 +1,64 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Tag Schema - Labels used to group tasks across contexts
+ * 
+ * Fields:
+ * - workspace: Reference to the Workspace the tag belongs to
+ * - user: Reference to the User who created this tag
+ * - name: Label text, unique per workspace (case-insensitive)
+ * - color: Chip color as a hex value
+ * - createdAt & updatedAt: Automatically managed timestamps
+ * 
+ * Tasks reference tags by _id (see Task.tags), so renaming or
+ * recoloring a tag automatically shows up on every task using it
+ */
+const tagSchema = new mongoose.Schema(
+    {
+        // Workspace the tag belongs to
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // Creator of the tag
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Tag name, e.g. "frontend" or "customer-x"
+        name: {
+            type: String,
+            required: [true, 'Please add a tag name'],
+            trim: true,
+            maxlength: [30, 'Tag name cannot be more than 30 characters']
+        },
+
+        // Chip color
+        color: {
+            type: String,
+            default: '#6366f1',
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1']
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Unique index on workspace + name
+ * The collation makes it case-insensitive: "Ops" and "ops" are the same tag
+ */
+tagSchema.index(
+    { workspace: 1, name: 1 },
+    { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Create and export the Tag model
+module.exports = mongoose.model('Tag', tagSchema);
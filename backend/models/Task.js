@@ -1,20 +1,123 @@
 // Import mongoose to define schemas and models
 const mongoose = require('mongoose');
+const { PRIORITIES, BUILT_IN_STATUSES } = require('../utils/taskStatus');
+const { addDays } = require('../utils/dates');
+const { FREQUENCIES, WEEKDAYS, getNextOccurrence, calendarDaysBetween } = require('../utils/recurrence');
+
+/**
+ * Subtask Schema - One item of a task's checklist
+ * 
+ * Stored inside the task (embedded), in display order
+ */
+const subtaskSchema = new mongoose.Schema(
+    {
+        // What needs to be done
+        title: {
+            type: String,
+            required: [true, 'Please add a subtask title'],
+            trim: true,
+            maxlength: [200, 'Subtask title cannot be more than 200 characters']
+        },
+
+        // Checked off or not
+        done: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+/**
+ * Recurrence Schema - RRULE-style repeat rule of a task
+ * 
+ * See utils/recurrence.js for the meaning of each field
+ */
+const recurrenceSchema = new mongoose.Schema(
+    {
+        // DAILY, WEEKLY or MONTHLY
+        freq: {
+            type: String,
+            enum: FREQUENCIES,
+            required: true
+        },
+
+        // Every N days / weeks / months
+        interval: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+
+        // Weekdays for weekly rules (MO, TU, ...)
+        byDay: {
+            type: [{ type: String, enum: WEEKDAYS }],
+            default: []
+        },
+
+        // Day of the month for monthly rules (-1 = last day)
+        byMonthDay: {
+            type: Number,
+            default: null
+        },
+
+        // End of the series: last allowed date...
+        until: {
+            type: Date,
+            default: null
+        },
+
+        // ...or total number of occurrences
+        count: {
+            type: Number,
+            default: null
+        }
+    },
+    {
+        _id: false
+    }
+);
 
 /**
  * Task Schema - Defines the structure of task documents in MongoDB
  * 
  * Fields:
- * - user: Reference to the User who owns this task (for data isolation)
+ * - workspace: Reference to the Workspace the task belongs to (for data isolation)
+ * - user: Reference to the User who created this task
  * - title: Brief description of the task (required)
  * - description: Detailed description of the task (optional)
- * - completed: Boolean flag indicating if task is done (default: false)
+ * - assignees: Users responsible for the task (members of the workspace)
+ * - status: Workflow status key (built-in or one of the workspace's custom statuses)
+ * - priority: low / medium / high / urgent (default: medium)
+ * - priorityRank: Numeric version of priority (0-3) used for sorting
+ * - completed: Derived from status - true when the status is in the "done"
+ *   category. Kept so older clients that only know about completed still work
+ * - startDate / dueDate: Optional scheduling dates (see utils/dates.js)
+ * - startAllDay / dueAllDay: True when the date has no time of day
+ * - timezone: IANA timezone the dates were entered in (e.g. "Europe/Berlin")
+ * - project: The Project (list) the task belongs to, or null
+ * - tags: References to the workspace's Tags
+ * - subtasks: Checklist items, in display order
+ * - autoComplete: Complete the task automatically when every subtask is done
+ * - recurrence: Repeat rule (null for one-off tasks)
+ * - recurrenceIndex: Position of this task in its series (1 = first occurrence)
+ * - nextOccurrence: The task generated when this one was completed
+ * - commentCount: Number of comments on the task (see models/Comment.js)
  * - createdAt & updatedAt: Automatically managed timestamps
  */
 const taskSchema = new mongoose.Schema(
     {
+        // Workspace the task belongs to
+        // Only members of the workspace can see the task
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
         // Reference to the user who created this task
-        // This ensures each user only sees their own tasks
         user: {
             type: mongoose.Schema.Types.ObjectId,  // MongoDB ObjectId type
             required: true,                         // Every task must have an owner
@@ -37,10 +140,135 @@ const taskSchema = new mongoose.Schema(
             maxlength: [1000, 'Description cannot be more than 1000 characters']
         },
 
-        // Completion status
+        // Workflow status (todo, in_progress, blocked, done or a custom key)
+        // Not an enum because users can define their own statuses
+        // Always change it through task.setStatus() so completed stays in sync
+        status: {
+            type: String,
+            default: 'todo',
+            trim: true
+        },
+
+        // How important the task is
+        priority: {
+            type: String,
+            enum: {
+                values: PRIORITIES,
+                message: 'Priority must be one of: ' + PRIORITIES.join(', ')
+            },
+            default: 'medium'
+        },
+
+        // Numeric priority (low = 0 ... urgent = 3)
+        // Set automatically from priority, sorting by the string would be alphabetical
+        priorityRank: {
+            type: Number,
+            default: PRIORITIES.indexOf('medium')
+        },
+
+        // Completion flag - derived from status (see setStatus below)
         completed: {
             type: Boolean,
             default: false                                 // New tasks are incomplete by default
+        },
+
+        // When work on the task should start (optional)
+        startDate: {
+            type: Date,
+            default: null
+        },
+
+        // True if startDate is just a day, without a time
+        startAllDay: {
+            type: Boolean,
+            default: true
+        },
+
+        // When the task is due (optional)
+        // All-day due dates are stored as the END of that day (23:59:59.999)
+        // so a task only becomes overdue once its due day is over
+        dueDate: {
+            type: Date,
+            default: null
+        },
+
+        // True if dueDate is just a day, without a time
+        dueAllDay: {
+            type: Boolean,
+            default: true
+        },
+
+        // Timezone used to interpret and display the dates
+        timezone: {
+            type: String,
+            default: 'UTC'
+        },
+
+        // Project (list / board) the task belongs to - optional
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            default: null
+        },
+
+        // Users responsible for the task
+        // Assignees can always update the task, whatever their role
+        assignees: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+
+        // Tags (labels) attached to the task
+        tags: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Tag'
+            }
+        ],
+
+        // Checklist items - the array order is the display order
+        subtasks: {
+            type: [subtaskSchema],
+            default: [],
+            validate: {
+                validator: (subtasks) => subtasks.length <= 100,
+                message: 'A task cannot have more than 100 subtasks'
+            }
+        },
+
+        // Complete the task when the last subtask is checked off
+        autoComplete: {
+            type: Boolean,
+            default: false
+        },
+
+        // Repeat rule - completing the task creates the next occurrence
+        recurrence: {
+            type: recurrenceSchema,
+            default: null
+        },
+
+        // Which occurrence of the series this is (used for the rule's count)
+        recurrenceIndex: {
+            type: Number,
+            default: 1
+        },
+
+        // Set once the next occurrence was created, so it is only created once
+        nextOccurrence: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            default: null
+        },
+
+        // Number of comments - kept up to date by routes/comments.js
+        // with $inc, so it isn't counted for every task of the list
+        commentCount: {
+            type: Number,
+            default: 0,
+            min: 0
         }
     },
     {
@@ -50,11 +278,197 @@ const taskSchema = new mongoose.Schema(
 );
 
 /**
- * Compound index on user and createdAt for efficient queries
- * This helps when fetching all tasks for a user sorted by creation date
+ * Compound index on workspace and createdAt for efficient queries
+ * This helps when fetching all tasks of a workspace sorted by creation date
  * -1 means descending order (newest first)
  */
-taskSchema.index({ user: 1, createdAt: -1 });
+taskSchema.index({ workspace: 1, createdAt: -1 });
+
+/**
+ * Compound index on workspace and dueDate
+ * Used by the overdue / due today / due this week queries
+ */
+taskSchema.index({ workspace: 1, dueDate: 1 });
+
+/**
+ * Index on dueDate alone
+ * Used to find the open tasks of every workspace that are due later (services/reminders.js)
+ */
+taskSchema.index({ dueDate: 1 });
+
+/**
+ * Compound index on workspace and project
+ * Used by the project views (and when archiving / deleting a project)
+ */
+taskSchema.index({ workspace: 1, project: 1 });
+
+/**
+ * Compound index on workspace and tags
+ * Used when filtering by tag (MongoDB indexes every element of the array)
+ */
+taskSchema.index({ workspace: 1, tags: 1 });
+
+/**
+ * Compound index on workspace and assignees
+ * Used by the "assigned to me" view
+ */
+taskSchema.index({ workspace: 1, assignees: 1 });
+
+/**
+ * Text index on title and description
+ * Powers the ?q= search on GET /api/tasks
+ * Matches in the title count more than matches in the description
+ */
+taskSchema.index(
+    { title: 'text', description: 'text' },
+    { weights: { title: 5, description: 1 }, name: 'task_text_search' }
+);
+
+/**
+ * Keep priorityRank in sync with priority before every save
+ */
+taskSchema.pre('validate', function (next) {
+    if (this.isModified('priority') || this.isNew) {
+        this.priorityRank = Math.max(PRIORITIES.indexOf(this.priority), 0);
+    }
+    next();
+});
+
+/**
+ * Related documents included whenever a task is sent to the client
+ */
+const TASK_RELATIONS = [
+    { path: 'tags', select: 'name color' },
+    { path: 'project', select: 'name color icon archived' },
+    { path: 'assignees', select: 'username' }
+];
+
+/**
+ * Query helper: Task.find(...).withRelations()
+ * Populates the related documents for a list of tasks
+ */
+taskSchema.query.withRelations = function () {
+    return this.populate(TASK_RELATIONS);
+};
+
+/**
+ * Document method: await task.populateRelations()
+ * Same as withRelations, for a single task that was just saved
+ */
+taskSchema.methods.populateRelations = function () {
+    return this.populate(TASK_RELATIONS);
+};
+
+/**
+ * Check if a user is one of the task's assignees
+ * Works whether or not the assignees are populated
+ * 
+ * @param {ObjectId|string} userId - User ID
+ * @returns {boolean}
+ */
+taskSchema.methods.isAssignedTo = function (userId) {
+    return this.assignees.some((assignee) => String(assignee._id || assignee) === String(userId));
+};
+
+/**
+ * Find a built-in status by key
+ */
+const findBuiltInStatus = (key) => BUILT_IN_STATUSES.find((status) => status.key === key);
+
+/**
+ * Set the workflow status of a task
+ * 
+ * completed is derived from the status category, so a custom status
+ * such as "Shipped" in the "done" category also completes the task
+ * 
+ * @param {Object} status - Status object from utils/taskStatus ({ key, category })
+ */
+taskSchema.methods.setStatus = function (status) {
+    this.status = status.key;
+    this.completed = status.category === 'done';
+};
+
+/**
+ * Roll the subtask progress up to the task (only when autoComplete is on)
+ * 
+ * - every subtask done  -> task moves to "done"
+ * - a subtask unchecked on a completed task -> back to "in_progress"
+ * 
+ * Called after subtasks change, not on every save, so a user can
+ * still complete a task by hand while subtasks are open
+ */
+taskSchema.methods.applyAutoComplete = function () {
+    if (!this.autoComplete || this.subtasks.length === 0) {
+        return;
+    }
+
+    const allDone = this.subtasks.every((subtask) => subtask.done);
+
+    if (allDone && !this.completed) {
+        this.setStatus(findBuiltInStatus('done'));
+    } else if (!allDone && this.completed) {
+        this.setStatus(findBuiltInStatus('in_progress'));
+    }
+};
+
+/**
+ * Create the next occurrence of a completed recurring task
+ * 
+ * The series is anchored on the due date (or the start date if there is
+ * no due date). Both dates move by the same number of calendar days, so
+ * a task that starts two days before it is due keeps doing so.
+ * 
+ * Does nothing if the task isn't completed, doesn't repeat, already
+ * created its next occurrence, or its series is over
+ * 
+ * @returns {Promise<Object|null>} The saved next task, or null
+ */
+taskSchema.methods.createNextOccurrence = async function () {
+    if (!this.completed || !this.recurrence || this.nextOccurrence) {
+        return null;
+    }
+
+    const anchor = this.dueDate || this.startDate;
+    if (!anchor) {
+        return null;
+    }
+
+    const timeZone = this.timezone || 'UTC';
+    const rule = this.recurrence.toObject();
+    const next = getNextOccurrence(rule, anchor, timeZone, this.recurrenceIndex);
+    if (!next) {
+        return null;
+    }
+
+    const days = calendarDaysBetween(anchor, next, timeZone);
+    const Task = this.constructor;
+
+    const nextTask = new Task({
+        workspace: this.workspace,
+        user: this.user,
+        title: this.title,
+        description: this.description,
+        priority: this.priority,
+        project: this.project,
+        tags: this.tags,
+        assignees: this.assignees,
+        subtasks: this.subtasks.map((subtask) => ({ title: subtask.title })),
+        autoComplete: this.autoComplete,
+        startDate: this.startDate && addDays(this.startDate, days, timeZone),
+        startAllDay: this.startAllDay,
+        dueDate: this.dueDate && addDays(this.dueDate, days, timeZone),
+        dueAllDay: this.dueAllDay,
+        timezone: timeZone,
+        recurrence: rule,
+        recurrenceIndex: this.recurrenceIndex + 1
+    });
+    nextTask.setStatus(findBuiltInStatus('todo'));
+
+    await nextTask.save();
+    this.nextOccurrence = nextTask._id;
+
+    return nextTask;
+};
 
 // Create and export the Task model
 module.exports = mongoose.model('Task', taskSchema);
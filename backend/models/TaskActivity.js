@@ -0,0 +1,143 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * Actions recorded in the history of a task
+ * - completed / reopened: an update that changed whether the task is done
+ * - restored: the task was set back to an earlier version (see routes/taskHistory.js)
+ */
+const ACTIVITY_ACTIONS = ['created', 'updated', 'completed', 'reopened', 'deleted', 'restored'];
+
+/**
+ * Change Schema - One field changed by an activity
+ * 
+ * before / after use the format of the snapshot (see services/taskHistory.js):
+ * ids as strings, dates as dates
+ */
+const changeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true
+        },
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        }
+    },
+    {
+        _id: false
+    }
+);
+
+/**
+ * TaskActivity Schema - One entry of a task's history
+ * 
+ * Fields:
+ * - workspace: Reference to the Workspace of the task (to clean up with the workspace)
+ * - task: The Task the entry is about (kept after the task is deleted,
+ *   so a deleted task can be restored)
+ * - actor: Reference to the User who made the change
+ *   (null once their account was deleted, the entry stays)
+ * - action: What happened (see ACTIVITY_ACTIONS)
+ * - changes: The fields that changed, with their value before and after
+ * - snapshot: The whole task after the change (before it, for "deleted"),
+ *   used to restore the task to this version
+ * - restoredFrom: For "restored", the entry whose version was restored
+ * - createdAt: When it happened
+ * 
+ * The history is append-only: entries are created by services/taskHistory.js
+ * and never edited or deleted (except with their workspace)
+ */
+const taskActivitySchema = new mongoose.Schema(
+    {
+        // Workspace of the task
+        workspace: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Workspace'
+        },
+
+        // Task the entry is about
+        task: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'Task'
+        },
+
+        // Who made the change
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+
+        // What happened
+        action: {
+            type: String,
+            enum: ACTIVITY_ACTIONS,
+            required: true
+        },
+
+        // Field-level diff
+        changes: {
+            type: [changeSchema],
+            default: []
+        },
+
+        // The task's tracked fields at this version
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true
+        },
+
+        // The version that was restored (action "restored" only)
+        restoredFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaskActivity',
+            default: null
+        }
+    },
+    {
+        // Only createdAt - entries are never updated
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+/**
+ * Compound index on task and createdAt
+ * The history is listed per task, newest first
+ */
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+
+/**
+ * Index on workspace, to delete the history with its workspace
+ */
+taskActivitySchema.index({ workspace: 1 });
+
+/**
+ * Related documents included whenever an entry is sent to the client
+ */
+const ACTIVITY_RELATIONS = [
+    { path: 'actor', select: 'username displayName' }
+];
+
+/**
+ * Query helper: TaskActivity.find(...).withRelations()
+ */
+taskActivitySchema.query.withRelations = function () {
+    return this.populate(ACTIVITY_RELATIONS);
+};
+
+/**
+ * Document method: await activity.populateRelations()
+ */
+taskActivitySchema.methods.populateRelations = function () {
+    return this.populate(ACTIVITY_RELATIONS);
+};
+
+// Create and export the TaskActivity model
+module.exports = mongoose.model('TaskActivity', taskActivitySchema);
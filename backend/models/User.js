@@ -1,5 +1,33 @@
 // Import mongoose to define schemas and models
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { verifyCode } = require('../utils/totp');
+
+// Number of recovery codes given to the user when enabling 2FA
+const RECOVERY_CODE_COUNT = 10;
+
+// Lockout after failed logins: from the 5th failure in a row the account is
+// locked 1 minute, then 2, 4, 8... up to 1 hour
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Failures older than this are forgotten
+const FAILED_LOGIN_RESET_MS = 24 * 60 * 60 * 1000;
+
+// How dates are shown in the frontend ("auto" = the usual format of the user's locale)
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Due date reminders: minutes before the due time (see services/reminders.js)
+// Default: a day and an hour before, at most MAX_REMINDERS of up to 30 days
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60];
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_OFFSET = 30 * 24 * 60;
+
+// Roles on the whole app (not to be confused with workspace roles, see utils/permissions.js)
+// Admins can use the admin console (routes/admin.js)
+const USER_ROLES = ['user', 'admin'];
 
 /**
  * User Schema - Defines the structure of user documents in MongoDB
@@ -7,7 +35,23 @@ const mongoose = require('mongoose');
  * Fields:
  * - username: Unique identifier for the user (required)
  * - email: User's email address, must be unique and valid (required)
- * - password: Hashed password for authentication (required)
+ * - password: Hashed password for authentication (null for single sign-on accounts)
+ * - hasPassword: Whether a password is set (kept in sync on save, as the hash is rarely loaded)
+ * - identities: Accounts at OpenID Connect providers used to sign in (see routes/oidc.js)
+ * - emailVerified: Whether the user clicked the link in the verification email
+ * - emailVerifiedAt: When they did
+ * - pendingEmail: New address the user asked for, until they verify it
+ * - displayName: Name shown instead of the username (optional)
+ * - avatarKey: Key of the avatar image in the file storage (see services/storage.js)
+ * - timezone, locale, dateFormat: How dates are shown (null = the browser's settings)
+ * - notificationPreferences: Which events notify the user (see models/Notification.js)
+ * - reminderPreferences: When due date reminders are sent, and whether they are emailed too
+ * - twoFactor: Two-factor authentication settings (TOTP secret, recovery codes)
+ * - failedLoginAttempts, lastFailedLoginAt, lockUntil: Brute-force lockout
+ * - deletionScheduledAt: When the account will be deleted (the user asked for it)
+ * - role: "user" or "admin" (see USER_ROLES)
+ * - disabledAt, disabledReason, disabledBy: Account disabled by an admin (can't log in)
+ * - passwordResetRequired: An admin asked the user to choose a new password
  * - createdAt & updatedAt: Automatically managed timestamps
  */
 const userSchema = new mongoose.Schema(
@@ -35,11 +79,189 @@ const userSchema = new mongoose.Schema(
         },
 
         // Password field - will store hashed password
+        // Accounts created with single sign-on don't have one until they set it
         password: {
             type: String,
-            required: [true, 'Please add a password'],
+            default: null,
             minlength: [6, 'Password must be at least 6 characters long']
             // Note: We don't set maxlength here because hashed passwords are longer
+        },
+        hasPassword: {
+            type: Boolean,
+            default: true
+        },
+
+        // Single sign-on: the user's account at each OpenID Connect provider
+        // (subject = the provider's id of the user, which never changes)
+        identities: {
+            type: [{
+                _id: false,
+                provider: { type: String, required: true },
+                subject: { type: String, required: true },
+                email: { type: String, default: null },
+                linkedAt: { type: Date, default: Date.now }
+            }],
+            default: []
+        },
+
+        // Email verification state (see models/UserToken.js)
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date,
+            default: null
+        },
+        // Changing the email: the new address is only used once it is verified
+        pendingEmail: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            default: null
+        },
+
+        // Profile
+        displayName: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Display name cannot be more than 50 characters'],
+            default: ''
+        },
+        avatarKey: {
+            type: String,
+            default: null
+        },
+
+        // Preferences
+        timezone: {
+            type: String,
+            default: null
+        },
+        locale: {
+            type: String,
+            default: null
+        },
+        dateFormat: {
+            type: String,
+            enum: DATE_FORMATS,
+            default: 'auto'
+        },
+
+        // Which events create a notification - one flag per notification type
+        notificationPreferences: {
+            assigned: { type: Boolean, default: true },
+            due_soon: { type: Boolean, default: true },
+            comment: { type: Boolean, default: true },
+            mention: { type: Boolean, default: true }
+        },
+
+        // Due date reminders (the in-app one is a due_soon notification)
+        reminderPreferences: {
+            // Minutes before the due time
+            offsets: {
+                type: [Number],
+                default: () => [...DEFAULT_REMINDER_OFFSETS]
+            },
+            // Also send them by email
+            email: { type: Boolean, default: true }
+        },
+
+        // Two-factor authentication (see utils/totp.js)
+        // Secrets and recovery codes are never loaded unless asked for
+        // with .select('+twoFactor.secret') etc.
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            enabledAt: {
+                type: Date,
+                default: null
+            },
+            // base32 secret shared with the authenticator app
+            secret: {
+                type: String,
+                default: null,
+                select: false
+            },
+            // Secret being set up, until the user confirms it with a code
+            pendingSecret: {
+                type: String,
+                default: null,
+                select: false
+            },
+            // Time step of the last accepted code - a code can't be used twice
+            lastUsedStep: {
+                type: Number,
+                default: null,
+                select: false
+            },
+            // One-time recovery codes (SHA-256 hashes)
+            recoveryCodes: {
+                type: [{
+                    _id: false,
+                    codeHash: String,
+                    usedAt: { type: Date, default: null }
+                }],
+                default: [],
+                select: false
+            }
+        },
+
+        // Wrong passwords (or 2FA codes) in a row, see registerFailedLogin
+        failedLoginAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastFailedLoginAt: {
+            type: Date,
+            default: null
+        },
+        // Logging in is refused until this date
+        lockUntil: {
+            type: Date,
+            default: null
+        },
+
+        // Account deletion asked for by the user: until this date it can
+        // still be cancelled, then everything is deleted (see services/accountData.js)
+        deletionScheduledAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // Role on the whole app (admins see the admin console)
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: 'user',
+            index: true
+        },
+
+        // Disabled by an admin: logging in is refused until it is enabled again
+        disabledAt: {
+            type: Date,
+            default: null
+        },
+        disabledReason: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Reason cannot be more than 200 characters'],
+            default: ''
+        },
+        disabledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        // Set by an admin: logging in with the password is refused until
+        // the user chose a new one with the emailed reset link
+        passwordResetRequired: {
+            type: Boolean,
+            default: false
         }
     },
     {
@@ -55,6 +277,243 @@ const userSchema = new mongoose.Schema(
  */
 userSchema.index({ email: 1 });
 
+/**
+ * One account per provider identity
+ */
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+/**
+ * Keep hasPassword in sync with the password
+ */
+userSchema.pre('save', function () {
+    if (this.isModified('password')) {
+        this.hasPassword = Boolean(this.password);
+    }
+});
+
+// ============================================
+// PASSWORD
+// ============================================
+
+/**
+ * Check a password against the stored hash
+ * The user must be loaded with the password
+ * 
+ * @param {string} password - Password typed by the user
+ * @returns {Promise<boolean>} Whether it is right (always false without a password)
+ */
+userSchema.methods.matchPassword = function (password) {
+    if (!this.password) return Promise.resolve(false);
+    return bcrypt.compare(String(password || ''), this.password);
+};
+
+// ============================================
+// SINGLE SIGN-ON
+// ============================================
+
+/**
+ * Find the user linked to a provider identity
+ * 
+ * @param {string} provider - Provider id (see services/oidc.js)
+ * @param {string} subject - The provider's id of the user ("sub" claim)
+ * @returns {Promise<Object|null>} User document
+ */
+userSchema.statics.findByIdentity = function (provider, subject) {
+    return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// ============================================
+// LOGIN LOCKOUT
+// ============================================
+
+/**
+ * Seconds until the account can be logged into again
+ * 
+ * @returns {number} 0 if the account isn't locked
+ */
+userSchema.methods.getLockRemaining = function () {
+    if (!this.lockUntil) return 0;
+    return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Record a failed login (wrong password or 2FA code)
+ * Locks the account once there were too many in a row
+ * 
+ * The count is increased in the database in one update, so parallel
+ * requests can't get around it
+ * 
+ * @returns {Promise<number>} Seconds the account is now locked for (0 if not locked)
+ */
+userSchema.methods.registerFailedLogin = async function () {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - FAILED_LOGIN_RESET_MS);
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [{
+            $set: {
+                // Start over if the last failure is old
+                failedLoginAttempts: {
+                    $cond: [
+                        { $gt: ['$lastFailedLoginAt', cutoff] },
+                        { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+                        1
+                    ]
+                },
+                lastFailedLoginAt: now
+            }
+        }],
+        { new: true }
+    );
+    if (!updated) return 0;
+
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = updated.lastFailedLoginAt;
+    if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+        return 0;
+    }
+
+    // Exponential lockout: 1, 2, 4, 8... minutes
+    const lockMs = Math.min(
+        LOCKOUT_BASE_MS * 2 ** (updated.failedLoginAttempts - LOCKOUT_THRESHOLD),
+        LOCKOUT_MAX_MS
+    );
+    this.lockUntil = new Date(now.getTime() + lockMs);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+
+    return Math.ceil(lockMs / 1000);
+};
+
+/**
+ * Forget failed logins (after a successful login or a password reset)
+ * 
+ * @returns {Promise<void>}
+ */
+userSchema.methods.resetFailedLogins = async function () {
+    if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = null;
+    this.lockUntil = null;
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null }
+    );
+};
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+/**
+ * Hash a recovery code
+ * Dashes and case don't matter ("ab12c-3de45" = "AB12C3DE45")
+ * 
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+userSchema.statics.hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Create a new set of recovery codes (replaces the old ones)
+ * The document must be saved afterwards
+ * 
+ * @returns {string[]} The codes, e.g. "3f9a1-c04be" (only available here, they aren't stored)
+ */
+userSchema.methods.generateRecoveryCodes = function () {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map((code) => ({
+        codeHash: this.constructor.hashRecoveryCode(code)
+    }));
+
+    return codes;
+};
+
+/**
+ * Check a second factor: a code from the authenticator app, or a recovery code
+ * 
+ * The code is marked as used in the same query that checks it wasn't,
+ * so the same code can't log in twice (even with two requests at once)
+ * The user must be loaded with .select('+twoFactor.secret')
+ * 
+ * @param {string} code - 6-digit code or recovery code
+ * @returns {Promise<'totp'|'recovery'|null>} What was used, or null if the code is wrong
+ */
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+    const User = this.constructor;
+    const normalized = String(code || '').trim();
+
+    // 6 digits: code from the authenticator app
+    if (/^\d{6}$/.test(normalized.replace(/\s/g, ''))) {
+        const step = verifyCode(this.twoFactor.secret, normalized);
+        if (step === null) return null;
+
+        const result = await User.updateOne(
+            {
+                _id: this._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    // Anything else: a recovery code
+    const result = await User.updateOne(
+        {
+            _id: this._id,
+            'twoFactor.recoveryCodes': {
+                $elemMatch: { codeHash: User.hashRecoveryCode(normalized), usedAt: null }
+            }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+};
+
+// ============================================
+// ADMINISTRATION
+// ============================================
+
+/**
+ * Why the account can't be used, if an admin disabled it
+ * Checked when logging in (password, 2FA, single sign-on), refreshing
+ * the access token and on every request (see middleware/auth.js)
+ * 
+ * @returns {string|null} Message for the user, or null if the account isn't disabled
+ */
+userSchema.methods.getDisabledMessage = function () {
+    if (!this.disabledAt) return null;
+    return this.disabledReason
+        ? `This account has been disabled: ${this.disabledReason}`
+        : 'This account has been disabled';
+};
+
+// Allowed date formats
+userSchema.statics.DATE_FORMATS = DATE_FORMATS;
+
+// Roles on the whole app
+userSchema.statics.USER_ROLES = USER_ROLES;
+
+// Due date reminder limits
+userSchema.statics.DEFAULT_REMINDER_OFFSETS = DEFAULT_REMINDER_OFFSETS;
+userSchema.statics.MAX_REMINDERS = MAX_REMINDERS;
+userSchema.statics.MAX_REMINDER_OFFSET = MAX_REMINDER_OFFSET;
+
 // Create and export the User model
 // mongoose.model creates a model class from the schema
 // First param: Name of the model (MongoDB will create a 'users' collection)
@@ -0,0 +1,135 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Kinds of tokens and how long they can be used
+ */
+const TOKEN_TYPES = {
+    'password-reset': 60 * 60 * 1000,             // 1 hour
+    'email-verification': 24 * 60 * 60 * 1000,    // 24 hours
+    'email-change': 24 * 60 * 60 * 1000           // 24 hours
+};
+
+/**
+ * UserToken Schema - A single-use token sent to a user by email
+ * 
+ * Used for the "reset your password" and "verify your email" links
+ * (and "verify your new email", sent when the user changes their email).
+ * Like invite tokens, only a SHA-256 hash of the token is stored.
+ * A token can be used once, and asking for a new one replaces the
+ * user's previous unused token of the same type.
+ * 
+ * Fields:
+ * - user: The User the token was sent to
+ * - type: password-reset / email-verification / email-change
+ * - tokenHash: Hash of the secret token in the link
+ * - expiresAt: The token can't be used after this date (then it is deleted)
+ * - usedAt: Set when the token is used
+ */
+const userTokenSchema = new mongoose.Schema(
+    {
+        // Owner of the token
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // What the token is for
+        type: {
+            type: String,
+            required: true,
+            enum: Object.keys(TOKEN_TYPES)
+        },
+
+        // SHA-256 of the token
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        // Expiry date
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Set once the token was used
+        usedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * TTL index - MongoDB deletes tokens once they expire
+ */
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Index on user and type - used to replace a user's previous token
+ */
+userTokenSchema.index({ user: 1, type: 1 });
+
+/**
+ * Hash a token
+ * 
+ * @param {string} token - Token from the link
+ * @returns {string} Hex SHA-256 hash
+ */
+userTokenSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for a user
+ * The user's previous unused tokens of the same type stop working
+ * 
+ * @param {Object} user - User document
+ * @param {string} type - password-reset / email-verification / email-change
+ * @returns {Promise<string>} The token (only available here, it isn't stored)
+ */
+userTokenSchema.statics.createForUser = async function (user, type) {
+    await this.deleteMany({ user: user._id, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.create({
+        user: user._id,
+        type,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TYPES[type])
+    });
+
+    return token;
+};
+
+/**
+ * Use a token
+ * Marks it as used in the same query that finds it, so two requests
+ * with the same token can't both succeed
+ * 
+ * @param {string} token - Token from the link
+ * @param {string|Array<string>} type - Type of the token, or the types it may have
+ * @returns {Promise<Object|null>} The token document, or null if it doesn't
+ *   exist, expired or was already used
+ */
+userTokenSchema.statics.consume = function (token, type) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: this.hashToken(token),
+            type: Array.isArray(type) ? { $in: type } : type,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Create and export the UserToken model
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,167 @@
+// Import mongoose to define schemas and models
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('../utils/taskStatus');
+const { getPermissions } = require('../utils/permissions');
+
+/**
+ * Custom Status Schema - a task status defined for a workspace
+ * 
+ * Every custom status belongs to a built-in category
+ * which decides how it behaves (see utils/taskStatus.js)
+ */
+const customStatusSchema = new mongoose.Schema(
+    {
+        // Stable identifier stored on tasks (e.g. "in_review")
+        key: {
+            type: String,
+            required: true,
+            trim: true
+        },
+
+        // Display name (e.g. "In Review")
+        label: {
+            type: String,
+            required: [true, 'Please add a status name'],
+            trim: true,
+            maxlength: [40, 'Status name cannot be more than 40 characters']
+        },
+
+        // Badge color as a hex value
+        color: {
+            type: String,
+            default: '#6366f1',
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1']
+        },
+
+        // Built-in category this status behaves like
+        category: {
+            type: String,
+            enum: STATUS_CATEGORIES,
+            required: true
+        }
+    },
+    {
+        // Statuses are identified by key, no separate _id needed
+        _id: false
+    }
+);
+
+/**
+ * Workspace Schema - A shared space for tasks, tags, projects and statuses
+ * 
+ * Fields:
+ * - name: Display name (e.g. "Acme Marketing")
+ * - owner: The User who owns the workspace (also has an "owner" Membership)
+ * - personal: True for the workspace every user gets when registering.
+ *   Personal workspaces can be shared, but not deleted
+ * - customStatuses: Extra task statuses for this workspace (e.g. "In Review")
+ * - createdAt & updatedAt: Automatically managed timestamps
+ * 
+ * Who can access a workspace, and with which role, is stored
+ * in the Membership model
+ */
+const workspaceSchema = new mongoose.Schema(
+    {
+        // Workspace name
+        name: {
+            type: String,
+            required: [true, 'Please add a workspace name'],
+            trim: true,
+            maxlength: [60, 'Workspace name cannot be more than 60 characters']
+        },
+
+        // Owner of the workspace
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+
+        // Created automatically for a new user
+        personal: {
+            type: Boolean,
+            default: false
+        },
+
+        // Workspace-defined task statuses
+        customStatuses: {
+            type: [customStatusSchema],
+            default: []
+        }
+    },
+    {
+        // Enable automatic timestamps
+        timestamps: true
+    }
+);
+
+/**
+ * Create a workspace and make the user its owner
+ * 
+ * @param {Object} user - The owner
+ * @param {Object} data - Workspace fields ({ name, personal, customStatuses })
+ * @returns {Promise<Object>} The new workspace
+ */
+workspaceSchema.statics.createWithOwner = async function (user, data) {
+    // Required here to avoid a circular require (Membership references Workspace)
+    const Membership = require('./Membership');
+
+    const workspace = await this.create({ ...data, owner: user._id });
+    await Membership.create({ workspace: workspace._id, user: user._id, role: 'owner' });
+
+    return workspace;
+};
+
+/**
+ * Delete the workspace with all its tasks, comments, task history, notifications, tags, projects, members and invites
+ * The due date reminders of its tasks are cancelled
+ * 
+ * @returns {Promise<number>} Number of tasks deleted
+ */
+workspaceSchema.methods.deleteWithContents = async function () {
+    // Required here to avoid circular requires (these models reference Workspace)
+    const { cancelTaskReminders } = require('../services/reminders');
+    const Task = require('./Task');
+    const Comment = require('./Comment');
+    const TaskActivity = require('./TaskActivity');
+    const Notification = require('./Notification');
+    const Tag = require('./Tag');
+    const Project = require('./Project');
+    const Membership = require('./Membership');
+    const Invite = require('./Invite');
+
+    const filter = { workspace: this._id };
+    const taskIds = await Task.find(filter).distinct('_id');
+    const [tasks] = await Promise.all([
+        Task.deleteMany(filter),
+        cancelTaskReminders(taskIds),
+        Comment.deleteMany(filter),
+        TaskActivity.deleteMany(filter),
+        Notification.deleteMany(filter),
+        Tag.deleteMany(filter),
+        Project.deleteMany(filter),
+        Membership.deleteMany(filter),
+        Invite.deleteMany(filter)
+    ]);
+
+    await this.deleteOne();
+
+    return tasks.deletedCount;
+};
+
+/**
+ * The workspace as sent to a member: with their role and what it allows
+ * 
+ * @param {string} role - The member's role
+ * @returns {Object} Plain workspace object with role and permissions
+ */
+workspaceSchema.methods.withRole = function (role) {
+    return {
+        ...this.toJSON(),
+        role,
+        permissions: getPermissions(role)
+    };
+};
+
+// Create and export the Workspace model
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,350 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { protect, denyApiTokens, requireRole } = require('../middleware/auth');
+const { sendRequiredPasswordResetEmail } = require('../services/emails');
+const { toAdminUser } = require('../utils/users');
+const { buildDueFilter } = require('../utils/taskQuery');
+const { PRIORITIES } = require('../utils/taskStatus');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+} = require('../utils/pagination');
+
+/**
+ * ADMIN ROUTES
+ *
+ * The admin console: managing the users of the whole app, and statistics.
+ * Only users with the "admin" role (User.role) can use them; the first
+ * admin is made with `npm run set-role -- <email> admin`.
+ *
+ * - list and search users
+ * - disable an account (logged out everywhere, can't log in) and enable it again
+ * - make a user choose a new password (the old one stops working)
+ * - counts of users, workspaces and tasks
+ *
+ * All routes in this file are PROTECTED, need the admin role, and can't
+ * be used with an API token
+ */
+
+// Users counted as new in the statistics
+const RECENT_DAYS = 30;
+
+/**
+ * Escape text for use in a regular expression
+ *
+ * @param {string} text - Search text from the user
+ * @returns {string} Text that only matches itself
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the user a request is about (:id)
+ * Answers 404 (or 400 for changes to the admin's own account) if it can't be used
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} User document, or null if the response was sent
+ */
+const findTargetUser = async (req, res) => {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({ message: 'User not found' });
+        return null;
+    }
+
+    // Admins can't lock themselves out
+    if (user._id.equals(req.user._id)) {
+        res.status(400).json({ message: 'You cannot do this to your own account' });
+        return null;
+    }
+
+    return user;
+};
+
+// All routes need a logged in admin (not an API token)
+router.use(protect, denyApiTokens, requireRole('admin'));
+
+// ============================================
+// GET /api/admin/users
+// List users, newest first, one page at a time
+// ?q=       part of the username, display name or email
+// ?status=  active, disabled or deletion (scheduled for deletion)
+// ?role=    user or admin
+// Pagination: ?limit=20&cursor=<nextCursor from the previous page>
+// Response: { users: [...], nextCursor: "..." | null }
+// Admin route
+// ============================================
+router.get(
+    '/users',
+    [
+        query('q')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Search text cannot exceed 100 characters'),
+        query('status')
+            .optional()
+            .isIn(['active', 'disabled', 'deletion'])
+            .withMessage('status must be one of: active, disabled, deletion'),
+        query('role')
+            .optional()
+            .isIn(User.USER_ROLES)
+            .withMessage(`role must be one of: ${User.USER_ROLES.join(', ')}`),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT })
+            .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isString()
+            .withMessage('cursor must be a string')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const conditions = [];
+
+            if (req.query.q) {
+                const search = { $regex: escapeRegex(req.query.q), $options: 'i' };
+                conditions.push({ $or: [{ username: search }, { displayName: search }, { email: search }] });
+            }
+
+            if (req.query.status === 'active') {
+                conditions.push({ disabledAt: null });
+            } else if (req.query.status === 'disabled') {
+                conditions.push({ disabledAt: { $ne: null } });
+            } else if (req.query.status === 'deletion') {
+                conditions.push({ deletionScheduledAt: { $ne: null } });
+            }
+
+            if (req.query.role) {
+                conditions.push({ role: req.query.role });
+            }
+
+            const sort = { createdAt: -1, _id: -1 };
+            const limit = req.query.limit || DEFAULT_LIMIT;
+
+            // Continue after the last user of the previous page
+            if (req.query.cursor) {
+                const cursor = decodeCursor(req.query.cursor);
+                if (!cursor) {
+                    return res.status(400).json({ message: 'Invalid cursor' });
+                }
+                conditions.push(buildCursorFilter(sort, cursor));
+            }
+
+            const usersQuery = User.find(conditions.length ? { $and: conditions } : {})
+                .select('-password')
+                .sort(sort);
+            const { items, nextCursor } = await paginate({ query: usersQuery, sort, limit });
+
+            res.json({ users: items.map(toAdminUser), nextCursor });
+        } catch (error) {
+            console.error('Error listing users:', error);
+            res.status(500).json({ message: 'Server error while listing users' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/admin/users/:id/disable
+// Disable an account: every session is logged out and logging in is refused
+// Body: { reason } (optional, shown to the user when they try to log in)
+// Admin route
+// ============================================
+router.post(
+    '/users/:id/disable',
+    [
+        body('reason')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Reason cannot be more than 200 characters')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await findTargetUser(req, res);
+            if (!user) return;
+
+            if (!user.disabledAt) {
+                user.disabledAt = new Date();
+                user.disabledBy = req.user._id;
+            }
+            user.disabledReason = req.body.reason || '';
+            await user.save();
+
+            // Log them out everywhere (API tokens are refused by protect)
+            const revokedSessions = await Session.revokeForUser(user._id);
+
+            res.json({ message: 'Account disabled', revokedSessions, user: toAdminUser(user) });
+        } catch (error) {
+            console.error('Error disabling user:', error);
+            res.status(500).json({ message: 'Server error while disabling the account' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/admin/users/:id/enable
+// Enable a disabled account again
+// Admin route
+// ============================================
+router.post('/users/:id/enable', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        user.disabledAt = null;
+        user.disabledReason = '';
+        user.disabledBy = null;
+        await user.save();
+
+        res.json({ message: 'Account enabled', user: toAdminUser(user) });
+    } catch (error) {
+        console.error('Error enabling user:', error);
+        res.status(500).json({ message: 'Server error while enabling the account' });
+    }
+});
+
+// ============================================
+// POST /api/admin/users/:id/password-reset
+// Make the user choose a new password: the old one stops working,
+// every session is logged out and a reset link is emailed to them
+// Admin route
+// ============================================
+router.post('/users/:id/password-reset', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        // Single sign-on accounts without a password have nothing to reset
+        if (!user.hasPassword) {
+            return res.status(400).json({ message: 'This account has no password, it signs in with single sign-on' });
+        }
+
+        user.passwordResetRequired = true;
+        await user.save();
+
+        const revokedSessions = await Session.revokeForUser(user._id);
+
+        const token = await UserToken.createForUser(user, 'password-reset');
+        const emailSent = await sendRequiredPasswordResetEmail(user, token);
+
+        res.json({
+            message: emailSent
+                ? 'The user has to choose a new password, a reset link was emailed to them'
+                : 'The user has to choose a new password, but the email could not be sent (they can use "Forgot password")',
+            emailSent,
+            revokedSessions,
+            user: toAdminUser(user)
+        });
+    } catch (error) {
+        console.error('Error requiring a password reset:', error);
+        res.status(500).json({ message: 'Server error while requiring a password reset' });
+    }
+});
+
+// ============================================
+// GET /api/admin/stats
+// Counts of users, workspaces and tasks across the whole app
+// Admin route
+// ============================================
+router.get('/stats', async (req, res) => {
+    try {
+        const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+
+        const [
+            users,
+            disabledUsers,
+            admins,
+            pendingDeletion,
+            twoFactorUsers,
+            ssoUsers,
+            newUsers,
+            workspaces,
+            tasks,
+            completedTasks,
+            overdueTasks,
+            newTasks,
+            priorityCounts
+        ] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ disabledAt: { $ne: null } }),
+            User.countDocuments({ role: 'admin' }),
+            User.countDocuments({ deletionScheduledAt: { $ne: null } }),
+            User.countDocuments({ 'twoFactor.enabled': true }),
+            User.countDocuments({ 'identities.0': { $exists: true } }),
+            User.countDocuments({ createdAt: { $gte: since } }),
+            Workspace.countDocuments(),
+            Task.countDocuments(),
+            Task.countDocuments({ completed: true }),
+            Task.countDocuments(buildDueFilter('overdue', 'UTC')),
+            Task.countDocuments({ createdAt: { $gte: since } }),
+            Task.aggregate([{ $group: { _id: '$priority', count: { $sum: 1 } } }])
+        ]);
+
+        // Every priority, even without tasks
+        const byPriority = Object.fromEntries(PRIORITIES.map((priority) => [priority, 0]));
+        priorityCounts.forEach(({ _id: priority, count }) => {
+            if (priority in byPriority) {
+                byPriority[priority] = count;
+            }
+        });
+
+        res.json({
+            recentDays: RECENT_DAYS,
+            users: {
+                total: users,
+                active: users - disabledUsers,
+                disabled: disabledUsers,
+                admins,
+                pendingDeletion,
+                twoFactor: twoFactorUsers,
+                sso: ssoUsers,
+                new: newUsers
+            },
+            workspaces: {
+                total: workspaces
+            },
+            tasks: {
+                total: tasks,
+                completed: completedTasks,
+                open: tasks - completedTasks,
+                overdue: overdueTasks,
+                new: newTasks,
+                byPriority
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching admin stats:', error);
+        res.status(500).json({ message: 'Server error while fetching statistics' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,129 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const { protect, denyApiTokens } = require('../middleware/auth');
+const { API_TOKEN_SCOPES } = require('../utils/permissions');
+
+/**
+ * API TOKEN ROUTES
+ *
+ * Personal access tokens for scripts and integrations (CI jobs, shell
+ * scripts...). A token acts as the user who created it, limited to
+ * its scopes (see models/ApiToken.js):
+ *
+ *   curl -H "Authorization: Bearer tm_pat_..." http://localhost:5000/api/tasks
+ *
+ * All routes in this file are PROTECTED, and can't be used with an
+ * API token (a leaked token can't create more tokens)
+ */
+
+// A user can't have more tokens than this
+const MAX_TOKENS = 50;
+
+// Longest expiry that can be chosen
+const MAX_EXPIRY_DAYS = 365;
+
+// All routes need a logged in user (not an API token)
+router.use(protect, denyApiTokens);
+
+// ============================================
+// GET /api/tokens
+// List the user's tokens (without the secret part)
+// Protected route
+// ============================================
+router.get('/', async (req, res) => {
+    try {
+        const apiTokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json(apiTokens);
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({ message: 'Server error while fetching API tokens' });
+    }
+});
+
+// ============================================
+// POST /api/tokens
+// Create a token
+// Body: { name, scopes: ["tasks:read", "tasks:write"], expiresInDays }
+// expiresInDays: 1 to 365, or null for a token that never expires
+// Returns { token, apiToken } - the token is only shown this once
+// Protected route
+// ============================================
+router.post(
+    '/',
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Please add a token name')
+            .isLength({ max: 100 })
+            .withMessage('Token name cannot be more than 100 characters'),
+        body('scopes')
+            .isArray({ min: 1 })
+            .withMessage('Please choose at least one scope'),
+        body('scopes.*')
+            .isIn(Object.keys(API_TOKEN_SCOPES))
+            .withMessage(`Scopes must be one of: ${Object.keys(API_TOKEN_SCOPES).join(', ')}`),
+        body('expiresInDays')
+            .optional({ values: 'null' })
+            .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+            .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const count = await ApiToken.countDocuments({ user: req.user._id });
+            if (count >= MAX_TOKENS) {
+                return res.status(400).json({ message: `You can't have more than ${MAX_TOKENS} API tokens` });
+            }
+
+            const { name, scopes, expiresInDays } = req.body;
+            const { apiToken, token } = await ApiToken.issue(req.user, {
+                name,
+                scopes,
+                expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+            });
+
+            res.status(201).json({ token, apiToken });
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            res.status(500).json({ message: 'Server error while creating API token' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/tokens/:id
+// Revoke a token - scripts using it stop working right away
+// Protected route
+// ============================================
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'API token not found' });
+        }
+
+        const apiToken = await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+        if (!apiToken) {
+            return res.status(404).json({ message: 'API token not found' });
+        }
+
+        res.json({ message: 'API token revoked', id: req.params.id });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ message: 'Server error while revoking API token' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
@@ -2,17 +2,136 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { protect, denyApiTokens } = require('../middleware/auth');
+const { rateLimit, emailKey, sendTooManyRequests } = require('../middleware/rateLimit');
+const {
+    clearRefreshCookie,
+    createChallengeToken,
+    getRefreshToken,
+    issueTokens,
+    verifyChallengeToken
+} = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendEmailChangedEmail } = require('../services/emails');
+const { toClientUser } = require('../utils/users');
+const { confirmPassword } = require('../utils/passwords');
 
 /**
  * AUTHENTICATION ROUTES
  * 
- * This file handles user registration and login
- * Both routes are public (no authentication required)
+ * This file handles user registration, login, token refresh and logout,
+ * email verification and password reset
+ * All routes are public (no access token required), except resending
+ * the verification email and changing the password
+ * 
+ * Each login starts a session (see models/Session.js); the user's sessions
+ * are listed and logged out in routes/sessions.js
+ * 
+ * Logging in returns a short-lived access token and sets a refresh token
+ * cookie (see utils/authTokens.js). The client trades the cookie for a
+ * new access token when the old one expires.
+ * 
+ * With two-factor authentication on, logging in takes two steps:
+ * POST /login checks the password and returns a challenge token,
+ * POST /login/2fa checks the code and logs the user in.
+ * Setting up 2FA is in routes/twoFactor.js.
+ * 
+ * Routes that take a password, a code or send an email are rate limited
+ * per IP and per account (see middleware/rateLimit.js), and accounts are
+ * locked for a while after repeated failed logins (see models/User.js).
  */
 
+// A token rotated this recently can be used again (two tabs refreshing at the same time)
+const REFRESH_GRACE_MS = 10 * 1000;
+
+// ============================================
+// RATE LIMITS
+// ============================================
+
+const MINUTE = 60 * 1000;
+
+// Login: per IP, and per account (email) so one account can't be attacked from many IPs
+const loginIpLimiter = rateLimit({
+    name: 'login-ip',
+    windowMs: 15 * MINUTE,
+    max: 30,
+    message: 'Too many login attempts'
+});
+const loginAccountLimiter = rateLimit({
+    name: 'login-account',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyGenerator: emailKey,
+    message: 'Too many login attempts for this account'
+});
+
+// Second login step (6-digit codes are easier to guess than passwords)
+const twoFactorLimiter = rateLimit({
+    name: 'login-2fa-ip',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: 'Too many login attempts'
+});
+
+// Creating accounts
+const registerLimiter = rateLimit({
+    name: 'register-ip',
+    windowMs: 60 * MINUTE,
+    max: 10,
+    message: 'Too many accounts created'
+});
+
+// Routes that send emails
+const emailIpLimiter = rateLimit({
+    name: 'email-ip',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    message: 'Too many emails requested'
+});
+const emailAccountLimiter = rateLimit({
+    name: 'email-account',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    keyGenerator: emailKey,
+    message: 'Too many emails requested for this account'
+});
+const resendLimiter = rateLimit({
+    name: 'email-user',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    keyGenerator: (req) => String(req.user._id),
+    message: 'Too many emails requested'
+});
+
+// Changing the password (checks the current one)
+const changePasswordLimiter = rateLimit({
+    name: 'change-password-user',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyGenerator: (req) => String(req.user._id),
+    message: 'Too many password change attempts'
+});
+
+// Routes with a token from an email link
+const emailLinkLimiter = rateLimit({
+    name: 'email-link-ip',
+    windowMs: 15 * MINUTE,
+    max: 20
+});
+
+/**
+ * Validation rule for a new password (register, reset and change)
+ */
+const passwordValidation = body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long');
+
 // ============================================
 // POST /api/auth/register
 // Register a new user
@@ -20,6 +139,7 @@ const User = require('../models/User');
 // ============================================
 router.post(
     '/register',
+    registerLimiter,
     [
         // Validation middleware using express-validator
         // These checks run before the route handler
@@ -31,9 +151,7 @@ router.post(
             .isEmail()
             .normalizeEmail()
             .withMessage('Please provide a valid email'),
-        body('password')
-            .isLength({ min: 6 })
-            .withMessage('Password must be at least 6 characters long')
+        passwordValidation
     ],
     async (req, res) => {
         try {
@@ -72,23 +190,26 @@ router.post(
                 password: hashedPassword
             });
 
-            // Generate JWT token for automatic login after registration
-            // Token contains user ID and expires in 30 days
-            const token = jwt.sign(
-                { id: user._id },                    // Payload: user ID
-                process.env.JWT_SECRET,              // Secret key from .env
-                { expiresIn: '30d' }                 // Token expiration time
-            );
+            // Every user starts with a personal workspace they own
+            await Workspace.createWithOwner(user, {
+                name: `${user.username}'s workspace`,
+                personal: true
+            });
+
+            // Ask the user to confirm their email address
+            // Registration doesn't fail if the email can't be sent - it can be sent again
+            const verificationToken = await UserToken.createForUser(user, 'email-verification');
+            await sendVerificationEmail(user, verificationToken);
+
+            // Log the new user in right away
+            // (access token in the response, refresh token in a cookie)
+            const { accessToken } = await issueTokens(req, res, user);
 
             // Send success response with user data and token
             res.status(201).json({
                 message: 'User registered successfully',
-                token,
-                user: {
-                    id: user._id,
-                    username: user.username,
-                    email: user.email
-                }
+                token: accessToken,
+                user: toClientUser(user)
             });
         } catch (error) {
             console.error('Registration error:', error);
@@ -100,10 +221,12 @@ router.post(
 // ============================================
 // POST /api/auth/login
 // Authenticate user and return token
+// With 2FA on, returns { twoFactorRequired, challengeToken } instead
 // Public route
 // ============================================
 router.post(
     '/login',
+    loginIpLimiter,
     [
         // Validation middleware
         body('email')
@@ -114,6 +237,8 @@ router.post(
             .notEmpty()
             .withMessage('Password is required')
     ],
+    // After validation, so the email is normalized
+    loginAccountLimiter,
     async (req, res) => {
         try {
             // Check for validation errors
@@ -132,31 +257,59 @@ router.post(
                 return res.status(401).json({ message: 'Invalid email or password' });
             }
 
+            // Locked after too many failed logins - don't even check the password
+            const lockSeconds = user.getLockRemaining();
+            if (lockSeconds) {
+                return sendTooManyRequests(res, lockSeconds, 'Too many failed login attempts');
+            }
+
             // Compare provided password with hashed password in database
-            // bcrypt.compare handles the hashing and comparison
-            const isPasswordValid = await bcrypt.compare(password, user.password);
+            // (always wrong for single sign-on accounts without a password)
+            const isPasswordValid = await user.matchPassword(password);
 
             if (!isPasswordValid) {
+                const lockedFor = await user.registerFailedLogin();
+                if (lockedFor) {
+                    return sendTooManyRequests(res, lockedFor, 'Too many failed login attempts');
+                }
+
                 // Use same error message for security (don't reveal which part is wrong)
                 return res.status(401).json({ message: 'Invalid email or password' });
             }
 
-            // Generate JWT token for authenticated session
-            const token = jwt.sign(
-                { id: user._id },
-                process.env.JWT_SECRET,
-                { expiresIn: '30d' }
-            );
+            // Disabled by an admin (only said once the password was right)
+            const disabledMessage = user.getDisabledMessage();
+            if (disabledMessage) {
+                return res.status(403).json({ message: disabledMessage });
+            }
+
+            // An admin asked for a new password - the old one stops working
+            if (user.passwordResetRequired) {
+                return res.status(403).json({
+                    message: 'You need to choose a new password. Use the link we emailed you, or ask for a new one with "Forgot password".',
+                    passwordResetRequired: true
+                });
+            }
+
+            // The password is right, but 2FA users still need a code
+            if (user.twoFactor?.enabled) {
+                return res.json({
+                    message: 'Enter the code from your authenticator app',
+                    twoFactorRequired: true,
+                    challengeToken: createChallengeToken(user)
+                });
+            }
+
+            await user.resetFailedLogins();
+
+            // Start a new login (access token + refresh token cookie)
+            const { accessToken } = await issueTokens(req, res, user);
 
             // Send success response with token and user data
             res.json({
                 message: 'Login successful',
-                token,
-                user: {
-                    id: user._id,
-                    username: user.username,
-                    email: user.email
-                }
+                token: accessToken,
+                user: toClientUser(user)
             });
         } catch (error) {
             console.error('Login error:', error);
@@ -165,5 +318,404 @@ router.post(
     }
 );
 
+// ============================================
+// POST /api/auth/login/2fa
+// Second login step for users with 2FA
+// Body: { challengeToken, code } - code from the authenticator app, or a recovery code
+// Public route
+// ============================================
+router.post(
+    '/login/2fa',
+    twoFactorLimiter,
+    [
+        body('challengeToken')
+            .notEmpty()
+            .withMessage('Challenge token is required'),
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Please enter your authentication code')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            // The challenge token proves the password was checked (5 minutes ago at most)
+            const userId = verifyChallengeToken(req.body.challengeToken);
+            const user = userId && await User.findById(userId).select('+twoFactor.secret');
+            if (!user || !user.twoFactor?.enabled) {
+                return res.status(401).json({ message: 'Your login has expired, please log in again' });
+            }
+
+            const lockSeconds = user.getLockRemaining();
+            if (lockSeconds) {
+                return sendTooManyRequests(res, lockSeconds, 'Too many failed login attempts');
+            }
+
+            const method = await user.verifyTwoFactorCode(req.body.code);
+            if (!method) {
+                // Wrong codes count like wrong passwords
+                const lockedFor = await user.registerFailedLogin();
+                if (lockedFor) {
+                    return sendTooManyRequests(res, lockedFor, 'Too many failed login attempts');
+                }
+                return res.status(401).json({ message: 'Invalid authentication code' });
+            }
+
+            // Disabled by an admin since the first step
+            const disabledMessage = user.getDisabledMessage();
+            if (disabledMessage) {
+                return res.status(403).json({ message: disabledMessage });
+            }
+
+            await user.resetFailedLogins();
+
+            // Start a new login (access token + refresh token cookie)
+            const { accessToken } = await issueTokens(req, res, user);
+
+            res.json({
+                message: 'Login successful',
+                token: accessToken,
+                user: toClientUser(user),
+                // Let the user know when they used one of their recovery codes
+                usedRecoveryCode: method === 'recovery'
+            });
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({ message: 'Server error during login' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/auth/verify-email/:token
+// Confirm the user's email address with the token from the verification email
+// Also confirms a new address after an email change (PUT /api/users/me/email):
+// the new address replaces the old one, which gets a notice
+// Public route (the link may be opened on another device)
+// ============================================
+router.post('/verify-email/:token', emailLinkLimiter, async (req, res) => {
+    try {
+        const userToken = await UserToken.consume(req.params.token, ['email-verification', 'email-change']);
+        if (!userToken) {
+            return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+        }
+
+        const user = await User.findById(userToken.user);
+        if (!user || (userToken.type === 'email-change' && !user.pendingEmail)) {
+            return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+        }
+
+        if (userToken.type === 'email-change') {
+            // Someone may have registered with the address in the meantime
+            const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+            if (taken) {
+                return res.status(400).json({ message: 'This email address is already used by another account' });
+            }
+
+            const oldEmail = user.email;
+            user.email = user.pendingEmail;
+            user.pendingEmail = null;
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+
+            await sendEmailChangedEmail(user, oldEmail);
+
+            return res.json({ message: 'Email address changed', user: toClientUser(user) });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        res.json({ message: 'Email address verified', user: toClientUser(user) });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ message: 'Server error during email verification' });
+    }
+});
+
+// ============================================
+// POST /api/auth/resend-verification
+// Send the verification email again
+// Protected route
+// ============================================
+router.post('/resend-verification', protect, denyApiTokens, resendLimiter, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ message: 'Your email address is already verified' });
+        }
+
+        const token = await UserToken.createForUser(req.user, 'email-verification');
+        const sent = await sendVerificationEmail(req.user, token);
+        if (!sent) {
+            return res.status(502).json({ message: 'The email could not be sent, please try again later' });
+        }
+
+        res.json({ message: `Verification email sent to ${req.user.email}` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error while sending the verification email' });
+    }
+});
+
+// ============================================
+// POST /api/auth/forgot-password
+// Email a password reset link
+// Always answers the same, so it can't be used to find out who has an account
+// Public route
+// ============================================
+router.post(
+    '/forgot-password',
+    emailIpLimiter,
+    [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email')
+    ],
+    emailAccountLimiter,
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await User.findOne({ email: req.body.email });
+            if (user) {
+                const token = await UserToken.createForUser(user, 'password-reset');
+                await sendPasswordResetEmail(user, token);
+            }
+
+            res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({ message: 'Server error while requesting a password reset' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/auth/reset-password/:token
+// Set a new password with the token from the reset email
+// Body: { password }
+// Every session of the user is logged out
+// Public route
+// ============================================
+router.post(
+    '/reset-password/:token',
+    emailLinkLimiter,
+    [passwordValidation],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const userToken = await UserToken.consume(req.params.token, 'password-reset');
+            const user = userToken && await User.findById(userToken.user);
+            if (!user) {
+                return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+            }
+
+            // Hash the new password (same as registration)
+            const salt = await bcrypt.genSalt(10);
+            user.password = await bcrypt.hash(req.body.password, salt);
+
+            // The reset link was emailed, so the address works
+            if (!user.emailVerified) {
+                user.emailVerified = true;
+                user.emailVerifiedAt = new Date();
+            }
+
+            // The owner proved who they are - unlock the account
+            user.failedLoginAttempts = 0;
+            user.lastFailedLoginAt = null;
+            user.lockUntil = null;
+            // This is the new password an admin asked for
+            user.passwordResetRequired = false;
+            await user.save();
+
+            // Someone else may know the old password - end every session
+            await Session.revokeForUser(user._id);
+
+            res.json({ message: 'Password has been reset, you can log in now' });
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({ message: 'Server error while resetting password' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/auth/change-password
+// Change the password of the logged in user
+// Body: { currentPassword, password }
+// Single sign-on accounts without a password set one here
+// (no currentPassword, see utils/passwords.js)
+// Every other session of the user is logged out
+// Protected route
+// ============================================
+router.post(
+    '/change-password',
+    protect,
+    denyApiTokens,
+    changePasswordLimiter,
+    [passwordValidation],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await User.findById(req.user._id);
+            const passwordError = await confirmPassword(
+                req, user, req.body.currentPassword, 'Current password is incorrect'
+            );
+            if (passwordError) {
+                return res.status(401).json({ message: passwordError });
+            }
+            const hadPassword = user.hasPassword;
+
+            // Hash the new password (same as registration)
+            const salt = await bcrypt.genSalt(10);
+            user.password = await bcrypt.hash(req.body.password, salt);
+            await user.save();
+
+            // Other devices may be using the old password - only this one stays logged in
+            const revoked = await Session.revokeForUser(user._id, req.authSession._id);
+
+            res.json({
+                message: hadPassword ? 'Password changed' : 'Password set',
+                revokedSessions: revoked,
+                user: toClientUser(user)
+            });
+        } catch (error) {
+            console.error('Change password error:', error);
+            res.status(500).json({ message: 'Server error while changing password' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/auth/refresh
+// Trade the refresh token cookie for a new access token
+// The refresh token is rotated: the cookie gets a new one
+// Public route (uses the cookie, not the access token)
+// ============================================
+router.post('/refresh', async (req, res) => {
+    try {
+        const token = getRefreshToken(req);
+        if (!token) {
+            return res.status(401).json({ message: 'Not authorized, no refresh token' });
+        }
+
+        // Claim the token before anything else: when the same token is sent
+        // twice at once, only one request rotates it. The id of its
+        // replacement is chosen now, so the claim records both at once.
+        const tokenHash = RefreshToken.hashToken(token);
+        const replacementId = new mongoose.Types.ObjectId();
+        let stored = await RefreshToken.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { revokedAt: new Date(), replacedBy: replacementId },
+            { new: true }
+        );
+        const claimed = Boolean(stored);
+
+        if (!claimed) {
+            stored = await RefreshToken.findOne({ tokenHash });
+            if (!stored || stored.expiresAt <= new Date()) {
+                clearRefreshCookie(res);
+                return res.status(401).json({ message: 'Session expired, please log in again' });
+            }
+
+            // Another tab may have rotated the token a moment ago - that's fine
+            // as long as the login wasn't logged out since (its replacement
+            // may still be being saved)
+            let justRotated = false;
+            if (stored.replacedBy && Date.now() - stored.revokedAt.getTime() < REFRESH_GRACE_MS) {
+                const replacement = await RefreshToken.findById(stored.replacedBy);
+                justRotated = !replacement || replacement.isActive();
+            }
+
+            // A revoked token is being used again: it was stolen (or the login was logged out)
+            // Revoke the whole session so neither the thief nor the user can keep using it
+            if (!justRotated) {
+                await Session.revoke(stored.family);
+                console.warn('⚠️ Refresh token reuse detected:', { user: stored.user, family: stored.family });
+                clearRefreshCookie(res);
+                return res.status(401).json({ message: 'Session expired, please log in again' });
+            }
+        }
+
+        // The session was revoked from another device (or the token is from before sessions existed)
+        const session = await Session.findActive(stored.family, stored.user);
+        if (!session) {
+            await RefreshToken.revokeFamily(stored.family);
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: 'Session expired, please log in again' });
+        }
+
+        const user = await User.findById(stored.user).select('-password');
+        if (!user) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: 'User not found' });
+        }
+
+        // Disabled by an admin
+        const disabledMessage = user.getDisabledMessage();
+        if (disabledMessage) {
+            await Session.revoke(stored.family);
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: disabledMessage });
+        }
+
+        // Rotate: the new token continues the same session
+        // (in the grace window, the other tab already has the replacement)
+        const { accessToken } = await issueTokens(req, res, user, session, claimed ? replacementId : undefined);
+
+        res.json({ token: accessToken, user: toClientUser(user) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Server error during token refresh' });
+    }
+});
+
+// ============================================
+// POST /api/auth/logout
+// End the session on the server: its refresh tokens and access tokens stop working
+// Public route (works even when the access token has expired)
+// ============================================
+router.post('/logout', async (req, res) => {
+    try {
+        const token = getRefreshToken(req);
+        if (token) {
+            const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) });
+            if (stored) {
+                await Session.revoke(stored.family);
+            }
+        }
+
+        clearRefreshCookie(res);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
 // Export router to be used in server.js
 module.exports = router;
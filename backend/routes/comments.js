@@ -0,0 +1,332 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+// mergeParams gives access to :id from the parent path (/api/tasks/:id/comments)
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { hasPermission, canUpdateTask } = require('../utils/permissions');
+const { findMentionedUsernames } = require('../utils/mentions');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { notifyComment, notifyMentions } = require('../services/notifications');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+} = require('../utils/pagination');
+
+/**
+ * COMMENT ROUTES
+ *
+ * Discussion on a task (see models/Comment.js)
+ * Mounted at /api/tasks/:id/comments
+ *
+ * Comments are Markdown, and @username mentions members of the workspace
+ *
+ * All routes in this file are PROTECTED:
+ * - every member can read the comments
+ * - members who can update the task (tasks:write, or its assignees) can comment
+ * - only the author edits a comment; the author or a workspace admin deletes it
+ */
+
+/**
+ * Load the task from the URL and check it is in the current workspace
+ *
+ * Runs before every comment route and stores the task on req.task
+ */
+const loadTask = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        req.task = await Task.findOne({
+            _id: req.params.id,
+            workspace: req.workspace._id    // Must belong to the workspace
+        });
+
+        if (!req.task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error loading task:', error);
+        res.status(500).json({ message: 'Server error while loading task' });
+    }
+};
+
+/**
+ * Find a comment of req.task, responding with 404 if it doesn't exist
+ *
+ * @returns {Promise<Object|null>} The comment, or null if a response was sent
+ */
+const findComment = async (req, res) => {
+    const comment = mongoose.isValidObjectId(req.params.commentId)
+        ? await Comment.findOne({ _id: req.params.commentId, task: req.task._id })
+        : null;
+    if (!comment) {
+        res.status(404).json({ message: 'Comment not found' });
+        return null;
+    }
+    return comment;
+};
+
+/**
+ * Resolve the @username mentions of a comment
+ * Only members of the workspace can be mentioned, other names stay plain text
+ *
+ * @param {Object} workspace - Current workspace
+ * @param {string} text - Comment body
+ * @returns {Promise<Array>} User ids
+ */
+const resolveMentions = async (workspace, text) => {
+    const usernames = findMentionedUsernames(text);
+    if (usernames.length === 0) {
+        return [];
+    }
+
+    const users = await User.find({ username: { $in: usernames } }).select('_id');
+    const memberships = await Membership.find({
+        workspace: workspace._id,
+        user: { $in: users.map((user) => user._id) }
+    }).select('user');
+
+    return memberships.map((membership) => membership.user);
+};
+
+/**
+ * Change the comment count of req.task
+ *
+ * @param {Object} req - Request with req.task
+ * @param {number} change - +1 or -1
+ * @returns {Promise<number>} The new count
+ */
+const changeCommentCount = async (req, change) => {
+    const task = await Task.findByIdAndUpdate(
+        req.task._id,
+        { $inc: { commentCount: change } },
+        { new: true }
+    ).select('commentCount');
+
+    return task ? task.commentCount : 0;
+};
+
+// Validation rules for the comment body
+const commentValidation = [
+    body('body')
+        .trim()
+        .notEmpty()
+        .withMessage('Comment cannot be empty')
+        .isLength({ max: 5000 })
+        .withMessage('Comment cannot exceed 5000 characters')
+];
+
+// ============================================
+// GET /api/tasks/:id/comments
+// List the comments of a task, oldest first
+// Query: ?limit=20&cursor=...
+// Response: { comments: [...], nextCursor }
+// Protected route
+// ============================================
+router.get(
+    '/',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    loadTask,
+    [
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT })
+            .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isString()
+            .withMessage('cursor must be a string')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const sort = { createdAt: 1, _id: 1 };
+            const conditions = [{ task: req.task._id }];
+
+            // Continue after the last comment of the previous page
+            if (req.query.cursor) {
+                const cursor = decodeCursor(req.query.cursor);
+                if (!cursor) {
+                    return res.status(400).json({ message: 'Invalid cursor' });
+                }
+                conditions.push(buildCursorFilter(sort, cursor));
+            }
+
+            const commentsQuery = Comment.find({ $and: conditions }).sort(sort).withRelations();
+            const { items, nextCursor } = await paginate({
+                query: commentsQuery,
+                sort,
+                limit: req.query.limit || DEFAULT_LIMIT
+            });
+
+            res.json({ comments: items, nextCursor });
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            res.status(500).json({ message: 'Server error while fetching comments' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/tasks/:id/comments
+// Comment on a task
+// Body: { body: "Markdown, @username mentions" }
+// Response: the comment, with the task's new commentCount
+// Protected route
+// ============================================
+router.post(
+    '/',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    commentValidation,
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            if (!canUpdateTask(req.membership, req.task)) {
+                return res.status(403).json({ message: 'You do not have permission to comment on this task' });
+            }
+
+            const comment = await Comment.create({
+                workspace: req.workspace._id,
+                task: req.task._id,
+                author: req.user._id,
+                body: req.body.body,
+                mentions: await resolveMentions(req.workspace, req.body.body)
+            });
+            await comment.populateRelations();
+
+            const commentCount = await changeCommentCount(req, 1);
+            const data = { ...comment.toJSON(), commentCount };
+
+            // Show it in the other tabs and devices of the workspace,
+            // and tell the people following the task or mentioned
+            publishWorkspaceEvent(req.workspace._id, 'comment.created', data);
+            await notifyComment(req.task, comment, req.user._id);
+
+            res.status(201).json(data);
+        } catch (error) {
+            console.error('Error creating comment:', error);
+            res.status(500).json({ message: 'Server error while creating comment' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/tasks/:id/comments/:commentId
+// Edit a comment (its author only)
+// Body: { body }
+// Protected route
+// ============================================
+router.put(
+    '/:commentId',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    commentValidation,
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const comment = await findComment(req, res);
+            if (!comment) return;
+
+            if (!comment.isWrittenBy(req.user._id)) {
+                return res.status(403).json({ message: 'You can only edit your own comments' });
+            }
+
+            if (comment.body !== req.body.body) {
+                const mentionedBefore = comment.mentions.map(String);
+
+                comment.body = req.body.body;
+                comment.mentions = await resolveMentions(req.workspace, req.body.body);
+                comment.editedAt = new Date();
+                await comment.save();
+
+                // Only members mentioned by the edit are notified
+                const newMentions = comment.mentions.filter((id) => !mentionedBefore.includes(String(id)));
+                await notifyMentions(req.task, comment, newMentions, req.user._id);
+            }
+            await comment.populateRelations();
+
+            publishWorkspaceEvent(req.workspace._id, 'comment.updated', comment);
+
+            res.json(comment);
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            res.status(500).json({ message: 'Server error while updating comment' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/tasks/:id/comments/:commentId
+// Delete a comment (its author, or a workspace admin)
+// Response: { message, commentCount }
+// Protected route
+// ============================================
+router.delete(
+    '/:commentId',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    async (req, res) => {
+        try {
+            const comment = await findComment(req, res);
+            if (!comment) return;
+
+            if (!comment.isWrittenBy(req.user._id) && !hasPermission(req.membership.role, 'workspace:manage')) {
+                return res.status(403).json({ message: 'You can only delete your own comments' });
+            }
+
+            await comment.deleteOne();
+            const commentCount = await changeCommentCount(req, -1);
+
+            publishWorkspaceEvent(req.workspace._id, 'comment.deleted', {
+                _id: comment._id,
+                task: req.task._id,
+                commentCount
+            });
+
+            res.json({ message: 'Comment deleted successfully', commentCount });
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            res.status(500).json({ message: 'Server error while deleting comment' });
+        }
+    }
+);
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,144 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ApiToken = require('../models/ApiToken');
+const Session = require('../models/Session');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { subscribe, subscribeUser } = require('../services/realtime');
+
+/**
+ * REAL-TIME EVENT ROUTES
+ *
+ * A Server-Sent Events stream of the changes to the tasks of a workspace,
+ * and of the user's new notifications (see services/realtime.js for the
+ * events). It is authenticated like every other request - with the
+ * Authorization header, so clients use fetch instead of EventSource:
+ *
+ *   curl -N -H "Authorization: Bearer <token>" -H "X-Workspace-Id: <id>" http://localhost:5000/api/events
+ *
+ * The stream stays open, so access is checked again with every heartbeat:
+ * it ends when the session is logged out, the API token is revoked, the
+ * account is disabled or the user leaves the workspace.
+ */
+
+// How often a comment is sent to keep proxies from closing the stream (ms)
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// How long clients wait before reconnecting after the stream ends (ms)
+const RETRY_DELAY = 5 * 1000;
+
+// A user can't have more streams open than this (one per tab)
+const MAX_STREAMS_PER_USER = 10;
+
+// Open streams of this process, by user id
+const openStreams = new Map();
+
+/**
+ * Whether the client sending a stream may still receive it
+ *
+ * @param {Object} req - Request that opened the stream
+ * @returns {Promise<boolean>}
+ */
+const canStillListen = async (req) => {
+    const [user, membership, credential] = await Promise.all([
+        User.findById(req.user._id).select('disabledAt disabledReason'),
+        Membership.findOne({ workspace: req.workspace._id, user: req.user._id }),
+        req.apiToken
+            ? ApiToken.exists({
+                _id: req.apiToken._id,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+            })
+            : Session.findActive(req.authSession._id, req.user._id)
+    ]);
+
+    return Boolean(
+        user && !user.getDisabledMessage() &&
+        membership && hasPermission(membership.role, 'tasks:read') &&
+        credential
+    );
+};
+
+// ============================================
+// GET /api/events
+// Stream the task events of the workspace (X-Workspace-Id header)
+// and the user's notifications
+// Protected route (API tokens need the tasks:read scope)
+// ============================================
+router.get('/', protect, requireScope('tasks:read'), requirePermission('tasks:read'), (req, res) => {
+    const userId = String(req.user._id);
+    const streamCount = openStreams.get(userId) || 0;
+    if (streamCount >= MAX_STREAMS_PER_USER) {
+        return res.status(429).json({ message: 'Too many open event streams, close some tabs and try again' });
+    }
+    openStreams.set(userId, streamCount + 1);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Don't let nginx buffer the events
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+
+    /**
+     * Send one event
+     *
+     * @param {string} event - Event name
+     * @param {string} data - JSON string
+     */
+    const send = (event, data) => {
+        if (!closed) {
+            res.write(`event: ${event}\ndata: ${data}\n\n`);
+        }
+    };
+
+    // Tell the client the stream is ready (it loads the list again if it was disconnected)
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+    send('ready', JSON.stringify({ workspace: req.workspace._id }));
+
+    // The workspace's task events, and the user's own notifications
+    const unsubscribe = subscribe(req.workspace._id, (message) => send(message.event, message.data));
+    const unsubscribeUser = subscribeUser(req.user._id, (message) => send(message.event, message.data));
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (!(await canStillListen(req))) {
+                return res.end();
+            }
+        } catch (error) {
+            // Keep the stream open if the database didn't answer, the next heartbeat checks again
+            console.error('Error checking an event stream:', error.message);
+        }
+
+        if (!closed) {
+            res.write(': ping\n\n');
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    // The client went away (or the stream was ended above)
+    const cleanUp = () => {
+        if (closed) return;
+        closed = true;
+
+        clearInterval(heartbeat);
+        unsubscribe();
+        unsubscribeUser();
+
+        const remaining = (openStreams.get(userId) || 1) - 1;
+        if (remaining > 0) {
+            openStreams.set(userId, remaining);
+        } else {
+            openStreams.delete(userId);
+        }
+    };
+    req.on('close', cleanUp);
+    res.on('close', cleanUp);
+});
+
+module.exports = router;
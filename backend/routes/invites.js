@@ -0,0 +1,108 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const Invite = require('../models/Invite');
+const Membership = require('../models/Membership');
+const { protect, denyApiTokens } = require('../middleware/auth');
+
+/**
+ * INVITE ROUTES
+ *
+ * Look at and accept an invite to a workspace
+ * Invites are created by workspace admins (see routes/workspaces.js)
+ * and identified by the token in the invite link
+ *
+ * All routes in this file are PROTECTED - the invited person
+ * logs in (or registers) before accepting
+ */
+
+/**
+ * Find a usable invite from the :token URL parameter
+ *
+ * Runs before every invite route and stores the invite on req.invite
+ * Email invites can only be used by the user with that email
+ */
+const loadInvite = async (req, res, next) => {
+    try {
+        const invite = await Invite.findUsable(req.params.token);
+        if (!invite || !invite.workspace) {
+            return res.status(404).json({ message: 'This invite is invalid or has expired' });
+        }
+
+        if (invite.email && invite.email !== req.user.email) {
+            return res.status(403).json({ message: 'This invite was sent to a different email address' });
+        }
+
+        req.invite = invite;
+        next();
+    } catch (error) {
+        console.error('Error loading invite:', error);
+        res.status(500).json({ message: 'Server error while loading invite' });
+    }
+};
+
+// ============================================
+// GET /api/invites/:token
+// Preview an invite: workspace name and role
+// Protected route
+// ============================================
+router.get('/:token', protect, denyApiTokens, loadInvite, async (req, res) => {
+    try {
+        const isMember = await Membership.exists({ workspace: req.invite.workspace._id, user: req.user._id });
+
+        res.json({
+            workspace: req.invite.workspace,
+            role: req.invite.role,
+            email: req.invite.email,
+            expiresAt: req.invite.expiresAt,
+            alreadyMember: Boolean(isMember)
+        });
+    } catch (error) {
+        console.error('Error fetching invite:', error);
+        res.status(500).json({ message: 'Server error while fetching invite' });
+    }
+});
+
+// ============================================
+// POST /api/invites/:token/accept
+// Join the workspace of an invite
+// Response: the workspace with the new member's role
+// Protected route
+// ============================================
+router.post('/:token/accept', protect, denyApiTokens, loadInvite, async (req, res) => {
+    try {
+        const { invite } = req;
+
+        // Email invites prove the invited person owns the address - so must the user
+        if (invite.email && !req.user.emailVerified) {
+            return res.status(403).json({ message: 'Please verify your email address to accept this invite' });
+        }
+
+        // Already a member - nothing to do, keep the current role
+        let membership = await Membership.findOne({ workspace: invite.workspace._id, user: req.user._id });
+        if (!membership) {
+            membership = await Membership.create({
+                workspace: invite.workspace._id,
+                user: req.user._id,
+                role: invite.role
+            });
+        }
+
+        // Email invites can only be used once, invite links until they expire
+        if (invite.email) {
+            invite.acceptedBy = req.user._id;
+            invite.acceptedAt = new Date();
+            await invite.save();
+        }
+
+        await membership.populate('workspace');
+
+        res.json(membership.workspace.withRole(membership.role));
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ message: 'Server error while accepting invite' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
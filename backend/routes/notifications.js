@@ -0,0 +1,223 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect, denyApiTokens } = require('../middleware/auth');
+const { snoozeReminder } = require('../services/reminders');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+} = require('../utils/pagination');
+
+/**
+ * NOTIFICATION ROUTES
+ *
+ * The logged in user's notifications, from every workspace
+ * (created by services/notifications.js, see models/Notification.js)
+ *
+ * Which events notify the user is set in their profile:
+ * PATCH /api/users/me { notificationPreferences: { assigned: false } }
+ *
+ * due_soon notifications are due date reminders (services/reminders.js),
+ * which can be snoozed
+ *
+ * All routes in this file are PROTECTED, and can't be used with an API token
+ */
+
+// All routes need a logged in user (not an API token)
+router.use(protect, denyApiTokens);
+
+// A reminder can be snoozed for 5 minutes to 7 days
+const MIN_SNOOZE_MINUTES = 5;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+/**
+ * Number of unread notifications of a user
+ */
+const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// ============================================
+// GET /api/notifications
+// List the notifications, newest first
+// Query: ?unread=true&limit=20&cursor=...
+// Response: { notifications: [...], unreadCount, nextCursor }
+// Protected route
+// ============================================
+router.get(
+    '/',
+    [
+        query('unread')
+            .optional()
+            .isBoolean()
+            .withMessage('unread must be true or false')
+            .toBoolean(true),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT })
+            .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isString()
+            .withMessage('cursor must be a string')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const sort = { createdAt: -1, _id: -1 };
+            const conditions = [{ user: req.user._id }];
+
+            if (req.query.unread) {
+                conditions.push({ readAt: null });
+            }
+
+            // Continue after the last notification of the previous page
+            if (req.query.cursor) {
+                const cursor = decodeCursor(req.query.cursor);
+                if (!cursor) {
+                    return res.status(400).json({ message: 'Invalid cursor' });
+                }
+                conditions.push(buildCursorFilter(sort, cursor));
+            }
+
+            const notificationsQuery = Notification.find({ $and: conditions }).sort(sort).withRelations();
+            const [{ items, nextCursor }, unreadCount] = await Promise.all([
+                paginate({ query: notificationsQuery, sort, limit: req.query.limit || DEFAULT_LIMIT }),
+                countUnread(req.user._id)
+            ]);
+
+            res.json({ notifications: items, unreadCount, nextCursor });
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+            res.status(500).json({ message: 'Server error while fetching notifications' });
+        }
+    }
+);
+
+// ============================================
+// GET /api/notifications/unread-count
+// Just the number of unread notifications (for the badge)
+// Response: { unreadCount }
+// Protected route
+// ============================================
+router.get('/unread-count', async (req, res) => {
+    try {
+        res.json({ unreadCount: await countUnread(req.user._id) });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({ message: 'Server error while counting notifications' });
+    }
+});
+
+// ============================================
+// POST /api/notifications/read-all
+// Mark every notification as read
+// Response: { message, unreadCount: 0 }
+// Protected route
+// ============================================
+router.post('/read-all', async (req, res) => {
+    try {
+        await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+
+        res.json({ message: 'All notifications marked as read', unreadCount: 0 });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Server error while marking notifications as read' });
+    }
+});
+
+// ============================================
+// POST /api/notifications/:id/read
+// Mark one notification as read
+// Response: { notification, unreadCount }
+// Protected route
+// ============================================
+router.post('/:id/read', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        // Only the user's own notifications
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        await notification.populateRelations();
+
+        res.json({ notification, unreadCount: await countUnread(req.user._id) });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ message: 'Server error while marking notification as read' });
+    }
+});
+
+// ============================================
+// POST /api/notifications/:id/snooze
+// Remind me again later (due_soon notifications only)
+// Body: { minutes } - 5 minutes to 7 days
+// Marks the notification as read
+// Response: { notification, unreadCount, remindAt }
+// Protected route
+// ============================================
+router.post(
+    '/:id/snooze',
+    [
+        body('minutes')
+            .isInt({ min: MIN_SNOOZE_MINUTES, max: MAX_SNOOZE_MINUTES })
+            .withMessage(`minutes must be between ${MIN_SNOOZE_MINUTES} and ${MAX_SNOOZE_MINUTES}`)
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ message: 'Notification not found' });
+            }
+
+            const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+            if (!notification) {
+                return res.status(404).json({ message: 'Notification not found' });
+            }
+            if (notification.type !== 'due_soon') {
+                return res.status(400).json({ message: 'Only reminders can be snoozed' });
+            }
+
+            const remindAt = await snoozeReminder(notification.task, req.user._id, req.body.minutes);
+
+            if (!notification.readAt) {
+                notification.readAt = new Date();
+                await notification.save();
+            }
+            await notification.populateRelations();
+
+            res.json({ notification, unreadCount: await countUnread(req.user._id), remindAt });
+        } catch (error) {
+            console.error('Error snoozing reminder:', error);
+            res.status(500).json({ message: 'Server error while snoozing reminder' });
+        }
+    }
+);
+
+// Export router to be used in server.js
+module.exports = router;
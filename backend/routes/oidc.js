@@ -0,0 +1,267 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createChallengeToken, issueTokens } = require('../utils/authTokens');
+const { clientLink } = require('../utils/links');
+const { listProviders, getProvider, createAuthorization, finishAuthorization } = require('../services/oidc');
+
+/**
+ * SINGLE SIGN-ON ROUTES (OpenID Connect)
+ *
+ * Log in with an identity provider configured in .env (see services/oidc.js):
+ * 1. The login page opens GET /:provider/start in the browser (not with axios)
+ * 2. The user is sent to the provider and logs in there
+ * 3. The provider sends them back to GET /:provider/callback, which logs
+ *    them in (refresh token cookie) and sends them to the frontend's
+ *    /auth/callback page; that page gets an access token with POST /api/auth/refresh
+ *
+ * Who is logged in:
+ * - the user already linked to this provider identity, else
+ * - the user with the same email address, if the provider says it verified
+ *   it (the identity is linked to the account), else
+ * - a new account without a password
+ *
+ * Errors and the 2FA step are passed to /auth/callback in the URL fragment
+ * (#error=... / #challenge=...), which isn't sent to servers or logged.
+ */
+
+// Name of the cookie that keeps the login's checks between start and callback
+const FLOW_COOKIE = 'oidcFlow';
+
+// Time the user has to log in at the provider
+const FLOW_TTL_SECONDS = 10 * 60;
+
+/**
+ * Options of the flow cookie
+ * sameSite "lax": the provider's redirect back to us is a cross-site navigation
+ */
+const flowCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/oidc'
+});
+
+/**
+ * Secret of the flow cookie (different from the access token secret)
+ */
+const flowSecret = () => `${process.env.JWT_SECRET}:oidc-flow`;
+
+/**
+ * Read the flow cookie
+ *
+ * @param {Object} req - Express request
+ * @returns {Object|null} { provider, state, nonce, codeVerifier }, or null if missing or expired
+ */
+const readFlow = (req) => {
+    try {
+        return jwt.verify(String(req.cookies?.[FLOW_COOKIE] || ''), flowSecret());
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Send the browser to the frontend's /auth/callback page
+ *
+ * @param {Object} res - Express response
+ * @param {Object} params - Fragment parameters, e.g. { error: '...' }
+ */
+const redirectToClient = (res, params = {}) => {
+    const fragment = new URLSearchParams(params).toString();
+    res.redirect(clientLink(`/auth/callback${fragment ? `#${fragment}` : ''}`));
+};
+
+/**
+ * Pick a free username for a new account, based on the provider's
+ * username or the email address
+ *
+ * @param {Object} profile - From finishAuthorization
+ * @returns {Promise<string>} Username
+ */
+const pickUsername = async (profile) => {
+    let base = (profile.username || profile.email.split('@')[0])
+        .replace(/[^a-zA-Z0-9_.-]/g, '')
+        .slice(0, 30);
+    if (base.length < 3) {
+        base = `user${base}`;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const username = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+        if (!(await User.exists({ username }))) {
+            return username;
+        }
+    }
+    return `${base}-${crypto.randomBytes(4).toString('hex')}`;
+};
+
+/**
+ * Find the user of a provider identity, linking or creating the account if needed
+ *
+ * @param {Object} provider - Provider (see services/oidc.js)
+ * @param {Object} profile - From finishAuthorization
+ * @returns {Promise<Object>} { user } or { error } (message for the user)
+ */
+const findOrCreateUser = async (provider, profile) => {
+    const linked = await User.findByIdentity(provider.id, profile.subject);
+    if (linked) {
+        return { user: linked };
+    }
+
+    // An address the provider didn't verify could belong to someone else
+    if (!profile.email || !profile.emailVerified) {
+        return { error: `${provider.name} did not confirm your email address, so it can't be used to log in here` };
+    }
+
+    const identity = { provider: provider.id, subject: profile.subject, email: profile.email };
+
+    const existing = await User.findOne({ email: profile.email });
+    if (existing) {
+        // Someone may have registered with this address (and a password of
+        // their own) before its owner - only link accounts that proved it
+        if (!existing.emailVerified) {
+            return {
+                error: 'An account with this email address already exists. Log in with its password '
+                    + 'and verify the address first (or reset the password), then try again.'
+            };
+        }
+
+        existing.identities.push(identity);
+        await existing.save();
+        return { user: existing };
+    }
+
+    const user = await User.create({
+        username: await pickUsername(profile),
+        email: profile.email,
+        password: null,
+        hasPassword: false,
+        displayName: (profile.name || '').slice(0, 50),
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        identities: [identity]
+    });
+
+    // Every user starts with a personal workspace they own (same as registration)
+    await Workspace.createWithOwner(user, {
+        name: `${user.username}'s workspace`,
+        personal: true
+    });
+
+    return { user };
+};
+
+// Logins per IP (each one makes requests to the provider)
+const ssoLimiter = rateLimit({
+    name: 'sso-ip',
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: 'Too many sign in attempts'
+});
+
+// ============================================
+// GET /api/auth/oidc/providers
+// The providers to show "Sign in with ..." buttons for
+// Returns [{ id, name }] (empty if single sign-on isn't set up)
+// Public route
+// ============================================
+router.get('/providers', (req, res) => {
+    try {
+        res.json(listProviders());
+    } catch (error) {
+        console.error('Error listing OIDC providers:', error);
+        res.status(500).json({ message: 'Single sign-on is not set up correctly' });
+    }
+});
+
+// ============================================
+// GET /api/auth/oidc/:provider/start
+// Send the browser to the provider's login page
+// Public route (opened in the browser)
+// ============================================
+router.get('/:provider/start', ssoLimiter, async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return redirectToClient(res, { error: 'Unknown sign in provider' });
+        }
+
+        const { url, checks } = await createAuthorization(provider);
+
+        const flow = jwt.sign({ provider: provider.id, ...checks }, flowSecret(), { expiresIn: FLOW_TTL_SECONDS });
+        res.cookie(FLOW_COOKIE, flow, { ...flowCookieOptions(), maxAge: FLOW_TTL_SECONDS * 1000 });
+
+        res.redirect(url);
+    } catch (error) {
+        console.error('Error starting single sign-on:', error);
+        redirectToClient(res, { error: 'The sign in provider could not be reached, please try again later' });
+    }
+});
+
+// ============================================
+// GET /api/auth/oidc/:provider/callback
+// The provider sends the user back here after they logged in
+// Public route (opened by the provider's redirect)
+// ============================================
+router.get('/:provider/callback', ssoLimiter, async (req, res) => {
+    const flow = readFlow(req);
+    res.clearCookie(FLOW_COOKIE, flowCookieOptions());
+
+    let provider = null;
+    let profile;
+    try {
+        provider = getProvider(req.params.provider);
+        if (!provider || !flow || flow.provider !== provider.id) {
+            return redirectToClient(res, { error: 'Your sign in expired, please try again' });
+        }
+
+        profile = await finishAuthorization(provider, req, flow);
+    } catch (error) {
+        // The provider refused (e.g. the user clicked "Cancel")
+        if (provider && error.name === 'OPError') {
+            return redirectToClient(res, {
+                error: error.error === 'access_denied'
+                    ? 'Sign in was cancelled'
+                    : `${provider.name} refused the sign in: ${error.error_description || error.error}`
+            });
+        }
+        console.error('Single sign-on callback error:', error);
+        return redirectToClient(res, {
+            error: provider ? `Sign in with ${provider.name} failed, please try again` : 'Sign in failed, please try again'
+        });
+    }
+
+    try {
+        const { user, error } = await findOrCreateUser(provider, profile);
+        if (error) {
+            return redirectToClient(res, { error });
+        }
+
+        // Disabled by an admin
+        const disabledMessage = user.getDisabledMessage();
+        if (disabledMessage) {
+            return redirectToClient(res, { error: disabledMessage });
+        }
+
+        // 2FA users still need a code (the login page asks for it)
+        if (user.twoFactor?.enabled) {
+            return redirectToClient(res, { challenge: createChallengeToken(user) });
+        }
+
+        // Start a new login (refresh token cookie, the page gets the access token)
+        await issueTokens(req, res, user);
+        redirectToClient(res);
+    } catch (error) {
+        console.error('Single sign-on login error:', error);
+        redirectToClient(res, { error: 'Server error during sign in' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
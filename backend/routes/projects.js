@@ -0,0 +1,363 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { protect, requireScope, denyApiTokens, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { recordTaskChanges, recordTaskDeleted } = require('../services/taskHistory');
+const { cancelTaskReminders } = require('../services/reminders');
+
+/**
+ * PROJECT ROUTES
+ *
+ * CRUD for the projects (lists / boards) of the current workspace
+ * Archiving or deleting a project can also move or delete its tasks:
+ * - tasks=keep:   leave the tasks in the project (archive only)
+ * - tasks=move:   move them to another project (moveTo), or out of any project
+ * - tasks=delete: delete them together with the project
+ *
+ * All routes in this file are PROTECTED
+ * - tasks:read to list projects, tasks:write to create and edit them
+ * - workspace:manage to archive or delete them (that affects everyone's tasks)
+ */
+
+// Same collation as the unique index on Project: case-insensitive names
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// What can happen to the tasks of an archived / deleted project
+const TASK_ACTIONS = ['keep', 'move', 'delete'];
+
+/**
+ * Validation rules for project fields
+ */
+const projectValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Project name cannot be empty')
+        .isLength({ max: 50 })
+        .withMessage('Project name cannot exceed 50 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex value like #6366f1'),
+    body('icon')
+        .optional()
+        .trim()
+        .isLength({ max: 8 })
+        .withMessage('Project icon cannot exceed 8 characters')
+];
+
+/**
+ * Check that a project name isn't used by another project of the workspace
+ *
+ * @returns {Promise<boolean>} True if the name is taken
+ */
+const isNameTaken = async (workspace, name, exceptId = null) => {
+    const filter = { workspace: workspace._id, name };
+    if (exceptId) filter._id = { $ne: exceptId };
+    return Boolean(await Project.exists(filter).collation(NAME_COLLATION));
+};
+
+/**
+ * Move or delete the tasks of a project that is being archived or deleted
+ * Clients of the workspace are told to load their tasks again
+ *
+ * @param {Object} workspace - Current workspace
+ * @param {Object} project - The project being archived / deleted
+ * @param {string} action - keep / move / delete
+ * @param {string|null} moveTo - Target project id for "move" (null = no project)
+ * @param {ObjectId} actorId - Who made the change (for the task history)
+ * @returns {Promise<{ error?: string, moved?: number, deleted?: number }>}
+ */
+const handleProjectTasks = async (workspace, project, action, moveTo, actorId) => {
+    const filter = { workspace: workspace._id, project: project._id };
+
+    if (action === 'delete') {
+        const tasks = await Task.find(filter);
+        const taskIds = tasks.map((task) => task._id);
+        await recordTaskDeleted(tasks, actorId);
+        const result = await Task.deleteMany({ _id: { $in: taskIds } });
+        await Comment.deleteMany({ task: { $in: taskIds } });
+        await cancelTaskReminders(taskIds);
+        publishWorkspaceEvent(workspace._id, 'tasks.changed', { reason: 'project' });
+        return { deleted: result.deletedCount };
+    }
+
+    if (action === 'move') {
+        // The target must be another active project of the workspace
+        if (moveTo) {
+            const target = await Project.findOne({ _id: moveTo, workspace: workspace._id, archived: false });
+            if (!target || target._id.equals(project._id)) {
+                return { error: 'Target project not found' };
+            }
+        }
+
+        const result = await recordTaskChanges(filter, actorId, () =>
+            Task.updateMany(filter, { project: moveTo || null })
+        );
+        publishWorkspaceEvent(workspace._id, 'tasks.changed', { reason: 'project' });
+        return { moved: result.modifiedCount };
+    }
+
+    return {};
+};
+
+// ============================================
+// GET /api/projects
+// List the workspace's projects, sorted by name, with task counts
+// ?archived=true lists the archived projects instead
+// Protected route
+// ============================================
+router.get(
+    '/',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    [
+        query('archived')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('archived must be true or false')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const archived = req.query.archived === 'true';
+
+            // Projects and the number of (open) tasks in each, in parallel
+            const [projects, counts] = await Promise.all([
+                Project.find({ workspace: req.workspace._id, archived }).sort({ name: 1 }).collation(NAME_COLLATION),
+                Task.aggregate([
+                    { $match: { workspace: req.workspace._id, project: { $ne: null } } },
+                    {
+                        $group: {
+                            _id: '$project',
+                            taskCount: { $sum: 1 },
+                            openTaskCount: { $sum: { $cond: ['$completed', 0, 1] } }
+                        }
+                    }
+                ])
+            ]);
+
+            const countsById = new Map(counts.map((count) => [String(count._id), count]));
+
+            res.json(projects.map((project) => {
+                const count = countsById.get(String(project._id));
+                return {
+                    ...project.toJSON(),
+                    taskCount: count ? count.taskCount : 0,
+                    openTaskCount: count ? count.openTaskCount : 0
+                };
+            }));
+        } catch (error) {
+            console.error('Error fetching projects:', error);
+            res.status(500).json({ message: 'Server error while fetching projects' });
+        }
+    }
+);
+
+// ============================================
+// GET /api/projects/:id
+// Get a single project (archived projects included)
+// Protected route
+// ============================================
+router.get('/:id', protect, requireScope('tasks:read'), requirePermission('tasks:read'), async (req, res) => {
+    try {
+        // Find project by ID in the current workspace
+        const project = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id });
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        res.json(project);
+    } catch (error) {
+        console.error('Error fetching project:', error);
+        res.status(500).json({ message: 'Server error while fetching project' });
+    }
+});
+
+// ============================================
+// POST /api/projects
+// Create a project
+// Protected route
+// ============================================
+router.post(
+    '/',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:write'),
+    [
+        body('name')
+            .exists()
+            .withMessage('Project name is required'),
+        ...projectValidation
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const { name, color, icon } = req.body;
+
+            // Project names are unique per workspace (case-insensitive)
+            if (await isNameTaken(req.workspace, name)) {
+                return res.status(400).json({ message: 'A project with this name already exists' });
+            }
+
+            const project = await Project.create({ workspace: req.workspace._id, user: req.user._id, name, color, icon });
+
+            res.status(201).json(project);
+        } catch (error) {
+            console.error('Error creating project:', error);
+            res.status(500).json({ message: 'Server error while creating project' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/projects/:id
+// Rename, restyle, archive or unarchive a project
+// When archiving: { archived: true, tasks: "keep" | "move" | "delete", moveTo }
+// Protected route
+// ============================================
+router.put(
+    '/:id',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:write'),
+    [
+        ...projectValidation,
+        body('archived')
+            .optional()
+            .isBoolean()
+            .withMessage('archived must be true or false')
+            .toBoolean(true),
+        body('tasks')
+            .optional()
+            .isIn(TASK_ACTIONS)
+            .withMessage('tasks must be one of: ' + TASK_ACTIONS.join(', ')),
+        body('moveTo')
+            .optional({ values: 'falsy' })
+            .isMongoId()
+            .withMessage('Invalid project id')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            // Find project by ID in the current workspace
+            const project = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id });
+            if (!project) {
+                return res.status(404).json({ message: 'Project not found' });
+            }
+
+            // Archiving and restoring affect everyone's tasks
+            if (req.body.archived !== undefined && req.body.archived !== project.archived &&
+                !hasPermission(req.membership.role, 'workspace:manage')) {
+                return res.status(403).json({ message: 'You do not have permission to do this in this workspace' });
+            }
+
+            if (req.body.name !== undefined) {
+                if (await isNameTaken(req.workspace, req.body.name, project._id)) {
+                    return res.status(400).json({ message: 'A project with this name already exists' });
+                }
+                project.name = req.body.name;
+            }
+            if (req.body.color !== undefined) project.color = req.body.color;
+            if (req.body.icon !== undefined) project.icon = req.body.icon;
+
+            // Archiving - move or delete the tasks first if asked to
+            let taskResult = {};
+            if (req.body.archived === true && !project.archived) {
+                taskResult = await handleProjectTasks(req.workspace, project, req.body.tasks || 'keep', req.body.moveTo, req.user._id);
+                if (taskResult.error) {
+                    return res.status(400).json({ message: taskResult.error });
+                }
+            }
+            if (req.body.archived !== undefined) project.archived = req.body.archived;
+
+            const updatedProject = await project.save();
+
+            res.json({ ...updatedProject.toJSON(), ...taskResult });
+        } catch (error) {
+            console.error('Error updating project:', error);
+            res.status(500).json({ message: 'Server error while updating project' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/projects/:id
+// Delete a project
+// ?tasks=move (default) moves its tasks to ?moveTo=<projectId>, or out of any project
+// ?tasks=delete deletes its tasks as well
+// Protected route
+// ============================================
+router.delete(
+    '/:id',
+    protect,
+    denyApiTokens,
+    requirePermission('workspace:manage'),
+    [
+        query('tasks')
+            .optional()
+            .isIn(['move', 'delete'])
+            .withMessage('tasks must be move or delete'),
+        query('moveTo')
+            .optional({ values: 'falsy' })
+            .isMongoId()
+            .withMessage('Invalid project id')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            // Find project by ID in the current workspace
+            const project = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id });
+            if (!project) {
+                return res.status(404).json({ message: 'Project not found' });
+            }
+
+            // Tasks can't be left pointing at a deleted project
+            const taskResult = await handleProjectTasks(req.workspace, project, req.query.tasks || 'move', req.query.moveTo, req.user._id);
+            if (taskResult.error) {
+                return res.status(400).json({ message: taskResult.error });
+            }
+
+            await project.deleteOne();
+
+            res.json({
+                message: 'Project deleted successfully',
+                ...taskResult
+            });
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            res.status(500).json({ message: 'Server error while deleting project' });
+        }
+    }
+);
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,85 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { protect, denyApiTokens } = require('../middleware/auth');
+
+/**
+ * SESSION ROUTES
+ *
+ * Where the user is logged in (one session per login, see models/Session.js),
+ * and logging other devices out. A revoked session stops working right away:
+ * its access tokens are refused by protect and its refresh tokens are revoked.
+ *
+ * All routes in this file are PROTECTED, and can't be used with an API token
+ */
+
+// All routes need a logged in user (not an API token)
+router.use(protect, denyApiTokens);
+
+// ============================================
+// GET /api/auth/sessions
+// List the user's active sessions, most recently used first
+// The session making the request has current: true
+// Protected route
+// ============================================
+router.get('/', async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
+        res.json(sessions.map((session) => ({
+            ...session.toJSON(),
+            current: session._id.equals(req.authSession._id)
+        })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Server error while fetching sessions' });
+    }
+});
+
+// ============================================
+// DELETE /api/auth/sessions
+// Log out everywhere else: revoke every session except the current one
+// Protected route
+// ============================================
+router.delete('/', async (req, res) => {
+    try {
+        const revoked = await Session.revokeForUser(req.user._id, req.authSession._id);
+
+        res.json({ message: 'Other sessions logged out', revoked });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ message: 'Server error while revoking sessions' });
+    }
+});
+
+// ============================================
+// DELETE /api/auth/sessions/:id
+// Log one session out (use POST /api/auth/logout for the current one)
+// Protected route
+// ============================================
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        const revoked = await Session.revokeWhere({ _id: req.params.id, user: req.user._id });
+        if (revoked === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        res.json({ message: 'Session logged out', id: req.params.id });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Server error while revoking session' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,221 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { protect, requireScope, denyApiTokens, requirePermission } = require('../middleware/auth');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const {
+    snapshotTask,
+    recordTaskCreated,
+    recordTaskUpdated,
+    recordTaskChanges
+} = require('../services/taskHistory');
+const { scheduleTaskReminders } = require('../services/reminders');
+const {
+    STATUS_CATEGORIES,
+    getStatuses,
+    findStatus,
+    toStatusKey
+} = require('../utils/taskStatus');
+
+/**
+ * STATUS ROUTES
+ * 
+ * Manage the task status workflow of the current workspace
+ * Built-in statuses (todo, in_progress, blocked, done) are read-only,
+ * custom statuses can be created, renamed and deleted
+ * 
+ * All routes in this file are PROTECTED
+ * Listing needs tasks:read, changing the workflow needs workspace:manage
+ */
+
+/**
+ * Validation rules for the editable status fields
+ */
+const statusValidation = [
+    body('label')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Status name cannot be empty')
+        .isLength({ max: 40 })
+        .withMessage('Status name cannot exceed 40 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex value like #6366f1'),
+    body('category')
+        .optional()
+        .isIn(STATUS_CATEGORIES)
+        .withMessage('Category must be one of: ' + STATUS_CATEGORIES.join(', '))
+];
+
+/**
+ * Complete or re-open the tasks of a status whose category changed
+ * 
+ * Each task goes through the same steps as PUT /api/tasks/:id:
+ * completing a recurring task creates its next occurrence, and the
+ * reminders stop (or start again when the task is re-opened)
+ * 
+ * @param {Object} req - Express request (current workspace and user)
+ * @param {Object} status - The custom status, with its new category
+ * @returns {Promise<void>}
+ */
+const applyStatusCategory = async (req, status) => {
+    const completed = status.category === 'done';
+    const tasks = await Task.find({
+        workspace: req.workspace._id,
+        status: status.key,
+        completed: { $ne: completed }
+    });
+
+    for (const task of tasks) {
+        const before = snapshotTask(task);
+        task.setStatus(status);
+        const nextTask = await task.createNextOccurrence();
+
+        await task.save();
+        await recordTaskUpdated(task, req.user._id, before);
+        if (nextTask) {
+            await recordTaskCreated(nextTask, req.user._id);
+            await scheduleTaskReminders(nextTask);
+        }
+        await scheduleTaskReminders(task);
+    }
+};
+
+// ============================================
+// GET /api/statuses
+// List built-in and custom statuses
+// Protected route
+// ============================================
+router.get('/', protect, requireScope('tasks:read'), requirePermission('tasks:read'), (req, res) => {
+    res.json(getStatuses(req.workspace));
+});
+
+// ============================================
+// POST /api/statuses
+// Create a custom status
+// Protected route
+// ============================================
+router.post(
+    '/',
+    protect,
+    denyApiTokens,
+    requirePermission('workspace:manage'),
+    [
+        body('label')
+            .exists()
+            .withMessage('Status name is required'),
+        body('category')
+            .exists()
+            .withMessage('Status category is required'),
+        ...statusValidation
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const { label, color, category } = req.body;
+
+            // The key is derived from the label and must be unique
+            const key = toStatusKey(label);
+            if (!key) {
+                return res.status(400).json({ message: 'Status name must contain letters or numbers' });
+            }
+            if (findStatus(req.workspace, key)) {
+                return res.status(400).json({ message: 'A status with this name already exists' });
+            }
+
+            req.workspace.customStatuses.push({ key, label, color, category });
+            await req.workspace.save();
+
+            res.status(201).json(findStatus(req.workspace, key));
+        } catch (error) {
+            console.error('Error creating status:', error);
+            res.status(500).json({ message: 'Server error while creating status' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/statuses/:key
+// Update a custom status (label, color, category)
+// Protected route
+// ============================================
+router.put('/:key', protect, denyApiTokens, requirePermission('workspace:manage'), statusValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        // Only custom statuses can be changed
+        const status = req.workspace.customStatuses.find((s) => s.key === req.params.key);
+        if (!status) {
+            return res.status(404).json({ message: 'Custom status not found' });
+        }
+
+        if (req.body.label !== undefined) status.label = req.body.label;
+        if (req.body.color !== undefined) status.color = req.body.color;
+
+        // Changing the category can complete or re-open existing tasks
+        if (req.body.category !== undefined && req.body.category !== status.category) {
+            status.category = req.body.category;
+            await applyStatusCategory(req, status);
+        }
+
+        await req.workspace.save();
+
+        // Task lists show the status label and color
+        publishWorkspaceEvent(req.workspace._id, 'tasks.changed', { reason: 'status' });
+
+        res.json(findStatus(req.workspace, status.key));
+    } catch (error) {
+        console.error('Error updating status:', error);
+        res.status(500).json({ message: 'Server error while updating status' });
+    }
+});
+
+// ============================================
+// DELETE /api/statuses/:key
+// Delete a custom status
+// Tasks using it fall back to the built-in status of its category
+// Protected route
+// ============================================
+router.delete('/:key', protect, denyApiTokens, requirePermission('workspace:manage'), async (req, res) => {
+    try {
+        const status = req.workspace.customStatuses.find((s) => s.key === req.params.key);
+        if (!status) {
+            return res.status(404).json({ message: 'Custom status not found' });
+        }
+
+        // Move tasks to the built-in status with the same behaviour
+        const filter = { workspace: req.workspace._id, status: status.key };
+        const result = await recordTaskChanges(filter, req.user._id, () =>
+            Task.updateMany(filter, { $set: { status: status.category, completed: status.category === 'done' } })
+        );
+
+        req.workspace.customStatuses = req.workspace.customStatuses.filter((s) => s.key !== status.key);
+        await req.workspace.save();
+
+        publishWorkspaceEvent(req.workspace._id, 'tasks.changed', { reason: 'status' });
+
+        res.json({
+            message: 'Status deleted successfully',
+            tasksMoved: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Error deleting status:', error);
+        res.status(500).json({ message: 'Server error while deleting status' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,272 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+// mergeParams gives access to :id from the parent path (/api/tasks/:id/subtasks)
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { canUpdateTask } = require('../utils/permissions');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { snapshotTask, recordTaskCreated, recordTaskUpdated } = require('../services/taskHistory');
+const { scheduleTaskReminders } = require('../services/reminders');
+
+/**
+ * SUBTASK ROUTES
+ * 
+ * Manage the checklist of a task
+ * Mounted at /api/tasks/:id/subtasks
+ * 
+ * Every route responds with the whole updated task, so the client
+ * can replace it in one go (progress, status and all)
+ * 
+ * All routes in this file are PROTECTED
+ * and need the tasks:write permission in the task's workspace,
+ * or being one of the task's assignees
+ */
+
+/**
+ * Load the task from the URL and check it is in the current workspace
+ * and that the user may update it
+ * 
+ * Runs before every subtask route and stores the task on req.task
+ * (and how it was on req.taskBefore, for the history)
+ */
+const loadTask = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        req.task = await Task.findOne({
+            _id: req.params.id,
+            workspace: req.workspace._id    // Must belong to the workspace
+        });
+
+        if (!req.task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!canUpdateTask(req.membership, req.task)) {
+            return res.status(403).json({ message: 'You do not have permission to update this task' });
+        }
+
+        req.taskBefore = snapshotTask(req.task);
+        next();
+    } catch (error) {
+        console.error('Error loading task:', error);
+        res.status(500).json({ message: 'Server error while loading task' });
+    }
+};
+
+/**
+ * Find a subtask of req.task, responding with 404 if it doesn't exist
+ * 
+ * @returns {Object|null} The subtask, or null if a response was sent
+ */
+const findSubtask = (req, res) => {
+    const subtask = req.task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+        res.status(404).json({ message: 'Subtask not found' });
+        return null;
+    }
+    return subtask;
+};
+
+/**
+ * Save req.task and send it back with its relations populated
+ * (and the next occurrence, if completing the task created one)
+ * The change is recorded in the task's history, and other clients
+ * of the workspace are told about it
+ */
+const saveAndRespond = async (req, res, statusCode = 200) => {
+    // Auto-completing a recurring task creates its next occurrence
+    const nextTask = await req.task.createNextOccurrence();
+
+    const task = await req.task.save();
+    await recordTaskUpdated(task, req.user._id, req.taskBefore);
+    if (nextTask) {
+        await recordTaskCreated(nextTask, req.user._id);
+        await scheduleTaskReminders(nextTask);
+    }
+
+    // Auto-completing (or reopening) the task starts or stops its reminders
+    if (task.completed !== req.taskBefore.completed) {
+        await scheduleTaskReminders(task);
+    }
+    await task.populateRelations();
+
+    // Show the change in the other tabs and devices of the workspace
+    publishWorkspaceEvent(req.workspace._id, 'task.updated', task);
+
+    if (nextTask) {
+        await nextTask.populateRelations();
+        publishWorkspaceEvent(req.workspace._id, 'task.created', nextTask);
+        return res.status(statusCode).json({ ...task.toJSON(), nextOccurrence: nextTask });
+    }
+    res.status(statusCode).json(task);
+};
+
+// ============================================
+// POST /api/tasks/:id/subtasks
+// Add a subtask to the end of the checklist
+// Protected route
+// ============================================
+router.post(
+    '/',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    [
+        body('title')
+            .trim()
+            .notEmpty()
+            .withMessage('Subtask title is required')
+            .isLength({ max: 200 })
+            .withMessage('Subtask title cannot exceed 200 characters')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            req.task.subtasks.push({ title: req.body.title });
+
+            // A new open subtask re-opens an auto-completed task
+            req.task.applyAutoComplete();
+
+            await saveAndRespond(req, res, 201);
+        } catch (error) {
+            console.error('Error adding subtask:', error);
+            res.status(500).json({ message: 'Server error while adding subtask' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/tasks/:id/subtasks/order
+// Reorder the checklist
+// Body: { order: [subtaskId, subtaskId, ...] } - every subtask, in the new order
+// Protected route
+// ============================================
+router.put(
+    '/order',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    [
+        body('order')
+            .isArray()
+            .withMessage('order must be a list of subtask ids'),
+        body('order.*')
+            .isMongoId()
+            .withMessage('Invalid subtask id')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const { order } = req.body;
+            const subtasks = req.task.subtasks;
+
+            // The new order must contain every subtask exactly once
+            const sameSet = order.length === subtasks.length &&
+                new Set(order).size === order.length &&
+                order.every((id) => subtasks.id(id));
+            if (!sameSet) {
+                return res.status(400).json({ message: 'order must list every subtask exactly once' });
+            }
+
+            req.task.subtasks = order.map((id) => subtasks.id(id).toObject());
+
+            await saveAndRespond(req, res);
+        } catch (error) {
+            console.error('Error reordering subtasks:', error);
+            res.status(500).json({ message: 'Server error while reordering subtasks' });
+        }
+    }
+);
+
+// ============================================
+// PATCH /api/tasks/:id/subtasks/:subtaskId
+// Rename and/or check off a subtask
+// Protected route
+// ============================================
+router.patch(
+    '/:subtaskId',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
+    loadTask,
+    [
+        body('title')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Subtask title cannot be empty')
+            .isLength({ max: 200 })
+            .withMessage('Subtask title cannot exceed 200 characters'),
+        body('done')
+            .optional()
+            .isBoolean()
+            .withMessage('done must be true or false')
+            .toBoolean(true)
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const subtask = findSubtask(req, res);
+            if (!subtask) return;
+
+            if (req.body.title !== undefined) subtask.title = req.body.title;
+            if (req.body.done !== undefined) subtask.done = req.body.done;
+
+            // Complete (or re-open) the task if autoComplete is on
+            req.task.applyAutoComplete();
+
+            await saveAndRespond(req, res);
+        } catch (error) {
+            console.error('Error updating subtask:', error);
+            res.status(500).json({ message: 'Server error while updating subtask' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/tasks/:id/subtasks/:subtaskId
+// Remove a subtask from the checklist
+// Protected route
+// ============================================
+router.delete('/:subtaskId', protect, requireScope('tasks:write'), requirePermission('tasks:read'), loadTask, async (req, res) => {
+    try {
+        const subtask = findSubtask(req, res);
+        if (!subtask) return;
+
+        subtask.deleteOne();
+
+        // Removing the last open subtask can complete the task
+        req.task.applyAutoComplete();
+
+        await saveAndRespond(req, res);
+    } catch (error) {
+        console.error('Error deleting subtask:', error);
+        res.status(500).json({ message: 'Server error while deleting subtask' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
@@ -0,0 +1,223 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { recordTaskChanges } = require('../services/taskHistory');
+
+/**
+ * TAG ROUTES
+ * 
+ * CRUD for the tags of the current workspace
+ * Tasks store tag ids, so the task side is updated here as well:
+ * - renaming a tag onto an existing name merges the two tags
+ * - deleting a tag removes it from every task
+ * 
+ * All routes in this file are PROTECTED
+ * Listing needs tasks:read, changing tags needs tasks:write
+ */
+
+// Same collation as the unique index on Tag: case-insensitive names
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Validation rules for tag fields
+ */
+const tagValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Tag name cannot be empty')
+        .isLength({ max: 30 })
+        .withMessage('Tag name cannot exceed 30 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex value like #6366f1')
+];
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ============================================
+// GET /api/tags
+// List the workspace's tags, sorted by name
+// Optional ?q= returns tags whose name starts with q (autocomplete)
+// Protected route
+// ============================================
+router.get(
+    '/',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    [
+        query('q')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 30 })
+            .withMessage('Search text cannot exceed 30 characters')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const filter = { workspace: req.workspace._id };
+            if (req.query.q) {
+                filter.name = { $regex: '^' + escapeRegex(req.query.q), $options: 'i' };
+            }
+
+            const tags = await Tag.find(filter).sort({ name: 1 }).collation(NAME_COLLATION);
+
+            res.json(tags);
+        } catch (error) {
+            console.error('Error fetching tags:', error);
+            res.status(500).json({ message: 'Server error while fetching tags' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/tags
+// Create a tag
+// Protected route
+// ============================================
+router.post(
+    '/',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:write'),
+    [
+        body('name')
+            .exists()
+            .withMessage('Tag name is required'),
+        ...tagValidation
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const { name, color } = req.body;
+
+            // Tag names are unique per workspace (case-insensitive)
+            const existing = await Tag.findOne({ workspace: req.workspace._id, name }).collation(NAME_COLLATION);
+            if (existing) {
+                return res.status(400).json({ message: 'A tag with this name already exists' });
+            }
+
+            const tag = await Tag.create({ workspace: req.workspace._id, user: req.user._id, name, color });
+
+            res.status(201).json(tag);
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            res.status(500).json({ message: 'Server error while creating tag' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/tags/:id
+// Rename or recolor a tag
+// Renaming onto the name of another tag merges them:
+// tasks get the other tag and this one is deleted
+// Protected route
+// ============================================
+router.put('/:id', protect, requireScope('tasks:write'), requirePermission('tasks:write'), tagValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        // Find tag by ID in the current workspace
+        const tag = await Tag.findOne({ _id: req.params.id, workspace: req.workspace._id });
+        if (!tag) {
+            return res.status(404).json({ message: 'Tag not found' });
+        }
+
+        if (req.body.name !== undefined) {
+            const target = await Tag.findOne({
+                workspace: req.workspace._id,
+                name: req.body.name,
+                _id: { $ne: tag._id }
+            }).collation(NAME_COLLATION);
+
+            // Merge into the existing tag
+            if (target) {
+                const filter = { workspace: req.workspace._id, tags: tag._id };
+                await recordTaskChanges(filter, req.user._id, async () => {
+                    await Task.updateMany(filter, { $addToSet: { tags: target._id } });
+                    await Task.updateMany(filter, { $pull: { tags: tag._id } });
+                });
+                await tag.deleteOne();
+
+                publishWorkspaceEvent(req.workspace._id, 'tasks.changed', { reason: 'tag' });
+                return res.json({ ...target.toJSON(), mergedFrom: tag._id });
+            }
+
+            tag.name = req.body.name;
+        }
+
+        if (req.body.color !== undefined) tag.color = req.body.color;
+
+        // Tasks reference the tag by id, so they pick up the change automatically
+        const updatedTag = await tag.save();
+        publishWorkspaceEvent(req.workspace._id, 'tasks.changed', { reason: 'tag' });
+
+        res.json(updatedTag);
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        res.status(500).json({ message: 'Server error while updating tag' });
+    }
+});
+
+// ============================================
+// DELETE /api/tags/:id
+// Delete a tag and remove it from every task
+// Protected route
+// ============================================
+router.delete('/:id', protect, requireScope('tasks:write'), requirePermission('tasks:write'), async (req, res) => {
+    try {
+        // Find tag by ID in the current workspace
+        const tag = await Tag.findOne({ _id: req.params.id, workspace: req.workspace._id });
+        if (!tag) {
+            return res.status(404).json({ message: 'Tag not found' });
+        }
+
+        // Remove the tag from all tasks using it
+        const filter = { workspace: req.workspace._id, tags: tag._id };
+        const result = await recordTaskChanges(filter, req.user._id, () =>
+            Task.updateMany(filter, { $pull: { tags: tag._id } })
+        );
+
+        await tag.deleteOne();
+
+        publishWorkspaceEvent(req.workspace._id, 'tasks.changed', { reason: 'tag' });
+
+        res.json({
+            message: 'Tag deleted successfully',
+            tasksUpdated: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        res.status(500).json({ message: 'Server error while deleting tag' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
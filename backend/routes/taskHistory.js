@@ -0,0 +1,203 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+// mergeParams gives access to :id from the parent path (/api/tasks/:id/history)
+const router = express.Router({ mergeParams: true });
+const { query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const TaskActivity = require('../models/TaskActivity');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { snapshotTask, recordTaskRestored, applySnapshot } = require('../services/taskHistory');
+const { scheduleTaskReminders } = require('../services/reminders');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+} = require('../utils/pagination');
+
+/**
+ * TASK HISTORY ROUTES
+ *
+ * Who changed what on a task, and going back to an earlier version
+ * (see models/TaskActivity.js and services/taskHistory.js)
+ * Mounted at /api/tasks/:id/history
+ *
+ * The history outlives the task: a deleted task can be restored
+ * from its "deleted" entry (or any other)
+ *
+ * All routes in this file are PROTECTED:
+ * - every member can read the history
+ * - restoring needs tasks:write (assignees alone can't)
+ */
+
+/**
+ * Names of the projects, tags and users that appear in the changes,
+ * so the client can show "moved to Website" instead of an id
+ * Things deleted since are missing
+ *
+ * @param {Array} activities - TaskActivity documents
+ * @param {Object} workspace - Current workspace
+ * @returns {Promise<Object>} { projects, tags, users }, each keyed by id
+ */
+const describeReferences = async (activities, workspace) => {
+    const ids = { project: new Set(), tags: new Set(), assignees: new Set() };
+
+    for (const activity of activities) {
+        for (const change of activity.changes) {
+            if (!ids[change.field]) continue;
+            [change.before, change.after].flat().filter(Boolean).forEach((id) => ids[change.field].add(id));
+        }
+    }
+
+    const [projects, tags, users] = await Promise.all([
+        Project.find({ _id: { $in: [...ids.project] }, workspace: workspace._id }).select('name color icon'),
+        Tag.find({ _id: { $in: [...ids.tags] }, workspace: workspace._id }).select('name color'),
+        User.find({ _id: { $in: [...ids.assignees] } }).select('username displayName')
+    ]);
+
+    const byId = (docs) => Object.fromEntries(docs.map((doc) => [String(doc._id), doc]));
+    return { projects: byId(projects), tags: byId(tags), users: byId(users) };
+};
+
+// ============================================
+// GET /api/tasks/:id/history
+// The history of a task, newest first
+// Works for deleted tasks too
+// Query: ?limit=20&cursor=...
+// Response: { activities: [...], references: { projects, tags, users }, nextCursor }
+// Protected route
+// ============================================
+router.get(
+    '/',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    [
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT })
+            .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isString()
+            .withMessage('cursor must be a string')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ message: 'Task not found' });
+            }
+
+            const filter = { task: req.params.id, workspace: req.workspace._id };
+
+            // Tasks created before the history existed have none yet
+            const known = await TaskActivity.exists(filter)
+                || await Task.exists({ _id: req.params.id, workspace: req.workspace._id });
+            if (!known) {
+                return res.status(404).json({ message: 'Task not found' });
+            }
+
+            const sort = { createdAt: -1, _id: -1 };
+            const conditions = [filter];
+
+            // Continue after the last entry of the previous page
+            if (req.query.cursor) {
+                const cursor = decodeCursor(req.query.cursor);
+                if (!cursor) {
+                    return res.status(400).json({ message: 'Invalid cursor' });
+                }
+                conditions.push(buildCursorFilter(sort, cursor));
+            }
+
+            const activitiesQuery = TaskActivity.find({ $and: conditions }).sort(sort).withRelations();
+            const { items, nextCursor } = await paginate({
+                query: activitiesQuery,
+                sort,
+                limit: req.query.limit || DEFAULT_LIMIT
+            });
+
+            res.json({
+                activities: items,
+                references: await describeReferences(items, req.workspace),
+                nextCursor
+            });
+        } catch (error) {
+            console.error('Error fetching task history:', error);
+            res.status(500).json({ message: 'Server error while fetching task history' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/tasks/:id/history/:activityId/restore
+// Set the task back to the version of a history entry
+// A deleted task is created again (without its comments)
+// Response: the restored task
+// Protected route
+// ============================================
+router.post(
+    '/:activityId/restore',
+    protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:write'),
+    async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.activityId)) {
+                return res.status(404).json({ message: 'Version not found' });
+            }
+
+            const activity = await TaskActivity.findOne({
+                _id: req.params.activityId,
+                task: req.params.id,
+                workspace: req.workspace._id    // Must belong to the workspace
+            });
+
+            if (!activity) {
+                return res.status(404).json({ message: 'Version not found' });
+            }
+
+            let task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id });
+            const wasDeleted = !task;
+            const before = task ? snapshotTask(task) : null;
+
+            // Deleted tasks come back with the same id, so their history continues
+            if (wasDeleted) {
+                task = new Task({
+                    _id: activity.task,
+                    workspace: req.workspace._id,
+                    user: activity.snapshot.user || req.user._id
+                });
+            }
+
+            await applySnapshot(task, activity.snapshot, req.workspace);
+            await task.save();
+            await recordTaskRestored(task, req.user._id, before, activity._id);
+            await scheduleTaskReminders(task);
+            await task.populateRelations();
+
+            // Show it in the other tabs and devices of the workspace
+            publishWorkspaceEvent(req.workspace._id, wasDeleted ? 'task.created' : 'task.updated', task);
+
+            res.json(task);
+        } catch (error) {
+            console.error('Error restoring task:', error);
+            res.status(500).json({ message: 'Server error while restoring task' });
+        }
+    }
+);
+
+// Export router to be used in server.js
+module.exports = router;
@@ -1,9 +1,35 @@
 // Import required modules
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Task = require('../models/Task');
-const { protect } = require('../middleware/auth');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Membership = require('../models/Membership');
+const Comment = require('../models/Comment');
+const { protect, requireScope, requirePermission } = require('../middleware/auth');
+const { publishWorkspaceEvent } = require('../services/realtime');
+const { notifyAssigned } = require('../services/notifications');
+const { scheduleTaskReminders, cancelTaskReminders } = require('../services/reminders');
+const {
+    snapshotTask,
+    recordTaskCreated,
+    recordTaskUpdated,
+    recordTaskDeleted
+} = require('../services/taskHistory');
+const { hasPermission, canUpdateTask } = require('../utils/permissions');
+const { isValidTimeZone, isTaskDate, parseTaskDate } = require('../utils/dates');
+const { MAX_PREVIEW, parseRecurrence, formatRRule, getOccurrences } = require('../utils/recurrence');
+const { PRIORITIES, STATUS_CATEGORIES, findStatus } = require('../utils/taskStatus');
+const { SORT_FIELDS, buildDueFilter, buildTaskFilter, buildTaskSort } = require('../utils/taskQuery');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+} = require('../utils/pagination');
 
 /**
  * TASK ROUTES
@@ -11,27 +37,504 @@ const { protect } = require('../middleware/auth');
  * All routes in this file are PROTECTED
  * Users must be authenticated (have valid JWT token) to access these routes
  * The protect middleware runs before each route handler
+ * 
+ * Tasks belong to a workspace (see loadWorkspace in middleware/auth.js)
+ * requirePermission checks the user's role in it:
+ * - tasks:read  to list and view tasks (every role)
+ * - tasks:write to create, edit and delete them (viewers can't)
+ * 
+ * Assignees of a task can update it without tasks:write,
+ * but only members with tasks:write can change who is assigned
+ * 
+ * Personal API tokens can be used too; requireScope checks the token
+ * has the tasks:read / tasks:write scope
  */
 
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Validation rules shared by create and update for the scheduling fields
+ * 
+ * Dates can be cleared by sending null or an empty string
+ */
+const scheduleValidation = [
+    body('startDate')
+        .optional({ values: 'falsy' })
+        .custom(isTaskDate)
+        .withMessage('Start date must be a valid date'),
+    body('dueDate')
+        .optional({ values: 'falsy' })
+        .custom(isTaskDate)
+        .withMessage('Due date must be a valid date'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('Timezone must be a valid IANA timezone (e.g. Europe/Berlin)')
+];
+
+/**
+ * Validation rules shared by create and update for status and priority
+ * 
+ * Whether the status exists is checked in the handler,
+ * because custom statuses depend on the workspace
+ */
+const workflowValidation = [
+    body('status')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Status cannot be empty'),
+    body('priority')
+        .optional()
+        .isIn(PRIORITIES)
+        .withMessage('Priority must be one of: ' + PRIORITIES.join(', '))
+];
+
+/**
+ * Validation rules for the tags array (list of tag ids)
+ */
+const tagsValidation = [
+    body('tags')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Tags must be a list of at most 20 tag ids'),
+    body('tags.*')
+        .isMongoId()
+        .withMessage('Invalid tag id')
+];
+
+/**
+ * Validation rule for the project reference
+ * null or an empty string takes the task out of its project
+ */
+const projectValidation = [
+    body('project')
+        .optional({ values: 'falsy' })
+        .isMongoId()
+        .withMessage('Invalid project id')
+];
+
+/**
+ * Validation rules for the assignees array (list of user ids)
+ */
+const assigneesValidation = [
+    body('assignees')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Assignees must be a list of at most 20 user ids'),
+    body('assignees.*')
+        .isMongoId()
+        .withMessage('Invalid user id')
+];
+
+/**
+ * Check that every tag id belongs to the workspace
+ * 
+ * @param {Object} workspace - Current workspace
+ * @param {Array<string>} tagIds - Tag ids from the request body
+ * @returns {Promise<Array|null>} Unique tag ids, or null if any tag isn't in the workspace
+ */
+const resolveTags = async (workspace, tagIds) => {
+    const uniqueIds = [...new Set(tagIds.map(String))];
+    const count = await Tag.countDocuments({ _id: { $in: uniqueIds }, workspace: workspace._id });
+    return count === uniqueIds.length ? uniqueIds : null;
+};
+
+/**
+ * Check that every assignee is a member of the workspace
+ * 
+ * @param {Object} workspace - Current workspace
+ * @param {Array<string>} userIds - User ids from the request body
+ * @returns {Promise<Array|null>} Unique user ids, or null if anyone isn't a member
+ */
+const resolveAssignees = async (workspace, userIds) => {
+    const uniqueIds = [...new Set(userIds.map(String))];
+    const count = await Membership.countDocuments({ workspace: workspace._id, user: { $in: uniqueIds } });
+    return count === uniqueIds.length ? uniqueIds : null;
+};
+
+/**
+ * Resolve the project from the request body
+ * 
+ * Tasks can only be added to active (not archived) projects of the workspace
+ * 
+ * @param {Object} workspace - Current workspace
+ * @param {string|null} projectId - Project id from the request body
+ * @returns {Promise<Object>} { project } (null = no project), or { error }
+ */
+const resolveProject = async (workspace, projectId) => {
+    if (!projectId) {
+        return { project: null };
+    }
+
+    const project = await Project.findOne({ _id: projectId, workspace: workspace._id, archived: false });
+    return project ? { project: project._id } : { error: 'Project not found' };
+};
+
+/**
+ * Workspace filter for the task list and statistics
+ * 
+ * Without a ?project= filter, tasks in archived projects are left out:
+ * archiving a project puts its tasks out of the way too
+ * 
+ * @param {Object} req - Express request (authenticated, workspace loaded)
+ * @returns {Promise<Object>} MongoDB filter
+ */
+const buildWorkspaceFilter = async (req) => {
+    const filter = { workspace: req.workspace._id };
+
+    if (!req.query.project) {
+        const archivedIds = await Project.find({ workspace: req.workspace._id, archived: true }).distinct('_id');
+        if (archivedIds.length > 0) {
+            filter.project = { $nin: archivedIds };
+        }
+    }
+
+    return filter;
+};
+
+/**
+ * Copy startDate, dueDate and timezone from the request body onto a task
+ * 
+ * Dates without an explicit offset are interpreted in the task's timezone
+ * 
+ * @param {Object} task - Task document to update
+ * @param {Object} data - Request body
+ * @returns {string|null} Error message if the dates are inconsistent
+ */
+const applyScheduleFields = (task, data) => {
+    if (data.timezone !== undefined) task.timezone = data.timezone;
+    const timeZone = task.timezone || 'UTC';
+
+    if (data.startDate !== undefined) {
+        if (!data.startDate) {
+            task.startDate = null;
+            task.startAllDay = true;
+        } else {
+            const { date, allDay } = parseTaskDate(data.startDate, timeZone);
+            task.startDate = date;
+            task.startAllDay = allDay;
+        }
+    }
+
+    if (data.dueDate !== undefined) {
+        if (!data.dueDate) {
+            task.dueDate = null;
+            task.dueAllDay = true;
+        } else {
+            // All-day due dates run until the end of the day
+            const { date, allDay } = parseTaskDate(data.dueDate, timeZone, { endOfDay: true });
+            task.dueDate = date;
+            task.dueAllDay = allDay;
+        }
+    }
+
+    if (task.startDate && task.dueDate && task.startDate > task.dueDate) {
+        return 'Start date cannot be after the due date';
+    }
+
+    return null;
+};
+
+/**
+ * Copy the recurrence rule from the request body onto a task
+ * 
+ * The rule can be an RRULE string or an object (see utils/recurrence.js),
+ * null or an empty string stops the task from repeating.
+ * Call after applyScheduleFields: the rule needs a date to repeat from.
+ * 
+ * @param {Object} task - Task document to update
+ * @param {Object} data - Request body
+ * @returns {string|null} Error message if the rule is invalid
+ */
+const applyRecurrenceField = (task, data) => {
+    if (data.recurrence !== undefined) {
+        if (!data.recurrence) {
+            task.recurrence = null;
+        } else {
+            const { rule, error } = parseRecurrence(data.recurrence, task.timezone || 'UTC');
+            if (error) {
+                return error;
+            }
+            // A changed rule starts a new series (its count starts at this task)
+            if (!task.recurrence || formatRRule(task.recurrence) !== formatRRule(rule)) {
+                task.recurrenceIndex = 1;
+            }
+            task.recurrence = rule;
+        }
+    }
+
+    if (task.recurrence && !task.dueDate && !task.startDate) {
+        return 'A recurring task needs a start or due date';
+    }
+
+    return null;
+};
+
 // ============================================
 // GET /api/tasks
-// Get all tasks for the authenticated user
+// Get the tasks of the current workspace, one page at a time
+// Supports filtering, full-text search and sorting (see utils/taskQuery.js)
+// e.g. /api/tasks?status=todo,blocked&q=invoice&sort=dueDate&order=asc
+// 
+// Pagination: ?limit=20&cursor=<nextCursor from the previous page>
+// Response: { tasks: [...], nextCursor: "..." | null }
 // Protected route
 // ============================================
-router.get('/', protect, async (req, res) => {
-    try {
-        // Find all tasks belonging to the authenticated user
-        // req.user is set by the protect middleware
-        // Sort by creation date (newest first: -1 = descending)
-        const tasks = await Task.find({ user: req.user._id }).sort({ createdAt: -1 });
+router.get(
+    '/',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    [
+        query('completed')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('completed must be true or false'),
+        query('status')
+            .optional()
+            .isString()
+            .withMessage('status must be a comma separated list'),
+        query('priority')
+            .optional()
+            .custom((value) => String(value).split(',').every((p) => PRIORITIES.includes(p.trim())))
+            .withMessage('priority must be a comma separated list of: ' + PRIORITIES.join(', ')),
+        query('project')
+            .optional()
+            .custom((value) => value === 'none' || /^[0-9a-f]{24}$/.test(value))
+            .withMessage('project must be a project id or none'),
+        query('assignee')
+            .optional()
+            .custom((value) => ['me', 'none'].includes(value) || /^[0-9a-f]{24}$/.test(value))
+            .withMessage('assignee must be me, none or a user id'),
+        query('createdBy')
+            .optional()
+            .custom((value) => value === 'me' || /^[0-9a-f]{24}$/.test(value))
+            .withMessage('createdBy must be me or a user id'),
+        query('q')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Search text cannot exceed 200 characters'),
+        query('tags')
+            .optional()
+            .custom((value) => String(value).split(',').every((id) => /^[0-9a-f]{24}$/.test(id.trim())))
+            .withMessage('tags must be a comma separated list of tag ids'),
+        query('tagMode')
+            .optional()
+            .isIn(['all', 'any'])
+            .withMessage('tagMode must be all or any'),
+        query('due')
+            .optional()
+            .isIn(['overdue', 'today', 'week'])
+            .withMessage('Due filter must be one of: overdue, today, week'),
+        query(['dueFrom', 'dueTo', 'createdFrom', 'createdTo'])
+            .optional({ values: 'falsy' })
+            .custom(isTaskDate)
+            .withMessage('Date filters must be valid dates'),
+        query('tz')
+            .optional()
+            .custom(isValidTimeZone)
+            .withMessage('tz must be a valid IANA timezone'),
+        query('sort')
+            .optional()
+            .isIn(Object.keys(SORT_FIELDS))
+            .withMessage('sort must be one of: ' + Object.keys(SORT_FIELDS).join(', ')),
+        query('order')
+            .optional()
+            .isIn(['asc', 'desc'])
+            .withMessage('order must be asc or desc'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT })
+            .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isString()
+            .withMessage('cursor must be a string')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
 
-        // Return tasks array
-        res.json(tasks);
-    } catch (error) {
-        console.error('Error fetching tasks:', error);
-        res.status(500).json({ message: 'Server error while fetching tasks' });
+            // "me" in the people filters is the logged in user
+            const me = String(req.user._id);
+            const taskQuery = {
+                ...req.query,
+                assignee: req.query.assignee === 'me' ? me : req.query.assignee,
+                createdBy: req.query.createdBy === 'me' ? me : req.query.createdBy
+            };
+
+            // Only tasks of the current workspace
+            // req.workspace is set by the requirePermission middleware
+            let filter = buildTaskFilter(await buildWorkspaceFilter(req), taskQuery);
+            const sort = buildTaskSort(req.query);
+            const limit = req.query.limit || DEFAULT_LIMIT;
+
+            // Continue after the last task of the previous page
+            if (req.query.cursor) {
+                const cursor = decodeCursor(req.query.cursor);
+                if (!cursor) {
+                    return res.status(400).json({ message: 'Invalid cursor' });
+                }
+                filter = { $and: [filter, buildCursorFilter(sort, cursor)] };
+            }
+
+            let tasksQuery = Task.find(filter).sort(sort).withRelations();
+
+            // Sort titles case-insensitively ("apple" next to "Apple")
+            if (req.query.sort === 'title') {
+                tasksQuery = tasksQuery.collation({ locale: 'en', strength: 2 });
+            }
+
+            const { items, nextCursor } = await paginate({ query: tasksQuery, sort, limit });
+
+            // Return one page of tasks and the cursor for the next page
+            res.json({ tasks: items, nextCursor });
+        } catch (error) {
+            console.error('Error fetching tasks:', error);
+            res.status(500).json({ message: 'Server error while fetching tasks' });
+        }
     }
-});
+);
+
+// ============================================
+// GET /api/tasks/stats
+// Task counts for the statistics card
+// Counted on the server so they stay correct while the list is paginated
+// ?project=<id> (or none) counts the tasks of one project
+// Protected route
+// ============================================
+router.get(
+    '/stats',
+    protect,
+    requireScope('tasks:read'),
+    requirePermission('tasks:read'),
+    [
+        query('project')
+            .optional()
+            .custom((value) => value === 'none' || /^[0-9a-f]{24}$/.test(value))
+            .withMessage('project must be a project id or none')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            // Optionally only the tasks of one project (?project=)
+            // Aggregation doesn't cast ids, so the project id is converted here
+            const workspaceFilter = await buildWorkspaceFilter(req);
+            if (req.query.project) {
+                workspaceFilter.project = req.query.project === 'none'
+                    ? null
+                    : new mongoose.Types.ObjectId(req.query.project);
+            }
+
+            // Count tasks per status, and overdue tasks, in parallel
+            const [statusCounts, overdue] = await Promise.all([
+                Task.aggregate([
+                    { $match: workspaceFilter },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ]),
+                Task.countDocuments({ ...workspaceFilter, ...buildDueFilter('overdue', 'UTC') })
+            ]);
+
+            // Roll the status counts up into their categories
+            // (a custom "In Review" status counts as in progress)
+            const byStatus = {};
+            const byCategory = Object.fromEntries(STATUS_CATEGORIES.map((category) => [category, 0]));
+            let total = 0;
+
+            statusCounts.forEach(({ _id: key, count }) => {
+                const status = findStatus(req.workspace, key);
+                byStatus[key] = count;
+                byCategory[status ? status.category : 'todo'] += count;
+                total += count;
+            });
+
+            res.json({
+                total,
+                todo: byCategory.todo,
+                inProgress: byCategory.in_progress,
+                blocked: byCategory.blocked,
+                completed: byCategory.done,
+                overdue,
+                byStatus
+            });
+        } catch (error) {
+            console.error('Error fetching task stats:', error);
+            res.status(500).json({ message: 'Server error while fetching task statistics' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/tasks/recurrence/preview
+// Upcoming dates of a repeat rule, for the recurrence editor
+// Body: { recurrence, start, timezone, count }
+// Response: { rrule: "FREQ=...", occurrences: [date, ...] }
+// Protected route
+// ============================================
+router.post(
+    '/recurrence/preview',
+    protect,
+    requireScope('tasks:read'),
+    [
+        body('recurrence')
+            .exists({ values: 'falsy' })
+            .withMessage('Recurrence rule is required'),
+        body('start')
+            .custom(isTaskDate)
+            .withMessage('Start must be a valid date'),
+        body('timezone')
+            .optional()
+            .custom(isValidTimeZone)
+            .withMessage('Timezone must be a valid IANA timezone (e.g. Europe/Berlin)'),
+        body('count')
+            .optional()
+            .isInt({ min: 1, max: MAX_PREVIEW })
+            .withMessage(`count must be between 1 and ${MAX_PREVIEW}`)
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const timeZone = req.body.timezone || 'UTC';
+            const { rule, error } = parseRecurrence(req.body.recurrence, timeZone);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            // Same interpretation as a due date
+            const { date: start } = parseTaskDate(req.body.start, timeZone, { endOfDay: true });
+
+            res.json({
+                rrule: formatRRule(rule),
+                occurrences: getOccurrences(rule, start, timeZone, req.body.count || 5)
+            });
+        } catch (error) {
+            console.error('Error previewing recurrence:', error);
+            res.status(500).json({ message: 'Server error while previewing recurrence' });
+        }
+    }
+);
 
 // ============================================
 // POST /api/tasks
@@ -41,6 +544,8 @@ router.get('/', protect, async (req, res) => {
 router.post(
     '/',
     protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:write'),
     [
         // Validation: title is required
         body('title')
@@ -53,7 +558,12 @@ router.post(
             .optional()
             .trim()
             .isLength({ max: 1000 })
-            .withMessage('Description cannot exceed 1000 characters')
+            .withMessage('Description cannot exceed 1000 characters'),
+        ...workflowValidation,
+        ...scheduleValidation,
+        ...tagsValidation,
+        ...projectValidation,
+        ...assigneesValidation
     ],
     async (req, res) => {
         try {
@@ -64,19 +574,75 @@ router.post(
             }
 
             // Extract data from request body
-            const { title, description } = req.body;
+            const { title, description, priority } = req.body;
+
+            // Resolve the status (built-in or one of the workspace's custom ones)
+            const status = findStatus(req.workspace, req.body.status || 'todo');
+            if (!status) {
+                return res.status(400).json({ message: `Unknown status: ${req.body.status}` });
+            }
 
-            // Create new task in database
-            // Automatically associate with the authenticated user
-            const task = await Task.create({
-                user: req.user._id,           // User ID from protect middleware
+            // Build the new task
+            // Automatically associate with the current workspace and user
+            const task = new Task({
+                workspace: req.workspace._id, // Workspace from requirePermission
+                user: req.user._id,           // Creator, from protect middleware
                 title,
                 description: description || '', // Use empty string if not provided
-                completed: false               // New tasks are incomplete by default
+                priority: priority || 'medium'  // Medium priority by default
             });
 
-            // DEBUG: Log task creation
-            console.log('✅ Task created:', { id: task._id, title: task.title, user: task.user });
+            // Sets both status and the derived completed flag
+            task.setStatus(status);
+
+            // Tags must belong to the workspace
+            if (req.body.tags) {
+                const tags = await resolveTags(req.workspace, req.body.tags);
+                if (!tags) {
+                    return res.status(400).json({ message: 'One or more tags were not found' });
+                }
+                task.tags = tags;
+            }
+
+            // Project (optional) - must be one of the workspace's active projects
+            if (req.body.project) {
+                const { project, error } = await resolveProject(req.workspace, req.body.project);
+                if (error) {
+                    return res.status(400).json({ message: error });
+                }
+                task.project = project;
+            }
+
+            // Assignees must be members of the workspace
+            if (req.body.assignees) {
+                const assignees = await resolveAssignees(req.workspace, req.body.assignees);
+                if (!assignees) {
+                    return res.status(400).json({ message: 'Assignees must be members of the workspace' });
+                }
+                task.assignees = assignees;
+            }
+
+            // Start/due dates and timezone (all optional)
+            const scheduleError = applyScheduleFields(task, req.body);
+            if (scheduleError) {
+                return res.status(400).json({ message: scheduleError });
+            }
+
+            // Repeat rule (optional)
+            const recurrenceError = applyRecurrenceField(task, req.body);
+            if (recurrenceError) {
+                return res.status(400).json({ message: recurrenceError });
+            }
+
+            // Save the task to the database, and start its history
+            await task.save();
+            await recordTaskCreated(task, req.user._id);
+            await notifyAssigned(task, task.assignees, req.user._id);
+            await scheduleTaskReminders(task);
+            await task.populateRelations();
+
+            // Show it in the other tabs and devices of the workspace
+            publishWorkspaceEvent(req.workspace._id, 'task.created', task);
 
             // Return the created task with 201 status (Created)
             res.status(201).json(task);
@@ -90,11 +656,14 @@ router.post(
 // ============================================
 // PUT /api/tasks/:id
 // Update an existing task
+// Needs tasks:write, or being one of the task's assignees
 // Protected route
 // ============================================
 router.put(
     '/:id',
     protect,
+    requireScope('tasks:write'),
+    requirePermission('tasks:read'),
     [
         // Validation rules for update
         body('title')
@@ -113,6 +682,17 @@ router.put(
             .optional()
             .isBoolean()
             .withMessage('Completed must be true or false')
+            .toBoolean(true),
+        body('autoComplete')
+            .optional()
+            .isBoolean()
+            .withMessage('autoComplete must be true or false')
+            .toBoolean(true),
+        ...workflowValidation,
+        ...scheduleValidation,
+        ...tagsValidation,
+        ...projectValidation,
+        ...assigneesValidation
     ],
     async (req, res) => {
         try {
@@ -122,28 +702,127 @@ router.put(
                 return res.status(400).json({ message: errors.array()[0].msg });
             }
 
-            // Find task by ID and verify ownership
-            // This ensures users can only update their own tasks
+            // Find task by ID in the current workspace
+            // This ensures users can only update tasks of their workspaces
             const task = await Task.findOne({
                 _id: req.params.id,           // Task ID from URL parameter
-                user: req.user._id            // Must belong to authenticated user
+                workspace: req.workspace._id  // Must belong to the workspace
             });
 
-            // Check if task exists and belongs to user
+            // Check if task exists in the workspace
             if (!task) {
                 return res.status(404).json({ message: 'Task not found' });
             }
 
+            // Members without tasks:write can only update tasks assigned to them
+            if (!canUpdateTask(req.membership, task)) {
+                return res.status(403).json({ message: 'You do not have permission to update this task' });
+            }
+
+            // The task as it was, for the history
+            const before = snapshotTask(task);
+
             // Update task fields
             // Only update fields that were provided in request
             if (req.body.title !== undefined) task.title = req.body.title;
             if (req.body.description !== undefined) task.description = req.body.description;
-            if (req.body.completed !== undefined) task.completed = req.body.completed;
+            if (req.body.priority !== undefined) task.priority = req.body.priority;
+
+            // Status workflow
+            // Older clients only send "completed", so map it onto a status:
+            // completed -> done, un-completed -> back to todo
+            if (req.body.status !== undefined) {
+                const status = findStatus(req.workspace, req.body.status);
+                if (!status) {
+                    return res.status(400).json({ message: `Unknown status: ${req.body.status}` });
+                }
+                task.setStatus(status);
+            } else if (req.body.completed !== undefined && req.body.completed !== task.completed) {
+                task.setStatus(findStatus(req.workspace, req.body.completed ? 'done' : 'todo'));
+            }
+
+            // Update start/due dates and timezone if provided
+            const scheduleError = applyScheduleFields(task, req.body);
+            if (scheduleError) {
+                return res.status(400).json({ message: scheduleError });
+            }
+
+            // Update the repeat rule if provided
+            const recurrenceError = applyRecurrenceField(task, req.body);
+            if (recurrenceError) {
+                return res.status(400).json({ message: recurrenceError });
+            }
+
+            // With autoComplete on, the task follows its subtasks right away
+            // (completed if every subtask is done, re-opened otherwise)
+            if (req.body.autoComplete !== undefined) {
+                task.autoComplete = req.body.autoComplete;
+                task.applyAutoComplete();
+            }
 
-            // Save updated task to database
+            // Replace the tags if provided (must belong to the workspace)
+            if (req.body.tags !== undefined) {
+                const tags = await resolveTags(req.workspace, req.body.tags);
+                if (!tags) {
+                    return res.status(400).json({ message: 'One or more tags were not found' });
+                }
+                task.tags = tags;
+            }
+
+            // Move the task to another project (null = no project)
+            // Only checked when it changes, so tasks in an archived project can still be edited
+            if (req.body.project !== undefined && String(req.body.project || '') !== String(task.project || '')) {
+                const { project, error } = await resolveProject(req.workspace, req.body.project);
+                if (error) {
+                    return res.status(400).json({ message: error });
+                }
+                task.project = project;
+            }
+
+            // Replace the assignees if provided
+            // Assignees without tasks:write can't hand the task to someone else
+            if (req.body.assignees !== undefined) {
+                if (!hasPermission(req.membership.role, 'tasks:write')) {
+                    return res.status(403).json({ message: 'You do not have permission to change assignees' });
+                }
+                const assignees = await resolveAssignees(req.workspace, req.body.assignees);
+                if (!assignees) {
+                    return res.status(400).json({ message: 'Assignees must be members of the workspace' });
+                }
+                task.assignees = assignees;
+            }
+
+            // Completing a recurring task creates its next occurrence
+            const nextTask = await task.createNextOccurrence();
+
+            // Save updated task to database, and record what changed
             const updatedTask = await task.save();
+            await recordTaskUpdated(updatedTask, req.user._id, before);
+            if (nextTask) {
+                await recordTaskCreated(nextTask, req.user._id);
+            }
+
+            // Tell the members who were just assigned
+            const newAssignees = updatedTask.assignees.filter((id) => !before.assignees.includes(String(id)));
+            await notifyAssigned(updatedTask, newAssignees, req.user._id);
+
+            // The due date, completion or assignees may have changed
+            await scheduleTaskReminders(updatedTask);
+            if (nextTask) {
+                await scheduleTaskReminders(nextTask);
+            }
+            await updatedTask.populateRelations();
+
+            // Show the change in the other tabs and devices of the workspace
+            publishWorkspaceEvent(req.workspace._id, 'task.updated', updatedTask);
 
             // Return updated task
+            // The new occurrence is included so the client can show it right away
+            if (nextTask) {
+                await nextTask.populateRelations();
+                publishWorkspaceEvent(req.workspace._id, 'task.created', nextTask);
+                return res.json({ ...updatedTask.toJSON(), nextOccurrence: nextTask });
+            }
             res.json(updatedTask);
         } catch (error) {
             console.error('Error updating task:', error);
@@ -157,12 +836,12 @@ router.put(
 // Delete a task
 // Protected route
 // ============================================
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, requireScope('tasks:write'), requirePermission('tasks:write'), async (req, res) => {
     try {
-        // Find task by ID and verify ownership
+        // Find task by ID in the current workspace
         const task = await Task.findOne({
             _id: req.params.id,
-            user: req.user._id              // Ensure user owns this task
+            workspace: req.workspace._id    // Ensure the task is in the workspace
         });
 
         // Check if task exists
@@ -170,8 +849,13 @@ router.delete('/:id', protect, async (req, res) => {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        // Delete the task from database
+        // Delete the task (and its comments) from database
+        // Its history stays, so it can be restored
+        await recordTaskDeleted([task], req.user._id);
         await task.deleteOne();
+        await Comment.deleteMany({ task: task._id });
+        await cancelTaskReminders([task._id]);
+        publishWorkspaceEvent(req.workspace._id, 'task.deleted', { _id: task._id });
 
         // Return success message
         res.json({ message: 'Task deleted successfully' });
@@ -0,0 +1,194 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { protect, denyApiTokens } = require('../middleware/auth');
+const { buildOtpauthUri, generateSecret, verifyCode } = require('../utils/totp');
+const { confirmPassword } = require('../utils/passwords');
+
+/**
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ *
+ * Turn TOTP two-factor authentication (2FA) on and off
+ * (the second login step is POST /api/auth/login/2fa in routes/auth.js)
+ *
+ * Setting it up takes two steps, so a user can't lock themselves out
+ * with an app that shows wrong codes:
+ * 1. POST /setup   - creates a secret and returns it as a QR code
+ * 2. POST /enable  - the user types a code from the app, 2FA is on,
+ *                    and they get their recovery codes
+ *
+ * All routes in this file are PROTECTED
+ */
+
+// All routes need a logged in user (not an API token)
+router.use(protect, denyApiTokens);
+
+// ============================================
+// GET /api/auth/2fa
+// Whether 2FA is on, and how many recovery codes are left
+// Protected route
+// ============================================
+router.get('/', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesLeft: user.twoFactor.enabled
+                ? user.twoFactor.recoveryCodes.filter((code) => !code.usedAt).length
+                : 0
+        });
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        res.status(500).json({ message: 'Server error while fetching two-factor settings' });
+    }
+});
+
+// ============================================
+// POST /api/auth/2fa/setup
+// Create a new secret to add to an authenticator app
+// Returns { secret, otpauthUri, qrCode } - qrCode is a data: URL of a PNG image
+// Protected route
+// ============================================
+router.post('/setup', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        // Not used until the user confirms it with a code
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        const otpauthUri = buildOtpauthUri(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        res.json({ secret, otpauthUri, qrCode });
+    } catch (error) {
+        console.error('Error setting up 2FA:', error);
+        res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+    }
+});
+
+// ============================================
+// POST /api/auth/2fa/enable
+// Turn 2FA on with a code from the app set up at /setup
+// Body: { code }
+// Returns the recovery codes (shown once)
+// Protected route
+// ============================================
+router.post(
+    '/enable',
+    [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Please enter the code from your authenticator app')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+            }
+            if (!user.twoFactor.pendingSecret) {
+                return res.status(400).json({ message: 'Start the two-factor setup first' });
+            }
+
+            const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+            if (step === null) {
+                return res.status(400).json({ message: 'Invalid code, check the time on your device and try again' });
+            }
+
+            user.twoFactor.enabled = true;
+            user.twoFactor.enabledAt = new Date();
+            user.twoFactor.secret = user.twoFactor.pendingSecret;
+            user.twoFactor.pendingSecret = null;
+            // The code typed here can't be used to log in
+            user.twoFactor.lastUsedStep = step;
+            const recoveryCodes = user.generateRecoveryCodes();
+            await user.save();
+
+            res.json({
+                message: 'Two-factor authentication enabled',
+                recoveryCodes
+            });
+        } catch (error) {
+            console.error('Error enabling 2FA:', error);
+            res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+        }
+    }
+);
+
+// ============================================
+// POST /api/auth/2fa/disable
+// Turn 2FA off
+// Body: { password } (see utils/passwords.js for accounts without one)
+// Protected route
+// ============================================
+router.post('/disable', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const passwordError = await confirmPassword(req, user, req.body.password);
+        if (passwordError) {
+            return res.status(401).json({ message: passwordError });
+        }
+
+        user.twoFactor = {
+            enabled: false,
+            enabledAt: null,
+            secret: null,
+            pendingSecret: null,
+            lastUsedStep: null,
+            recoveryCodes: []
+        };
+        await user.save();
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+    }
+});
+
+// ============================================
+// POST /api/auth/2fa/recovery-codes
+// Replace the recovery codes with new ones (the old ones stop working)
+// Body: { password } (see utils/passwords.js for accounts without one)
+// Protected route
+// ============================================
+router.post('/recovery-codes', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+        const passwordError = await confirmPassword(req, user, req.body.password);
+        if (passwordError) {
+            return res.status(401).json({ message: passwordError });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        res.json({ message: 'New recovery codes created', recoveryCodes });
+    } catch (error) {
+        console.error('Error creating recovery codes:', error);
+        res.status(500).json({ message: 'Server error while creating recovery codes' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
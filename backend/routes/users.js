@@ -0,0 +1,439 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const UserToken = require('../models/UserToken');
+const { protect, denyApiTokens } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { saveFile, deleteFile } = require('../services/storage');
+const { sendEmailChangeEmail } = require('../services/emails');
+const { exportAccountData, scheduleAccountDeletion, cancelAccountDeletion } = require('../services/accountData');
+const { rescheduleUserReminders } = require('../services/reminders');
+const { clearRefreshCookie } = require('../utils/authTokens');
+const { isValidTimeZone } = require('../utils/dates');
+const { toClientUser } = require('../utils/users');
+const { confirmPassword } = require('../utils/passwords');
+
+/**
+ * USER PROFILE ROUTES
+ *
+ * The logged in user's profile and preferences:
+ * - display name and avatar (stored with services/storage.js)
+ * - timezone, locale and date format used by the frontend
+ * - which events create notifications (see services/notifications.js)
+ * - changing the email (the new address must be verified first)
+ * - downloading all personal data, and deleting the account
+ *   (see services/accountData.js)
+ *
+ * Changing the password is POST /api/auth/change-password (routes/auth.js)
+ *
+ * All routes in this file are PROTECTED. API tokens can read the profile
+ * (to check who they act as), but not change it.
+ */
+
+// Largest avatar image
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Image types accepted as avatars, recognized from the first bytes of the
+ * file (the Content-Type sent by the browser can't be trusted)
+ */
+const AVATAR_TYPES = [
+    { contentType: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 4).toString('hex') === '89504e47' },
+    { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b.subarray(0, 3).toString('hex') === 'ffd8ff' },
+    { contentType: 'image/gif', extension: 'gif', matches: (b) => b.subarray(0, 4).toString('ascii') === 'GIF8' },
+    {
+        contentType: 'image/webp',
+        extension: 'webp',
+        matches: (b) => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP'
+    }
+];
+
+/**
+ * Upload middleware for the avatar: one file in the "avatar" field, kept in memory
+ * Errors (file too large...) are answered with 400
+ */
+const uploadAvatar = (req, res, next) => {
+    multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_AVATAR_BYTES, files: 1 }
+    }).single('avatar')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `The image cannot be larger than ${MAX_AVATAR_BYTES / 1024 / 1024} MB`
+                : 'Please upload one image in the "avatar" field';
+            return res.status(400).json({ message });
+        }
+        next();
+    });
+};
+
+// Emails sent to confirm a new address, per user
+const emailChangeLimiter = rateLimit({
+    name: 'email-change-user',
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: (req) => String(req.user._id),
+    message: 'Too many email changes requested'
+});
+
+// Data exports, per user (each one reads every task of the user)
+const exportLimiter = rateLimit({
+    name: 'export-user',
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    keyGenerator: (req) => String(req.user._id),
+    message: 'Too many data exports requested'
+});
+
+// Password guesses when deleting the account, per user
+const accountDeletionLimiter = rateLimit({
+    name: 'account-deletion-user',
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    keyGenerator: (req) => String(req.user._id),
+    message: 'Too many account deletion attempts'
+});
+
+// All routes need a logged in user
+router.use(protect);
+
+// ============================================
+// GET /api/users/me
+// The logged in user's profile and preferences
+// Protected route (API tokens allowed)
+// ============================================
+router.get('/me', async (req, res) => {
+    res.json(toClientUser(req.user));
+});
+
+// ============================================
+// PATCH /api/users/me
+// Update the profile and preferences
+// Body (all optional): { displayName, timezone, locale, dateFormat, notificationPreferences,
+// reminderPreferences }
+// timezone and locale: null uses the browser's settings
+// notificationPreferences: { assigned, due_soon, comment, mention } - true / false,
+// types left out keep their setting
+// reminderPreferences: { offsets: [1440, 60], email: true } - due date reminders,
+// in minutes before the due time (up to 5, at most 30 days) and whether they are emailed
+// Protected route
+// ============================================
+router.patch(
+    '/me',
+    denyApiTokens,
+    [
+        body('displayName')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Display name cannot be more than 50 characters'),
+        body('timezone')
+            .optional({ values: 'null' })
+            .custom(isValidTimeZone)
+            .withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+        body('locale')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 35 })
+            .custom((value) => Intl.getCanonicalLocales(value).length === 1)
+            .withMessage('Locale must be a language tag, e.g. en-US'),
+        body('dateFormat')
+            .optional()
+            .isIn(User.DATE_FORMATS)
+            .withMessage(`Date format must be one of: ${User.DATE_FORMATS.join(', ')}`),
+        body('notificationPreferences')
+            .optional()
+            .isObject()
+            .withMessage('notificationPreferences must be an object')
+            .custom((value) => Object.keys(value).every((type) => Notification.TYPES.includes(type)))
+            .withMessage(`Notification types are: ${Notification.TYPES.join(', ')}`),
+        body('notificationPreferences.*')
+            .isBoolean({ strict: true })
+            .withMessage('Notification preferences must be true or false'),
+        body('reminderPreferences')
+            .optional()
+            .isObject()
+            .withMessage('reminderPreferences must be an object')
+            .custom((value) => Object.keys(value).every((key) => ['offsets', 'email'].includes(key)))
+            .withMessage('Reminder preferences are: offsets, email'),
+        body('reminderPreferences.offsets')
+            .optional()
+            .isArray({ max: User.MAX_REMINDERS })
+            .withMessage(`You can have up to ${User.MAX_REMINDERS} reminders`),
+        body('reminderPreferences.offsets.*')
+            .isInt({ min: 1, max: User.MAX_REMINDER_OFFSET })
+            .withMessage('Reminders are sent 1 minute to 30 days (43200 minutes) before the due time'),
+        body('reminderPreferences.email')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('reminderPreferences.email must be true or false')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await User.findById(req.user._id);
+            const { displayName, timezone, locale, dateFormat } = req.body;
+
+            if (displayName !== undefined) user.displayName = displayName;
+            if (timezone !== undefined) user.timezone = timezone || null;
+            if (locale !== undefined) user.locale = locale ? Intl.getCanonicalLocales(locale)[0] : null;
+            if (dateFormat !== undefined) user.dateFormat = dateFormat;
+            if (req.body.notificationPreferences !== undefined) {
+                Object.entries(req.body.notificationPreferences).forEach(([type, enabled]) => {
+                    user.notificationPreferences[type] = enabled;
+                });
+            }
+
+            // Reminder offsets: no duplicates, earliest reminder first
+            const { offsets, email } = req.body.reminderPreferences || {};
+            const previousOffsets = user.reminderPreferences.offsets.join();
+            if (offsets !== undefined) {
+                user.reminderPreferences.offsets = [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+            }
+            if (email !== undefined) user.reminderPreferences.email = email;
+
+            await user.save();
+
+            // The reminders of the user's tasks move to the new offsets
+            if (user.reminderPreferences.offsets.join() !== previousOffsets) {
+                await rescheduleUserReminders(user._id);
+            }
+
+            res.json(toClientUser(user));
+        } catch (error) {
+            console.error('Error updating profile:', error);
+            res.status(500).json({ message: 'Server error while updating profile' });
+        }
+    }
+);
+
+// ============================================
+// PUT /api/users/me/avatar
+// Upload a new avatar
+// Body: multipart/form-data with the image in the "avatar" field
+// (PNG, JPEG, GIF or WebP, up to 2 MB)
+// Protected route
+// ============================================
+router.put('/me/avatar', denyApiTokens, uploadAvatar, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please choose an image' });
+        }
+
+        const type = AVATAR_TYPES.find((avatarType) => avatarType.matches(req.file.buffer));
+        if (!type) {
+            return res.status(400).json({ message: 'The avatar must be a PNG, JPEG, GIF or WebP image' });
+        }
+
+        // A new name each time, so browsers don't show a cached old avatar
+        const key = `avatars/${req.user._id}-${crypto.randomBytes(6).toString('hex')}.${type.extension}`;
+        await saveFile(key, req.file.buffer, type.contentType);
+
+        const user = await User.findById(req.user._id);
+        const oldKey = user.avatarKey;
+        user.avatarKey = key;
+        await user.save();
+
+        if (oldKey) {
+            await deleteFile(oldKey);
+        }
+
+        res.json(toClientUser(user));
+    } catch (error) {
+        console.error('Error uploading avatar:', error);
+        res.status(500).json({ message: 'Server error while uploading avatar' });
+    }
+});
+
+// ============================================
+// DELETE /api/users/me/avatar
+// Remove the avatar (initials are shown instead)
+// Protected route
+// ============================================
+router.delete('/me/avatar', denyApiTokens, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const oldKey = user.avatarKey;
+        user.avatarKey = null;
+        await user.save();
+
+        if (oldKey) {
+            await deleteFile(oldKey);
+        }
+
+        res.json(toClientUser(user));
+    } catch (error) {
+        console.error('Error removing avatar:', error);
+        res.status(500).json({ message: 'Server error while removing avatar' });
+    }
+});
+
+// ============================================
+// PUT /api/users/me/email
+// Change the email address
+// Body: { email, password } (see utils/passwords.js for accounts without one)
+// A link is sent to the new address; the account keeps the old address
+// until the link is opened (POST /api/auth/verify-email/:token)
+// Protected route
+// ============================================
+router.put(
+    '/me/email',
+    denyApiTokens,
+    emailChangeLimiter,
+    [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email')
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const user = await User.findById(req.user._id);
+            const passwordError = await confirmPassword(req, user, req.body.password);
+            if (passwordError) {
+                return res.status(401).json({ message: passwordError });
+            }
+
+            const { email } = req.body;
+            if (email === user.email) {
+                return res.status(400).json({ message: 'This is already your email address' });
+            }
+
+            const taken = await User.exists({ email });
+            if (taken) {
+                return res.status(400).json({ message: 'This email address is already used by another account' });
+            }
+
+            user.pendingEmail = email;
+            await user.save();
+
+            // Replaces the link of an earlier change
+            const token = await UserToken.createForUser(user, 'email-change');
+            const sent = await sendEmailChangeEmail(user, email, token);
+            if (!sent) {
+                return res.status(502).json({ message: 'The email could not be sent, please try again later' });
+            }
+
+            res.json({
+                message: `We sent a confirmation link to ${email}`,
+                user: toClientUser(user)
+            });
+        } catch (error) {
+            console.error('Error changing email:', error);
+            res.status(500).json({ message: 'Server error while changing email' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/users/me/email
+// Cancel an email change that wasn't confirmed yet
+// Protected route
+// ============================================
+router.delete('/me/email', denyApiTokens, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        user.pendingEmail = null;
+        await user.save();
+        await UserToken.deleteMany({ user: user._id, type: 'email-change', usedAt: null });
+
+        res.json(toClientUser(user));
+    } catch (error) {
+        console.error('Error cancelling email change:', error);
+        res.status(500).json({ message: 'Server error while cancelling email change' });
+    }
+});
+
+// ============================================
+// GET /api/users/me/export
+// Download everything stored about the user as a JSON file:
+// profile, workspaces, tasks, projects, tags, invites, sessions and API tokens
+// Protected route
+// ============================================
+router.get('/me/export', denyApiTokens, exportLimiter, async (req, res) => {
+    try {
+        const data = await exportAccountData(req.user);
+        const date = data.exportedAt.toISOString().slice(0, 10);
+
+        res.set('Cache-Control', 'no-store');
+        res.attachment(`taskmanager-export-${req.user.username}-${date}.json`);
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Error exporting account data:', error);
+        res.status(500).json({ message: 'Server error while exporting your data' });
+    }
+});
+
+// ============================================
+// DELETE /api/users/me
+// Delete the account
+// Body: { password } (see utils/passwords.js for accounts without one)
+// The account is deleted after a grace period (ACCOUNT_DELETION_GRACE_DAYS);
+// until then the user can log in and cancel. Every session is logged out.
+// Protected route
+// ============================================
+router.delete('/me', denyApiTokens, accountDeletionLimiter, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const passwordError = await confirmPassword(req, user, req.body.password);
+        if (passwordError) {
+            return res.status(401).json({ message: passwordError });
+        }
+
+        if (user.deletionScheduledAt) {
+            return res.status(400).json({ message: 'Your account is already scheduled for deletion' });
+        }
+
+        const deletionScheduledAt = await scheduleAccountDeletion(user);
+
+        clearRefreshCookie(res);
+        res.json({
+            message: `Your account will be deleted on ${deletionScheduledAt.toDateString()}. Log in before then to cancel.`,
+            deletionScheduledAt
+        });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        res.status(500).json({ message: 'Server error while deleting account' });
+    }
+});
+
+// ============================================
+// DELETE /api/users/me/deletion
+// Cancel the deletion of the account (during the grace period)
+// Protected route
+// ============================================
+router.delete('/me/deletion', denyApiTokens, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user.deletionScheduledAt) {
+            return res.status(400).json({ message: 'Your account is not scheduled for deletion' });
+        }
+
+        await cancelAccountDeletion(user);
+
+        res.json(toClientUser(user));
+    } catch (error) {
+        console.error('Error cancelling account deletion:', error);
+        res.status(500).json({ message: 'Server error while cancelling account deletion' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
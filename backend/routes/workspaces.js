@@ -0,0 +1,398 @@
+// Import required modules
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const Membership = require('../models/Membership');
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { protect, requireScope, denyApiTokens, requirePermission } = require('../middleware/auth');
+const { ROLES, hasPermission, isRoleAtLeast } = require('../utils/permissions');
+const { clientLink } = require('../utils/links');
+const { sendInviteEmail } = require('../services/emails');
+const { recordTaskChanges } = require('../services/taskHistory');
+
+/**
+ * WORKSPACE ROUTES
+ *
+ * Workspaces are shared spaces for tasks, tags, projects and statuses.
+ * Each member has a role (see utils/permissions.js):
+ * - owner:  everything, including deleting the workspace
+ * - admin:  manage members, invites, statuses and projects
+ * - member: create and edit tasks
+ * - viewer: read only
+ *
+ * New members join through invites:
+ * - by email: only the user with that email can accept it (once)
+ * - by link:  anyone with the link can join until it expires
+ *
+ * All routes in this file are PROTECTED
+ */
+
+// Roles that can be given through an invite (there is only one owner)
+const INVITE_ROLES = ROLES.filter((role) => role !== 'owner');
+
+/**
+ * Validation rule for the workspace name
+ */
+const nameValidation = body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name is required')
+    .isLength({ max: 60 })
+    .withMessage('Workspace name cannot exceed 60 characters');
+
+/**
+ * Build the link that accepts an invite in the frontend
+ *
+ * @param {string} token - Invite token
+ * @returns {string} e.g. http://localhost:5173/invite/abc123
+ */
+const buildInviteLink = (token) => clientLink(`/invite/${token}`);
+
+// ============================================
+// GET /api/workspaces
+// List the workspaces the user is a member of, with their role in each
+// Protected route
+// ============================================
+router.get('/', protect, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const memberships = await Membership.find({ user: req.user._id })
+            .sort({ createdAt: 1 })
+            .populate('workspace');
+
+        res.json(memberships
+            .filter((membership) => membership.workspace)
+            .map((membership) => membership.workspace.withRole(membership.role)));
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ message: 'Server error while fetching workspaces' });
+    }
+});
+
+// ============================================
+// POST /api/workspaces
+// Create a workspace - the user becomes its owner
+// Protected route
+// ============================================
+router.post('/', protect, denyApiTokens, [nameValidation], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const workspace = await Workspace.createWithOwner(req.user, { name: req.body.name });
+
+        res.status(201).json(workspace.withRole('owner'));
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ message: 'Server error while creating workspace' });
+    }
+});
+
+// ============================================
+// PUT /api/workspaces/:workspaceId
+// Rename a workspace
+// Protected route - needs workspace:manage
+// ============================================
+router.put(
+    '/:workspaceId',
+    protect,
+    denyApiTokens,
+    requirePermission('workspace:manage'),
+    [nameValidation],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            req.workspace.name = req.body.name;
+            const workspace = await req.workspace.save();
+
+            res.json(workspace.withRole(req.membership.role));
+        } catch (error) {
+            console.error('Error updating workspace:', error);
+            res.status(500).json({ message: 'Server error while updating workspace' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/workspaces/:workspaceId
+// Delete a workspace with all its tasks, tags, projects, members and invites
+// Personal workspaces can't be deleted
+// Protected route - needs workspace:delete (owner only)
+// ============================================
+router.delete('/:workspaceId', protect, denyApiTokens, requirePermission('workspace:delete'), async (req, res) => {
+    try {
+        if (req.workspace.personal) {
+            return res.status(400).json({ message: 'Your personal workspace cannot be deleted' });
+        }
+
+        const tasksDeleted = await req.workspace.deleteWithContents();
+
+        res.json({
+            message: 'Workspace deleted successfully',
+            tasksDeleted
+        });
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        res.status(500).json({ message: 'Server error while deleting workspace' });
+    }
+});
+
+// ============================================
+// GET /api/workspaces/:workspaceId/members
+// List the members of a workspace
+// Protected route - every member can see who else is in the workspace
+// ============================================
+router.get('/:workspaceId/members', protect, requireScope('tasks:read'), requirePermission('tasks:read'), async (req, res) => {
+    try {
+        const memberships = await Membership.find({ workspace: req.workspace._id })
+            .sort({ createdAt: 1 })
+            .populate('user', 'username email');
+
+        res.json(memberships.filter((membership) => membership.user));
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        res.status(500).json({ message: 'Server error while fetching members' });
+    }
+});
+
+// ============================================
+// PUT /api/workspaces/:workspaceId/members/:userId
+// Change the role of a member
+// Making someone the owner transfers ownership (owner only):
+// the previous owner becomes an admin
+// The owner's role can't be changed, and only the owner changes admins
+// Protected route - needs members:manage
+// ============================================
+router.put(
+    '/:workspaceId/members/:userId',
+    protect,
+    denyApiTokens,
+    requirePermission('members:manage'),
+    [
+        body('role')
+            .isIn(ROLES)
+            .withMessage('Role must be one of: ' + ROLES.join(', '))
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const member = await Membership.findOne({ workspace: req.workspace._id, user: req.params.userId });
+            if (!member) {
+                return res.status(404).json({ message: 'Member not found' });
+            }
+
+            const { role } = req.body;
+
+            // The owner's role only changes by transferring ownership to someone else
+            if (member.role === 'owner') {
+                return res.status(400).json({ message: 'Make another member the owner to change the owner\'s role' });
+            }
+
+            // Admins are managed by the owner only
+            if (member.role === 'admin' && req.membership.role !== 'owner') {
+                return res.status(403).json({ message: 'Only the owner can change the role of an admin' });
+            }
+
+            // Nobody can give a role above their own
+            if (!isRoleAtLeast(req.membership.role, role)) {
+                return res.status(403).json({ message: 'You cannot give a role above your own' });
+            }
+
+            // Transfer ownership
+            if (role === 'owner') {
+                req.membership.role = 'admin';
+                req.workspace.owner = member.user;
+                await Promise.all([req.membership.save(), req.workspace.save()]);
+            }
+
+            member.role = role;
+            await member.save();
+            await member.populate('user', 'username email');
+
+            res.json(member);
+        } catch (error) {
+            console.error('Error updating member:', error);
+            res.status(500).json({ message: 'Server error while updating member' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/workspaces/:workspaceId/members/:userId
+// Remove a member, or leave the workspace (own user id)
+// The owner can't leave - ownership has to be transferred first
+// Protected route - removing someone else needs members:manage
+// ============================================
+router.delete('/:workspaceId/members/:userId', protect, denyApiTokens, requirePermission('tasks:read'), async (req, res) => {
+    try {
+        const leaving = req.params.userId === String(req.user._id);
+        if (!leaving && !hasPermission(req.membership.role, 'members:manage')) {
+            return res.status(403).json({ message: 'You do not have permission to do this in this workspace' });
+        }
+
+        const member = await Membership.findOne({ workspace: req.workspace._id, user: req.params.userId });
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (member.role === 'owner') {
+            return res.status(400).json({ message: 'The owner cannot leave the workspace - transfer ownership first' });
+        }
+
+        // Admins are removed by the owner only (they can still leave)
+        if (!leaving && member.role === 'admin' && req.membership.role !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can remove an admin' });
+        }
+
+        await member.deleteOne();
+
+        // Former members can't work on tasks anymore
+        const filter = { workspace: req.workspace._id, assignees: member.user };
+        await recordTaskChanges(filter, req.user._id, () =>
+            Task.updateMany(filter, { $pull: { assignees: member.user } })
+        );
+
+        res.json({ message: leaving ? 'You left the workspace' : 'Member removed successfully' });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({ message: 'Server error while removing member' });
+    }
+});
+
+// ============================================
+// GET /api/workspaces/:workspaceId/invites
+// List the pending (not expired, not accepted) invites
+// Protected route - needs members:manage
+// ============================================
+router.get('/:workspaceId/invites', protect, denyApiTokens, requirePermission('members:manage'), async (req, res) => {
+    try {
+        const invites = await Invite.find({
+            workspace: req.workspace._id,
+            acceptedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ createdAt: -1 })
+            .populate('invitedBy', 'username');
+
+        res.json(invites);
+    } catch (error) {
+        console.error('Error fetching invites:', error);
+        res.status(500).json({ message: 'Server error while fetching invites' });
+    }
+});
+
+// ============================================
+// POST /api/workspaces/:workspaceId/invites
+// Invite someone by email, or create an invite link (no email)
+// Body: { email?, role }
+// Response: the invite, its token, the link to accept it and
+// whether the invite email was sent
+// (the token is only returned here - it is stored hashed)
+// Protected route - needs members:manage
+// ============================================
+router.post(
+    '/:workspaceId/invites',
+    protect,
+    denyApiTokens,
+    requirePermission('members:manage'),
+    [
+        body('email')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .normalizeEmail({ gmail_remove_dots: false }),
+        body('role')
+            .optional()
+            .isIn(INVITE_ROLES)
+            .withMessage('Role must be one of: ' + INVITE_ROLES.join(', '))
+    ],
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ message: errors.array()[0].msg });
+            }
+
+            const email = req.body.email || null;
+            const role = req.body.role || 'member';
+
+            // Nobody can invite with a role above their own
+            if (!isRoleAtLeast(req.membership.role, role)) {
+                return res.status(403).json({ message: 'You cannot give a role above your own' });
+            }
+
+            // No need to invite people who are already members
+            if (email) {
+                const user = await User.findOne({ email }).select('_id');
+                if (user && await Membership.exists({ workspace: req.workspace._id, user: user._id })) {
+                    return res.status(400).json({ message: 'This user is already a member of the workspace' });
+                }
+            }
+
+            const { invite, token } = await Invite.createWithToken({
+                workspace: req.workspace._id,
+                email,
+                role,
+                invitedBy: req.user._id
+            });
+
+            const link = buildInviteLink(token);
+
+            // Email invites are sent right away (the link is also returned to share it another way)
+            const emailSent = email
+                ? await sendInviteEmail({ email, link, workspace: req.workspace, invitedBy: req.user, role })
+                : false;
+
+            res.status(201).json({
+                ...invite.toJSON(),
+                token,
+                link,
+                emailSent
+            });
+        } catch (error) {
+            console.error('Error creating invite:', error);
+            res.status(500).json({ message: 'Server error while creating invite' });
+        }
+    }
+);
+
+// ============================================
+// DELETE /api/workspaces/:workspaceId/invites/:inviteId
+// Revoke an invite
+// Protected route - needs members:manage
+// ============================================
+router.delete('/:workspaceId/invites/:inviteId', protect, denyApiTokens, requirePermission('members:manage'), async (req, res) => {
+    try {
+        const invite = await Invite.findOne({ _id: req.params.inviteId, workspace: req.workspace._id });
+        if (!invite) {
+            return res.status(404).json({ message: 'Invite not found' });
+        }
+
+        await invite.deleteOne();
+
+        res.json({ message: 'Invite revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({ message: 'Server error while revoking invite' });
+    }
+});
+
+// Export router to be used in server.js
+module.exports = router;
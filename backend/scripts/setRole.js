@@ -0,0 +1,50 @@
+/**
+ * SET A USER'S ROLE
+ * 
+ * Makes a user an admin (or a normal user again) from the command line.
+ * This is how the first admin is made: the admin console can't be used
+ * before there is one.
+ * 
+ * Usage (in the backend folder, with MONGODB_URI in .env):
+ *   npm run set-role -- john@example.com admin
+ *   npm run set-role -- john@example.com user
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const main = async () => {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !User.USER_ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${User.USER_ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    try {
+        const user = await User.findOneAndUpdate(
+            { email: email.trim().toLowerCase() },
+            { role },
+            { new: true }
+        );
+        if (!user) {
+            console.error(`No user with the email ${email}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(`✅ ${user.username} (${user.email}) is now ${role === 'admin' ? 'an admin' : 'a normal user'}`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
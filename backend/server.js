@@ -12,11 +12,32 @@ require('dotenv').config();
 // Import required packages
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Import route handlers
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const sessionRoutes = require('./routes/sessions');
+const oidcRoutes = require('./routes/oidc');
 const taskRoutes = require('./routes/tasks');
+const subtaskRoutes = require('./routes/subtasks');
+const commentRoutes = require('./routes/comments');
+const taskHistoryRoutes = require('./routes/taskHistory');
+const statusRoutes = require('./routes/statuses');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
+const workspaceRoutes = require('./routes/workspaces');
+const inviteRoutes = require('./routes/invites');
+const apiTokenRoutes = require('./routes/apiTokens');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const { STORAGE_DIR } = require('./services/storage');
+const { startAccountDeletionSweep } = require('./services/accountData');
+const { startJobRunner } = require('./services/jobs');
 
 // ============================================
 // SERVER INITIALIZATION
@@ -33,14 +54,26 @@ connectDB();
 // MIDDLEWARE SETUP
 // ============================================
 
+/**
+ * Trust the proxy in front of the server (nginx, a load balancer...)
+ * so req.ip is the client's IP, not the proxy's (rate limits count per IP)
+ * TRUST_PROXY: "true", a number of proxies, or addresses (see Express docs)
+ */
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 /**
  * CORS (Cross-Origin Resource Sharing) middleware
  * Allows frontend (running on different port) to make requests to this API
  * In production, you should restrict origin to your frontend domain only
  */
 app.use(cors({
-    origin: 'http://localhost:5173',  // Frontend URL (Vite dev server)
-    credentials: true                  // Allow cookies and authentication headers
+    origin: process.env.CLIENT_URL || 'http://localhost:5173',  // Frontend URL (Vite dev server)
+    credentials: true,                 // Allow cookies and authentication headers
+    // Let the frontend read the rate limit headers
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 /**
@@ -55,6 +88,22 @@ app.use(express.json());
  */
 app.use(express.urlencoded({ extended: true }));
 
+/**
+ * Cookie parser middleware
+ * Makes cookies available in req.cookies (the refresh token, see utils/authTokens.js)
+ */
+app.use(cookieParser());
+
+/**
+ * Rate limiting for the whole API, per IP
+ * Auth routes have stricter limits of their own (see routes/auth.js)
+ */
+app.use('/api', rateLimit({
+    name: 'api',
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_MAX) || 1000
+}));
+
 /**
  * Request logging middleware (for development)
  * Logs every incoming request to console
@@ -81,11 +130,35 @@ app.get('/', (req, res) => {
 
 /**
  * Authentication routes
- * Handles user registration and login
+ * Handles user registration, login, token refresh and logout
  * Base path: /api/auth
  */
 app.use('/api/auth', authRoutes);
 
+/**
+ * Two-factor authentication routes
+ * Turns TOTP 2FA on and off, and creates recovery codes
+ * Base path: /api/auth/2fa
+ * All routes are protected
+ */
+app.use('/api/auth/2fa', twoFactorRoutes);
+
+/**
+ * Session routes
+ * Lists where the user is logged in, and logs other devices out
+ * Base path: /api/auth/sessions
+ * All routes are protected
+ */
+app.use('/api/auth/sessions', sessionRoutes);
+
+/**
+ * Single sign-on routes (OpenID Connect)
+ * Log in with an identity provider configured in .env
+ * Base path: /api/auth/oidc
+ * Public routes (opened in the browser)
+ */
+app.use('/api/auth/oidc', oidcRoutes);
+
 /**
  * Task routes
  * Handles all task CRUD operations
@@ -94,6 +167,120 @@ app.use('/api/auth', authRoutes);
  */
 app.use('/api/tasks', taskRoutes);
 
+/**
+ * Subtask routes
+ * Checklist items of a single task
+ * Base path: /api/tasks/:id/subtasks
+ * All routes are protected
+ */
+app.use('/api/tasks/:id/subtasks', subtaskRoutes);
+
+/**
+ * Comment routes
+ * Discussion (Markdown, @mentions) on a single task
+ * Base path: /api/tasks/:id/comments
+ * All routes are protected
+ */
+app.use('/api/tasks/:id/comments', commentRoutes);
+
+/**
+ * Task history routes
+ * Who changed what on a task, and restoring an earlier version
+ * Base path: /api/tasks/:id/history
+ * All routes are protected
+ */
+app.use('/api/tasks/:id/history', taskHistoryRoutes);
+
+/**
+ * Status routes
+ * Lists the task status workflow and manages custom statuses
+ * Base path: /api/statuses
+ * All routes are protected
+ */
+app.use('/api/statuses', statusRoutes);
+
+/**
+ * Tag routes
+ * CRUD for tags (labels) that can be attached to tasks
+ * Base path: /api/tags
+ * All routes are protected
+ */
+app.use('/api/tags', tagRoutes);
+
+/**
+ * Project routes
+ * CRUD for projects (lists / boards) that tasks can be organised into
+ * Base path: /api/projects
+ * All routes are protected
+ */
+app.use('/api/projects', projectRoutes);
+
+/**
+ * Workspace routes
+ * Shared workspaces, their members (with roles) and invites
+ * Base path: /api/workspaces
+ * All routes are protected
+ */
+app.use('/api/workspaces', workspaceRoutes);
+
+/**
+ * Invite routes
+ * Preview and accept an invite to a workspace
+ * Base path: /api/invites
+ * All routes are protected
+ */
+app.use('/api/invites', inviteRoutes);
+
+/**
+ * API token routes
+ * Personal access tokens for scripts and integrations
+ * Base path: /api/tokens
+ * All routes are protected (and can't be used with an API token)
+ */
+app.use('/api/tokens', apiTokenRoutes);
+
+/**
+ * User profile routes
+ * Profile, avatar, preferences, email change, data export and
+ * account deletion of the logged in user
+ * Base path: /api/users
+ * All routes are protected
+ */
+app.use('/api/users', userRoutes);
+
+/**
+ * Notification routes
+ * The user's notifications (assigned, due soon, comments, mentions)
+ * Base path: /api/notifications
+ * All routes are protected (and can't be used with an API token)
+ */
+app.use('/api/notifications', notificationRoutes);
+
+/**
+ * Admin routes
+ * Manage users (disable, require a new password) and see app-wide statistics
+ * Base path: /api/admin
+ * All routes need the admin role (see scripts/setRole.js for the first admin)
+ */
+app.use('/api/admin', adminRoutes);
+
+/**
+ * Real-time event routes
+ * A Server-Sent Events stream of task changes in a workspace
+ * Base path: /api/events
+ * Protected (see services/realtime.js for the events)
+ */
+app.use('/api/events', eventRoutes);
+
+/**
+ * Uploaded files (avatars) of the local storage driver
+ * See services/storage.js
+ */
+app.use('/uploads', express.static(STORAGE_DIR, {
+    // Never run uploads as pages, even if a browser guesses the type
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -118,6 +305,24 @@ app.use((err, req, res, next) => {
     });
 });
 
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+
+/**
+ * Delete the accounts whose deletion grace period is over (hourly)
+ * See services/accountData.js
+ */
+startAccountDeletionSweep();
+
+/**
+ * Run the scheduled jobs stored in the database, such as due date
+ * reminders (services/reminders.js) - checked every 30 seconds, and
+ * each job runs once even with several server processes
+ * See services/jobs.js
+ */
+startJobRunner();
+
 // ============================================
 // START SERVER
 // ============================================
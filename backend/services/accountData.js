@@ -0,0 +1,270 @@
+/**
+ * ACCOUNT DATA
+ * 
+ * Personal data of a user (GDPR):
+ * - exportAccountData: everything stored about the user, as one JSON object
+ * - scheduleAccountDeletion / cancelAccountDeletion: the user asks for their
+ *   account to be deleted; it is kept for a grace period
+ *   (ACCOUNT_DELETION_GRACE_DAYS in .env, 30 days by default) so the
+ *   deletion can still be cancelled
+ * - deleteAccount: deletes the account and its data for good
+ * - startAccountDeletionSweep: deletes the accounts whose grace period is
+ *   over, once an hour
+ * 
+ * What happens to the workspaces of a deleted user:
+ * - their personal workspace, and workspaces nobody else is a member of,
+ *   are deleted with all their tasks
+ * - shared workspaces they own go to the most powerful other member
+ *   (the longest-standing admin, else member, else viewer)
+ * - in other shared workspaces only their membership is removed: the
+ *   tasks they created stay, they are unassigned from the rest, and their
+ *   comments and task history entries stay without an author
+ */
+
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Membership = require('../models/Membership');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const TaskActivity = require('../models/TaskActivity');
+const Notification = require('../models/Notification');
+const Job = require('../models/Job');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiToken = require('../models/ApiToken');
+const UserToken = require('../models/UserToken');
+const { ROLES } = require('../utils/permissions');
+const { toClientUser } = require('../utils/users');
+const { deleteFile } = require('./storage');
+const { sendAccountDeletionEmail } = require('./emails');
+
+// Days between asking for the deletion and the deletion
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// How often accounts whose grace period is over are looked for
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Version of the export format, raised when fields are renamed or removed
+const EXPORT_VERSION = 1;
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Everything stored about a user
+ * Secrets (password hash, 2FA secret, token hashes) are left out
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { exportVersion, exportedAt, profile, workspaces, tasks,
+ *   comments, taskActivity, notifications, projects, tags, invitesSent, sessions, apiTokens }
+ */
+const exportAccountData = async (user) => {
+    const userId = user._id;
+
+    const [
+        memberships, tasks, comments, taskActivity, notifications, projects, tags, invitesSent, sessions, apiTokens
+    ] = await Promise.all([
+        Membership.find({ user: userId }).populate('workspace', 'name personal owner customStatuses createdAt').lean(),
+        // Tasks the user created or works on, in every workspace
+        Task.find({ $or: [{ user: userId }, { assignees: userId }] })
+            .select('-__v')
+            .withRelations()
+            .sort({ createdAt: 1 })
+            .lean(),
+        Comment.find({ author: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+        // Changes the user made to tasks (without the task snapshots)
+        TaskActivity.find({ actor: userId }).select('-snapshot -__v').sort({ createdAt: 1 }).lean(),
+        Notification.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+        Project.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+        Tag.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+        Invite.find({ invitedBy: userId }).select('-tokenHash -__v').sort({ createdAt: 1 }).lean(),
+        Session.find({ user: userId }).sort({ createdAt: 1 }),
+        ApiToken.find({ user: userId }).sort({ createdAt: 1 })
+    ]);
+
+    return {
+        exportVersion: EXPORT_VERSION,
+        exportedAt: new Date(),
+        profile: {
+            ...toClientUser(user),
+            emailVerifiedAt: user.emailVerifiedAt,
+            twoFactorEnabledAt: user.twoFactor?.enabledAt || null,
+            updatedAt: user.updatedAt
+        },
+        workspaces: memberships
+            .filter((membership) => membership.workspace)
+            .map((membership) => ({
+                id: membership.workspace._id,
+                name: membership.workspace.name,
+                personal: membership.workspace.personal,
+                role: membership.role,
+                joinedAt: membership.createdAt,
+                customStatuses: membership.workspace.customStatuses
+            })),
+        tasks,
+        comments,
+        taskActivity,
+        notifications,
+        projects,
+        tags,
+        invitesSent,
+        sessions: sessions.map((session) => session.toJSON()),
+        apiTokens: apiTokens.map((apiToken) => apiToken.toJSON())
+    };
+};
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Ask for the account to be deleted once the grace period is over
+ * Logs the user out everywhere (API tokens stop working until the
+ * deletion is cancelled, see middleware/auth.js)
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+const scheduleAccountDeletion = async (user) => {
+    user.deletionScheduledAt = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    await Session.revokeForUser(user._id);
+    await sendAccountDeletionEmail(user, user.deletionScheduledAt);
+
+    return user.deletionScheduledAt;
+};
+
+/**
+ * Keep the account after all
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const cancelAccountDeletion = async (user) => {
+    user.deletionScheduledAt = null;
+    await user.save();
+};
+
+// ============================================
+// DELETION
+// ============================================
+
+/**
+ * Give a shared workspace to another member, or delete it if there is none
+ * 
+ * @param {Object} workspace - Workspace document owned by the user being deleted
+ * @param {ObjectId} userId - The user being deleted
+ * @returns {Promise<void>}
+ */
+const handOverWorkspace = async (workspace, userId) => {
+    const others = workspace.personal
+        ? []
+        : await Membership.find({ workspace: workspace._id, user: { $ne: userId } }).sort({ createdAt: 1 });
+
+    if (others.length === 0) {
+        await workspace.deleteWithContents();
+        return;
+    }
+
+    // Most powerful role first, then the longest-standing member (the sort is stable)
+    const [successor] = [...others].sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role));
+    successor.role = 'owner';
+    await successor.save();
+    workspace.owner = successor.user;
+    await workspace.save();
+};
+
+/**
+ * Delete an account and its data for good
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const deleteAccount = async (user) => {
+    const userId = user._id;
+
+    const owned = await Workspace.find({ owner: userId });
+    for (const workspace of owned) {
+        await handOverWorkspace(workspace, userId);
+    }
+
+    await Membership.deleteMany({ user: userId });
+    await Task.updateMany({ assignees: userId }, { $pull: { assignees: userId } });
+    await Comment.updateMany({ author: userId }, { $set: { author: null } });
+    await Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+    await TaskActivity.updateMany({ actor: userId }, { $set: { actor: null } });
+    await Notification.deleteMany({ user: userId });
+    await Notification.updateMany({ actor: userId }, { $set: { actor: null } });
+    await Job.deleteMany({ 'data.user': userId });
+
+    // Invites that can't be used anymore: sent by the user, or to their address
+    await Invite.deleteMany({
+        acceptedAt: null,
+        $or: [{ invitedBy: userId }, { email: user.email }]
+    });
+
+    await Promise.all([
+        Session.deleteMany({ user: userId }),
+        RefreshToken.deleteMany({ user: userId }),
+        ApiToken.deleteMany({ user: userId }),
+        UserToken.deleteMany({ user: userId })
+    ]);
+
+    if (user.avatarKey) {
+        await deleteFile(user.avatarKey);
+    }
+
+    await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Delete the accounts whose grace period is over
+ * One failing account is logged and retried on the next sweep
+ * 
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const deleteDueAccounts = async () => {
+    const users = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+
+    let deleted = 0;
+    for (const user of users) {
+        try {
+            await deleteAccount(user);
+            deleted += 1;
+        } catch (error) {
+            console.error(`Error deleting account ${user._id}:`, error);
+        }
+    }
+
+    if (deleted > 0) {
+        console.log(`🗑️  Deleted ${deleted} account${deleted === 1 ? '' : 's'} at the users' request`);
+    }
+    return deleted;
+};
+
+/**
+ * Run deleteDueAccounts now and then once an hour
+ * The timer doesn't keep the process alive
+ */
+const startAccountDeletionSweep = () => {
+    const sweep = () => deleteDueAccounts()
+        .catch((error) => console.error('Error deleting scheduled accounts:', error));
+
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    GRACE_DAYS,
+    exportAccountData,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    deleteAccount,
+    deleteDueAccounts,
+    startAccountDeletionSweep
+};
@@ -0,0 +1,219 @@
+/**
+ * EMAILS
+ * 
+ * The emails the app sends, built on top of the mailer (services/mailer.js)
+ * 
+ * Sending never throws: a failing mail server is logged, and the caller
+ * gets false back (e.g. registration still succeeds, and the user can
+ * ask for the email again)
+ */
+
+const { sendMail } = require('./mailer');
+const { clientLink } = require('../utils/links');
+
+/**
+ * Escape text for use in the HTML body
+ * 
+ * @param {string} text - Plain text (user input such as names)
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Send an email with one call-to-action link
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {Array<string>} options.lines - Paragraphs before the link (plain text)
+ * @param {string} options.linkText - Text of the button
+ * @param {string} options.link - URL of the button
+ * @param {string} options.footer - Paragraph after the link (plain text)
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendLinkEmail = async ({ to, subject, lines, linkText, link, footer }) => {
+    const text = [...lines, `${linkText}: ${link}`, footer].join('\n\n');
+    const html = [
+        ...lines.map((line) => `<p>${escapeHtml(line)}</p>`),
+        `<p><a href="${escapeHtml(link)}">${escapeHtml(linkText)}</a></p>`,
+        `<p style="color:#64748b">${escapeHtml(footer)}</p>`
+    ].join('\n');
+
+    try {
+        await sendMail({ to, subject, text, html });
+        return true;
+    } catch (error) {
+        console.error(`Error sending "${subject}" email:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Email with the link that verifies the user's email address
+ * 
+ * @param {Object} user - User document
+ * @param {string} token - Email verification token
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendVerificationEmail = (user, token) => sendLinkEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    lines: [`Hi ${user.username},`, 'Please confirm that this is your email address.'],
+    linkText: 'Verify email address',
+    link: clientLink(`/verify-email/${token}`),
+    footer: 'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+});
+
+/**
+ * Email with the link that resets the user's password
+ * 
+ * @param {Object} user - User document
+ * @param {string} token - Password reset token
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendPasswordResetEmail = (user, token) => sendLinkEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    lines: [`Hi ${user.username},`, 'Someone asked to reset the password of your account.'],
+    linkText: 'Choose a new password',
+    link: clientLink(`/reset-password/${token}`),
+    footer: 'The link expires in 1 hour and works once. If you did not ask for it, you can ignore this email.'
+});
+
+/**
+ * Email with a reset link, sent when an admin asked the user to choose a
+ * new password (the old one no longer logs in)
+ * 
+ * @param {Object} user - User document
+ * @param {string} token - Password reset token
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendRequiredPasswordResetEmail = (user, token) => sendLinkEmail({
+    to: user.email,
+    subject: 'Please choose a new password',
+    lines: [
+        `Hi ${user.username},`,
+        'An administrator asked you to choose a new password. Your current password no longer works, and you were logged out everywhere.'
+    ],
+    linkText: 'Choose a new password',
+    link: clientLink(`/reset-password/${token}`),
+    footer: 'The link expires in 1 hour and works once. After that, ask for a new one with "Forgot password" on the login page.'
+});
+
+/**
+ * Email with the link that confirms a new email address
+ * Sent to the new address; the account keeps the old one until then
+ * 
+ * @param {Object} user - User document
+ * @param {string} newEmail - Address the user wants to use
+ * @param {string} token - Email change token
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendEmailChangeEmail = (user, newEmail, token) => sendLinkEmail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    lines: [`Hi ${user.username},`, 'Please confirm that you want to use this email address for your account.'],
+    linkText: 'Confirm email address',
+    link: clientLink(`/verify-email/${token}`),
+    footer: 'The link expires in 24 hours. If you did not ask for this, you can ignore this email.'
+});
+
+/**
+ * Notice sent to the old address once the email was changed
+ * (if someone else changed it, the owner finds out)
+ * 
+ * @param {Object} user - User document (with the new email)
+ * @param {string} oldEmail - Previous address
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendEmailChangedEmail = (user, oldEmail) => sendLinkEmail({
+    to: oldEmail,
+    subject: 'Your email address was changed',
+    lines: [`Hi ${user.username},`, `The email address of your account was changed to ${user.email}.`],
+    linkText: 'Log in',
+    link: clientLink('/login'),
+    footer: 'If you did not make this change, someone else may have access to your account: contact support right away.'
+});
+
+/**
+ * Notice sent when the user asked for their account to be deleted
+ * 
+ * @param {Object} user - User document
+ * @param {Date} deleteAt - When the account will be deleted
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendAccountDeletionEmail = (user, deleteAt) => sendLinkEmail({
+    to: user.email,
+    subject: 'Your account will be deleted',
+    lines: [
+        `Hi ${user.username},`,
+        `Your account and all its data will be deleted on ${deleteAt.toUTCString()}.`,
+        'Until then you can log in and cancel the deletion in your settings.'
+    ],
+    linkText: 'Cancel the deletion',
+    link: clientLink('/settings'),
+    footer: 'If you did not ask for this, log in and cancel it, then change your password.'
+});
+
+/**
+ * Email inviting someone to a workspace
+ * 
+ * @param {Object} options
+ * @param {string} options.email - Invited address
+ * @param {string} options.link - Invite link
+ * @param {Object} options.workspace - Workspace document
+ * @param {Object} options.invitedBy - User who created the invite
+ * @param {string} options.role - Role given by the invite
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendInviteEmail = ({ email, link, workspace, invitedBy, role }) => sendLinkEmail({
+    to: email,
+    subject: `${invitedBy.username} invited you to ${workspace.name}`,
+    lines: [`${invitedBy.username} invited you to join the workspace "${workspace.name}" as ${role}.`],
+    linkText: 'Join the workspace',
+    link,
+    footer: 'The invite expires in 7 days. Log in or register with this email address to accept it.'
+});
+
+/**
+ * Reminder that a task is due (services/reminders.js)
+ * The due date is shown in the user's timezone and language
+ * 
+ * @param {Object} user - User document
+ * @param {Object} task - Task document
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendTaskReminderEmail = (user, task) => {
+    const timeZone = user.timezone || task.timezone || 'UTC';
+    const due = task.dueDate.toLocaleString(
+        user.locale || 'en-US',
+        task.dueAllDay ? { timeZone, dateStyle: 'full' } : { timeZone, dateStyle: 'full', timeStyle: 'short' }
+    );
+
+    return sendLinkEmail({
+        to: user.email,
+        subject: `Reminder: "${task.title}" is due soon`,
+        lines: [
+            `Hi ${user.username},`,
+            `"${task.title}" is due ${task.dueAllDay ? 'on' : 'at'} ${due}.`
+        ],
+        linkText: 'Open your tasks',
+        link: clientLink('/dashboard'),
+        footer: 'You can choose when reminders are sent, or stop emailing them, in your settings.'
+    });
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendRequiredPasswordResetEmail,
+    sendEmailChangeEmail,
+    sendEmailChangedEmail,
+    sendAccountDeletionEmail,
+    sendInviteEmail,
+    sendTaskReminderEmail
+};
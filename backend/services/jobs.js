@@ -0,0 +1,272 @@
+/**
+ * JOB SCHEDULER
+ * 
+ * Runs work at a given time, outside the request cycle (see models/Job.js):
+ * 
+ *   defineJob('task.reminder', async (data) => { ... });
+ *   await scheduleJob('task.reminder', { task, user }, runAt, { key });
+ *   startJobRunner(); // in server.js
+ * 
+ * Jobs are stored in MongoDB, so they survive restarts. Every server
+ * process polls for jobs that are due and claims them one at a time with
+ * an atomic update, so a job runs on one process only. A process that dies
+ * while running a job leaves it locked: after LOCK_TIMEOUT_MS another one
+ * takes it over. A job whose handler throws is retried (after 1, 4, 9...
+ * minutes) up to MAX_ATTEMPTS times, then marked failed.
+ * 
+ * As a job can run again after a crash, handlers check that their work
+ * is still needed (e.g. that the task still exists). A handler with several
+ * steps records the ones it finished with updateJobData, so a retry
+ * doesn't do them twice.
+ * 
+ * Handlers are defined by the services that schedule the jobs (e.g.
+ * services/reminders.js) when they are loaded.
+ * 
+ * The time comes from a clock that can be replaced with setClock, so tests
+ * can move time forward and call runDueJobs themselves.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+
+// How often each process looks for due jobs
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// A running job is taken over when its process didn't finish it in this time
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Times a handler is started before the job is marked failed
+const MAX_ATTEMPTS = 5;
+
+// Identifies this process in Job.lockedBy
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// ============================================
+// CLOCK
+// ============================================
+
+let clock = () => new Date();
+
+/**
+ * Current time, according to the clock
+ * 
+ * @returns {Date}
+ */
+const now = () => clock();
+
+/**
+ * Replace the clock (e.g. with a fake one in tests)
+ * 
+ * @param {Function} newClock - Returns the current Date
+ */
+const setClock = (newClock) => {
+    clock = newClock;
+};
+
+// ============================================
+// HANDLERS
+// ============================================
+
+const handlers = new Map();
+
+/**
+ * Set the function that runs the jobs of a name
+ * 
+ * @param {string} name - Job name, e.g. "task.reminder"
+ * @param {Function} handler - async (data, job) => {...}
+ */
+const defineJob = (name, handler) => {
+    handlers.set(name, handler);
+};
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Duplicate key error (another pending job already has the key)
+ */
+const isDuplicateKey = (error) => error.code === 11000;
+
+/**
+ * Schedule a job
+ * With a key, a pending job with the same key is moved instead of
+ * scheduling a second one
+ * 
+ * @param {string} name - Job name
+ * @param {Object} data - Arguments of the handler
+ * @param {Date} runAt - When to run it
+ * @param {Object} options - { key }
+ * @returns {Promise<Object>} The job
+ */
+const scheduleJob = async (name, data, runAt, { key = null } = {}) => {
+    if (!key) {
+        return Job.create({ name, data, runAt });
+    }
+
+    const upsert = () => Job.findOneAndUpdate(
+        { key, status: 'pending' },
+        { $set: { name, data, runAt } },
+        { upsert: true, new: true }
+    );
+
+    try {
+        return await upsert();
+    } catch (error) {
+        // Another process inserted it at the same time - move that one
+        if (!isDuplicateKey(error)) {
+            throw error;
+        }
+        return upsert();
+    }
+};
+
+/**
+ * Cancel (delete) the pending jobs matching a filter
+ * 
+ * @param {Object} filter - e.g. { name: 'task.reminder', 'data.task': taskId }
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+const cancelJobs = async (filter) => {
+    const result = await Job.deleteMany({ ...filter, status: 'pending' });
+    return result.deletedCount;
+};
+
+// ============================================
+// RUNNING
+// ============================================
+
+/**
+ * Claim the next due job for this process
+ * Pending jobs whose time has come, and running jobs whose process died
+ * 
+ * @returns {Promise<Object|null>} The job, or null if none is due
+ */
+const claimNextJob = () => {
+    const current = now();
+
+    return Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', runAt: { $lte: current } },
+                { status: 'running', lockedAt: { $lte: new Date(current.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: current },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Run a claimed job and record how it went
+ * Only the process holding the lock updates it
+ * 
+ * @param {Object} job - Job document (status running)
+ */
+const runJob = async (job) => {
+    const handler = handlers.get(job.name);
+    const unlock = { lockedBy: null, lockedAt: null };
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler for job "${job.name}"`);
+        }
+
+        await handler(job.data, job);
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: WORKER_ID },
+            { $set: { ...unlock, status: 'done', finishedAt: now() } }
+        );
+    } catch (error) {
+        console.error(`Error running job "${job.name}":`, error);
+
+        const failed = { ...unlock, status: 'failed', finishedAt: now(), lastError: error.message };
+        const retry = handler && job.attempts < MAX_ATTEMPTS
+            ? { ...unlock, status: 'pending', runAt: new Date(now().getTime() + job.attempts ** 2 * 60 * 1000), lastError: error.message }
+            : failed;
+
+        try {
+            await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: retry });
+        } catch (updateError) {
+            // A job with the same key was scheduled meanwhile: it replaces this one
+            if (!isDuplicateKey(updateError)) {
+                throw updateError;
+            }
+            await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: failed });
+        }
+    }
+};
+
+/**
+ * Save progress in the data of a running job
+ * A retry gets the saved data, so it can skip the steps already done
+ * 
+ * @param {Object} job - The job passed to the handler
+ * @param {Object} fields - Fields to set in job.data, e.g. { notified: true }
+ */
+const updateJobData = async (job, fields) => {
+    const update = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`data.${field}`, value]));
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: update });
+    Object.assign(job.data, fields);
+};
+
+/**
+ * Run every job that is due, one after the other
+ * 
+ * @returns {Promise<number>} Number of jobs run
+ */
+const runDueJobs = async () => {
+    let count = 0;
+    let job = await claimNextJob();
+
+    while (job) {
+        await runJob(job);
+        count++;
+        job = await claimNextJob();
+    }
+
+    return count;
+};
+
+/**
+ * Run the due jobs now and then every POLL_INTERVAL_MS
+ * A poll is skipped while the previous one is still running
+ * The timer doesn't keep the process alive
+ */
+const startJobRunner = () => {
+    let isPolling = false;
+
+    const poll = async () => {
+        if (isPolling) {
+            return;
+        }
+
+        isPolling = true;
+        try {
+            await runDueJobs();
+        } catch (error) {
+            console.error('Error running scheduled jobs:', error);
+        } finally {
+            isPolling = false;
+        }
+    };
+
+    poll();
+    setInterval(poll, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    defineJob,
+    scheduleJob,
+    cancelJobs,
+    updateJobData,
+    runDueJobs,
+    startJobRunner,
+    now,
+    setClock
+};
@@ -0,0 +1,139 @@
+/**
+ * MAILER
+ * 
+ * Sends emails through a "transport". Which one is used is set with
+ * MAIL_TRANSPORT in .env:
+ * - console (default): prints the email in the server log
+ * - file:              writes each email as an .eml file to MAIL_DIR
+ *                      (open it with any mail client)
+ * - smtp:              sends it with an SMTP server (SMTP_HOST, SMTP_PORT,
+ *                      SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * 
+ * console and file need no mail server, so the app can be tried locally.
+ * Other transports (an email API, a test double...) can be plugged in
+ * with setTransport.
+ * 
+ * Usage:
+ *   await sendMail({ to: 'bob@example.com', subject: 'Hi', text: '...', html: '...' });
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Sender address of every email
+const MAIL_FROM = process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>';
+
+// Folder of the file transport
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// ============================================
+// TRANSPORTS
+// A transport is an object with an async send(message) function
+// message: { from, to, subject, text, html }
+// ============================================
+
+/**
+ * Print emails in the server log
+ */
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+    }
+};
+
+/**
+ * Write emails as .eml files
+ * nodemailer builds the raw message, so the files look like real emails
+ */
+const fileTransport = {
+    send: async (message) => {
+        const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        const info = await builder.sendMail(message);
+
+        await fs.mkdir(MAIL_DIR, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.writeFile(path.join(MAIL_DIR, fileName), info.message);
+
+        console.log(`📧 Email to ${message.to} written to ${path.join(MAIL_DIR, fileName)}`);
+    }
+};
+
+/**
+ * Send emails with an SMTP server
+ * The nodemailer transport is created on first use
+ */
+const createSmtpTransport = () => {
+    const smtp = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // true for port 465
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        send: async (message) => {
+            await smtp.sendMail(message);
+        }
+    };
+};
+
+/**
+ * Transports available through MAIL_TRANSPORT
+ */
+const TRANSPORTS = {
+    console: () => consoleTransport,
+    file: () => fileTransport,
+    smtp: createSmtpTransport
+};
+
+/**
+ * The transport in use (created on the first email)
+ */
+let transport = null;
+
+/**
+ * Get the transport in use, creating it from MAIL_TRANSPORT if needed
+ * 
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+};
+
+/**
+ * Replace the transport
+ * 
+ * @param {Object} customTransport - Object with an async send(message) function
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Send an email
+ * 
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise} Rejects if the transport fails
+ */
+const sendMail = async (message) => {
+    await getTransport().send({ from: MAIL_FROM, ...message });
+};
+
+module.exports = {
+    sendMail,
+    setTransport
+};
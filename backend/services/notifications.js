@@ -0,0 +1,157 @@
+/**
+ * NOTIFICATIONS
+ * 
+ * Tells users what happened to their tasks (see models/Notification.js).
+ * The routes call:
+ * - notifyAssigned: someone was assigned to a task
+ * - notifyComment: a comment was posted - the task's creator and assignees
+ *   get a "comment", the members it mentions get a "mention" instead
+ * - notifyMentions: members mentioned in an edited comment
+ * 
+ * and due date reminders (services/reminders.js) call notifyDueSoon.
+ * 
+ * Nobody is notified of what they did themselves, only current members of
+ * the task's workspace are notified, and users only get the types they
+ * left on (User.notificationPreferences). New notifications are pushed to
+ * the user's open tabs (notification.created, see services/realtime.js).
+ * 
+ * Notifying never throws: a lost notification mustn't fail the change itself
+ */
+
+const Notification = require('../models/Notification');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const { publishUserEvent } = require('./realtime');
+const { idOf } = require('../utils/ids');
+
+/**
+ * Create a notification for each of the users who want it
+ * 
+ * @param {Array} userIds - Candidate recipients (ids or populated users)
+ * @param {Object} fields - { type, workspace, task, taskTitle, comment, actor }
+ * @returns {Promise<Array>} The notifications created
+ */
+const createNotifications = async (userIds, fields) => {
+    const actorId = fields.actor ? String(fields.actor) : null;
+    const ids = [...new Set(userIds.map(idOf))].filter((id) => id !== actorId);
+    if (ids.length === 0) {
+        return [];
+    }
+
+    // Members of the workspace who didn't turn this type off
+    const memberIds = await Membership.find({ workspace: fields.workspace, user: { $in: ids } }).distinct('user');
+    const recipients = await User.find({
+        _id: { $in: memberIds },
+        [`notificationPreferences.${fields.type}`]: { $ne: false }
+    }).distinct('_id');
+
+    if (recipients.length === 0) {
+        return [];
+    }
+
+    const created = await Notification.insertMany(recipients.map((user) => ({ ...fields, user })));
+    const notifications = await Notification.find({ _id: { $in: created.map((n) => n._id) } }).withRelations();
+
+    notifications.forEach((notification) => {
+        publishUserEvent(notification.user, 'notification.created', notification);
+    });
+
+    return notifications;
+};
+
+/**
+ * Run a notify function without letting it throw
+ */
+const safely = (name, notify) => async (...args) => {
+    try {
+        return await notify(...args);
+    } catch (error) {
+        console.error(`Error sending ${name} notifications:`, error);
+        return [];
+    }
+};
+
+/**
+ * Tell users they were assigned to a task
+ * 
+ * @param {Object} task - The task
+ * @param {Array} userIds - The new assignees
+ * @param {ObjectId} actorId - Who assigned them
+ */
+const notifyAssigned = safely('assignment', (task, userIds, actorId) => {
+    return createNotifications(userIds, {
+        type: 'assigned',
+        workspace: task.workspace,
+        task: task._id,
+        taskTitle: task.title,
+        actor: actorId
+    });
+});
+
+/**
+ * Tell members they were mentioned in a comment
+ * 
+ * @param {Object} task - The task commented on
+ * @param {Object} comment - The comment
+ * @param {Array} userIds - The mentioned users
+ * @param {ObjectId} actorId - The comment's author
+ */
+const notifyMentions = safely('mention', (task, comment, userIds, actorId) => {
+    return createNotifications(userIds, {
+        type: 'mention',
+        workspace: task.workspace,
+        task: task._id,
+        taskTitle: task.title,
+        comment: comment._id,
+        actor: actorId
+    });
+});
+
+/**
+ * Tell the creator and assignees of a task about a new comment
+ * Mentioned members get a "mention" instead (not both)
+ * 
+ * @param {Object} task - The task commented on
+ * @param {Object} comment - The new comment
+ * @param {ObjectId} actorId - The comment's author
+ */
+const notifyComment = safely('comment', async (task, comment, actorId) => {
+    const mentioned = comment.mentions.map(idOf);
+    const followers = [task.user, ...task.assignees].map(idOf).filter((id) => !mentioned.includes(id));
+
+    const [mentions, comments] = await Promise.all([
+        notifyMentions(task, comment, mentioned, actorId),
+        createNotifications(followers, {
+            type: 'comment',
+            workspace: task.workspace,
+            task: task._id,
+            taskTitle: task.title,
+            comment: comment._id,
+            actor: actorId
+        })
+    ]);
+
+    return [...mentions, ...comments];
+});
+
+/**
+ * Tell users a task they work on is due (a reminder, see services/reminders.js)
+ * 
+ * @param {Object} task - The task
+ * @param {Array} userIds - The users reminded
+ */
+const notifyDueSoon = safely('due soon', (task, userIds) => {
+    return createNotifications(userIds, {
+        type: 'due_soon',
+        workspace: task.workspace,
+        task: task._id,
+        taskTitle: task.title
+    });
+});
+
+module.exports = {
+    notifyAssigned,
+    notifyComment,
+    notifyMentions,
+    notifyDueSoon
+};
@@ -0,0 +1,230 @@
+/**
+ * OPENID CONNECT PROVIDERS
+ * 
+ * Single sign-on with any OpenID Connect identity provider (company IdP,
+ * Google, Keycloak...), using the authorization code flow with PKCE
+ * (see routes/oidc.js for the login itself).
+ * 
+ * Providers are set in .env. OIDC_PROVIDERS lists their ids, and each
+ * id has its own variables (id "corp" -> OIDC_CORP_...):
+ *   OIDC_PROVIDERS=corp
+ *   OIDC_CORP_NAME=Acme SSO                  # button label (default: the id)
+ *   OIDC_CORP_ISSUER=https://sso.acme.com    # discovery: <issuer>/.well-known/openid-configuration
+ *   OIDC_CORP_CLIENT_ID=task-manager
+ *   OIDC_CORP_CLIENT_SECRET=...              # leave out for a public client
+ *   OIDC_CORP_SCOPES=openid email profile    # default
+ * 
+ * The provider must allow this redirect URI:
+ *   <API_PUBLIC_URL>/auth/oidc/<id>/callback
+ * 
+ * The issuer is only contacted on the first login, so tests can point
+ * OIDC_<ID>_ISSUER at a local mock provider (http:// works) started
+ * after the server; clearProviderCache forgets what was discovered.
+ */
+
+const { Issuer, generators } = require('openid-client');
+
+// Address of this API as seen by browsers (the provider redirects back to it)
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/api`)
+    .replace(/\/$/, '');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Read a provider's variable from .env
+ * 
+ * @param {string} id - Provider id, e.g. "corp"
+ * @param {string} name - Variable name, e.g. "ISSUER"
+ * @returns {string|undefined}
+ */
+const providerEnv = (id, name) => process.env[`OIDC_${id.toUpperCase().replace(/-/g, '_')}_${name}`];
+
+/**
+ * The configured providers (read once)
+ */
+let providers = null;
+
+/**
+ * Get the configured providers
+ * 
+ * @returns {Array<Object>} [{ id, name, issuer, clientId, clientSecret, scopes }]
+ */
+const getProviders = () => {
+    if (!providers) {
+        const ids = (process.env.OIDC_PROVIDERS || '')
+            .split(',')
+            .map((id) => id.trim().toLowerCase())
+            .filter(Boolean);
+
+        providers = ids.map((id) => {
+            if (!/^[a-z0-9-]+$/.test(id)) {
+                throw new Error(`Invalid OIDC provider id "${id}" (use letters, digits and dashes)`);
+            }
+
+            const issuer = providerEnv(id, 'ISSUER');
+            const clientId = providerEnv(id, 'CLIENT_ID');
+            if (!issuer || !clientId) {
+                throw new Error(`OIDC provider "${id}" needs OIDC_${id.toUpperCase().replace(/-/g, '_')}_ISSUER and _CLIENT_ID`);
+            }
+
+            return {
+                id,
+                name: providerEnv(id, 'NAME') || id,
+                issuer,
+                clientId,
+                clientSecret: providerEnv(id, 'CLIENT_SECRET') || null,
+                scopes: providerEnv(id, 'SCOPES') || 'openid email profile'
+            };
+        });
+    }
+    return providers;
+};
+
+/**
+ * Find a configured provider
+ * 
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider
+ */
+const getProvider = (id) => getProviders().find((provider) => provider.id === id) || null;
+
+/**
+ * The providers as shown on the login page
+ * 
+ * @returns {Array<Object>} [{ id, name }]
+ */
+const listProviders = () => getProviders().map(({ id, name }) => ({ id, name }));
+
+/**
+ * Address the provider sends the user back to
+ * 
+ * @param {Object} provider - Provider
+ * @returns {string} e.g. http://localhost:5000/api/auth/oidc/corp/callback
+ */
+const redirectUri = (provider) => `${API_PUBLIC_URL}/auth/oidc/${provider.id}/callback`;
+
+// ============================================
+// CLIENTS
+// ============================================
+
+/**
+ * Clients of the providers, by id (promises, so parallel logins share one discovery)
+ */
+const clients = new Map();
+
+/**
+ * Get the client of a provider, discovering its endpoints on first use
+ * 
+ * @param {Object} provider - Provider
+ * @returns {Promise<Object>} openid-client Client
+ */
+const getClient = (provider) => {
+    if (!clients.has(provider.id)) {
+        const client = Issuer.discover(provider.issuer).then((issuer) => new issuer.Client({
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || undefined,
+            redirect_uris: [redirectUri(provider)],
+            response_types: ['code'],
+            token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+        }));
+
+        // Try again on the next login if the provider was unreachable
+        client.catch(() => clients.delete(provider.id));
+        clients.set(provider.id, client);
+    }
+    return clients.get(provider.id);
+};
+
+/**
+ * Forget the discovered providers and the configuration
+ * (after changing .env at runtime, or restarting a mock provider in tests)
+ */
+const clearProviderCache = () => {
+    clients.clear();
+    providers = null;
+};
+
+// ============================================
+// LOGIN FLOW
+// ============================================
+
+/**
+ * Start a login: build the provider's authorization URL
+ * 
+ * The returned checks must be kept until the callback (routes/oidc.js
+ * keeps them in a short-lived cookie):
+ * - state: ties the callback to this browser (CSRF)
+ * - nonce: ties the ID token to this login (replay)
+ * - codeVerifier: PKCE - only this server can redeem the code
+ * 
+ * @param {Object} provider - Provider
+ * @returns {Promise<Object>} { url, checks: { state, nonce, codeVerifier } }
+ */
+const createAuthorization = async (provider) => {
+    const client = await getClient(provider);
+
+    const checks = {
+        state: generators.state(),
+        nonce: generators.nonce(),
+        codeVerifier: generators.codeVerifier()
+    };
+
+    const url = client.authorizationUrl({
+        scope: provider.scopes,
+        state: checks.state,
+        nonce: checks.nonce,
+        code_challenge: generators.codeChallenge(checks.codeVerifier),
+        code_challenge_method: 'S256'
+    });
+
+    return { url, checks };
+};
+
+/**
+ * Finish a login: redeem the code and read who the user is
+ * The ID token's signature, issuer, audience, expiry and nonce are checked
+ * 
+ * @param {Object} provider - Provider
+ * @param {Object} req - Express request to the callback URL
+ * @param {Object} checks - The checks from createAuthorization
+ * @returns {Promise<Object>} { subject, email, emailVerified, name, username }
+ * @throws {Error} If the provider refused the login (OPError) or a check failed (RPError)
+ */
+const finishAuthorization = async (provider, req, checks) => {
+    const client = await getClient(provider);
+
+    const tokenSet = await client.callback(redirectUri(provider), client.callbackParams(req), {
+        state: checks.state,
+        nonce: checks.nonce,
+        code_verifier: checks.codeVerifier
+    });
+
+    // Some providers only put the email in the userinfo response
+    let claims = tokenSet.claims();
+    if (!claims.email && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+        const userinfo = await client.userinfo(tokenSet);
+        // The subject must be the same user (OpenID Connect Core 5.3.2)
+        if (userinfo.sub === claims.sub) {
+            claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+        }
+    }
+
+    return {
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+        // Some providers send "true" as a string
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || null,
+        username: claims.preferred_username || claims.nickname || null
+    };
+};
+
+module.exports = {
+    listProviders,
+    getProvider,
+    createAuthorization,
+    finishAuthorization,
+    clearProviderCache
+};
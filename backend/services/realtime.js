@@ -0,0 +1,249 @@
+/**
+ * REAL-TIME EVENTS
+ * 
+ * Tells open browser tabs (and other clients) about changes to the tasks
+ * of a workspace as they happen, so the task list doesn't go stale.
+ * Clients listen with Server-Sent Events (see routes/events.js); routes
+ * publish what they changed:
+ * 
+ *   publishWorkspaceEvent(req.workspace._id, 'task.updated', task);
+ * 
+ * Events (the data is JSON):
+ * - task.created     the new task (with its relations, like GET /api/tasks)
+ * - task.updated     the updated task
+ * - task.deleted     { _id }
+ * - tasks.changed    { reason: 'project' | 'status' | 'tag' } - many tasks
+ *                    changed at once, clients load the list again
+ * - comment.created  the new comment, with the task's commentCount
+ * - comment.updated  the edited comment
+ * - comment.deleted  { _id, task, commentCount }
+ * 
+ * Some events are for one user only, whatever the workspace
+ * (publishUserEvent, see services/notifications.js):
+ * - notification.created  the new notification
+ * 
+ * Events go through a "bus", set with REALTIME_BUS in .env:
+ * - memory (default): only clients connected to this process get them
+ * - redis:            published in Redis at REDIS_URL, so clients connected
+ *                     to any server process get them
+ *                     (needs the redis package, an optional dependency)
+ * Other buses can be plugged in with setBus.
+ * 
+ * Events aren't stored: a client that was disconnected loads the list
+ * again when it reconnects.
+ */
+
+const { EventEmitter } = require('events');
+
+// ============================================
+// BUSES
+// A bus has two functions:
+// - publish(message) - message: { workspace or user, event, data } (data is a JSON string)
+// - subscribe(listener) - listener(message) is called for every message
+// ============================================
+
+/**
+ * Pass events around inside this process
+ */
+class MemoryBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+    }
+
+    async publish(message) {
+        this.emitter.emit('message', message);
+    }
+
+    subscribe(listener) {
+        this.emitter.on('message', listener);
+    }
+}
+
+/**
+ * Pass events through Redis pub/sub (node-redis v4 clients)
+ * A subscribed client can't publish, so there are two connections
+ */
+class RedisBus {
+    /**
+     * @param {Object} client - Connected node-redis client (used to publish)
+     * @param {string} channel - Redis channel of the events
+     */
+    constructor(client, channel = 'realtime:events') {
+        this.client = client;
+        this.subscriber = client.duplicate();
+        this.subscriber.on('error', (error) => console.error('Redis error:', error.message));
+        this.channel = channel;
+    }
+
+    async publish(message) {
+        await this.client.publish(this.channel, JSON.stringify(message));
+    }
+
+    subscribe(listener) {
+        this.subscriber.connect()
+            .then(() => this.subscriber.subscribe(this.channel, (raw) => listener(JSON.parse(raw))))
+            .catch((error) => console.error('Could not subscribe to Redis events:', error.message));
+    }
+}
+
+/**
+ * Create the bus configured in .env
+ * 
+ * @returns {Object} Bus
+ */
+const createBus = () => {
+    if ((process.env.REALTIME_BUS || 'memory') === 'redis') {
+        // Only needed (and installed) when Redis is used
+        const { createClient } = require('redis');
+        const client = createClient({ url: process.env.REDIS_URL });
+        client.on('error', (error) => console.error('Redis error:', error.message));
+        client.connect().catch((error) => console.error('Could not connect to Redis:', error.message));
+
+        return new RedisBus(client);
+    }
+
+    return new MemoryBus();
+};
+
+// Bus used to publish and receive events (created on first use)
+let bus = null;
+
+const getBus = () => {
+    if (!bus) {
+        bus = createBus();
+        bus.subscribe(dispatch);
+    }
+    return bus;
+};
+
+/**
+ * Use another bus (e.g. a Redis client set up elsewhere, or in tests)
+ * 
+ * @param {Object} newBus - Object with publish and subscribe functions
+ */
+const setBus = (newBus) => {
+    bus = newBus;
+    bus.subscribe(dispatch);
+};
+
+// ============================================
+// LISTENERS
+// ============================================
+
+/**
+ * Listeners of this process, by channel:
+ * the workspace id, or "user:<id>" for the events of one user
+ */
+const listeners = new Map();
+
+/**
+ * Channel of a message from the bus
+ * 
+ * @param {Object} message - { workspace, event, data } or { user, event, data }
+ * @returns {string}
+ */
+const channelOf = (message) => (message.user ? `user:${message.user}` : message.workspace);
+
+/**
+ * Hand a message from the bus to the listeners of its channel
+ * 
+ * @param {Object} message - { workspace or user, event, data }
+ */
+function dispatch(message) {
+    const channelListeners = listeners.get(channelOf(message));
+    if (!channelListeners) return;
+
+    channelListeners.forEach((listener) => {
+        try {
+            listener(message);
+        } catch (error) {
+            console.error('Error sending a real-time event:', error.message);
+        }
+    });
+}
+
+/**
+ * Add a listener to a channel
+ * 
+ * @param {string} key - Channel
+ * @param {Function} listener - Called with the messages of the channel
+ * @returns {Function} Function that stops listening
+ */
+const addListener = (key, listener) => {
+    getBus();
+
+    if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+    }
+    listeners.get(key).add(listener);
+
+    return () => {
+        const channelListeners = listeners.get(key);
+        if (!channelListeners) return;
+        channelListeners.delete(listener);
+        if (channelListeners.size === 0) {
+            listeners.delete(key);
+        }
+    };
+};
+
+/**
+ * Listen to the events of a workspace
+ * 
+ * @param {string|Object} workspaceId - Workspace id
+ * @param {Function} listener - Called with { workspace, event, data } (data is a JSON string)
+ * @returns {Function} Function that stops listening
+ */
+const subscribe = (workspaceId, listener) => addListener(String(workspaceId), listener);
+
+/**
+ * Listen to the events of one user
+ * 
+ * @param {string|Object} userId - User id
+ * @param {Function} listener - Called with { user, event, data } (data is a JSON string)
+ * @returns {Function} Function that stops listening
+ */
+const subscribeUser = (userId, listener) => addListener(`user:${userId}`, listener);
+
+/**
+ * Publish a message on the bus
+ * Never throws: the change itself was saved, a lost event only means
+ * clients see it on their next reload
+ * 
+ * @param {Object} message - { workspace or user, event, data }
+ */
+const publish = (message) => {
+    Promise.resolve()
+        .then(() => getBus().publish(message))
+        .catch((error) => console.error('Error publishing a real-time event:', error.message));
+};
+
+/**
+ * Tell the clients of a workspace about a change
+ * 
+ * @param {string|Object} workspaceId - Workspace id
+ * @param {string} event - Event name, e.g. "task.updated"
+ * @param {Object} data - Event data (documents are sent as JSON)
+ */
+const publishWorkspaceEvent = (workspaceId, event, data) => {
+    publish({ workspace: String(workspaceId), event, data: JSON.stringify(data) });
+};
+
+/**
+ * Tell the clients of one user about something that concerns only them
+ * 
+ * @param {string|Object} userId - User id
+ * @param {string} event - Event name, e.g. "notification.created"
+ * @param {Object} data - Event data (documents are sent as JSON)
+ */
+const publishUserEvent = (userId, event, data) => {
+    publish({ user: String(userId), event, data: JSON.stringify(data) });
+};
+
+module.exports = {
+    subscribe,
+    subscribeUser,
+    publishWorkspaceEvent,
+    publishUserEvent,
+    setBus
+};
@@ -0,0 +1,214 @@
+/**
+ * DUE DATE REMINDERS
+ * 
+ * Reminds the people working on a task that it is due, at the offsets
+ * each of them chose (User.reminderPreferences, by default a day and an
+ * hour before). Each reminder is a job (services/jobs.js), so it is still
+ * sent after a restart, and only once with several server processes.
+ * 
+ * A reminder is delivered in-app (a due_soon notification, unless the
+ * user turned those off) and by email (unless turned off, and only to a
+ * verified address).
+ * 
+ * Who is reminded: the assignees of the task, or its creator when nobody
+ * is assigned - current members of the workspace only.
+ * 
+ * The due time of an all-day task is the start of its due day (in the
+ * task's timezone): "1 day before" is the start of the day before.
+ * 
+ * The routes call scheduleTaskReminders whenever a task is created or
+ * changed, and cancelTaskReminders when it is deleted. A reminder checks
+ * the task again when it runs (it could have been completed, moved to
+ * another date or reassigned), so a stale reminder does nothing.
+ * 
+ * A reminder can be snoozed (routes/notifications.js): it is sent again
+ * after the chosen delay.
+ * 
+ * Scheduling never throws: a lost reminder mustn't fail the change itself
+ */
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { defineJob, scheduleJob, cancelJobs, updateJobData, now } = require('./jobs');
+const { notifyDueSoon } = require('./notifications');
+const { sendTaskReminderEmail } = require('./emails');
+const { startOfDay } = require('../utils/dates');
+const { idOf } = require('../utils/ids');
+
+// Name of the reminder jobs
+const REMINDER_JOB = 'task.reminder';
+
+/**
+ * Users reminded of a task: its assignees, or its creator
+ * 
+ * @param {Object} task - Task document
+ * @returns {Array<string>} User ids
+ */
+const reminderRecipients = (task) => (task.assignees.length > 0 ? task.assignees : [task.user]).map(idOf);
+
+/**
+ * When the task is due (the start of the day for all-day tasks)
+ */
+const dueTimeOf = (task) => (task.dueAllDay ? startOfDay(task.dueDate, task.timezone || 'UTC') : task.dueDate);
+
+/**
+ * Key of a reminder job (one per task, user and offset)
+ */
+const reminderKey = (taskId, userId, offset) => `reminder:${taskId}:${userId}:${offset}`;
+
+/**
+ * Schedule the reminders of a task, and cancel those it doesn't need anymore
+ * Only reminders still in the future are scheduled; snoozed ones are kept
+ * 
+ * @param {Object} task - Task document (after the change)
+ * @returns {Promise<number>} Number of reminders scheduled
+ */
+const scheduleTaskReminders = async (task) => {
+    try {
+        const reminders = [];
+
+        if (task.dueDate && !task.completed) {
+            const dueAt = dueTimeOf(task).getTime();
+            const users = await User.find({ _id: { $in: reminderRecipients(task) } }).select('reminderPreferences');
+
+            users.forEach((user) => {
+                const offsets = user.reminderPreferences?.offsets || User.DEFAULT_REMINDER_OFFSETS;
+                offsets.forEach((offset) => {
+                    const runAt = new Date(dueAt - offset * 60 * 1000);
+                    if (runAt > now()) {
+                        reminders.push({ user: user._id, offset, runAt, key: reminderKey(task._id, user._id, offset) });
+                    }
+                });
+            });
+        }
+
+        await cancelJobs({
+            name: REMINDER_JOB,
+            'data.task': task._id,
+            'data.snoozed': { $ne: true },
+            key: { $nin: reminders.map((reminder) => reminder.key) }
+        });
+
+        for (const reminder of reminders) {
+            await scheduleJob(
+                REMINDER_JOB,
+                { task: task._id, user: reminder.user, dueDate: task.dueDate, offset: reminder.offset },
+                reminder.runAt,
+                { key: reminder.key }
+            );
+        }
+
+        return reminders.length;
+    } catch (error) {
+        console.error('Error scheduling reminders:', error);
+        return 0;
+    }
+};
+
+/**
+ * Cancel every reminder of deleted tasks (snoozed ones too)
+ * 
+ * @param {Array} taskIds - The deleted tasks
+ */
+const cancelTaskReminders = async (taskIds) => {
+    try {
+        await cancelJobs({ name: REMINDER_JOB, 'data.task': { $in: taskIds } });
+    } catch (error) {
+        console.error('Error cancelling reminders:', error);
+    }
+};
+
+/**
+ * Schedule the reminders of a user's open tasks again
+ * Called when they change their reminder offsets
+ * 
+ * @param {ObjectId} userId - The user
+ * @returns {Promise<number>} Number of tasks rescheduled
+ */
+const rescheduleUserReminders = async (userId) => {
+    try {
+        const tasks = await Task.find({
+            completed: false,
+            dueDate: { $gt: now() },
+            $or: [{ assignees: userId }, { user: userId, assignees: { $size: 0 } }]
+        });
+
+        for (const task of tasks) {
+            await scheduleTaskReminders(task);
+        }
+
+        return tasks.length;
+    } catch (error) {
+        console.error('Error rescheduling reminders:', error);
+        return 0;
+    }
+};
+
+/**
+ * Remind a user of a task again later
+ * 
+ * @param {ObjectId} taskId - The task
+ * @param {ObjectId} userId - The user
+ * @param {number} minutes - Delay
+ * @returns {Promise<Date>} When the reminder will be sent
+ */
+const snoozeReminder = async (taskId, userId, minutes) => {
+    const runAt = new Date(now().getTime() + minutes * 60 * 1000);
+
+    await scheduleJob(
+        REMINDER_JOB,
+        { task: taskId, user: userId, snoozed: true },
+        runAt,
+        { key: reminderKey(taskId, userId, 'snooze') }
+    );
+
+    return runAt;
+};
+
+/**
+ * Send a reminder (the job handler)
+ * Does nothing when it isn't needed anymore
+ * 
+ * The in-app notification is recorded as sent on the job (data.notified),
+ * so when the email fails and the job is retried, it isn't shown twice
+ * 
+ * @param {Object} data - { task, user, dueDate, offset } or { task, user, snoozed }
+ * @param {Object} job - The job
+ */
+const sendReminder = async (data, job) => {
+    const { task: taskId, user: userId, dueDate, snoozed, notified } = data;
+    const [task, user] = await Promise.all([Task.findById(taskId), User.findById(userId)]);
+    if (!task || !user || !task.dueDate || task.completed || user.disabledAt) {
+        return;
+    }
+
+    // Scheduled for an earlier due date, or the user isn't on the task anymore
+    if (!snoozed && task.dueDate.getTime() !== new Date(dueDate).getTime()) {
+        return;
+    }
+    if (!reminderRecipients(task).includes(String(user._id))) {
+        return;
+    }
+    if (!(await Membership.exists({ workspace: task.workspace, user: user._id }))) {
+        return;
+    }
+
+    if (!notified) {
+        await notifyDueSoon(task, [user._id]);
+        await updateJobData(job, { notified: true });
+    }
+
+    if (user.reminderPreferences?.email !== false && user.emailVerified) {
+        await sendTaskReminderEmail(user, task);
+    }
+};
+
+defineJob(REMINDER_JOB, sendReminder);
+
+module.exports = {
+    scheduleTaskReminders,
+    cancelTaskReminders,
+    rescheduleUserReminders,
+    snoozeReminder
+};
@@ -0,0 +1,146 @@
+/**
+ * FILE STORAGE
+ * 
+ * Stores uploaded files (avatars) through a "driver". Which one is used
+ * is set with STORAGE_DRIVER in .env:
+ * - local (default): writes files to STORAGE_DIR, served by this server
+ *                    at /uploads (STORAGE_PUBLIC_URL is the address of
+ *                    that folder as seen by browsers)
+ * 
+ * Other drivers (S3, a CDN, a test double...) can be plugged in with
+ * setDriver.
+ * 
+ * Files are identified by a key such as "avatars/<userId>-<random>.png";
+ * the database only stores the key, and fileUrl turns it into a link.
+ * 
+ * Usage:
+ *   await saveFile('avatars/abc.png', buffer, 'image/png');
+ *   const url = fileUrl('avatars/abc.png');
+ *   await deleteFile('avatars/abc.png');
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Folder of the local driver
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Address of that folder for browsers (see the /uploads route in server.js)
+const STORAGE_PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`)
+    .replace(/\/$/, '');
+
+// ============================================
+// DRIVERS
+// A driver is an object with:
+// - async save(key, buffer, contentType)
+// - async remove(key)      (no error if the file doesn't exist)
+// - url(key)               public address of the file
+// ============================================
+
+/**
+ * Get the path of a file of the local driver
+ * Keys come from the server, but are still kept inside STORAGE_DIR
+ * 
+ * @param {string} key - File key
+ * @returns {string} Absolute path
+ */
+const localPath = (key) => {
+    const filePath = path.resolve(STORAGE_DIR, key);
+    if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+        throw new Error(`Invalid file key "${key}"`);
+    }
+    return filePath;
+};
+
+/**
+ * Store files on the server's disk
+ */
+const localDriver = {
+    save: async (key, buffer) => {
+        const filePath = localPath(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+        await fs.rm(localPath(key), { force: true });
+    },
+    url: (key) => `${STORAGE_PUBLIC_URL}/${key}`
+};
+
+/**
+ * Drivers available through STORAGE_DRIVER
+ */
+const DRIVERS = {
+    local: () => localDriver
+};
+
+/**
+ * The driver in use (created on first use)
+ */
+let driver = null;
+
+/**
+ * Get the driver in use, creating it from STORAGE_DRIVER if needed
+ * 
+ * @returns {Object} Driver
+ */
+const getDriver = () => {
+    if (!driver) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[name]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}" (use one of: ${Object.keys(DRIVERS).join(', ')})`);
+        }
+        driver = DRIVERS[name]();
+    }
+    return driver;
+};
+
+/**
+ * Replace the driver
+ * 
+ * @param {Object} customDriver - Object with save, remove and url functions
+ */
+const setDriver = (customDriver) => {
+    driver = customDriver;
+};
+
+/**
+ * Store a file
+ * 
+ * @param {string} key - File key, e.g. "avatars/abc.png"
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type, e.g. "image/png"
+ * @returns {Promise}
+ */
+const saveFile = (key, buffer, contentType) => getDriver().save(key, buffer, contentType);
+
+/**
+ * Delete a file
+ * Never throws: a file that can't be deleted is only logged
+ * 
+ * @param {string} key - File key
+ * @returns {Promise}
+ */
+const deleteFile = async (key) => {
+    try {
+        await getDriver().remove(key);
+    } catch (error) {
+        console.error(`Error deleting file "${key}":`, error.message);
+    }
+};
+
+/**
+ * Get the public address of a file
+ * 
+ * @param {string|null} key - File key
+ * @returns {string|null} URL, or null without a key
+ */
+const fileUrl = (key) => (key ? getDriver().url(key) : null);
+
+module.exports = {
+    STORAGE_DIR,
+    saveFile,
+    deleteFile,
+    fileUrl,
+    setDriver
+};
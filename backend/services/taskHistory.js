@@ -0,0 +1,273 @@
+/**
+ * TASK HISTORY
+ * 
+ * Append-only activity log of tasks (see models/TaskActivity.js)
+ * Every create, update, complete and delete records who did it, when,
+ * and which fields changed from what to what
+ * 
+ * - snapshotTask: the tracked fields of a task, as stored in the history
+ * - recordTaskCreated / recordTaskUpdated / recordTaskDeleted /
+ *   recordTaskRestored: record what happened to one or more tasks
+ * - recordTaskChanges: record a bulk change (Task.updateMany) of several tasks
+ * - applySnapshot: set a task back to a version of its history
+ * 
+ * Usage:
+ *   const before = snapshotTask(task);
+ *   ... change and save the task ...
+ *   await recordTaskUpdated(task, req.user._id, before);
+ */
+
+const Task = require('../models/Task');
+const TaskActivity = require('../models/TaskActivity');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Membership = require('../models/Membership');
+const { findStatus } = require('../utils/taskStatus');
+const { idOf } = require('../utils/ids');
+
+/**
+ * Fields compared between two versions of a task
+ * (counters and links such as commentCount or nextOccurrence aren't versioned)
+ */
+const TRACKED_FIELDS = [
+    'title',
+    'description',
+    'status',
+    'priority',
+    'completed',
+    'startDate',
+    'startAllDay',
+    'dueDate',
+    'dueAllDay',
+    'timezone',
+    'project',
+    'tags',
+    'assignees',
+    'subtasks',
+    'autoComplete',
+    'recurrence'
+];
+
+/**
+ * The tracked fields of a task (and its creator, to restore a deleted task)
+ * References are stored as id strings, so populated or not gives the same snapshot
+ * 
+ * @param {Object} task - Task document
+ * @returns {Object} Plain object
+ */
+const snapshotTask = (task) => ({
+    user: idOf(task.user),
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    completed: task.completed,
+    startDate: task.startDate || null,
+    startAllDay: task.startAllDay,
+    dueDate: task.dueDate || null,
+    dueAllDay: task.dueAllDay,
+    timezone: task.timezone,
+    project: idOf(task.project),
+    tags: task.tags.map(idOf),
+    assignees: task.assignees.map(idOf),
+    subtasks: task.subtasks.map((subtask) => ({
+        _id: String(subtask._id),
+        title: subtask.title,
+        done: subtask.done
+    })),
+    autoComplete: task.autoComplete,
+    recurrence: task.recurrence ? task.recurrence.toObject() : null
+});
+
+/**
+ * The fields that differ between two snapshots
+ * 
+ * @returns {Array<{ field, before, after }>}
+ */
+const diffSnapshots = (before, after) => {
+    return TRACKED_FIELDS
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Build (without saving) the history entry of a task
+ * 
+ * @param {Object} task - The task, as it is now (as it was, for "deleted")
+ * @param {ObjectId} actorId - Who made the change
+ * @param {string} action - See ACTIVITY_ACTIONS in models/TaskActivity.js
+ * @param {Object|null} before - Snapshot before the change (null: no diff)
+ * @returns {Object} Entry fields
+ */
+const buildEntry = (task, actorId, action, before = null) => {
+    const snapshot = snapshotTask(task);
+
+    return {
+        workspace: task.workspace,
+        task: task._id,
+        actor: actorId,
+        action,
+        changes: before ? diffSnapshots(before, snapshot) : [],
+        snapshot
+    };
+};
+
+/**
+ * Build the entry of an update, or null if no tracked field changed
+ * Completing or re-opening the task is recorded as such
+ */
+const buildUpdateEntry = (task, actorId, before) => {
+    const entry = buildEntry(task, actorId, 'updated', before);
+    if (entry.changes.length === 0) {
+        return null;
+    }
+
+    if (!before.completed && task.completed) {
+        entry.action = 'completed';
+    } else if (before.completed && !task.completed) {
+        entry.action = 'reopened';
+    }
+
+    return entry;
+};
+
+/**
+ * Record the creation of a task
+ * 
+ * @param {Object} task - The saved task
+ * @param {ObjectId} actorId - Who created it
+ * @returns {Promise<Object>} The entry
+ */
+const recordTaskCreated = (task, actorId) => {
+    return TaskActivity.create(buildEntry(task, actorId, 'created'));
+};
+
+/**
+ * Record the update of a task
+ * 
+ * @param {Object} task - The saved task
+ * @param {ObjectId} actorId - Who changed it
+ * @param {Object} before - snapshotTask() taken before the change
+ * @returns {Promise<Object|null>} The entry, or null if nothing changed
+ */
+const recordTaskUpdated = async (task, actorId, before) => {
+    const entry = buildUpdateEntry(task, actorId, before);
+    return entry ? TaskActivity.create(entry) : null;
+};
+
+/**
+ * Record the deletion of tasks - call it BEFORE deleting them
+ * The entry keeps the last version, so the task can be restored
+ * 
+ * @param {Array<Object>} tasks - Task documents
+ * @param {ObjectId} actorId - Who deleted them
+ * @returns {Promise<void>}
+ */
+const recordTaskDeleted = async (tasks, actorId) => {
+    if (tasks.length === 0) {
+        return;
+    }
+    await TaskActivity.insertMany(tasks.map((task) => buildEntry(task, actorId, 'deleted')));
+};
+
+/**
+ * Record that a task was set back to an earlier version
+ * 
+ * @param {Object} task - The saved task
+ * @param {ObjectId} actorId - Who restored it
+ * @param {Object|null} before - snapshotTask() before, null if the task was deleted
+ * @param {ObjectId} activityId - The entry whose version was restored
+ * @returns {Promise<Object>} The entry
+ */
+const recordTaskRestored = (task, actorId, before, activityId) => {
+    return TaskActivity.create({
+        ...buildEntry(task, actorId, 'restored', before),
+        restoredFrom: activityId
+    });
+};
+
+/**
+ * Run a bulk change of tasks and record it for each task it changed
+ * 
+ * e.g. removing a tag from every task:
+ *   await recordTaskChanges({ tags: tag._id }, req.user._id, () =>
+ *       Task.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } })
+ *   );
+ * 
+ * @param {Object} filter - The tasks the change may affect
+ * @param {ObjectId} actorId - Who made the change
+ * @param {Function} applyChanges - Makes the change (async)
+ * @returns {Promise<*>} What applyChanges returned
+ */
+const recordTaskChanges = async (filter, actorId, applyChanges) => {
+    const tasks = await Task.find(filter);
+    const before = new Map(tasks.map((task) => [String(task._id), snapshotTask(task)]));
+
+    const result = await applyChanges();
+    if (tasks.length === 0) {
+        return result;
+    }
+
+    const updated = await Task.find({ _id: { $in: tasks.map((task) => task._id) } });
+    const entries = updated
+        .map((task) => buildUpdateEntry(task, actorId, before.get(String(task._id))))
+        .filter(Boolean);
+
+    if (entries.length > 0) {
+        await TaskActivity.insertMany(entries);
+    }
+
+    return result;
+};
+
+/**
+ * Set a task back to a version of its history (does not save it)
+ * 
+ * What was deleted since is left out: tags, a project, or assignees who
+ * left the workspace. A custom status that was deleted becomes todo / done.
+ * 
+ * @param {Object} task - Task document
+ * @param {Object} snapshot - TaskActivity.snapshot
+ * @param {Object} workspace - The task's workspace
+ * @returns {Promise<void>}
+ */
+const applySnapshot = async (task, snapshot, workspace) => {
+    task.title = snapshot.title;
+    task.description = snapshot.description;
+    task.priority = snapshot.priority;
+    task.startDate = snapshot.startDate;
+    task.startAllDay = snapshot.startAllDay;
+    task.dueDate = snapshot.dueDate;
+    task.dueAllDay = snapshot.dueAllDay;
+    task.timezone = snapshot.timezone;
+    task.subtasks = snapshot.subtasks;
+    task.autoComplete = snapshot.autoComplete;
+    task.recurrence = snapshot.recurrence;
+
+    const status = findStatus(workspace, snapshot.status)
+        || findStatus(workspace, snapshot.completed ? 'done' : 'todo');
+    task.setStatus(status);
+
+    const [projectExists, tagIds, memberIds] = await Promise.all([
+        snapshot.project ? Project.exists({ _id: snapshot.project, workspace: workspace._id }) : null,
+        Tag.find({ _id: { $in: snapshot.tags }, workspace: workspace._id }).distinct('_id'),
+        Membership.find({ workspace: workspace._id, user: { $in: snapshot.assignees } }).distinct('user')
+    ]);
+
+    // Keep the order of the snapshot
+    const stillThere = (ids) => (id) => ids.some((other) => String(other) === id);
+    task.project = projectExists ? snapshot.project : null;
+    task.tags = snapshot.tags.filter(stillThere(tagIds));
+    task.assignees = snapshot.assignees.filter(stillThere(memberIds));
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshotTask,
+    recordTaskCreated,
+    recordTaskUpdated,
+    recordTaskDeleted,
+    recordTaskRestored,
+    recordTaskChanges,
+    applySnapshot
+};
@@ -0,0 +1,523 @@
+/**
+ * IN-MEMORY MODELS FOR TESTS
+ *
+ * The tests run without a MongoDB server: useMemoryModel replaces the
+ * statics of a Mongoose model (create, find, findOneAndUpdate...) and the
+ * save/deleteOne methods of its documents with versions that keep the
+ * documents in an array. Documents are still built and validated by
+ * Mongoose, and the unique indexes of the schema are enforced.
+ *
+ * Only the query and update operators the app uses are supported; an
+ * unknown one throws, so a test never passes by accident.
+ *
+ * Like MongoDB, every operation waits for the next turn of the event loop
+ * and then runs in one go: code running "at the same time" interleaves
+ * between operations, never inside one. An upsert is a find followed by
+ * an insert, so two of them can race (and hit a unique index) like they do
+ * on a real server.
+ */
+
+const mongoose = require('mongoose');
+
+// ============================================
+// VALUES
+// ============================================
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) => value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !isObjectId(value)
+    && !(value instanceof Date);
+
+/**
+ * Copy a stored value (ObjectIds are immutable and kept as they are)
+ */
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+/**
+ * Comparable form of a value: ObjectIds as hex strings, Dates as numbers
+ */
+const normalize = (value) => {
+    if (isObjectId(value)) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    if (Array.isArray(value) || isPlainObject(value)) return JSON.stringify(clone(value), (key, item) => normalize(item));
+    return value;
+};
+
+const equals = (value, expected) => {
+    if (expected === null) return value === null || value === undefined;
+    if (Array.isArray(value) && !Array.isArray(expected)) return value.some((item) => equals(item, expected));
+    return normalize(value) === normalize(expected);
+};
+
+const compare = (value, bound, operator) => {
+    if (value === null || value === undefined) return false;
+    const [a, b] = [normalize(value), normalize(bound)];
+    switch (operator) {
+        case '$gt': return a > b;
+        case '$gte': return a >= b;
+        case '$lt': return a < b;
+        default: return a <= b;
+    }
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Values at a dotted path ("data.task", "identities.provider"),
+ * going into arrays like MongoDB does
+ */
+const valuesAt = (doc, path) => {
+    const [head, ...rest] = path.split('.');
+    const value = doc === null || doc === undefined ? undefined : doc[head];
+    if (rest.length === 0) return [value];
+    if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, rest.join('.')));
+    return valuesAt(value, rest.join('.'));
+};
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some((key) => key.startsWith('$'));
+
+/**
+ * Check the values of a field against a condition ({ $in: [...] } or a plain value)
+ */
+const matchesCondition = (values, condition) => {
+    if (!isOperatorObject(condition)) {
+        return values.some((value) => equals(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, argument]) => {
+        switch (operator) {
+            case '$eq':
+                return values.some((value) => equals(value, argument));
+            case '$ne':
+                return !values.some((value) => equals(value, argument));
+            case '$in':
+                return argument.some((item) => values.some((value) => equals(value, item)));
+            case '$nin':
+                return !argument.some((item) => values.some((value) => equals(value, item)));
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return values.some((value) => compare(value, argument, operator));
+            case '$exists':
+                return values.some((value) => value !== undefined) === Boolean(argument);
+            case '$size':
+                return values.some((value) => Array.isArray(value) && value.length === argument);
+            case '$type':
+                return values.some((value) => typeof value === argument);
+            case '$elemMatch':
+                return values.some((value) => Array.isArray(value) && value.some((item) => matches(item, argument)));
+            default:
+                throw new Error(`memoryModel: unsupported query operator ${operator}`);
+        }
+    });
+};
+
+/**
+ * Check if a stored document matches a filter
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$nor') return !condition.some((part) => matches(doc, part));
+    if (key.startsWith('$')) throw new Error(`memoryModel: unsupported query operator ${key}`);
+    return matchesCondition(valuesAt(doc, key), condition);
+});
+
+/**
+ * Sort stored documents, e.g. { runAt: 1, _id: -1 }
+ */
+const sortDocs = (docs, sort) => {
+    if (!sort) return docs;
+    const fields = Object.entries(sort);
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const [x, y] = [normalize(valuesAt(a, field)[0]), normalize(valuesAt(b, field)[0])];
+            if (x === y) continue;
+            if (x === undefined || x === null) return -direction;
+            if (y === undefined || y === null) return direction;
+            return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+    });
+};
+
+// ============================================
+// UPDATES
+// ============================================
+
+const setPath = (doc, path, value) => {
+    const parts = path.split('.');
+    const last = parts.pop();
+    let target = doc;
+    parts.forEach((part) => {
+        if (!isPlainObject(target[part])) target[part] = {};
+        target = target[part];
+    });
+    target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((current, part) => current?.[part], doc);
+    if (target) delete target[last];
+};
+
+/**
+ * Apply an update ({ $set, $inc... } or a plain object of fields to set)
+ *
+ * @param {Object} doc - Stored document (changed in place)
+ * @param {Object} update - The update
+ * @param {boolean} inserting - True for an upsert that inserts ($setOnInsert)
+ */
+const applyUpdate = (doc, update, inserting = false) => {
+    const operations = isOperatorObject(update) ? update : { $set: update };
+
+    Object.entries(operations).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([path, value]) => {
+            const current = valuesAt(doc, path)[0];
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                case '$push':
+                    setPath(doc, path, [...(current || []), ...(value?.$each || [value]).map(clone)]);
+                    break;
+                case '$addToSet':
+                    setPath(doc, path, [...(current || []), ...[value].filter((item) => !(current || []).some((existing) => equals(existing, item)))]);
+                    break;
+                case '$pull':
+                    setPath(doc, path, (current || []).filter((item) => !equals(item, value)));
+                    break;
+                default:
+                    throw new Error(`memoryModel: unsupported update operator ${operator}`);
+            }
+        });
+    });
+};
+
+/**
+ * The fields of a filter that an upsert copies into the new document
+ */
+const equalityFields = (filter) => Object.entries(filter)
+    .filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))
+    .reduce((doc, [key, value]) => {
+        setPath(doc, key, clone(value));
+        return doc;
+    }, {});
+
+// ============================================
+// MODELS
+// ============================================
+
+/**
+ * Query returned by find/findOne: awaitable, with the chainable
+ * methods the app uses (select, populate and lean are ignored
+ * except that lean returns plain objects)
+ */
+class MemoryQuery {
+    constructor(run) {
+        this.run = run;
+        this.options = {};
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    limit(limit) { this.options.limit = limit; return this; }
+    skip(skip) { this.options.skip = skip; return this; }
+    lean() { this.options.lean = true; return this; }
+    select() { return this; }
+    populate() { return this; }
+    collation() { return this; }
+    withRelations() { return this; }
+
+    distinct(field) {
+        this.options.distinct = field;
+        return this;
+    }
+
+    exec() {
+        return this.run(this.options);
+    }
+
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    catch(reject) {
+        return this.exec().catch(reject);
+    }
+}
+
+/**
+ * Keep a model's documents in memory
+ *
+ * @param {Object} Model - Mongoose model
+ * @returns {{ docs: Array, reset: Function, restore: Function }}
+ *   docs: the stored documents (plain objects), reset: delete them all,
+ *   restore: put the real statics and methods back
+ */
+const useMemoryModel = (Model) => {
+    const docs = [];
+    const tick = () => new Promise((resolve) => setImmediate(resolve));
+    const timestamps = Boolean(Model.schema.options.timestamps);
+
+    // Unique indexes of the schema: [{ fields, sparse, partialFilterExpression }]
+    const uniqueIndexes = Model.schema.indexes()
+        .filter(([, options]) => options.unique)
+        .map(([fields, options]) => ({ fields: Object.keys(fields), ...options }));
+
+    const checkUnique = (doc) => {
+        uniqueIndexes.forEach((index) => {
+            if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) return;
+            const key = index.fields.map((field) => normalize(valuesAt(doc, field)[0]));
+            if (index.sparse && key.some((value) => value === undefined)) return;
+
+            const duplicate = docs.some((other) => other !== doc
+                && (!index.partialFilterExpression || matches(other, index.partialFilterExpression))
+                && index.fields.every((field, i) => normalize(valuesAt(other, field)[0]) === key[i]));
+            if (duplicate) {
+                const error = new Error(`E11000 duplicate key error (${Model.modelName} ${index.fields.join(', ')})`);
+                error.code = 11000;
+                throw error;
+            }
+        });
+    };
+
+    const hydrate = (doc) => (doc ? Model.hydrate(clone(doc)) : null);
+
+    /**
+     * Build, validate and store a new document
+     */
+    const insert = async (fields) => {
+        const document = new Model(fields);
+        await document.validate();
+        const doc = document.toObject({ depopulate: true });
+        if (timestamps) {
+            doc.createdAt = doc.createdAt || new Date();
+            doc.updatedAt = doc.updatedAt || doc.createdAt;
+        }
+        checkUnique(doc);
+        docs.push(doc);
+        return doc;
+    };
+
+    /**
+     * Update a stored document (undone if it breaks a unique index)
+     */
+    const update = (doc, changes) => {
+        const before = clone(doc);
+        applyUpdate(doc, changes);
+        if (timestamps) doc.updatedAt = new Date();
+        try {
+            checkUnique(doc);
+        } catch (error) {
+            Object.keys(doc).forEach((key) => delete doc[key]);
+            Object.assign(doc, before);
+            throw error;
+        }
+    };
+
+    const findDocs = (filter, { sort, skip = 0, limit } = {}) => {
+        const found = sortDocs(docs.filter((doc) => matches(doc, filter)), sort).slice(skip);
+        return limit ? found.slice(0, limit) : found;
+    };
+
+    const distinctValues = (field, found) => {
+        const values = new Map();
+        found.flatMap((doc) => valuesAt(doc, field)).flat()
+            .filter((value) => value !== undefined)
+            .forEach((value) => values.set(normalize(value), value));
+        return [...values.values()];
+    };
+
+    const statics = {
+        create: async (fields) => {
+            await tick();
+            if (Array.isArray(fields)) {
+                const created = [];
+                for (const item of fields) created.push(hydrate(await insert(item)));
+                return created;
+            }
+            return hydrate(await insert(fields));
+        },
+
+        insertMany: async (items) => statics.create(items),
+
+        find: (filter = {}) => new MemoryQuery(async (options) => {
+            await tick();
+            const found = findDocs(filter, options);
+            if (options.distinct) return distinctValues(options.distinct, found);
+            return options.lean ? found.map(clone) : found.map(hydrate);
+        }),
+
+        findOne: (filter = {}) => new MemoryQuery(async (options) => {
+            await tick();
+            const [found] = findDocs(filter, { ...options, limit: 1 });
+            if (!found) return null;
+            return options.lean ? clone(found) : hydrate(found);
+        }),
+
+        findById: (id) => statics.findOne({ _id: id }),
+
+        exists: (filter = {}) => new MemoryQuery(async () => {
+            await tick();
+            const [found] = findDocs(filter, { limit: 1 });
+            return found ? { _id: found._id } : null;
+        }),
+
+        countDocuments: async (filter = {}) => {
+            await tick();
+            return findDocs(filter).length;
+        },
+
+        distinct: async (field, filter = {}) => {
+            await tick();
+            return distinctValues(field, findDocs(filter));
+        },
+
+        findOneAndUpdate: async (filter, changes, options = {}) => {
+            await tick();
+            const returnNew = options.new || options.returnDocument === 'after';
+            const [found] = findDocs(filter, { sort: options.sort, limit: 1 });
+
+            if (found) {
+                const before = clone(found);
+                update(found, changes);
+                return hydrate(returnNew ? found : before);
+            }
+            if (!options.upsert) {
+                return null;
+            }
+
+            // Not atomic on a real server either: another upsert can insert first
+            await tick();
+            const fields = equalityFields(filter);
+            applyUpdate(fields, changes, true);
+            const inserted = await insert(fields);
+            return returnNew ? hydrate(inserted) : null;
+        },
+
+        findByIdAndUpdate: (id, changes, options) => statics.findOneAndUpdate({ _id: id }, changes, options),
+
+        updateOne: async (filter, changes, options = {}) => {
+            await tick();
+            const [found] = findDocs(filter, { limit: 1 });
+            if (found) {
+                update(found, changes);
+                return { matchedCount: 1, modifiedCount: 1 };
+            }
+            if (options.upsert) {
+                const fields = equalityFields(filter);
+                applyUpdate(fields, changes, true);
+                await insert(fields);
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+            }
+            return { matchedCount: 0, modifiedCount: 0 };
+        },
+
+        updateMany: async (filter, changes) => {
+            await tick();
+            const found = findDocs(filter);
+            found.forEach((doc) => update(doc, changes));
+            return { matchedCount: found.length, modifiedCount: found.length };
+        },
+
+        deleteOne: async (filter) => {
+            await tick();
+            const index = docs.findIndex((doc) => matches(doc, filter));
+            if (index === -1) return { deletedCount: 0 };
+            docs.splice(index, 1);
+            return { deletedCount: 1 };
+        },
+
+        deleteMany: async (filter = {}) => {
+            await tick();
+            const kept = docs.filter((doc) => !matches(doc, filter));
+            const deletedCount = docs.length - kept.length;
+            docs.splice(0, docs.length, ...kept);
+            return { deletedCount };
+        }
+    };
+
+    const methods = {
+        async save() {
+            await tick();
+            await this.validate();
+            const doc = this.toObject({ depopulate: true });
+            const index = docs.findIndex((stored) => equals(stored._id, doc._id));
+
+            if (index === -1) {
+                if (timestamps) {
+                    doc.createdAt = doc.createdAt || new Date();
+                    doc.updatedAt = doc.updatedAt || doc.createdAt;
+                }
+                checkUnique(doc);
+                docs.push(doc);
+            } else {
+                if (timestamps) doc.updatedAt = new Date();
+                const before = docs[index];
+                docs[index] = doc;
+                try {
+                    checkUnique(doc);
+                } catch (error) {
+                    docs[index] = before;
+                    throw error;
+                }
+            }
+
+            this.isNew = false;
+            return this;
+        },
+
+        async deleteOne() {
+            return statics.deleteOne({ _id: this._id });
+        }
+    };
+
+    // Keep the real ones to put them back
+    const originals = [
+        ...Object.keys(statics).map((name) => [Model, name, Object.getOwnPropertyDescriptor(Model, name)]),
+        ...Object.keys(methods).map((name) => [Model.prototype, name, Object.getOwnPropertyDescriptor(Model.prototype, name)])
+    ];
+
+    Object.assign(Model, statics);
+    Object.assign(Model.prototype, methods);
+
+    return {
+        docs,
+        reset: () => docs.splice(0, docs.length),
+        restore: () => originals.forEach(([target, name, descriptor]) => {
+            if (descriptor) {
+                Object.defineProperty(target, name, descriptor);
+            } else {
+                delete target[name];
+            }
+        })
+    };
+};
+
+module.exports = {
+    useMemoryModel
+};
@@ -0,0 +1,137 @@
+/**
+ * MOCK OPENID CONNECT PROVIDER
+ *
+ * A small identity provider on 127.0.0.1 for the single sign-on tests:
+ * - GET  /.well-known/openid-configuration  discovery
+ * - GET  /authorize                         "logs in" provider.account at once and
+ *                                           redirects back with a code
+ * - POST /token                             redeems the code (client secret and
+ *                                           PKCE verifier checked), returns an ID token
+ * - GET  /jwks                              the key the ID tokens are signed with (RS256)
+ *
+ * Tests change what the provider does through the returned object:
+ *   provider.account = { sub, email, email_verified, name, preferred_username }
+ *   provider.deny = true                   the user clicks "Cancel" (access_denied)
+ *   provider.tokenClaims = { nonce: 'x' }  claims to override in the next ID tokens
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start the provider
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - The only client it knows
+ * @param {string} options.clientSecret - Its secret (client_secret_basic)
+ * @returns {Promise<Object>} { issuer, account, deny, tokenClaims, tokenRequests, reset, close }
+ */
+const startMockProvider = ({ clientId, clientSecret }) => new Promise((resolve) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    // Codes given out by /authorize: code -> { redirectUri, nonce, codeChallenge, account }
+    const codes = new Map();
+
+    const provider = {
+        issuer: null,
+        account: null,
+        deny: false,
+        tokenClaims: {},
+        // Requests made to /token (a refused callback shouldn't get that far)
+        tokenRequests: 0,
+        reset() {
+            codes.clear();
+            provider.account = null;
+            provider.deny = false;
+            provider.tokenClaims = {};
+            provider.tokenRequests = 0;
+        },
+        close: null
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: provider.issuer,
+            authorization_endpoint: `${provider.issuer}/authorize`,
+            token_endpoint: `${provider.issuer}/token`,
+            jwks_uri: `${provider.issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const { client_id: id, redirect_uri: redirectUri, state, nonce } = req.query;
+        if (id !== clientId || req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+            return res.status(400).send('Invalid authorization request');
+        }
+
+        const back = new URL(redirectUri);
+        back.searchParams.set('state', state);
+        if (provider.deny) {
+            back.searchParams.set('error', 'access_denied');
+        } else {
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, { redirectUri, nonce, codeChallenge: req.query.code_challenge, account: provider.account });
+            back.searchParams.set('code', code);
+        }
+        res.redirect(back.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        provider.tokenRequests++;
+
+        const [id, secret] = Buffer.from((req.get('Authorization') || '').replace(/^Basic /, ''), 'base64')
+            .toString()
+            .split(':')
+            .map(decodeURIComponent);
+        if (id !== clientId || secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        // A code can be redeemed once, by the one who knows the PKCE verifier
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+        const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+        if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+        }
+
+        const idToken = jwt.sign(
+            { ...grant.account, nonce: grant.nonce, ...provider.tokenClaims },
+            privateKey,
+            { algorithm: 'RS256', keyid: kid, issuer: provider.issuer, audience: clientId, expiresIn: '5m' }
+        );
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    const server = app.listen(0, '127.0.0.1', () => {
+        provider.issuer = `http://127.0.0.1:${server.address().port}`;
+        provider.close = () => new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+        });
+        resolve(provider);
+    });
+});
+
+module.exports = {
+    startMockProvider
+};
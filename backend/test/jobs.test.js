@@ -0,0 +1,286 @@
+/**
+ * JOB SCHEDULER TESTS (services/jobs.js)
+ *
+ * Jobs are kept in memory (see helpers/memoryModel.js) and the time comes
+ * from a fake clock that the tests move forward before calling runDueJobs.
+ *
+ * A second server process is a second copy of the module (startWorker):
+ * it has its own worker id and handlers, and shares the jobs.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const jobs = useMemoryModel(Job);
+
+const MINUTE = 60 * 1000;
+
+// Fake time, shared by every worker
+let time;
+const at = (minutes) => new Date(Date.parse('2030-01-07T09:00:00Z') + minutes * MINUTE);
+const setTime = (minutes) => {
+    time = at(minutes);
+};
+
+/**
+ * Load services/jobs.js as a new worker, using the fake clock
+ */
+const startWorker = () => {
+    const path = require.resolve('../services/jobs');
+    delete require.cache[path];
+    const worker = require(path);
+    worker.setClock(() => new Date(time));
+    return worker;
+};
+
+/**
+ * A promise the test resolves itself (to keep a handler running)
+ */
+const deferred = () => {
+    let resolve;
+    const promise = new Promise((done) => {
+        resolve = done;
+    });
+    return { promise, resolve };
+};
+
+/**
+ * Wait until a condition is true (another "process" got somewhere)
+ */
+const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+    assert.ok(condition(), 'condition never became true');
+};
+
+const storedJob = (id) => jobs.docs.find((job) => String(job._id) === String(id));
+
+beforeEach((t) => {
+    jobs.reset();
+    setTime(0);
+    // Failing jobs are logged
+    t.mock.method(console, 'error', () => {});
+});
+
+describe('scheduling', () => {
+    it('runs a job once it is due, with its data', async () => {
+        const worker = startWorker();
+        const runs = [];
+        worker.defineJob('test.echo', async (data) => {
+            runs.push(data);
+        });
+
+        const job = await worker.scheduleJob('test.echo', { message: 'hello' }, at(10));
+
+        setTime(9);
+        assert.equal(await worker.runDueJobs(), 0);
+        assert.deepEqual(runs, []);
+
+        setTime(10);
+        assert.equal(await worker.runDueJobs(), 1);
+        assert.deepEqual(runs, [{ message: 'hello' }]);
+
+        const done = storedJob(job._id);
+        assert.equal(done.status, 'done');
+        assert.equal(done.attempts, 1);
+        assert.equal(done.lockedBy, null);
+        assert.deepEqual(done.finishedAt, at(10));
+
+        // Done jobs don't run again
+        setTime(60);
+        assert.equal(await worker.runDueJobs(), 0);
+    });
+
+    it('moves the pending job when a job with the same key is scheduled again', async () => {
+        const worker = startWorker();
+
+        await worker.scheduleJob('test.echo', { version: 1 }, at(10), { key: 'echo:1' });
+        await worker.scheduleJob('test.echo', { version: 2 }, at(20), { key: 'echo:1' });
+
+        assert.equal(jobs.docs.length, 1);
+        assert.deepEqual(jobs.docs[0].data, { version: 2 });
+        assert.deepEqual(jobs.docs[0].runAt, at(20));
+    });
+
+    it('keeps one job when two workers schedule the same key at once', async () => {
+        const [first, second] = [startWorker(), startWorker()];
+
+        await Promise.all([
+            first.scheduleJob('test.echo', { from: 'first' }, at(10), { key: 'echo:1' }),
+            second.scheduleJob('test.echo', { from: 'second' }, at(10), { key: 'echo:1' })
+        ]);
+
+        assert.equal(jobs.docs.length, 1);
+    });
+
+    it('cancels pending jobs only', async () => {
+        const worker = startWorker();
+        worker.defineJob('test.echo', async () => {});
+
+        await worker.scheduleJob('test.echo', { n: 1 }, at(0));
+        await worker.runDueJobs();
+        await worker.scheduleJob('test.echo', { n: 2 }, at(10));
+
+        assert.equal(await worker.cancelJobs({ name: 'test.echo' }), 1);
+        assert.deepEqual(jobs.docs.map((job) => job.status), ['done']);
+    });
+});
+
+describe('claiming', () => {
+    it('runs each job once when two workers poll at the same time', async () => {
+        const workers = [startWorker(), startWorker()];
+        const runs = new Map();
+        const counts = [0, 0];
+
+        workers.forEach((worker, i) => {
+            worker.defineJob('test.count', async (data) => {
+                counts[i]++;
+                runs.set(data.n, (runs.get(data.n) || 0) + 1);
+                // Let the other worker run meanwhile
+                await new Promise((resolve) => setImmediate(resolve));
+            });
+        });
+
+        for (let n = 0; n < 10; n++) {
+            await workers[0].scheduleJob('test.count', { n }, at(0));
+        }
+
+        const [first, second] = await Promise.all(workers.map((worker) => worker.runDueJobs()));
+
+        assert.equal(first + second, 10);
+        assert.ok(counts[0] > 0 && counts[1] > 0, 'both workers should have claimed jobs');
+        assert.deepEqual([...runs.values()], Array(10).fill(1));
+        assert.ok(jobs.docs.every((job) => job.status === 'done' && job.attempts === 1));
+    });
+
+    it('takes over a job whose worker stopped answering once its lock times out', async () => {
+        const [stuck, rescuer] = [startWorker(), startWorker()];
+        const release = deferred();
+        const runs = [];
+
+        stuck.defineJob('test.slow', async () => {
+            runs.push('stuck');
+            await release.promise;
+        });
+        rescuer.defineJob('test.slow', async () => {
+            runs.push('rescuer');
+        });
+
+        const job = await stuck.scheduleJob('test.slow', {}, at(0));
+
+        // The first worker claims the job and hangs
+        const stuckRun = stuck.runDueJobs();
+        await waitFor(() => runs.length === 1);
+        assert.equal(storedJob(job._id).status, 'running');
+
+        // Still locked
+        setTime(9);
+        assert.equal(await rescuer.runDueJobs(), 0);
+
+        // Lock timed out (10 minutes): the other worker runs it
+        setTime(10);
+        assert.equal(await rescuer.runDueJobs(), 1);
+        assert.deepEqual(runs, ['stuck', 'rescuer']);
+        assert.equal(storedJob(job._id).status, 'done');
+        assert.equal(storedJob(job._id).attempts, 2);
+
+        // The first worker finishing late doesn't overwrite the result
+        setTime(15);
+        release.resolve();
+        await stuckRun;
+        assert.equal(storedJob(job._id).status, 'done');
+        assert.deepEqual(storedJob(job._id).finishedAt, at(10));
+    });
+});
+
+describe('retries', () => {
+    it('retries a failing job after 1, 4, 9 and 16 minutes, then marks it failed', async () => {
+        const worker = startWorker();
+        let runs = 0;
+        worker.defineJob('test.fail', async () => {
+            runs++;
+            throw new Error('SMTP server unreachable');
+        });
+
+        const job = await worker.scheduleJob('test.fail', {}, at(0));
+        await worker.runDueJobs();
+
+        let minutes = 0;
+        for (const attempts of [1, 2, 3, 4]) {
+            const retry = storedJob(job._id);
+            assert.equal(retry.status, 'pending');
+            assert.equal(retry.attempts, attempts);
+            assert.equal(retry.lastError, 'SMTP server unreachable');
+            assert.equal(retry.lockedBy, null);
+
+            // Backoff: attempts² minutes
+            minutes += attempts ** 2;
+            assert.deepEqual(retry.runAt, at(minutes));
+
+            setTime(minutes - 0.5);
+            assert.equal(await worker.runDueJobs(), 0);
+            setTime(minutes);
+            assert.equal(await worker.runDueJobs(), 1);
+        }
+
+        const failed = storedJob(job._id);
+        assert.equal(runs, 5);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts, 5);
+        assert.deepEqual(failed.finishedAt, at(minutes));
+
+        setTime(minutes + 60);
+        assert.equal(await worker.runDueJobs(), 0);
+    });
+
+    it('finishes a job that succeeds on a retry', async () => {
+        const worker = startWorker();
+        let runs = 0;
+        worker.defineJob('test.flaky', async () => {
+            runs++;
+            if (runs === 1) throw new Error('Temporary failure');
+        });
+
+        const job = await worker.scheduleJob('test.flaky', {}, at(0));
+        await worker.runDueJobs();
+        setTime(1);
+        await worker.runDueJobs();
+
+        assert.equal(storedJob(job._id).status, 'done');
+        assert.equal(storedJob(job._id).attempts, 2);
+    });
+
+    it('keeps the progress saved with updateJobData for the retry', async () => {
+        const worker = startWorker();
+        const steps = [];
+        worker.defineJob('test.steps', async (data, job) => {
+            if (!data.firstDone) {
+                steps.push('first');
+                await worker.updateJobData(job, { firstDone: true });
+            }
+            steps.push('second');
+            if (steps.length === 2) throw new Error('Second step failed');
+        });
+
+        await worker.scheduleJob('test.steps', {}, at(0));
+        await worker.runDueJobs();
+        setTime(1);
+        await worker.runDueJobs();
+
+        assert.deepEqual(steps, ['first', 'second', 'second']);
+        assert.equal(jobs.docs[0].status, 'done');
+    });
+
+    it('fails a job without a handler at once', async () => {
+        const worker = startWorker();
+        const job = await worker.scheduleJob('test.unknown', {}, at(0));
+
+        await worker.runDueJobs();
+
+        assert.equal(storedJob(job._id).status, 'failed');
+        assert.equal(storedJob(job._id).lastError, 'No handler for job "test.unknown"');
+    });
+});
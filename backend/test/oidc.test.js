@@ -0,0 +1,306 @@
+/**
+ * SINGLE SIGN-ON TESTS (routes/oidc.js, services/oidc.js)
+ *
+ * The whole login runs over HTTP: this API on a local port, a mock
+ * provider (see helpers/mockOidcProvider.js) and fetch as the browser,
+ * following the redirects by hand so the cookies can be checked.
+ * The models are kept in memory (see helpers/memoryModel.js).
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { MemoryStore, setStore } = require('../middleware/rateLimit');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startMockProvider } = require('./helpers/mockOidcProvider');
+
+const CLIENT_URL = 'http://localhost:5173';
+process.env.CLIENT_URL = CLIENT_URL;
+process.env.JWT_SECRET = 'test-secret';
+
+const [users, workspaces, memberships, sessions, refreshTokens] = [User, Workspace, Membership, Session, RefreshToken]
+    .map(useMemoryModel);
+
+let provider;
+let server;
+let api;
+
+/**
+ * Start the mock provider and the API
+ * (services/oidc.js reads the API's address when it is loaded)
+ */
+before(async () => {
+    provider = await startMockProvider({ clientId: 'task-manager', clientSecret: 'client-secret' });
+
+    const app = express();
+    server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    api = `http://127.0.0.1:${server.address().port}/api`;
+
+    Object.assign(process.env, {
+        API_PUBLIC_URL: api,
+        OIDC_PROVIDERS: 'mock',
+        OIDC_MOCK_NAME: 'Mock SSO',
+        OIDC_MOCK_ISSUER: provider.issuer,
+        OIDC_MOCK_CLIENT_ID: 'task-manager',
+        OIDC_MOCK_CLIENT_SECRET: 'client-secret'
+    });
+
+    app.use(cookieParser());
+    app.use('/api/auth/oidc', require('../routes/oidc'));
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await provider.close();
+});
+
+beforeEach((t) => {
+    [users, workspaces, memberships, sessions, refreshTokens].forEach((store) => store.reset());
+    provider.reset();
+    // Every test starts with fresh rate limits (all the requests come from 127.0.0.1)
+    setStore(new MemoryStore());
+    provider.account = {
+        sub: 'mock-user-1',
+        email: 'alice@example.com',
+        email_verified: true,
+        name: 'Alice Martin',
+        preferred_username: 'alice'
+    };
+    // Refused logins are logged
+    t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Read a cookie set by a response
+ *
+ * @param {Response} response - fetch response
+ * @param {string} name - Cookie name
+ * @returns {string|null} Its value (null if not set or cleared)
+ */
+const cookieFrom = (response, name) => {
+    const cookie = response.headers.getSetCookie().find((header) => header.startsWith(`${name}=`));
+    const value = cookie ? decodeURIComponent(cookie.split(';')[0].slice(name.length + 1)) : '';
+    return value || null;
+};
+
+/**
+ * Sign in like a browser: start, log in at the provider, come back to the callback
+ *
+ * @param {Object} options
+ * @param {Function} options.editCallback - Change the callback URL (a URL object) before opening it
+ * @param {Function} options.editFlow - Change the flow cookie (its value, or null to drop it)
+ * @returns {Promise<Object>} { location, fragment, refreshToken }: where the API sent the
+ *   browser, the parameters of its #fragment and the refresh token cookie
+ */
+const signIn = async ({ editCallback = (url) => url, editFlow = (flow) => flow } = {}) => {
+    const start = await fetch(`${api}/auth/oidc/mock/start`, { redirect: 'manual' });
+    assert.equal(start.status, 302);
+    assert.ok(start.headers.get('location').startsWith(`${provider.issuer}/authorize?`));
+
+    const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+    assert.equal(authorize.status, 302);
+
+    const callbackUrl = editCallback(new URL(authorize.headers.get('location')));
+    const flow = editFlow(cookieFrom(start, 'oidcFlow'));
+    const callback = await fetch(callbackUrl, {
+        redirect: 'manual',
+        headers: flow ? { Cookie: `oidcFlow=${encodeURIComponent(flow)}` } : {}
+    });
+    assert.equal(callback.status, 302);
+
+    const location = callback.headers.get('location');
+    const [, fragment = ''] = location.split('#');
+    return {
+        location,
+        fragment: Object.fromEntries(new URLSearchParams(fragment)),
+        refreshToken: cookieFrom(callback, 'refreshToken')
+    };
+};
+
+/**
+ * Create an account that registered with a password
+ */
+const createUser = (fields) => User.create({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: '$2a$10$abcdefghijklmnopqrstuu4aQeQ4g2oZ0dO6R0s8xSg7Q3Y8V5W1m',
+    ...fields
+});
+
+describe('signing in', () => {
+    it('creates an account with a personal workspace for a new identity', async () => {
+        const { location, refreshToken } = await signIn();
+
+        assert.equal(location, `${CLIENT_URL}/auth/callback`);
+
+        assert.equal(users.docs.length, 1);
+        const [user] = users.docs;
+        assert.equal(user.username, 'alice');
+        assert.equal(user.email, 'alice@example.com');
+        assert.equal(user.displayName, 'Alice Martin');
+        assert.equal(user.emailVerified, true);
+        assert.equal(user.hasPassword, false);
+        assert.deepEqual(user.identities.map(({ provider: id, subject }) => ({ id, subject })), [
+            { id: 'mock', subject: 'mock-user-1' }
+        ]);
+
+        assert.equal(workspaces.docs.length, 1);
+        assert.equal(workspaces.docs[0].personal, true);
+        assert.equal(String(memberships.docs[0].user), String(user._id));
+        assert.equal(memberships.docs[0].role, 'owner');
+
+        // Logged in: a session and the refresh token in the cookie
+        assert.equal(sessions.docs.length, 1);
+        assert.ok(refreshToken);
+        assert.equal(refreshTokens.docs[0].tokenHash, RefreshToken.hashToken(refreshToken));
+        assert.equal(String(refreshTokens.docs[0].user), String(user._id));
+    });
+
+    it('logs the linked account in again, even if the email address changed at the provider', async () => {
+        await signIn();
+        provider.account = { ...provider.account, email: 'alice.martin@example.com' };
+
+        const { location, refreshToken } = await signIn();
+
+        assert.equal(location, `${CLIENT_URL}/auth/callback`);
+        assert.ok(refreshToken);
+        assert.equal(users.docs.length, 1);
+        assert.equal(workspaces.docs.length, 1);
+        assert.equal(sessions.docs.length, 2);
+    });
+
+    it('picks another username when the provider\'s one is taken', async () => {
+        await createUser({ email: 'someone@example.com' });
+
+        await signIn();
+
+        assert.equal(users.docs.length, 2);
+        assert.match(users.docs[1].username, /^alice\d{4}$/);
+    });
+
+    it('passes the 2FA step to the login page instead of logging in', async () => {
+        await signIn();
+        await User.updateOne({}, { $set: { 'twoFactor.enabled': true } });
+
+        const { fragment, refreshToken } = await signIn();
+
+        assert.ok(fragment.challenge);
+        assert.equal(refreshToken, null);
+        assert.equal(sessions.docs.length, 1);
+    });
+});
+
+describe('linking accounts', () => {
+    it('links the identity to the account with the same verified email address', async () => {
+        const alice = await createUser({ emailVerified: true });
+
+        const { location, refreshToken } = await signIn();
+
+        assert.equal(location, `${CLIENT_URL}/auth/callback`);
+        assert.ok(refreshToken);
+        assert.equal(users.docs.length, 1);
+        assert.deepEqual(users.docs[0].identities.map((identity) => identity.subject), ['mock-user-1']);
+        assert.equal(String(sessions.docs[0].user), String(alice._id));
+        // No new workspace for an existing account
+        assert.equal(workspaces.docs.length, 0);
+    });
+
+    it('refuses to link an account whose email address was never verified', async () => {
+        await createUser({ emailVerified: false });
+
+        const { fragment, refreshToken } = await signIn();
+
+        assert.match(fragment.error, /^An account with this email address already exists/);
+        assert.equal(refreshToken, null);
+        assert.deepEqual(users.docs[0].identities, []);
+        assert.equal(sessions.docs.length, 0);
+    });
+
+    it('refuses an email address the provider did not verify', async () => {
+        await createUser({ emailVerified: true });
+        provider.account = { ...provider.account, email_verified: false };
+
+        const { fragment } = await signIn();
+
+        assert.equal(fragment.error, 'Mock SSO did not confirm your email address, so it can\'t be used to log in here');
+        assert.equal(users.docs.length, 1);
+        assert.deepEqual(users.docs[0].identities, []);
+        assert.equal(sessions.docs.length, 0);
+    });
+});
+
+describe('refused callbacks', () => {
+    it('refuses a callback whose state is not the one of this browser, without redeeming the code', async () => {
+        const { fragment, refreshToken } = await signIn({
+            editCallback: (url) => {
+                url.searchParams.set('state', 'state-of-another-login');
+                return url;
+            }
+        });
+
+        assert.equal(fragment.error, 'Sign in with Mock SSO failed, please try again');
+        assert.equal(refreshToken, null);
+        assert.equal(provider.tokenRequests, 0);
+        assert.equal(users.docs.length, 0);
+    });
+
+    it('refuses an ID token issued for another login (nonce)', async () => {
+        provider.tokenClaims = { nonce: 'nonce-of-another-login' };
+
+        const { fragment, refreshToken } = await signIn();
+
+        assert.equal(fragment.error, 'Sign in with Mock SSO failed, please try again');
+        assert.equal(refreshToken, null);
+        assert.equal(provider.tokenRequests, 1);
+        assert.equal(users.docs.length, 0);
+    });
+
+    it('cannot redeem the code without the PKCE verifier of the login', async () => {
+        const { fragment } = await signIn({
+            editFlow: (flow) => {
+                const { provider: id, state, nonce } = jwt.verify(flow, `${process.env.JWT_SECRET}:oidc-flow`);
+                return jwt.sign({ provider: id, state, nonce, codeVerifier: 'x'.repeat(43) }, `${process.env.JWT_SECRET}:oidc-flow`);
+            }
+        });
+
+        assert.equal(fragment.error, 'Mock SSO refused the sign in: Invalid authorization code');
+        assert.equal(users.docs.length, 0);
+    });
+
+    it('asks to start again when the flow cookie is missing', async () => {
+        const { fragment } = await signIn({ editFlow: () => null });
+
+        assert.equal(fragment.error, 'Your sign in expired, please try again');
+        assert.equal(provider.tokenRequests, 0);
+        assert.equal(users.docs.length, 0);
+    });
+
+    it('tells the user when they cancelled at the provider', async () => {
+        provider.deny = true;
+
+        const { fragment } = await signIn();
+
+        assert.equal(fragment.error, 'Sign in was cancelled');
+        assert.equal(users.docs.length, 0);
+    });
+
+    it('sends unknown providers back to the login page', async () => {
+        const response = await fetch(`${api}/auth/oidc/unknown/start`, { redirect: 'manual' });
+
+        assert.equal(response.status, 302);
+        assert.equal(
+            response.headers.get('location'),
+            `${CLIENT_URL}/auth/callback#${new URLSearchParams({ error: 'Unknown sign in provider' })}`
+        );
+    });
+});
@@ -0,0 +1,299 @@
+/**
+ * DUE DATE REMINDER TESTS (services/reminders.js)
+ *
+ * The models are kept in memory (see helpers/memoryModel.js), emails are
+ * recorded instead of sent, and the time comes from a fake clock that the
+ * tests move forward before running the due jobs.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Notification = require('../models/Notification');
+const emails = require('../services/emails');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const jobs = useMemoryModel(Job);
+const stores = [jobs, ...[Task, User, Membership, Notification].map(useMemoryModel)];
+const notifications = stores[stores.length - 1];
+
+// Emails sent: [{ to, task }]; sendEmail can be replaced to make sending fail
+let sentEmails = [];
+let sendEmail;
+emails.sendTaskReminderEmail = (...args) => sendEmail(...args);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Fake time, shared by every worker
+const START = Date.parse('2030-01-07T09:00:00Z');
+let time;
+const setTime = (date) => {
+    time = new Date(date);
+};
+
+/**
+ * Load services/jobs.js and services/reminders.js as a new worker
+ * (a server process with its own worker id), using the fake clock
+ */
+const startWorker = () => {
+    const jobsPath = require.resolve('../services/jobs');
+    const remindersPath = require.resolve('../services/reminders');
+    delete require.cache[jobsPath];
+    delete require.cache[remindersPath];
+
+    const worker = { ...require(jobsPath), ...require(remindersPath) };
+    worker.setClock(() => new Date(time));
+    return worker;
+};
+
+let worker;
+let workspaceId;
+
+/**
+ * Create a user who is a member of the workspace
+ */
+const createMember = async (username, fields = {}) => {
+    const user = await User.create({
+        username,
+        email: `${username}@example.com`,
+        password: 'hashed',
+        emailVerified: true,
+        ...fields
+    });
+    await Membership.create({ workspace: workspaceId, user: user._id, role: 'member' });
+    return user;
+};
+
+/**
+ * Create a task and schedule its reminders, like the task routes do
+ * (due at a time of day unless dueAllDay is given)
+ */
+const createTask = async (fields) => {
+    const task = await Task.create({ workspace: workspaceId, title: 'Write the report', dueAllDay: false, ...fields });
+    await worker.scheduleTaskReminders(task);
+    return task;
+};
+
+const reminderJobs = () => jobs.docs.filter((job) => job.name === 'task.reminder');
+
+beforeEach((t) => {
+    stores.forEach((store) => store.reset());
+    sentEmails = [];
+    sendEmail = async (user, task) => {
+        sentEmails.push({ to: user.email, task: String(task._id) });
+    };
+    setTime(START);
+    workspaceId = new Task()._id;
+    worker = startWorker();
+    // Failing jobs are logged
+    t.mock.method(console, 'error', () => {});
+});
+
+describe('scheduling', () => {
+    it('schedules a reminder a day and an hour before the due date for each assignee', async () => {
+        const [alice, bob] = [await createMember('alice'), await createMember('bob')];
+        const dueDate = new Date(START + 3 * DAY);
+
+        await createTask({ user: alice._id, assignees: [alice._id, bob._id], dueDate });
+
+        const runAts = (user) => reminderJobs()
+            .filter((job) => String(job.data.user) === String(user._id))
+            .map((job) => job.runAt.getTime())
+            .sort();
+        assert.deepEqual(runAts(alice), [dueDate - DAY, dueDate - HOUR]);
+        assert.deepEqual(runAts(bob), [dueDate - DAY, dueDate - HOUR]);
+    });
+
+    it('reminds the creator when nobody is assigned, at their own offsets', async () => {
+        const alice = await createMember('alice', { reminderPreferences: { offsets: [15], email: true } });
+        const dueDate = new Date(START + DAY);
+
+        await createTask({ user: alice._id, dueDate });
+
+        assert.deepEqual(reminderJobs().map((job) => job.runAt), [new Date(dueDate - 15 * MINUTE)]);
+    });
+
+    it('reminds all-day tasks from the start of their due day', async () => {
+        const alice = await createMember('alice');
+
+        // Due on January 10th in Berlin (stored as the end of that day)
+        await createTask({
+            user: alice._id,
+            dueDate: new Date('2030-01-10T22:59:59.999Z'),
+            dueAllDay: true,
+            timezone: 'Europe/Berlin'
+        });
+
+        const runAts = reminderJobs().map((job) => job.runAt.toISOString()).sort();
+        assert.deepEqual(runAts, ['2030-01-08T23:00:00.000Z', '2030-01-09T22:00:00.000Z']);
+    });
+
+    it('moves the reminders when the due date changes, and cancels them when the task is done', async () => {
+        const alice = await createMember('alice');
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + 3 * DAY) });
+
+        task.dueDate = new Date(START + 5 * DAY);
+        await task.save();
+        await worker.scheduleTaskReminders(task);
+
+        assert.equal(reminderJobs().length, 2);
+        assert.deepEqual(
+            reminderJobs().map((job) => job.runAt.getTime()).sort(),
+            [task.dueDate - DAY, task.dueDate - HOUR]
+        );
+
+        task.status = 'done';
+        task.completed = true;
+        await task.save();
+        await worker.scheduleTaskReminders(task);
+
+        assert.equal(reminderJobs().length, 0);
+    });
+});
+
+describe('sending', () => {
+    it('sends the reminder in-app and by email when it is due', async () => {
+        const alice = await createMember('alice');
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + 2 * DAY) });
+
+        setTime(task.dueDate - DAY - MINUTE);
+        assert.equal(await worker.runDueJobs(), 0);
+
+        setTime(task.dueDate - DAY);
+        assert.equal(await worker.runDueJobs(), 1);
+
+        assert.equal(notifications.docs.length, 1);
+        assert.equal(notifications.docs[0].type, 'due_soon');
+        assert.equal(String(notifications.docs[0].user), String(alice._id));
+        assert.deepEqual(sentEmails, [{ to: 'alice@example.com', task: String(task._id) }]);
+    });
+
+    it('only sends in-app reminders to users who turned emails off or never verified their address', async () => {
+        const alice = await createMember('alice', { reminderPreferences: { offsets: [60], email: false } });
+        const bob = await createMember('bob', { emailVerified: false });
+        const task = await createTask({ user: alice._id, assignees: [alice._id, bob._id], dueDate: new Date(START + DAY) });
+
+        setTime(task.dueDate - HOUR);
+        await worker.runDueJobs();
+
+        assert.equal(notifications.docs.length, 2);
+        assert.deepEqual(sentEmails, []);
+    });
+
+    it('does nothing when the task was completed or its due date moved meanwhile', async () => {
+        const alice = await createMember('alice');
+        const completed = await createTask({ user: alice._id, dueDate: new Date(START + DAY) });
+        const moved = await createTask({ user: alice._id, dueDate: new Date(START + DAY) });
+
+        // Changed without scheduling the reminders again
+        await Task.updateOne({ _id: completed._id }, { $set: { status: 'done', completed: true } });
+        await Task.updateOne({ _id: moved._id }, { $set: { dueDate: new Date(START + 10 * DAY) } });
+
+        // The hour-before reminders (the day-before ones would have been now)
+        setTime(START + DAY);
+        assert.equal(await worker.runDueJobs(), 2);
+
+        assert.equal(notifications.docs.length, 0);
+        assert.deepEqual(sentEmails, []);
+    });
+
+    it('does not show the in-app reminder twice when the email is retried', async () => {
+        const alice = await createMember('alice', { reminderPreferences: { offsets: [60], email: true } });
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + DAY) });
+
+        const send = sendEmail;
+        sendEmail = async () => {
+            sendEmail = send;
+            throw new Error('SMTP server unreachable');
+        };
+
+        setTime(task.dueDate - HOUR);
+        await worker.runDueJobs();
+
+        const [job] = reminderJobs();
+        assert.equal(job.status, 'pending');
+        assert.equal(job.data.notified, true);
+        assert.equal(notifications.docs.length, 1);
+        assert.deepEqual(sentEmails, []);
+
+        // Retried a minute later
+        setTime(task.dueDate - HOUR + MINUTE);
+        assert.equal(await worker.runDueJobs(), 1);
+
+        assert.equal(reminderJobs()[0].status, 'done');
+        assert.equal(notifications.docs.length, 1);
+        assert.equal(sentEmails.length, 1);
+    });
+
+    it('sends each reminder once when two workers run the due jobs at the same time', async () => {
+        const other = startWorker();
+        const users = [];
+        for (const username of ['alice', 'bob', 'carol']) {
+            users.push(await createMember(username));
+        }
+        for (let i = 0; i < 3; i++) {
+            await createTask({ user: users[0]._id, assignees: users.map((user) => user._id), dueDate: new Date(START + 2 * DAY + i * MINUTE) });
+        }
+
+        setTime(START + 3 * DAY);
+        const counts = await Promise.all([worker.runDueJobs(), other.runDueJobs()]);
+
+        // 3 tasks x 3 users x 2 offsets
+        assert.equal(counts[0] + counts[1], 18);
+        assert.ok(counts[0] > 0 && counts[1] > 0, 'both workers should have sent reminders');
+        assert.equal(notifications.docs.length, 18);
+        assert.equal(sentEmails.length, 18);
+    });
+});
+
+describe('snoozing', () => {
+    it('reminds the user again after the delay', async () => {
+        const alice = await createMember('alice');
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + 2 * DAY) });
+
+        setTime(task.dueDate - DAY);
+        await worker.runDueJobs();
+        assert.equal(notifications.docs.length, 1);
+
+        const remindAt = await worker.snoozeReminder(task._id, alice._id, 3 * 60);
+        assert.deepEqual(remindAt, new Date(task.dueDate - DAY + 3 * HOUR));
+
+        // Editing the task keeps the snoozed reminder
+        await worker.scheduleTaskReminders(task);
+
+        setTime(remindAt - MINUTE);
+        assert.equal(await worker.runDueJobs(), 0);
+
+        setTime(remindAt);
+        assert.equal(await worker.runDueJobs(), 1);
+        assert.equal(notifications.docs.length, 2);
+        assert.equal(sentEmails.length, 2);
+    });
+
+    it('moves the snoozed reminder when it is snoozed again', async () => {
+        const alice = await createMember('alice');
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + 2 * DAY) });
+
+        await worker.snoozeReminder(task._id, alice._id, 60);
+        await worker.snoozeReminder(task._id, alice._id, 24 * 60);
+
+        const snoozed = reminderJobs().filter((job) => job.data.snoozed);
+        assert.equal(snoozed.length, 1);
+        assert.deepEqual(snoozed[0].runAt, new Date(START + DAY));
+    });
+
+    it('cancels the snoozed reminders of deleted tasks', async () => {
+        const alice = await createMember('alice');
+        const task = await createTask({ user: alice._id, dueDate: new Date(START + 2 * DAY) });
+        await worker.snoozeReminder(task._id, alice._id, 60);
+
+        await worker.cancelTaskReminders([task._id]);
+
+        assert.equal(reminderJobs().length, 0);
+    });
+});
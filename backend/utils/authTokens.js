@@ -0,0 +1,161 @@
+/**
+ * AUTH TOKEN HELPERS
+ * 
+ * A login is made of two tokens:
+ * - access token:  short-lived JWT sent in the Authorization header
+ *                  (checked by the protect middleware, never stored on the server)
+ * - refresh token: random token in an httpOnly cookie, stored hashed in the
+ *                  database (see models/RefreshToken.js). The client trades it
+ *                  for a new access token at POST /api/auth/refresh
+ * 
+ * JavaScript in the page can't read the cookie, and a stolen access token
+ * stops working after a few minutes
+ * 
+ * Each login is a session (see models/Session.js): the access token
+ * carries its id, so revoking the session logs that device out right away
+ * 
+ * Users with two-factor authentication first get a challenge token after
+ * their password was checked, and trade it with a code for both tokens
+ */
+
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+// Lifetime of access tokens (jsonwebtoken format, e.g. "15m", "1h")
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Lifetime of 2FA challenge tokens (time to type the code)
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Name of the refresh token cookie
+const REFRESH_COOKIE = 'refreshToken';
+
+/**
+ * Options of the refresh token cookie
+ * - httpOnly: not readable from JavaScript
+ * - secure:   HTTPS only in production
+ * - sameSite: not sent with requests from other sites
+ * - path:     only sent to the auth routes that use it
+ */
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth'
+});
+
+/**
+ * Create an access token for a user
+ * 
+ * @param {Object} user - User document
+ * @param {Object} session - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const createAccessToken = (user, session) => jwt.sign(
+    { id: user._id, sid: session._id },  // Payload: user ID and session ID
+    process.env.JWT_SECRET,     // Secret key from .env
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Secret of challenge tokens
+ * Different from the access token secret, so a challenge token is
+ * refused by the protect middleware
+ */
+const challengeSecret = () => `${process.env.JWT_SECRET}:two-factor-challenge`;
+
+/**
+ * Create a 2FA challenge token
+ * Proves the password was right; only accepted by POST /api/auth/login/2fa
+ * 
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const createChallengeToken = (user) => jwt.sign(
+    { id: user._id, purpose: 'two-factor' },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+);
+
+/**
+ * Read a 2FA challenge token
+ * 
+ * @param {string} token - Challenge token from the client
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token), challengeSecret());
+        return decoded.purpose === 'two-factor' ? decoded.id : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Store a refresh token in the response cookie
+ * 
+ * @param {Object} res - Express response
+ * @param {string} token - Refresh token
+ * @param {Date} expires - When the token expires
+ */
+const setRefreshCookie = (res, token, expires) => {
+    res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), expires });
+};
+
+/**
+ * Remove the refresh token cookie
+ * 
+ * @param {Object} res - Express response
+ */
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+/**
+ * Get the refresh token sent by the client
+ * 
+ * @param {Object} req - Express request (cookies parsed by cookie-parser)
+ * @returns {string|undefined} Refresh token
+ */
+const getRefreshToken = (req) => req.cookies?.[REFRESH_COOKIE];
+
+/**
+ * Issue both tokens for a user
+ * Sets the refresh token cookie and returns the access token
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} session - Session being refreshed (omit for a new login, which starts a session)
+ * @param {ObjectId} refreshTokenId - Id for the new refresh token (optional)
+ * @returns {Promise<{ accessToken: string, refreshToken: Object, session: Object }>}
+ *   The access token, the saved refresh token document and the session
+ */
+const issueTokens = async (req, res, user, session, refreshTokenId) => {
+    if (session) {
+        // The session lasts as long as its newest refresh token
+        session.expiresAt = RefreshToken.expiryDate();
+        session.lastSeenAt = new Date();
+        session.lastSeenIp = req.ip || '';
+        await session.save();
+    } else {
+        session = await Session.start(user, req, RefreshToken.expiryDate());
+    }
+
+    const { refreshToken, token } = await RefreshToken.issue(user, req, String(session._id), refreshTokenId);
+    setRefreshCookie(res, token, refreshToken.expiresAt);
+
+    return { accessToken: createAccessToken(user, session), refreshToken, session };
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    createAccessToken,
+    createChallengeToken,
+    verifyChallengeToken,
+    clearRefreshCookie,
+    getRefreshToken,
+    issueTokens
+};
@@ -0,0 +1,220 @@
+/**
+ * DATE HELPERS
+ * 
+ * JavaScript Date objects are always UTC instants, but users think in
+ * "wall-clock" dates in their own timezone ("due on the 20th", "due at 9am").
+ * These helpers use the built-in Intl API (no extra dependency) to convert
+ * between the two so due dates, start dates and "due today" queries are
+ * calculated in the right timezone.
+ */
+
+/**
+ * Check if a string is a valid IANA timezone name (e.g. "Europe/Berlin")
+ * 
+ * @param {string} timeZone - Timezone name to check
+ * @returns {boolean} True if Intl understands the timezone
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock parts (year, month, day, hour, minute, second)
+ * of an instant as seen in the given timezone
+ * 
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} Numeric date parts (month is 1-based)
+ */
+const getZonedParts = (date, timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+};
+
+/**
+ * Offset (in milliseconds) between UTC and the timezone at a given instant
+ * Positive for zones ahead of UTC (e.g. +3600000 for Europe/Berlin in winter)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * 
+ * Out-of-range values roll over like Date.UTC does,
+ * so (2024, 1, 32) is treated as February 1st
+ * 
+ * @returns {Date} The matching instant
+ */
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let result = guess - offset;
+
+    // The offset can change between the guess and the result around
+    // daylight saving transitions, so check once more with the real offset
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+};
+
+/**
+ * Start of the calendar day (00:00) containing `date` in the timezone
+ * Pass `days` to move that many calendar days forwards/backwards
+ */
+const startOfDay = (date, timeZone, days = 0) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(year, month, day + days, 0, 0, timeZone);
+};
+
+/**
+ * Move an instant by a number of calendar days in the timezone,
+ * keeping its wall-clock time (09:30 stays 09:30 across daylight saving changes)
+ * 
+ * @param {Date} date - The instant
+ * @param {number} days - Calendar days to add (can be negative)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The moved instant
+ */
+const addDays = (date, days, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const moved = zonedTimeToUtc(year, month, day + days, hour, minute, timeZone);
+    return new Date(moved.getTime() + second * 1000 + date.getMilliseconds());
+};
+
+// Accepted input formats for task dates
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+// Calendar fields at the start of any task date: year, month, day, and hour and minute if given
+const DATE_FIELDS = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
+
+/**
+ * Check that the year, month, day, hour and minute of a date string exist
+ * 
+ * Date.UTC and zonedTimeToUtc roll impossible values over ("2024-02-31" is
+ * March 2nd, "25:99" the next day): the fields must read back unchanged
+ * from the date they build.
+ * 
+ * @param {string} value - Date string starting with YYYY-MM-DD
+ * @returns {boolean}
+ */
+const hasValidFields = (value) => {
+    const fields = value.match(DATE_FIELDS);
+    if (!fields) {
+        return false;
+    }
+
+    const [year, month, day, hour, minute] = fields.slice(1).map((field) => Number(field || 0));
+    const built = new Date(Date.UTC(year, month - 1, day, hour, minute));
+
+    return built.getUTCFullYear() === year
+        && built.getUTCMonth() === month - 1
+        && built.getUTCDate() === day
+        && built.getUTCHours() === hour
+        && built.getUTCMinutes() === minute;
+};
+
+/**
+ * Check if a value can be parsed by parseTaskDate
+ * Used by express-validator custom validators in the task routes
+ */
+const isTaskDate = (value) => {
+    if (typeof value !== 'string' || !hasValidFields(value)) {
+        return false;
+    }
+    if (DATE_ONLY.test(value) || LOCAL_DATE_TIME.test(value)) {
+        return true;
+    }
+    // Full ISO string with a "Z" or "+02:00" offset
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+};
+
+/**
+ * Parse a task date sent by the client
+ * 
+ * Supported formats:
+ * - "2024-05-20"          -> all-day date in the given timezone
+ * - "2024-05-20T09:30"    -> local time in the given timezone
+ * - "2024-05-20T07:30Z"   -> exact instant (offset included)
+ * 
+ * All-day dates become the START of that day, or the END of it when
+ * `endOfDay` is set. Due dates use endOfDay so that a task due "today"
+ * only becomes overdue once the day is over.
+ * 
+ * @param {string} value - Date string from the request body
+ * @param {string} timeZone - Timezone used for dates without an offset
+ * @param {Object} options
+ * @param {boolean} options.endOfDay - Use 23:59:59.999 for all-day dates
+ * @returns {{ date: Date, allDay: boolean }}
+ * @throws {Error} If the value isn't a valid task date (check it with isTaskDate first)
+ */
+const parseTaskDate = (value, timeZone, { endOfDay = false } = {}) => {
+    if (!isTaskDate(value)) {
+        throw new Error(`Invalid task date "${value}"`);
+    }
+
+    const dateOnly = value.match(DATE_ONLY);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        const date = endOfDay
+            ? new Date(zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone).getTime() - 1)
+            : zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+        return { date, allDay: true };
+    }
+
+    const local = value.match(LOCAL_DATE_TIME);
+    if (local) {
+        const [, year, month, day, hour, minute] = local.map(Number);
+        return { date: zonedTimeToUtc(year, month, day, hour, minute, timeZone), allDay: false };
+    }
+
+    return { date: new Date(value), allDay: false };
+};
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    startOfDay,
+    addDays,
+    isTaskDate,
+    parseTaskDate
+};
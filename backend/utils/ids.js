@@ -0,0 +1,18 @@
+/**
+ * ID HELPERS
+ * 
+ * References (task.user, task.assignees...) hold an ObjectId, or the
+ * whole document once populated. These helpers work with both.
+ */
+
+/**
+ * Id of a reference, populated or not
+ * 
+ * @param {ObjectId|Object|null} value - ObjectId, document, or nothing
+ * @returns {string|null} Id as a string, null if there is no reference
+ */
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+module.exports = {
+    idOf
+};
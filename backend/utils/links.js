@@ -0,0 +1,22 @@
+/**
+ * FRONTEND LINKS
+ * 
+ * Emails and invites link to pages of the frontend
+ * Set CLIENT_URL in .env to the address the frontend is served from
+ */
+
+// Frontend address (the Vite dev server by default)
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * Build a link to a frontend page
+ * 
+ * @param {string} path - Page path, e.g. "/invite/abc123"
+ * @returns {string} e.g. http://localhost:5173/invite/abc123
+ */
+const clientLink = (path) => `${CLIENT_URL.replace(/\/$/, '')}${path}`;
+
+module.exports = {
+    CLIENT_URL,
+    clientLink
+};
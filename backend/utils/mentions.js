@@ -0,0 +1,41 @@
+/**
+ * MENTIONS
+ * 
+ * Comments mention people with @username, e.g. "@alice can you check this?"
+ * Only usernames made of letters, digits and _ . - can be mentioned, and a
+ * dot or dash at the end is punctuation: "thanks @bob." mentions "bob"
+ */
+
+// An @ at the start or after a space / bracket, then the username
+const MENTION_PATTERN = /(^|[\s([{])@([A-Za-z0-9_.-]+)/g;
+
+// A comment can't notify more people than this
+const MAX_MENTIONS = 20;
+
+/**
+ * Find the usernames mentioned in a text
+ * Code (`inline` and ``` blocks) is skipped, it often contains @ on purpose
+ * 
+ * @param {string} text - Markdown text
+ * @returns {string[]} Unique usernames, in order of appearance (at most MAX_MENTIONS)
+ */
+const findMentionedUsernames = (text) => {
+    const withoutCode = String(text || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`\n]*`/g, ' ');
+
+    const usernames = [];
+    for (const match of withoutCode.matchAll(MENTION_PATTERN)) {
+        const username = match[2].replace(/[.-]+$/, '');
+        if (username && !usernames.includes(username)) {
+            usernames.push(username);
+        }
+    }
+
+    return usernames.slice(0, MAX_MENTIONS);
+};
+
+module.exports = {
+    MAX_MENTIONS,
+    findMentionedUsernames
+};
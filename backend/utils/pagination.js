@@ -0,0 +1,135 @@
+/**
+ * CURSOR PAGINATION HELPERS
+ * 
+ * Instead of page numbers (?page=3), lists are paginated with a cursor:
+ * an opaque string that points at the last item of the previous page.
+ * The next page is "everything that sorts after that item".
+ * 
+ * Why cursors instead of skip/limit?
+ * - skip(n) gets slower the further you page, cursors use the index directly
+ *   (e.g. { user: 1, createdAt: -1 } on tasks)
+ * - New items created while paging don't shift the pages around
+ * 
+ * The cursor contains the sort value and _id of the last item.
+ * _id is the tie-breaker, so items with equal sort values are never skipped.
+ */
+
+// Default and maximum page size
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a cursor for the last item of a page
+ * 
+ * @param {Object} doc - Last document of the page
+ * @param {string} field - Field the list is sorted by
+ * @returns {string} URL-safe base64 cursor
+ */
+const encodeCursor = (doc, field) => {
+    const value = doc[field];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value ?? null,
+        d: value instanceof Date,          // Remember the type so it can be restored
+        id: String(doc._id)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * 
+ * @param {string} cursor - Cursor from the query string
+ * @returns {{ value: *, id: string }|null} Null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || typeof payload.id !== 'string' || !/^[0-9a-f]{24}$/.test(payload.id)) {
+            return null;
+        }
+
+        // Only plain sort values: an object such as { "$gt": "" } would
+        // end up in the filter as a query operator
+        const { v } = payload;
+        if (payload.d) {
+            const date = typeof v === 'string' ? new Date(v) : null;
+            return date && !Number.isNaN(date.getTime()) ? { value: date, id: payload.id } : null;
+        }
+        if (v !== null && typeof v !== 'string' && !(typeof v === 'number' && Number.isFinite(v))) {
+            return null;
+        }
+        return { value: v, id: payload.id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build the filter that selects everything AFTER the cursor
+ * 
+ * MongoDB sorts missing/null values before everything else, so:
+ * - ascending:  nulls come first, then the values
+ * - descending: values first, then the nulls
+ * The conditions below follow that order for optional fields such as dueDate.
+ * 
+ * @param {Object} sort - Sort object from the list query, e.g. { createdAt: -1, _id: -1 }
+ * @param {{ value: *, id: string }} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sort, cursor) => {
+    const [field, direction] = Object.entries(sort)[0];
+    const { value, id } = cursor;
+    const after = direction === 1 ? '$gt' : '$lt';
+    const idAfter = { [after]: id };
+
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: idAfter }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: idAfter };
+    }
+
+    const conditions = [
+        { [field]: { [after]: value } },
+        { [field]: value, _id: idAfter }
+    ];
+
+    // In descending order the nulls are still to come
+    if (direction === -1) {
+        conditions.push({ [field]: null });
+    }
+
+    return { $or: conditions };
+};
+
+/**
+ * Run a paginated find
+ * 
+ * Fetches one item more than requested to know if there is a next page
+ * 
+ * @param {Object} options
+ * @param {Object} options.query - Mongoose query with filter and sort applied
+ * @param {Object} options.sort - The same sort object used for the query
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ */
+const paginate = async ({ query, sort, limit }) => {
+    const items = await query.limit(limit + 1);
+    const hasMore = items.length > limit;
+    if (hasMore) {
+        items.pop();
+    }
+
+    const [field] = Object.keys(sort);
+    const nextCursor = hasMore ? encodeCursor(items[items.length - 1], field) : null;
+
+    return { items, nextCursor };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    buildCursorFilter,
+    paginate
+};
@@ -0,0 +1,42 @@
+/**
+ * PASSWORD CONFIRMATION
+ * 
+ * Sensitive changes (email, password, two-factor authentication, deleting
+ * the account) ask for the current password, so someone using a device
+ * that was left logged in can't take the account over.
+ * 
+ * Accounts created with single sign-on have no password: for them, having
+ * signed in with their provider in the last few minutes counts instead.
+ */
+
+// How recent a single sign-on login must be to confirm a change
+const RECENT_LOGIN_MS = 10 * 60 * 1000;
+
+/**
+ * Check that the logged in user is who they say they are
+ * 
+ * @param {Object} req - Express request (after protect, for req.authSession)
+ * @param {Object} user - User document (loaded with the password)
+ * @param {string} password - Password typed by the user
+ * @param {string} wrongPasswordMessage - Message when the password is wrong
+ * @returns {Promise<string|null>} Error message for a 401 response, or null if confirmed
+ */
+const confirmPassword = async (req, user, password, wrongPasswordMessage = 'Incorrect password') => {
+    if (user.password) {
+        if (!password) {
+            return 'Please enter your password';
+        }
+        return (await user.matchPassword(password)) ? null : wrongPasswordMessage;
+    }
+
+    // Single sign-on account: the session started with the provider's login
+    const loggedInAt = req.authSession?.createdAt;
+    if (loggedInAt && Date.now() - loggedInAt.getTime() < RECENT_LOGIN_MS) {
+        return null;
+    }
+    return 'Please log out and sign in again to confirm it is you';
+};
+
+module.exports = {
+    confirmPassword
+};
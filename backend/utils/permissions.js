@@ -0,0 +1,93 @@
+/**
+ * WORKSPACE ROLES AND PERMISSIONS
+ * 
+ * Every member of a workspace has one role. A role is a set of
+ * permissions, and routes ask for a permission, not a role
+ * (see requirePermission in middleware/auth.js):
+ * 
+ *   router.put('/:id', protect, requirePermission('tasks:write'), ...)
+ * 
+ * Roles, from most to least powerful:
+ * - owner:  everything, including deleting the workspace (one per workspace)
+ * - admin:  manage members, invites, statuses and projects
+ * - member: create and edit tasks, tags and projects
+ * - viewer: read only
+ * 
+ * Personal API tokens (models/ApiToken.js) also have scopes, that limit
+ * what a script can do on top of its owner's role
+ * (see requireScope in middleware/auth.js)
+ */
+
+// Roles in order, most powerful first
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Permissions of each role
+const ROLE_PERMISSIONS = {
+    owner: ['tasks:read', 'tasks:write', 'workspace:manage', 'members:manage', 'workspace:delete'],
+    admin: ['tasks:read', 'tasks:write', 'workspace:manage', 'members:manage'],
+    member: ['tasks:read', 'tasks:write'],
+    viewer: ['tasks:read']
+};
+
+// Scopes of API tokens, and what each one allows (tasks:write includes tasks:read)
+const API_TOKEN_SCOPES = {
+    'tasks:read': ['tasks:read'],
+    'tasks:write': ['tasks:read', 'tasks:write']
+};
+
+/**
+ * Get the permissions of a role
+ * 
+ * @param {string} role - owner / admin / member / viewer
+ * @returns {Array<string>} Permission names (empty for unknown roles)
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check if a role has a permission
+ * 
+ * @param {string} role - owner / admin / member / viewer
+ * @param {string} permission - e.g. "tasks:write"
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Check if a role is at least as powerful as another one
+ * e.g. isRoleAtLeast('admin', 'member') === true
+ */
+const isRoleAtLeast = (role, minimum) => {
+    const index = ROLES.indexOf(role);
+    return index !== -1 && index <= ROLES.indexOf(minimum);
+};
+
+/**
+ * Check if a member may update a task
+ * Assignees can update their tasks even without tasks:write (e.g. viewers)
+ * 
+ * @param {Object} membership - Membership of the user in the task's workspace
+ * @param {Object} task - Task document
+ * @returns {boolean}
+ */
+const canUpdateTask = (membership, task) =>
+    hasPermission(membership.role, 'tasks:write') || task.isAssignedTo(membership.user);
+
+/**
+ * Check if API token scopes allow something
+ * 
+ * @param {Array<string>} scopes - Scopes of the token
+ * @param {string} scope - e.g. "tasks:read"
+ * @returns {boolean}
+ */
+const scopesAllow = (scopes, scope) =>
+    scopes.some((granted) => (API_TOKEN_SCOPES[granted] || []).includes(scope));
+
+module.exports = {
+    ROLES,
+    API_TOKEN_SCOPES,
+    getPermissions,
+    hasPermission,
+    isRoleAtLeast,
+    canUpdateTask,
+    scopesAllow
+};
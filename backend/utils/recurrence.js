@@ -0,0 +1,332 @@
+/**
+ * RECURRENCE HELPERS
+ *
+ * Recurring tasks follow a subset of the iCalendar RRULE format (RFC 5545):
+ *
+ *   FREQ=DAILY;INTERVAL=3                    -> every 3 days
+ *   FREQ=WEEKLY;BYDAY=MO,TH                  -> every Monday and Thursday
+ *   FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=12      -> last day of the month, 12 times
+ *   FREQ=WEEKLY;INTERVAL=2;UNTIL=20241231    -> every other week until the end of 2024
+ *
+ * A rule is stored on the task as an object:
+ *   { freq, interval, byDay, byMonthDay, until, count }
+ *
+ * Like DTSTART in iCalendar, the task's own date (due date, or start date)
+ * is the first occurrence, and COUNT includes it. Occurrences are calculated
+ * on calendar days in the task's timezone and keep the time of day.
+ * Months without the requested day (e.g. February 30th) are skipped, as RRULE does.
+ */
+
+const { addDays, getZonedParts, isTaskDate, parseTaskDate } = require('./dates');
+
+// Supported frequencies and weekday codes (weeks start on Monday, like RRULE's default WKST)
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Limits that keep rules (and the loops below) reasonable
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const MAX_PREVIEW = 20;
+
+// Stop looking after this many periods (e.g. "every 12 months on the 31st" starting in February never matches)
+const MAX_PERIODS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// CALENDAR DAY HELPERS
+// A calendar day is a number: days since 1970-01-01
+// ============================================
+
+const toDayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (dayNumber) => {
+    const date = new Date(dayNumber * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// 0 = Monday ... 6 = Sunday
+const weekdayOf = (dayNumber) => (new Date(dayNumber * DAY_MS).getUTCDay() + 6) % 7;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE") into a plain object
+ *
+ * @param {string} value - RRULE string, with or without the "RRULE:" prefix
+ * @returns {Object|string} Rule input, or an error message
+ */
+const parseRRuleString = (value) => {
+    const input = {};
+
+    for (const part of value.replace(/^RRULE:/i, '').split(';')) {
+        const [name, partValue] = part.split('=');
+        if (!partValue) {
+            return `Invalid RRULE part: ${part}`;
+        }
+
+        switch (name.toUpperCase()) {
+            case 'FREQ':
+                input.freq = partValue;
+                break;
+            case 'INTERVAL':
+                input.interval = Number(partValue);
+                break;
+            case 'BYDAY':
+                input.byDay = partValue.split(',');
+                break;
+            case 'BYMONTHDAY':
+                input.byMonthDay = Number(partValue);
+                break;
+            case 'COUNT':
+                input.count = Number(partValue);
+                break;
+            case 'UNTIL':
+                input.until = partValue;
+                break;
+            default:
+                return `Unsupported RRULE part: ${name}`;
+        }
+    }
+
+    return input;
+};
+
+/**
+ * Parse an UNTIL value
+ *
+ * Accepts the formats task dates use ("2024-12-31", an ISO instant) and
+ * the RRULE formats ("20241231", "20241231T235959Z").
+ * A date without a time includes the whole day in the task's timezone.
+ *
+ * @returns {Date|null} The last allowed instant, or null if invalid
+ */
+const parseUntil = (value, timeZone) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    // RRULE basic format -> ISO format
+    const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+    if (basic) {
+        const [, year, month, day, hour, minute, second] = basic;
+        value = hour
+            ? `${year}-${month}-${day}T${hour}:${minute}:${second}Z`
+            : `${year}-${month}-${day}`;
+    }
+
+    if (!isTaskDate(value)) {
+        return null;
+    }
+    return parseTaskDate(value, timeZone, { endOfDay: true }).date;
+};
+
+/**
+ * Validate and normalize a recurrence rule from a request body
+ *
+ * @param {Object|string} input - Rule object or RRULE string
+ * @param {string} timeZone - Timezone used for an UNTIL date without a time
+ * @returns {{ rule: Object } | { error: string }}
+ */
+const parseRecurrence = (input, timeZone = 'UTC') => {
+    if (typeof input === 'string') {
+        input = parseRRuleString(input);
+        if (typeof input === 'string') {
+            return { error: input };
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Recurrence must be an RRULE string or an object' };
+    }
+
+    const freq = String(input.freq || '').toUpperCase();
+    if (!FREQUENCIES.includes(freq)) {
+        return { error: 'Recurrence freq must be one of: ' + FREQUENCIES.join(', ') };
+    }
+
+    const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        return { error: `Recurrence interval must be between 1 and ${MAX_INTERVAL}` };
+    }
+
+    const rule = { freq, interval, byDay: [], byMonthDay: null, until: null, count: null };
+
+    // Weekdays - only for weekly rules
+    if (input.byDay && input.byDay.length > 0) {
+        if (freq !== 'WEEKLY') {
+            return { error: 'byDay can only be used with weekly recurrence' };
+        }
+        const byDay = [].concat(input.byDay).map((day) => String(day).toUpperCase());
+        if (!byDay.every((day) => WEEKDAYS.includes(day))) {
+            return { error: 'byDay must only contain: ' + WEEKDAYS.join(', ') };
+        }
+        // Unique and in week order
+        rule.byDay = WEEKDAYS.filter((day) => byDay.includes(day));
+    }
+
+    // Day of the month - only for monthly rules, -1 means the last day
+    if (input.byMonthDay !== undefined && input.byMonthDay !== null && input.byMonthDay !== '') {
+        if (freq !== 'MONTHLY') {
+            return { error: 'byMonthDay can only be used with monthly recurrence' };
+        }
+        const byMonthDay = Number(input.byMonthDay);
+        if (!Number.isInteger(byMonthDay) || byMonthDay === 0 || byMonthDay < -1 || byMonthDay > 31) {
+            return { error: 'byMonthDay must be between 1 and 31, or -1 for the last day of the month' };
+        }
+        rule.byMonthDay = byMonthDay;
+    }
+
+    // End of the series: a date OR a number of occurrences (never both, as in RRULE)
+    const hasUntil = input.until !== undefined && input.until !== null && input.until !== '';
+    const hasCount = input.count !== undefined && input.count !== null && input.count !== '';
+    if (hasUntil && hasCount) {
+        return { error: 'Recurrence can end on a date or after a count, not both' };
+    }
+    if (hasUntil) {
+        rule.until = parseUntil(input.until, timeZone);
+        if (!rule.until) {
+            return { error: 'Recurrence until must be a valid date' };
+        }
+    }
+    if (hasCount) {
+        rule.count = Number(input.count);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+            return { error: `Recurrence count must be between 1 and ${MAX_COUNT}` };
+        }
+    }
+
+    return { rule };
+};
+
+/**
+ * Format a rule as an RRULE string (for display and calendar exports)
+ *
+ * @param {Object} rule - Normalized rule
+ * @returns {string} e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ */
+const formatRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) {
+        parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+
+    return parts.join(';');
+};
+
+// ============================================
+// OCCURRENCES
+// ============================================
+
+/**
+ * Calendar days of the first `limit` occurrences, starting with startDay
+ *
+ * Walks the rule period by period (day / week / month) and keeps the
+ * candidates after startDay. Without byDay / byMonthDay the weekday or
+ * day of month of startDay is used, like RRULE does with DTSTART.
+ */
+const occurrenceDays = (rule, startDay, limit) => {
+    const days = [startDay];
+    const interval = rule.interval || 1;
+    const start = fromDayNumber(startDay);
+
+    for (let period = 0; period < MAX_PERIODS && days.length < limit; period++) {
+        let candidates = [];
+
+        if (rule.freq === 'DAILY') {
+            candidates = [startDay + period * interval];
+        } else if (rule.freq === 'WEEKLY') {
+            const weekStart = startDay - weekdayOf(startDay) + period * interval * 7;
+            const weekdays = rule.byDay && rule.byDay.length > 0
+                ? rule.byDay.map((day) => WEEKDAYS.indexOf(day))
+                : [weekdayOf(startDay)];
+            candidates = weekdays.sort((a, b) => a - b).map((weekday) => weekStart + weekday);
+        } else if (rule.freq === 'MONTHLY') {
+            const monthIndex = start.month - 1 + period * interval;
+            const year = start.year + Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+            const lastDay = daysInMonth(year, month);
+            const day = rule.byMonthDay === -1 ? lastDay : rule.byMonthDay || start.day;
+
+            // Skip months that don't have the day
+            if (day <= lastDay) {
+                candidates = [toDayNumber({ year, month, day })];
+            }
+        }
+
+        for (const candidate of candidates) {
+            if (candidate > startDay && days.length < limit) {
+                days.push(candidate);
+            }
+        }
+    }
+
+    return days;
+};
+
+/**
+ * List the first occurrences of a rule
+ *
+ * @param {Object} rule - Normalized rule
+ * @param {Date} start - First occurrence (the task's date)
+ * @param {string} timeZone - Timezone of the task
+ * @param {number} limit - Maximum number of occurrences to return
+ * @returns {Array<Date>} Occurrences, starting with `start`, within count / until
+ */
+const getOccurrences = (rule, start, timeZone, limit) => {
+    if (rule.count) {
+        limit = Math.min(limit, rule.count);
+    }
+
+    const startDay = toDayNumber(getZonedParts(start, timeZone));
+
+    return occurrenceDays(rule, startDay, limit)
+        .map((day) => addDays(start, day - startDay, timeZone))
+        .filter((date) => !rule.until || date <= rule.until);
+};
+
+/**
+ * The occurrence after `current`
+ *
+ * @param {Object} rule - Normalized rule
+ * @param {Date} current - Date of the current occurrence
+ * @param {string} timeZone - Timezone of the task
+ * @param {number} index - Position of the current occurrence in the series (1 = first)
+ * @returns {Date|null} Next occurrence, or null when the series is over
+ */
+const getNextOccurrence = (rule, current, timeZone, index = 1) => {
+    if (rule.count && index >= rule.count) {
+        return null;
+    }
+
+    const [, next] = getOccurrences({ ...rule, count: null }, current, timeZone, 2);
+    return next || null;
+};
+
+/**
+ * Number of calendar days between two instants in the timezone
+ */
+const calendarDaysBetween = (from, to, timeZone) =>
+    toDayNumber(getZonedParts(to, timeZone)) - toDayNumber(getZonedParts(from, timeZone));
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    MAX_PREVIEW,
+    parseRecurrence,
+    formatRRule,
+    getOccurrences,
+    getNextOccurrence,
+    calendarDaysBetween
+};
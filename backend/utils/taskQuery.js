@@ -0,0 +1,179 @@
+/**
+ * TASK QUERY HELPERS
+ * 
+ * Turns the query string of GET /api/tasks into a MongoDB filter and sort
+ * 
+ * Supported query parameters (all optional):
+ * - completed:   true / false
+ * - status:      comma separated status keys (e.g. "todo,blocked")
+ * - priority:    comma separated priorities (e.g. "high,urgent")
+ * - project:     project id, or "none" for tasks without a project
+ * - assignee:    user id (tasks assigned to them), or "none" for unassigned tasks
+ * - createdBy:   user id (tasks they created)
+ * - q:           full-text search over title and description
+ * - tags:        comma separated tag ids
+ * - tagMode:     all (task has every tag, default) / any (at least one)
+ * - due:         overdue / today / week
+ * - dueFrom, dueTo, createdFrom, createdTo: date range (inclusive)
+ * - tz:          timezone for "today" and for dates without an offset
+ * - sort:        createdAt / updatedAt / dueDate / priority / title
+ * - order:       asc / desc
+ * 
+ * The values are validated in routes/tasks.js before they get here
+ * ("me" in assignee / createdBy is replaced by the user's id there)
+ */
+
+const { parseTaskDate, startOfDay } = require('./dates');
+
+// Fields the task list can be sorted by
+// priority sorts by the numeric priorityRank so "urgent" > "high" > ...
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    dueDate: 'dueDate',
+    priority: 'priorityRank',
+    title: 'title'
+};
+
+/**
+ * Split a comma separated query value into a clean array
+ * "todo, blocked" -> ['todo', 'blocked']
+ */
+const toList = (value) => {
+    return String(value)
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Build the MongoDB filter for the ?due= query parameter
+ * 
+ * - overdue: not completed and the due time has passed
+ * - today:   due at some point today
+ * - week:    due today or in the next 6 days
+ * 
+ * "Today" is calculated in the caller's timezone
+ */
+const buildDueFilter = (due, timeZone, now = new Date()) => {
+    const today = startOfDay(now, timeZone);
+
+    switch (due) {
+        case 'overdue':
+            return { completed: false, dueDate: { $lt: now } };
+        case 'today':
+            return { dueDate: { $gte: today, $lt: startOfDay(now, timeZone, 1) } };
+        case 'week':
+            return { dueDate: { $gte: today, $lt: startOfDay(now, timeZone, 7) } };
+        default:
+            return {};
+    }
+};
+
+/**
+ * Build a { $gte, $lte } range from two optional date strings
+ * 
+ * The "to" date is inclusive: an all-day "to" date covers the whole day
+ * 
+ * @returns {Object|null} Range condition, or null if neither end is set
+ */
+const buildDateRange = (from, to, timeZone) => {
+    const range = {};
+    if (from) range.$gte = parseTaskDate(from, timeZone).date;
+    if (to) range.$lte = parseTaskDate(to, timeZone, { endOfDay: true }).date;
+    return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Build the MongoDB filter for a task list request
+ * 
+ * @param {Object} baseFilter - Workspace filter, e.g. { workspace: req.workspace._id }
+ * @param {Object} query - Validated req.query
+ * @returns {Object} MongoDB filter
+ */
+const buildTaskFilter = (baseFilter, query) => {
+    const timeZone = query.tz || 'UTC';
+
+    // $and lets several conditions target the same field (e.g. dueDate)
+    const conditions = [baseFilter];
+
+    if (query.completed !== undefined) {
+        conditions.push({ completed: query.completed === 'true' });
+    }
+
+    if (query.status) {
+        conditions.push({ status: { $in: toList(query.status) } });
+    }
+
+    if (query.priority) {
+        conditions.push({ priority: { $in: toList(query.priority) } });
+    }
+
+    if (query.project) {
+        conditions.push({ project: query.project === 'none' ? null : query.project });
+    }
+
+    if (query.assignee) {
+        // Tasks created before assignees existed have no array at all
+        conditions.push(query.assignee === 'none'
+            ? { 'assignees.0': { $exists: false } }
+            : { assignees: query.assignee });
+    }
+
+    if (query.createdBy) {
+        conditions.push({ user: query.createdBy });
+    }
+
+    if (query.tags) {
+        const tagIds = toList(query.tags);
+        const operator = query.tagMode === 'any' ? '$in' : '$all';
+        conditions.push({ tags: { [operator]: tagIds } });
+    }
+
+    if (query.q) {
+        // Uses the text index on title + description (see models/Task.js)
+        conditions.push({ $text: { $search: query.q } });
+    }
+
+    if (query.due) {
+        conditions.push(buildDueFilter(query.due, timeZone));
+    }
+
+    const dueRange = buildDateRange(query.dueFrom, query.dueTo, timeZone);
+    if (dueRange) {
+        conditions.push({ dueDate: dueRange });
+    }
+
+    const createdRange = buildDateRange(query.createdFrom, query.createdTo, timeZone);
+    if (createdRange) {
+        conditions.push({ createdAt: createdRange });
+    }
+
+    return conditions.length === 1 ? baseFilter : { $and: conditions };
+};
+
+/**
+ * Build the sort for a task list request
+ * 
+ * Newest first by default. _id is added as a tie-breaker
+ * so tasks with equal values always come back in the same order
+ * 
+ * @param {Object} query - Validated req.query
+ * @returns {Object} MongoDB sort, e.g. { dueDate: 1, _id: 1 }
+ */
+const buildTaskSort = (query) => {
+    const field = SORT_FIELDS[query.sort] || SORT_FIELDS.createdAt;
+
+    // Text-like fields read naturally A-Z, dates newest first
+    const defaultOrder = field === 'title' ? 'asc' : 'desc';
+    const direction = (query.order || defaultOrder) === 'asc' ? 1 : -1;
+
+    return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    buildDueFilter,
+    buildTaskFilter,
+    buildTaskSort
+};
@@ -0,0 +1,91 @@
+/**
+ * TASK STATUS & PRIORITY HELPERS
+ * 
+ * Tasks move through a status workflow instead of a single completed flag.
+ * 
+ * Built-in statuses are the same for everyone. Users can add their own
+ * custom statuses (e.g. "In Review"), and every custom status belongs to
+ * one of the built-in CATEGORIES. The category decides how the status
+ * behaves: a custom status in the "done" category completes the task,
+ * one in "in_progress" is counted as in progress, and so on.
+ */
+
+/**
+ * Built-in statuses
+ * The key of each built-in status is also the name of its category
+ */
+const BUILT_IN_STATUSES = [
+    { key: 'todo', label: 'To Do', color: '#94a3b8', category: 'todo', builtIn: true },
+    { key: 'in_progress', label: 'In Progress', color: '#f59e0b', category: 'in_progress', builtIn: true },
+    { key: 'blocked', label: 'Blocked', color: '#ef4444', category: 'blocked', builtIn: true },
+    { key: 'done', label: 'Done', color: '#10b981', category: 'done', builtIn: true }
+];
+
+// Category names (todo, in_progress, blocked, done)
+const STATUS_CATEGORIES = BUILT_IN_STATUSES.map((status) => status.key);
+
+// Priority levels, lowest first
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Get every status available to a user (built-in + custom)
+ * 
+ * @param {Object} user - User document (with customStatuses)
+ * @returns {Array} Status objects { key, label, color, category, builtIn }
+ */
+const getStatuses = (user) => {
+    const custom = (user.customStatuses || []).map((status) => ({
+        key: status.key,
+        label: status.label,
+        color: status.color,
+        category: status.category,
+        builtIn: false
+    }));
+
+    return [...BUILT_IN_STATUSES, ...custom];
+};
+
+/**
+ * Find a status by key
+ * 
+ * @param {Object} user - User document
+ * @param {string} key - Status key
+ * @returns {Object|undefined} The status, or undefined if the user doesn't have it
+ */
+const findStatus = (user, key) => {
+    return getStatuses(user).find((status) => status.key === key);
+};
+
+/**
+ * All status keys that belong to a category
+ * e.g. 'in_progress' -> ['in_progress', 'in_review']
+ * 
+ * Used to count or filter tasks by category in MongoDB queries
+ */
+const getStatusKeysInCategory = (user, category) => {
+    return getStatuses(user)
+        .filter((status) => status.category === category)
+        .map((status) => status.key);
+};
+
+/**
+ * Turn a label into a status key
+ * "In Review" -> "in_review"
+ */
+const toStatusKey = (label) => {
+    return label
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+};
+
+module.exports = {
+    BUILT_IN_STATUSES,
+    STATUS_CATEGORIES,
+    PRIORITIES,
+    getStatuses,
+    findStatus,
+    getStatusKeysInCategory,
+    toStatusKey
+};
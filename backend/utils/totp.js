@@ -0,0 +1,196 @@
+/**
+ * TOTP HELPERS
+ *
+ * Time-based one-time passwords (RFC 6238), the 6-digit codes shown by
+ * authenticator apps (Google Authenticator, 1Password, Authy, ...)
+ *
+ * The app and the server share a random secret. Every 30 seconds both
+ * compute HMAC-SHA1(secret, number of 30 second steps since 1970) and
+ * turn it into 6 digits (HOTP, RFC 4226). The secret is given to the app
+ * as an otpauth:// URI, usually shown as a QR code:
+ *
+ *   otpauth://totp/Task%20Manager:john%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Task%20Manager
+ *
+ * Secrets are written in base32 (RFC 4648), the format apps expect.
+ */
+
+const crypto = require('crypto');
+
+// Code settings - the defaults of every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Codes from this many steps before/after now are accepted (clock drift)
+const WINDOW = 1;
+
+// Secret size: 160 bits, the size recommended by RFC 4226
+const SECRET_BYTES = 20;
+
+// Name shown in the authenticator app
+const ISSUER = process.env.TOTP_ISSUER || 'Task Manager';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// BASE32
+// ============================================
+
+/**
+ * Encode bytes in base32 (without padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} e.g. "JBSWY3DPEHPK3PXP"
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string
+ * Spaces, padding and lowercase letters are accepted (secrets typed by hand)
+ *
+ * @param {string} input - base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// ============================================
+// CODES
+// ============================================
+
+/**
+ * Create a random secret
+ *
+ * @returns {string} base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step of a date
+ *
+ * @param {number} time - Timestamp in ms (default: now)
+ * @returns {number} Number of 30 second steps since 1970
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a time step (HOTP, RFC 4226 section 5.3)
+ *
+ * @param {string} secret - base32 secret
+ * @param {number} step - Time step
+ * @returns {string} 6-digit code, with leading zeros
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+    // The counter is an 8-byte big-endian number
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation: the last 4 bits pick where to read 31 bits
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code typed by the user
+ *
+ * Returns the time step the code belongs to, so the caller can refuse
+ * a code that was already used (RFC 6238 section 5.2)
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @param {number} time - Timestamp in ms (default: now)
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, time = Date.now()) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = getTimeStep(time);
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+        const expected = generateCode(secret, step);
+
+        // Constant-time comparison
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * otpauth:// URI to add the secret to an authenticator app
+ * (Key URI format: https://github.com/google/google-authenticator/wiki/Key-Uri-Format)
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} accountName - Shown under the issuer in the app (the user's email)
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -0,0 +1,73 @@
+/**
+ * USER HELPERS
+ * 
+ * The user data sent to the frontend (login, refresh, profile...)
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { fileUrl } = require('../services/storage');
+
+/**
+ * User fields sent to the client
+ * Never the password, 2FA secrets or lockout counters
+ * 
+ * @param {Object} user - User document
+ * @returns {Object} { id, username, displayName, email, pendingEmail, emailVerified,
+ *   hasPassword, identities, twoFactorEnabled, avatarUrl, timezone, locale, dateFormat,
+ *   notificationPreferences, reminderPreferences, deletionScheduledAt, role, createdAt }
+ */
+const toClientUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    displayName: user.displayName || '',
+    email: user.email,
+    pendingEmail: user.pendingEmail || null,
+    emailVerified: user.emailVerified,
+    hasPassword: user.hasPassword !== false,
+    // Single sign-on providers the user signs in with
+    identities: (user.identities || []).map((identity) => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt
+    })),
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    avatarUrl: fileUrl(user.avatarKey),
+    timezone: user.timezone || null,
+    locale: user.locale || null,
+    dateFormat: user.dateFormat || 'auto',
+    // Which events notify the user - every type is on unless turned off
+    notificationPreferences: Object.fromEntries(
+        Notification.TYPES.map((type) => [type, user.notificationPreferences?.[type] !== false])
+    ),
+    // Due date reminders: minutes before the due time, and whether they are emailed
+    reminderPreferences: {
+        offsets: user.reminderPreferences?.offsets ? [...user.reminderPreferences.offsets] : User.DEFAULT_REMINDER_OFFSETS,
+        email: user.reminderPreferences?.email !== false
+    },
+    deletionScheduledAt: user.deletionScheduledAt || null,
+    role: user.role || 'user',
+    createdAt: user.createdAt
+});
+
+/**
+ * User fields shown in the admin console (routes/admin.js)
+ * The client fields, plus the account's state
+ * 
+ * @param {Object} user - User document
+ * @returns {Object} toClientUser fields and { disabledAt, disabledReason,
+ *   passwordResetRequired, lockedUntil, updatedAt }
+ */
+const toAdminUser = (user) => ({
+    ...toClientUser(user),
+    disabledAt: user.disabledAt || null,
+    disabledReason: user.disabledReason || '',
+    passwordResetRequired: Boolean(user.passwordResetRequired),
+    lockedUntil: user.getLockRemaining() ? user.lockUntil : null,
+    updatedAt: user.updatedAt
+});
+
+module.exports = {
+    toClientUser,
+    toAdminUser
+};
@@ -11,7 +11,18 @@
  * - / : Redirects to dashboard or login based on auth status
  * - /login : Login page (public)
  * - /register : Registration page (public)
+ * - /forgot-password : Ask for a password reset link (public)
+ * - /reset-password/:token : Choose a new password (public)
+ * - /verify-email/:token : Verify the user's email address (public)
+ * - /auth/callback : End of a single sign-on login (public)
  * - /dashboard : Main dashboard (protected - requires authentication)
+ * - /projects/:projectId : Dashboard showing one project (protected)
+ * - /workspace/members : Members and invites of the current workspace (protected)
+ * - /invite/:token : Accept an invite to a workspace (protected)
+ * - /settings : Profile, preferences, email and password (protected)
+ * - /account/security : Two-factor authentication and sessions (protected)
+ * - /account/tokens : Personal API tokens (protected)
+ * - /admin : Admin console, users and statistics (protected - admins only)
  */
 
 // Import React Router components
@@ -19,6 +30,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 
 // Import context providers
 import { AuthProvider } from './context/AuthContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
 
 // Import components
 import ProtectedRoute from './components/ProtectedRoute';
@@ -26,7 +38,17 @@ import ProtectedRoute from './components/ProtectedRoute';
 // Import pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import SsoCallback from './pages/SsoCallback';
 import Dashboard from './pages/Dashboard';
+import WorkspaceMembers from './pages/WorkspaceMembers';
+import AcceptInvite from './pages/AcceptInvite';
+import Settings from './pages/Settings';
+import AccountSecurity from './pages/AccountSecurity';
+import ApiTokens from './pages/ApiTokens';
+import Admin from './pages/Admin';
 
 /**
  * App Component
@@ -46,73 +68,196 @@ function App() {
        */}
       <Router>
         {/**
-         * Routes container
-         * Defines all the routes in the application
+         * WorkspaceProvider loads the user's workspaces
+         * Pages are rendered again when the user switches workspace
          */}
-        <Routes>
-          {/* ============================================ */}
-          {/* HOME ROUTE */}
-          {/* ============================================ */}
-
+        <WorkspaceProvider>
           {/**
-           * Root route: /
-           * Redirects to dashboard by default
-           * If user is not authenticated, ProtectedRoute will redirect to login
+           * Routes container
+           * Defines all the routes in the application
            */}
-          <Route
-            path="/"
-            element={
-              <ProtectedRoute>
-                <Navigate to="/dashboard" replace />
-              </ProtectedRoute>
-            }
-          />
-
-          {/* ============================================ */}
-          {/* PUBLIC ROUTES */}
-          {/* ============================================ */}
+          <Routes>
+            {/* ============================================ */}
+            {/* HOME ROUTE */}
+            {/* ============================================ */}
 
-          {/**
-           * Login route: /login
-           * Public route - anyone can access
-           */}
-          <Route path="/login" element={<Login />} />
+            {/**
+             * Root route: /
+             * Redirects to dashboard by default
+             * If user is not authenticated, ProtectedRoute will redirect to login
+             */}
+            <Route
+              path="/"
+              element={
+                <ProtectedRoute>
+                  <Navigate to="/dashboard" replace />
+                </ProtectedRoute>
+              }
+            />
 
-          {/**
-           * Register route: /register
-           * Public route - anyone can access
-           */}
-          <Route path="/register" element={<Register />} />
+            {/* ============================================ */}
+            {/* PUBLIC ROUTES */}
+            {/* ============================================ */}
 
-          {/* ============================================ */}
-          {/* PROTECTED ROUTES */}
-          {/* ============================================ */}
+            {/**
+             * Login route: /login
+             * Public route - anyone can access
+             */}
+            <Route path="/login" element={<Login />} />
 
-          {/**
-           * Dashboard route: /dashboard
-           * Protected route - requires authentication
-           * ProtectedRoute component checks if user is logged in
-           * If not logged in, redirects to /login
-           */}
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            }
-          />
-
-          {/* ============================================ */}
-          {/* CATCH-ALL ROUTE */}
-          {/* ============================================ */}
+            {/**
+             * Register route: /register
+             * Public route - anyone can access
+             */}
+            <Route path="/register" element={<Register />} />
 
-          {/**
-           * Catch-all route for undefined paths
-           * Redirects to home page which will handle authentication
-           */}
-          <Route path="*" element={<Navigate to="/" replace />} />
-        </Routes>
+            {/**
+             * Password reset routes: /forgot-password and /reset-password/:token
+             * Public routes - the user can't log in
+             */}
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+
+            {/**
+             * Email verification route: /verify-email/:token
+             * Public route - the link may be opened on another device
+             */}
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+
+            {/**
+             * Single sign-on route: /auth/callback
+             * Public route - the server sends the browser here after the provider's login
+             */}
+            <Route path="/auth/callback" element={<SsoCallback />} />
+
+            {/* ============================================ */}
+            {/* PROTECTED ROUTES */}
+            {/* ============================================ */}
+
+            {/**
+             * Dashboard route: /dashboard
+             * Protected route - requires authentication
+             * ProtectedRoute component checks if user is logged in
+             * If not logged in, redirects to /login
+             */}
+            <Route
+              path="/dashboard"
+              element={
+                <ProtectedRoute>
+                  <Dashboard />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Project route: /projects/:projectId
+             * The Dashboard, showing only the tasks of one project
+             * Protected route - requires authentication
+             */}
+            <Route
+              path="/projects/:projectId"
+              element={
+                <ProtectedRoute>
+                  <Dashboard />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Members route: /workspace/members
+             * Members, roles and invites of the current workspace
+             * Protected route - requires authentication
+             */}
+            <Route
+              path="/workspace/members"
+              element={
+                <ProtectedRoute>
+                  <WorkspaceMembers />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Invite route: /invite/:token
+             * Join a workspace from an invite link
+             * Protected route - logged out users log in first and come back here
+             */}
+            <Route
+              path="/invite/:token"
+              element={
+                <ProtectedRoute>
+                  <AcceptInvite />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Settings route: /settings
+             * Profile, preferences, email address and password
+             * Protected route - requires authentication
+             */}
+            <Route
+              path="/settings"
+              element={
+                <ProtectedRoute>
+                  <Settings />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Account security route: /account/security
+             * Two-factor authentication and active sessions
+             * Protected route - requires authentication
+             */}
+            <Route
+              path="/account/security"
+              element={
+                <ProtectedRoute>
+                  <AccountSecurity />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * API tokens route: /account/tokens
+             * Create and revoke personal API tokens
+             * Protected route - requires authentication
+             */}
+            <Route
+              path="/account/tokens"
+              element={
+                <ProtectedRoute>
+                  <ApiTokens />
+                </ProtectedRoute>
+              }
+            />
+
+            {/**
+             * Admin route: /admin
+             * Manage users and see statistics of the whole app
+             * Protected route - requires the admin role
+             */}
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute role="admin">
+                  <Admin />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* ============================================ */}
+            {/* CATCH-ALL ROUTE */}
+            {/* ============================================ */}
+
+            {/**
+             * Catch-all route for undefined paths
+             * Redirects to home page which will handle authentication
+             */}
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </WorkspaceProvider>
       </Router>
     </AuthProvider>
   );
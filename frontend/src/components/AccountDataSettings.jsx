@@ -0,0 +1,170 @@
+/**
+ * ACCOUNT DATA SETTINGS COMPONENT
+ *
+ * The user's personal data:
+ * - Download everything stored about them as a JSON file
+ * - Delete the account (needs the password, if the account has one).
+ *   It is deleted after a grace period, until then logging in again lets
+ *   the user keep it
+ *   (see components/AccountDeletionBanner.jsx)
+ */
+
+// Import React hooks, router, context, API functions and helpers
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { exportAccountData, deleteAccount } from '../services/api';
+import { formatDate } from '../utils/taskDates';
+
+/**
+ * AccountDataSettings Component
+ */
+const AccountDataSettings = () => {
+    const { user, logout } = useAuth();
+    const navigate = useNavigate();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Password confirming the deletion
+     */
+    const [password, setPassword] = useState('');
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while the export is being prepared
+     */
+    const [isExporting, setIsExporting] = useState(false);
+
+    /**
+     * Loading state while the deletion is requested
+     */
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle downloading the export
+     */
+    const handleExport = async () => {
+        try {
+            setIsExporting(true);
+            setError('');
+            const blob = await exportAccountData();
+
+            // Save the file through a temporary link
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `taskmanager-export-${user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            // The error body is a Blob too
+            const message = err.response?.data instanceof Blob
+                ? JSON.parse(await err.response.data.text()).message
+                : null;
+            setError(message || 'Failed to export your data');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    /**
+     * Handle deleting the account
+     */
+    const handleDelete = async (e) => {
+        e.preventDefault();
+
+        if (!window.confirm('Delete your account and all your data? You will be logged out everywhere.')) {
+            return;
+        }
+
+        try {
+            setIsDeleting(true);
+            setError('');
+            const data = await deleteAccount(password);
+            window.alert(data.message);
+            logout();
+            navigate('/login', { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to delete your account');
+            setIsDeleting(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <>
+            {/* Download */}
+            <div className="card mb-4">
+                <h3 className="mb-2">Your data</h3>
+                <p className="text-secondary mb-3">
+                    Download your profile, workspaces, tasks, projects, tags, invites, sessions and API tokens as a JSON file.
+                </p>
+
+                <button type="button" onClick={handleExport} className="btn btn-secondary" disabled={isExporting}>
+                    {isExporting ? 'Preparing...' : 'Download my data'}
+                </button>
+            </div>
+
+            {/* Deletion */}
+            <div className="card mb-4" style={{ borderColor: 'var(--danger-color)' }}>
+                <h3 className="mb-2">Delete account</h3>
+
+                {error && <p className="text-danger mb-3">{error}</p>}
+
+                {user.deletionScheduledAt ? (
+                    <p className="text-secondary">
+                        Your account will be deleted on {formatDate(user.deletionScheduledAt)}.
+                    </p>
+                ) : (
+                    <>
+                        <p className="text-secondary mb-3">
+                            Your account is deleted after a grace period; until then you can log in and keep it.
+                            Your personal workspace and the workspaces only you are in are deleted with their tasks.
+                            Shared workspaces you own go to another member.
+                        </p>
+
+                        <form onSubmit={handleDelete}>
+                            {user.hasPassword && (
+                                <div className="form-group">
+                                    <label htmlFor="deletePassword" className="form-label">
+                                        Password
+                                    </label>
+                                    <input
+                                        type="password"
+                                        id="deletePassword"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        className="form-input"
+                                        autoComplete="current-password"
+                                        required
+                                        disabled={isDeleting}
+                                    />
+                                </div>
+                            )}
+
+                            <button type="submit" className="btn btn-danger" disabled={isDeleting}>
+                                {isDeleting ? 'Deleting...' : 'Delete my account'}
+                            </button>
+                        </form>
+                    </>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default AccountDataSettings;
@@ -0,0 +1,61 @@
+/**
+ * ACCOUNT DELETION BANNER COMPONENT
+ *
+ * Shown on the Dashboard while the account is scheduled for deletion
+ * Lets the user keep the account
+ */
+
+// Import React hooks, context, API functions and helpers
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { cancelAccountDeletion } from '../services/api';
+import { formatDate } from '../utils/taskDates';
+
+/**
+ * AccountDeletionBanner Component
+ */
+const AccountDeletionBanner = () => {
+    const { user, updateUser } = useAuth();
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while the request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    /**
+     * Handle keeping the account
+     */
+    const handleCancel = async () => {
+        try {
+            setIsSaving(true);
+            setError('');
+            updateUser(await cancelAccountDeletion());
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to cancel the deletion');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!user?.deletionScheduledAt) {
+        return null;
+    }
+
+    return (
+        <div className="card mb-4 flex justify-between items-center gap-2" style={{ borderColor: 'var(--danger-color)' }}>
+            <p className="text-secondary">
+                {error || `Your account and all its data will be deleted on ${formatDate(user.deletionScheduledAt)}.`}
+            </p>
+            <button type="button" onClick={handleCancel} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                {isSaving ? 'Cancelling...' : 'Keep my account'}
+            </button>
+        </div>
+    );
+};
+
+export default AccountDeletionBanner;
@@ -0,0 +1,54 @@
+/**
+ * ACCOUNT NAV COMPONENT
+ *
+ * Links between the account pages, shown at the top of each of them
+ */
+
+// Import router components
+import { Link, NavLink } from 'react-router-dom';
+
+/**
+ * Account pages, in the order they are shown
+ */
+const ACCOUNT_PAGES = [
+    { to: '/settings', label: 'Settings' },
+    { to: '/account/security', label: 'Security' },
+    { to: '/account/tokens', label: 'API tokens' },
+];
+
+/**
+ * AccountNav Component
+ *
+ * @param {Object} props
+ * @param {string} props.title - Title of the current page
+ * @param {string} props.subtitle - Text under the title
+ */
+const AccountNav = ({ title, subtitle }) => {
+    return (
+        <div className="mb-4">
+            <div className="flex justify-between items-center mb-3">
+                <div>
+                    <h1>{title}</h1>
+                    {subtitle && <p className="text-secondary">{subtitle}</p>}
+                </div>
+                <Link to="/dashboard" className="btn btn-secondary">
+                    Back to tasks
+                </Link>
+            </div>
+
+            <nav className="flex gap-2">
+                {ACCOUNT_PAGES.map((page) => (
+                    <NavLink
+                        key={page.to}
+                        to={page.to}
+                        className={({ isActive }) => `btn btn-sm ${isActive ? 'btn-primary' : 'btn-secondary'}`}
+                    >
+                        {page.label}
+                    </NavLink>
+                ))}
+            </nav>
+        </div>
+    );
+};
+
+export default AccountNav;
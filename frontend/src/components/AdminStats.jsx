@@ -0,0 +1,111 @@
+/**
+ * ADMIN STATS COMPONENT
+ *
+ * Counts of users, workspaces and tasks across the whole app
+ * (admin console, see pages/Admin.jsx)
+ */
+
+// Import React hooks and API functions
+import { useState, useEffect } from 'react';
+import { getAdminStats } from '../services/api';
+
+/**
+ * One number with its label
+ *
+ * @param {Object} props
+ * @param {string} props.label - What is counted
+ * @param {number} props.value - The count
+ * @param {string} props.color - CSS color of the number (optional)
+ */
+const Stat = ({ label, value, color }) => (
+    <div>
+        <p className="text-muted">{label}</p>
+        <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color }}>
+            {value}
+        </p>
+    </div>
+);
+
+/**
+ * AdminStats Component
+ */
+const AdminStats = () => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Statistics from the server
+     */
+    const [stats, setStats] = useState(null);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the statistics
+     */
+    useEffect(() => {
+        getAdminStats()
+            .then(setStats)
+            .catch((err) => {
+                console.error('Error fetching admin stats:', err);
+                setError('Failed to load statistics');
+            });
+    }, []);
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    if (error) {
+        return <p className="text-danger mb-4">{error}</p>;
+    }
+
+    if (!stats) {
+        return <div className="spinner mb-4"></div>;
+    }
+
+    return (
+        <>
+            <div className="card mb-4">
+                <h3 className="mb-2">Users</h3>
+                <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
+                    <Stat label="Total" value={stats.users.total} />
+                    <Stat label={`New (${stats.recentDays} days)`} value={stats.users.new} color="var(--primary-color)" />
+                    <Stat label="Disabled" value={stats.users.disabled} color="var(--danger-color)" />
+                    <Stat label="Being deleted" value={stats.users.pendingDeletion} color="var(--warning-color)" />
+                    <Stat label="Admins" value={stats.users.admins} />
+                    <Stat label="With 2FA" value={stats.users.twoFactor} color="var(--success-color)" />
+                    <Stat label="Single sign-on" value={stats.users.sso} />
+                </div>
+            </div>
+
+            <div className="card mb-4">
+                <h3 className="mb-2">Workspaces and tasks</h3>
+                <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
+                    <Stat label="Workspaces" value={stats.workspaces.total} />
+                    <Stat label="Tasks" value={stats.tasks.total} />
+                    <Stat label={`New (${stats.recentDays} days)`} value={stats.tasks.new} color="var(--primary-color)" />
+                    <Stat label="Open" value={stats.tasks.open} color="var(--warning-color)" />
+                    <Stat label="Completed" value={stats.tasks.completed} color="var(--success-color)" />
+                    <Stat label="Overdue" value={stats.tasks.overdue} color="var(--danger-color)" />
+                </div>
+                <p className="text-muted mt-3">
+                    By priority:{' '}
+                    {Object.entries(stats.tasks.byPriority)
+                        .map(([priority, count]) => `${priority} ${count}`)
+                        .join(' · ')}
+                </p>
+            </div>
+        </>
+    );
+};
+
+export default AdminStats;
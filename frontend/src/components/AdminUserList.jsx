@@ -0,0 +1,336 @@
+/**
+ * ADMIN USER LIST COMPONENT
+ *
+ * Every user of the app, newest first (admin console, see pages/Admin.jsx):
+ * - Search by name or email, filter by state and role
+ * - Disable an account (with a reason shown to the user) and enable it again
+ * - Make a user choose a new password (a reset link is emailed to them)
+ *
+ * Admins can't do this to their own account
+ */
+
+// Import React hooks, context, components, API functions and helpers
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import Avatar from './Avatar';
+import InfiniteScrollTrigger from './InfiniteScrollTrigger';
+import { getAdminUsers, disableUser, enableUser, requirePasswordReset } from '../services/api';
+import { formatDate } from '../utils/taskDates';
+
+/**
+ * How long to wait after the last keystroke before searching (ms)
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * Query parameters for the filters (empty filters are left out)
+ *
+ * @param {Object} filters - { q, status, role }
+ * @returns {Object} e.g. { status: 'disabled' }
+ */
+const toParams = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+/**
+ * AdminUserList Component
+ */
+const AdminUserList = () => {
+    const { user: me } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Search input state (applied to the filters once the user stops typing)
+     */
+    const [search, setSearch] = useState('');
+
+    /**
+     * Filters sent to the server: { q, status, role }
+     */
+    const [filters, setFilters] = useState({ q: '', status: '', role: '' });
+
+    /**
+     * Users loaded so far (null while the first page loads)
+     */
+    const [users, setUsers] = useState(null);
+
+    /**
+     * Cursor of the next page (null when everything is loaded)
+     */
+    const [nextCursor, setNextCursor] = useState(null);
+
+    /**
+     * Loading state while the next page loads
+     */
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+    /**
+     * Id of the user an action is running for
+     */
+    const [busyId, setBusyId] = useState(null);
+
+    /**
+     * Error and success messages
+     */
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Debounce the search box
+     */
+    useEffect(() => {
+        if (search === filters.q) {
+            return undefined;
+        }
+
+        const timer = setTimeout(() => {
+            setUsers(null);
+            setFilters((prev) => ({ ...prev, q: search }));
+        }, SEARCH_DELAY);
+
+        // Cancel the pending search if the user keeps typing
+        return () => clearTimeout(timer);
+    }, [search, filters.q]);
+
+    /**
+     * Load the first page whenever the filters change
+     * An answer for older filters is ignored
+     */
+    useEffect(() => {
+        let ignore = false;
+
+        getAdminUsers(toParams(filters))
+            .then((data) => {
+                if (ignore) return;
+                setUsers(data.users);
+                setNextCursor(data.nextCursor);
+            })
+            .catch((err) => {
+                if (ignore) return;
+                console.error('Error fetching users:', err);
+                setError(err.response?.data?.message || 'Failed to load users');
+                setUsers([]);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [filters]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle changes of the select filters
+     */
+    const handleSelectChange = (e) => {
+        const { name, value } = e.target;
+        setUsers(null);
+        setError('');
+        setFilters((prev) => ({ ...prev, [name]: value }));
+    };
+
+    /**
+     * Load the next page
+     */
+    const handleLoadMore = async () => {
+        if (!nextCursor || isLoadingMore) return;
+
+        try {
+            setIsLoadingMore(true);
+            const data = await getAdminUsers({ ...toParams(filters), cursor: nextCursor });
+            setUsers((prev) => [...prev, ...data.users]);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load more users');
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    /**
+     * Run an action on a user and show the updated user
+     *
+     * @param {Object} user - User the action is for
+     * @param {Function} action - Calls the API, resolves to { message, user }
+     */
+    const runAction = async (user, action) => {
+        try {
+            setBusyId(user.id);
+            setError('');
+            setMessage('');
+            const data = await action();
+            setUsers((prev) => prev.map((u) => (u.id === data.user.id ? data.user : u)));
+            setMessage(`${user.username}: ${data.message}`);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update the user');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    /**
+     * Handle disabling an account
+     */
+    const handleDisable = (user) => {
+        const reason = window.prompt(
+            `Disable ${user.username}? They are logged out everywhere and can't log in.\n\nReason shown to them (optional):`
+        );
+        // Cancelled
+        if (reason === null) return;
+
+        runAction(user, () => disableUser(user.id, reason.trim()));
+    };
+
+    /**
+     * Handle enabling an account again
+     */
+    const handleEnable = (user) => {
+        runAction(user, () => enableUser(user.id));
+    };
+
+    /**
+     * Handle requiring a new password
+     */
+    const handlePasswordReset = (user) => {
+        if (!window.confirm(`Make ${user.username} choose a new password? Their current password stops working and they are logged out everywhere.`)) {
+            return;
+        }
+
+        runAction(user, () => requirePasswordReset(user.id));
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-3">All users</h3>
+
+            {/* Search and filters */}
+            <div className="filter-bar mb-3">
+                <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="form-input"
+                    placeholder="Search by name or email..."
+                    aria-label="Search users"
+                    style={{ flex: 2, minWidth: '180px' }}
+                />
+
+                <select
+                    name="status"
+                    value={filters.status}
+                    onChange={handleSelectChange}
+                    className="form-input"
+                    aria-label="Filter by state"
+                >
+                    <option value="">All accounts</option>
+                    <option value="active">Active</option>
+                    <option value="disabled">Disabled</option>
+                    <option value="deletion">Being deleted</option>
+                </select>
+
+                <select
+                    name="role"
+                    value={filters.role}
+                    onChange={handleSelectChange}
+                    className="form-input"
+                    aria-label="Filter by role"
+                >
+                    <option value="">All roles</option>
+                    <option value="user">Users</option>
+                    <option value="admin">Admins</option>
+                </select>
+            </div>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+            {message && <p className="text-success mb-3">{message}</p>}
+
+            {!users ? (
+                <div className="spinner"></div>
+            ) : users.length === 0 ? (
+                <p className="text-muted">No users found.</p>
+            ) : (
+                <ul className="member-list">
+                    {users.map((user) => (
+                        <li key={user.id} className="member-row">
+                            <Avatar user={{ ...user, _id: user.id }} />
+
+                            <div style={{ flex: 1 }}>
+                                <div className="flex items-center gap-2" style={{ flexWrap: 'wrap' }}>
+                                    <strong>{user.displayName || user.username}</strong>
+                                    {user.role === 'admin' && <span className="badge" style={{ color: 'var(--primary-color)' }}>admin</span>}
+                                    {user.disabledAt && <span className="badge text-danger">disabled</span>}
+                                    {user.deletionScheduledAt && <span className="badge text-danger">being deleted</span>}
+                                    {user.passwordResetRequired && <span className="badge text-warning">new password required</span>}
+                                    {user.lockedUntil && <span className="badge text-warning">locked</span>}
+                                    {user.twoFactorEnabled && <span className="badge text-success">2FA</span>}
+                                    {user.identities.length > 0 && <span className="badge text-muted">SSO</span>}
+                                </div>
+                                <div className="text-muted" style={{ fontSize: 'var(--font-size-sm)' }}>
+                                    @{user.username} · {user.email}
+                                    {user.emailVerified ? '' : ' (not verified)'}
+                                    {' · '}
+                                    Joined {formatDate(user.createdAt)}
+                                    {user.disabledAt && ` · Disabled ${formatDate(user.disabledAt)}`}
+                                    {user.disabledReason && `: ${user.disabledReason}`}
+                                </div>
+                            </div>
+
+                            {user.id === me.id ? (
+                                <span className="text-muted">You</span>
+                            ) : (
+                                <div className="flex gap-2">
+                                    {user.hasPassword && !user.passwordResetRequired && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handlePasswordReset(user)}
+                                            className="btn btn-secondary btn-sm"
+                                            disabled={busyId === user.id}
+                                        >
+                                            Require new password
+                                        </button>
+                                    )}
+                                    {user.disabledAt ? (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleEnable(user)}
+                                            className="btn btn-primary btn-sm"
+                                            disabled={busyId === user.id}
+                                        >
+                                            Enable
+                                        </button>
+                                    ) : (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDisable(user)}
+                                            className="btn btn-danger btn-sm"
+                                            disabled={busyId === user.id}
+                                        >
+                                            Disable
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Next page, when the end of the list scrolls into view */}
+            <InfiniteScrollTrigger onLoadMore={handleLoadMore} disabled={!nextCursor || isLoadingMore} />
+            {isLoadingMore && <div className="spinner"></div>}
+        </div>
+    );
+};
+
+export default AdminUserList;
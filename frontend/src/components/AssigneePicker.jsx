@@ -0,0 +1,55 @@
+/**
+ * ASSIGNEE PICKER COMPONENT
+ * 
+ * Lets the user pick who a task is assigned to
+ * Every member of the workspace is shown as a button - click to toggle
+ */
+
+import Avatar from './Avatar';
+
+/**
+ * AssigneePicker Component
+ * 
+ * @param {Object} props
+ * @param {Array} props.members - Members of the workspace (users { _id, username })
+ * @param {Array<string>} props.value - Selected user ids
+ * @param {Function} props.onChange - Called with the new list of user ids
+ * @param {boolean} props.disabled - Disable the picker (e.g. while submitting)
+ */
+const AssigneePicker = ({ members = [], value = [], onChange, disabled = false }) => {
+    /**
+     * Add or remove a member
+     */
+    const handleToggle = (userId) => {
+        onChange(value.includes(userId)
+            ? value.filter((id) => id !== userId)
+            : [...value, userId]);
+    };
+
+    if (members.length === 0) {
+        return <p className="text-sm text-muted">No members to assign.</p>;
+    }
+
+    return (
+        <div className="flex gap-1" style={{ flexWrap: 'wrap' }}>
+            {members.map((member) => {
+                const selected = value.includes(member._id);
+                return (
+                    <button
+                        key={member._id}
+                        type="button"
+                        onClick={() => handleToggle(member._id)}
+                        className={`assignee-option ${selected ? 'selected' : ''}`}
+                        aria-pressed={selected}
+                        disabled={disabled}
+                    >
+                        <Avatar user={member} />
+                        {member.username}
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default AssigneePicker;
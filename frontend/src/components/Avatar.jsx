@@ -0,0 +1,37 @@
+/**
+ * AVATAR COMPONENT
+ * 
+ * The user's avatar image, or a small colored circle with their initials
+ * The full name is shown on hover
+ */
+
+import { getAvatarColor, getInitials } from '../utils/workspaces';
+
+/**
+ * Avatar Component
+ * 
+ * @param {Object} props
+ * @param {Object} props.user - User object { _id, username, displayName, avatarUrl }
+ * @param {boolean} props.large - Bigger avatar (settings page)
+ */
+const Avatar = ({ user, large = false }) => {
+    const name = user.displayName || user.username;
+    const className = large ? 'avatar avatar-lg' : 'avatar';
+
+    if (user.avatarUrl) {
+        return <img src={user.avatarUrl} alt={name} title={name} className={className} />;
+    }
+
+    return (
+        <span
+            className={className}
+            style={{ backgroundColor: getAvatarColor(user) }}
+            title={name}
+            aria-label={name}
+        >
+            {getInitials(name)}
+        </span>
+    );
+};
+
+export default Avatar;
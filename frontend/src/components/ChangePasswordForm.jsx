@@ -0,0 +1,184 @@
+/**
+ * CHANGE PASSWORD FORM COMPONENT
+ *
+ * Change the password of the logged in user (needs the current one)
+ * Every other session is logged out by the server
+ *
+ * Accounts created with single sign-on have no password yet; they can
+ * set one here (right after signing in) to also log in with their email
+ */
+
+// Import React hooks, context and API functions
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { changePassword } from '../services/api';
+
+/**
+ * Empty form
+ */
+const EMPTY_FORM = {
+    currentPassword: '',
+    password: '',
+    confirmPassword: '',
+};
+
+/**
+ * ChangePasswordForm Component
+ */
+const ChangePasswordForm = () => {
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Form data
+     */
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Success message
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle input changes
+     */
+    const handleChange = (e) => {
+        setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+        setError('');
+    };
+
+    /**
+     * Handle form submission
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+
+        // Same rules as registration
+        if (formData.password.length < 6) {
+            setError('Password must be at least 6 characters long');
+            return;
+        }
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            setError('');
+            const data = await changePassword(formData.currentPassword, formData.password);
+            setFormData(EMPTY_FORM);
+            updateUser(data.user);
+            setMessage(data.revokedSessions > 0
+                ? `${data.message}. ${data.revokedSessions} other session${data.revokedSessions === 1 ? ' was' : 's were'} logged out.`
+                : `${data.message}.`);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save password');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-2">Password</h3>
+            {user.hasPassword ? (
+                <p className="text-secondary mb-3">
+                    Changing your password logs you out on every other device.
+                </p>
+            ) : (
+                <p className="text-secondary mb-3">
+                    You sign in with {user.identities.map((identity) => identity.provider).join(', ')}.
+                    Set a password to also log in with your email address.
+                </p>
+            )}
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+            {message && <p className="text-success mb-3">{message}</p>}
+
+            <form onSubmit={handleSubmit}>
+                {user.hasPassword && (
+                    <div className="form-group">
+                        <label htmlFor="currentPassword" className="form-label">
+                            Current password
+                        </label>
+                        <input
+                            type="password"
+                            id="currentPassword"
+                            name="currentPassword"
+                            value={formData.currentPassword}
+                            onChange={handleChange}
+                            className="form-input"
+                            autoComplete="current-password"
+                            required
+                            disabled={isSaving}
+                        />
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label htmlFor="newPassword" className="form-label">
+                        New password
+                    </label>
+                    <input
+                        type="password"
+                        id="newPassword"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="At least 6 characters"
+                        autoComplete="new-password"
+                        required
+                        disabled={isSaving}
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="confirmNewPassword" className="form-label">
+                        Confirm new password
+                    </label>
+                    <input
+                        type="password"
+                        id="confirmNewPassword"
+                        name="confirmPassword"
+                        value={formData.confirmPassword}
+                        onChange={handleChange}
+                        className="form-input"
+                        autoComplete="new-password"
+                        required
+                        disabled={isSaving}
+                    />
+                </div>
+
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : user.hasPassword ? 'Change password' : 'Set password'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ChangePasswordForm;
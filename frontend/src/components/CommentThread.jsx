@@ -0,0 +1,312 @@
+/**
+ * COMMENT THREAD COMPONENT
+ *
+ * The discussion of a single task (shown when a task is expanded)
+ *
+ * Features:
+ * - Comments oldest first, written in Markdown
+ * - @username mentions of workspace members are highlighted
+ * - Edit your own comments, delete your own (workspace admins can delete any)
+ * - Reloads when the task's comment count changes (e.g. a comment from
+ *   another device, see the live updates of the Dashboard)
+ * - Read-only mode for members who can't comment on the task
+ */
+
+// Import React hooks, context, components, API functions and helpers
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import Avatar from './Avatar';
+import Markdown from './Markdown';
+import { getComments, createComment, updateComment, deleteComment } from '../services/api';
+import { formatTaskDate, getUserTimeZone } from '../utils/taskDates';
+
+/**
+ * How many comments are loaded at once
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Shown instead of the author once their account was deleted
+ */
+const DELETED_USER = { username: 'Deleted user' };
+
+/**
+ * CommentThread Component
+ *
+ * @param {Object} props
+ * @param {Object} props.task - The task whose comments are shown
+ * @param {boolean} props.canComment - The user may comment on the task
+ * @param {boolean} props.canManage - The user may delete anyone's comments (workspace admins)
+ * @param {Function} props.onCountChange - Called with the task's new comment count
+ */
+const CommentThread = ({ task, canComment = false, canManage = false, onCountChange }) => {
+    const { user } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Comments loaded so far (null while the first page loads)
+     */
+    const [comments, setComments] = useState(null);
+
+    /**
+     * Cursor of the next page (null when everything is loaded)
+     */
+    const [nextCursor, setNextCursor] = useState(null);
+
+    /**
+     * Text of the new comment
+     */
+    const [newBody, setNewBody] = useState('');
+
+    /**
+     * The comment being edited, and its text
+     */
+    const [editingId, setEditingId] = useState(null);
+    const [editBody, setEditBody] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the comments, and again whenever the count changes
+     * An answer for an older count is ignored
+     */
+    useEffect(() => {
+        let ignore = false;
+
+        getComments(task._id, { limit: PAGE_SIZE })
+            .then((data) => {
+                if (ignore) return;
+                setComments(data.comments);
+                setNextCursor(data.nextCursor);
+            })
+            .catch((err) => {
+                if (ignore) return;
+                console.error('Error fetching comments:', err);
+                setError(err.response?.data?.message || 'Failed to load comments');
+                setComments([]);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [task._id, task.commentCount]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a comment request
+     * Shows the server's error message if it fails
+     *
+     * @param {Function} request - Calls the API
+     * @param {string} fallbackMessage - Error shown if the server sent none
+     * @returns {Promise<Object|null>} The response, or null if it failed
+     */
+    const runRequest = async (request, fallbackMessage) => {
+        try {
+            setIsSaving(true);
+            setError('');
+            return await request();
+        } catch (err) {
+            setError(err.response?.data?.message || fallbackMessage);
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Load the next page
+     */
+    const handleLoadMore = async () => {
+        const data = await runRequest(
+            () => getComments(task._id, { limit: PAGE_SIZE, cursor: nextCursor }),
+            'Failed to load more comments'
+        );
+        if (!data) return;
+
+        setComments((prev) => [...prev, ...data.comments]);
+        setNextCursor(data.nextCursor);
+    };
+
+    /**
+     * Handle posting a new comment
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!newBody.trim()) return;
+
+        const comment = await runRequest(() => createComment(task._id, newBody), 'Failed to post comment');
+        if (!comment) return;
+
+        // Shown right away if every comment is loaded, else with the next page
+        if (!nextCursor) {
+            setComments((prev) => [...prev, comment]);
+        }
+        setNewBody('');
+        onCountChange?.(comment.commentCount);
+    };
+
+    /**
+     * Start editing a comment
+     */
+    const handleEdit = (comment) => {
+        setEditingId(comment._id);
+        setEditBody(comment.body);
+    };
+
+    /**
+     * Handle saving an edited comment
+     */
+    const handleSaveEdit = async (e) => {
+        e.preventDefault();
+        if (!editBody.trim()) return;
+
+        const updated = await runRequest(
+            () => updateComment(task._id, editingId, editBody),
+            'Failed to update comment'
+        );
+        if (!updated) return;
+
+        setComments((prev) => prev.map((comment) => (comment._id === updated._id ? updated : comment)));
+        setEditingId(null);
+    };
+
+    /**
+     * Handle deleting a comment
+     */
+    const handleDelete = async (comment) => {
+        if (!window.confirm('Delete this comment?')) {
+            return;
+        }
+
+        const data = await runRequest(() => deleteComment(task._id, comment._id), 'Failed to delete comment');
+        if (!data) return;
+
+        setComments((prev) => prev.filter((c) => c._id !== comment._id));
+        onCountChange?.(data.commentCount);
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="comment-thread mt-3">
+            {error && <p className="text-danger mb-2">{error}</p>}
+
+            {!comments ? (
+                <div className="spinner"></div>
+            ) : comments.length === 0 ? (
+                <p className="text-muted text-sm">No comments yet.</p>
+            ) : (
+                <ul className="comment-list">
+                    {comments.map((comment) => {
+                        const author = comment.author || DELETED_USER;
+                        const isMine = comment.author?._id === user?.id;
+
+                        return (
+                            <li key={comment._id} className="comment">
+                                <Avatar user={author} />
+
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <div className="flex items-center gap-2 text-sm text-muted">
+                                        <strong>{author.displayName || author.username}</strong>
+                                        <span>{formatTaskDate(comment.createdAt, false, getUserTimeZone())}</span>
+                                        {comment.editedAt && <span title={formatTaskDate(comment.editedAt, false, getUserTimeZone())}>(edited)</span>}
+
+                                        {/* Actions: edit your own, delete your own (admins: any) */}
+                                        {editingId !== comment._id && (
+                                            <span className="flex gap-2" style={{ marginLeft: 'auto' }}>
+                                                {isMine && canComment && (
+                                                    <button type="button" onClick={() => handleEdit(comment)} className="btn btn-secondary btn-sm">
+                                                        Edit
+                                                    </button>
+                                                )}
+                                                {(isMine || canManage) && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleDelete(comment)}
+                                                        className="btn btn-danger btn-sm"
+                                                        disabled={isSaving}
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                )}
+                                            </span>
+                                        )}
+                                    </div>
+
+                                    {editingId === comment._id ? (
+                                        <form onSubmit={handleSaveEdit}>
+                                            <textarea
+                                                value={editBody}
+                                                onChange={(e) => setEditBody(e.target.value)}
+                                                className="form-textarea"
+                                                maxLength={5000}
+                                                aria-label="Edit comment"
+                                            />
+                                            <div className="flex gap-2 mt-2">
+                                                <button type="submit" className="btn btn-primary btn-sm" disabled={isSaving || !editBody.trim()}>
+                                                    Save
+                                                </button>
+                                                <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary btn-sm">
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        </form>
+                                    ) : (
+                                        <Markdown mentions={comment.mentions.map((mentioned) => mentioned.username)}>
+                                            {comment.body}
+                                        </Markdown>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {nextCursor && (
+                <button type="button" onClick={handleLoadMore} className="btn btn-secondary btn-sm mt-2" disabled={isSaving}>
+                    Show more comments
+                </button>
+            )}
+
+            {/* New comment */}
+            {canComment && (
+                <form onSubmit={handleSubmit} className="mt-3">
+                    <textarea
+                        value={newBody}
+                        onChange={(e) => setNewBody(e.target.value)}
+                        className="form-textarea"
+                        placeholder="Write a comment... (Markdown, @username to mention someone)"
+                        maxLength={5000}
+                        aria-label="New comment"
+                    />
+                    <button type="submit" className="btn btn-primary btn-sm mt-2" disabled={isSaving || !newBody.trim()}>
+                        {isSaving ? 'Posting...' : 'Comment'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default CommentThread;
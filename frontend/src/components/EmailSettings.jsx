@@ -0,0 +1,168 @@
+/**
+ * EMAIL SETTINGS COMPONENT
+ *
+ * Change the email address of the account (needs the password, if the
+ * account has one)
+ * A link is sent to the new address; the old one is used until the
+ * link is opened (see pages/VerifyEmail.jsx)
+ */
+
+// Import React hooks, context and API functions
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { changeEmail, cancelEmailChange } from '../services/api';
+
+/**
+ * EmailSettings Component
+ */
+const EmailSettings = () => {
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Form data
+     */
+    const [formData, setFormData] = useState({ email: '', password: '' });
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Success message
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle input changes
+     */
+    const handleChange = (e) => {
+        setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+        setError('');
+    };
+
+    /**
+     * Handle asking for the change
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        try {
+            setIsSaving(true);
+            setError('');
+            setMessage('');
+            const data = await changeEmail(formData.email.trim(), formData.password);
+            updateUser(data.user);
+            setMessage(data.message);
+            setFormData({ email: '', password: '' });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to change email');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle cancelling the change
+     */
+    const handleCancel = async () => {
+        try {
+            setIsSaving(true);
+            setError('');
+            setMessage('');
+            updateUser(await cancelEmailChange());
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to cancel the email change');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-2">Email address</h3>
+            <p className="text-secondary mb-3">
+                {user.email}{' '}
+                {user.emailVerified
+                    ? <span className="text-success">(verified)</span>
+                    : <span className="text-muted">(not verified)</span>}
+            </p>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+            {message && <p className="text-success mb-3">{message}</p>}
+
+            {/* Change waiting for the link to be opened */}
+            {user.pendingEmail && (
+                <div className="flex justify-between items-center gap-2 mb-3">
+                    <p className="text-muted">
+                        Waiting for you to confirm <strong>{user.pendingEmail}</strong> with the link we sent there.
+                    </p>
+                    <button type="button" onClick={handleCancel} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                        Cancel change
+                    </button>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="newEmail" className="form-label">
+                        New email address
+                    </label>
+                    <input
+                        type="email"
+                        id="newEmail"
+                        name="email"
+                        value={formData.email}
+                        onChange={handleChange}
+                        className="form-input"
+                        autoComplete="email"
+                        required
+                        disabled={isSaving}
+                    />
+                </div>
+
+                {user.hasPassword && (
+                    <div className="form-group">
+                        <label htmlFor="emailPassword" className="form-label">
+                            Password
+                        </label>
+                        <input
+                            type="password"
+                            id="emailPassword"
+                            name="password"
+                            value={formData.password}
+                            onChange={handleChange}
+                            className="form-input"
+                            autoComplete="current-password"
+                            required
+                            disabled={isSaving}
+                        />
+                    </div>
+                )}
+
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                    {isSaving ? 'Sending...' : 'Change email'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default EmailSettings;
@@ -0,0 +1,55 @@
+/**
+ * INFINITE SCROLL TRIGGER COMPONENT
+ * 
+ * An invisible marker placed at the end of a list
+ * When it scrolls into view, the next page is loaded
+ * 
+ * Uses IntersectionObserver, so nothing runs on every scroll event
+ */
+
+// Import React hooks
+import { useEffect, useRef } from 'react';
+
+/**
+ * InfiniteScrollTrigger Component
+ * 
+ * @param {Object} props
+ * @param {Function} props.onLoadMore - Called when the marker becomes visible
+ * @param {boolean} props.disabled - Stop observing (no more pages or already loading)
+ */
+const InfiniteScrollTrigger = ({ onLoadMore, disabled }) => {
+    /**
+     * Reference to the marker element
+     */
+    const markerRef = useRef(null);
+
+    /**
+     * Watch the marker while loading is allowed
+     * 
+     * rootMargin starts loading a little before the user reaches
+     * the very bottom, so the next page is usually ready in time
+     */
+    useEffect(() => {
+        if (disabled || !markerRef.current) {
+            return undefined;
+        }
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries[0].isIntersecting) {
+                    onLoadMore();
+                }
+            },
+            { rootMargin: '200px' }
+        );
+
+        observer.observe(markerRef.current);
+
+        // Stop observing when disabled or unmounted
+        return () => observer.disconnect();
+    }, [onLoadMore, disabled]);
+
+    return <div ref={markerRef} aria-hidden="true" style={{ height: '1px' }} />;
+};
+
+export default InfiniteScrollTrigger;
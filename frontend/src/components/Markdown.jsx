@@ -0,0 +1,37 @@
+/**
+ * MARKDOWN COMPONENT
+ *
+ * Renders user-written Markdown (comments)
+ * Raw HTML in the text isn't rendered, and links open in a new tab
+ */
+
+import ReactMarkdown from 'react-markdown';
+import { remarkMentions } from '../utils/mentions';
+
+/**
+ * Links open in a new tab, without access to this page
+ */
+const components = {
+    a: ({ href, children }) => (
+        <a href={href} target="_blank" rel="noopener noreferrer">
+            {children}
+        </a>
+    ),
+};
+
+/**
+ * Markdown Component
+ *
+ * @param {Object} props
+ * @param {string} props.children - Markdown text
+ * @param {Array<string>} props.mentions - Usernames to highlight as @mentions
+ */
+const Markdown = ({ children, mentions = [] }) => (
+    <div className="markdown">
+        <ReactMarkdown remarkPlugins={[remarkMentions(mentions)]} components={components}>
+            {children}
+        </ReactMarkdown>
+    </div>
+);
+
+export default Markdown;
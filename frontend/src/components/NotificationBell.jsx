@@ -0,0 +1,323 @@
+/**
+ * NOTIFICATION BELL COMPONENT
+ *
+ * Shown in the Dashboard header
+ *
+ * Features:
+ * - Bell with the number of unread notifications
+ * - Dropdown with the latest notifications, from every workspace
+ * - Mark one (by clicking it) or all notifications as read
+ * - Snooze due date reminders (remind me again in 1 hour, 3 hours, 1 day)
+ * - Reloads when the parent changes refreshKey (e.g. a live notification.created event)
+ */
+
+// Import React hooks, context, API functions and helpers
+import { useState, useEffect, useRef } from 'react';
+import { useWorkspace } from '../context/workspace';
+import {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    snoozeNotification,
+} from '../services/api';
+import { SNOOZE_OPTIONS, describeNotification } from '../utils/notifications';
+import { formatTaskDate, getUserTimeZone } from '../utils/taskDates';
+
+/**
+ * How many notifications are loaded at once
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * NotificationBell Component
+ *
+ * @param {Object} props
+ * @param {number} props.refreshKey - Changing it reloads the notifications
+ */
+const NotificationBell = ({ refreshKey = 0 }) => {
+    const { currentWorkspace, switchWorkspace } = useWorkspace();
+
+    /**
+     * The bell and its dropdown (to close it on a click outside)
+     */
+    const containerRef = useRef(null);
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Whether the dropdown is open
+     */
+    const [isOpen, setIsOpen] = useState(false);
+
+    /**
+     * Notifications loaded so far (null until the dropdown is first opened)
+     */
+    const [notifications, setNotifications] = useState(null);
+
+    /**
+     * Number of unread notifications (the badge)
+     */
+    const [unreadCount, setUnreadCount] = useState(0);
+
+    /**
+     * Cursor of the next (older) page, null when everything is loaded
+     */
+    const [nextCursor, setNextCursor] = useState(null);
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isLoading, setIsLoading] = useState(false);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the unread count, or the notifications while the dropdown is open
+     * Runs again when refreshKey changes
+     */
+    useEffect(() => {
+        let ignore = false;
+
+        const request = isOpen
+            ? getNotifications({ limit: PAGE_SIZE })
+            : getUnreadNotificationCount();
+
+        request
+            .then((data) => {
+                if (ignore) return;
+                setUnreadCount(data.unreadCount);
+                if (data.notifications) {
+                    setNotifications(data.notifications);
+                    setNextCursor(data.nextCursor);
+                    setError('');
+                }
+            })
+            .catch((err) => {
+                if (ignore) return;
+                console.error('Error fetching notifications:', err);
+                setError(err.response?.data?.message || 'Failed to load notifications');
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [refreshKey, isOpen]);
+
+    /**
+     * Close the dropdown on a click outside of it, or with Escape
+     */
+    useEffect(() => {
+        if (!isOpen) {
+            return undefined;
+        }
+
+        const handleMouseDown = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleMouseDown);
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('mousedown', handleMouseDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Load the next (older) page
+     */
+    const handleLoadMore = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const data = await getNotifications({ limit: PAGE_SIZE, cursor: nextCursor });
+
+            setNotifications((prev) => [...prev, ...data.notifications]);
+            setNextCursor(data.nextCursor);
+            setUnreadCount(data.unreadCount);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load more notifications');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    /**
+     * Handle clicking a notification
+     * Marks it as read, then switches to the workspace of its task
+     * (which reloads the Dashboard)
+     */
+    const handleOpenNotification = async (notification) => {
+        if (!notification.readAt) {
+            try {
+                const data = await markNotificationRead(notification._id);
+                setNotifications((prev) => prev.map((n) => (n._id === notification._id ? data.notification : n)));
+                setUnreadCount(data.unreadCount);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to mark the notification as read');
+                return;
+            }
+        }
+
+        const workspaceId = notification.workspace?._id;
+        if (workspaceId && workspaceId !== currentWorkspace?._id) {
+            switchWorkspace(workspaceId);
+        }
+    };
+
+    /**
+     * Handle snoozing a reminder
+     * The notification is marked as read and shows when it comes back
+     */
+    const handleSnooze = async (notification, minutes) => {
+        try {
+            setError('');
+            const data = await snoozeNotification(notification._id, minutes);
+            setNotifications((prev) => prev.map((n) => (
+                n._id === notification._id ? { ...data.notification, snoozedUntil: data.remindAt } : n
+            )));
+            setUnreadCount(data.unreadCount);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to snooze the reminder');
+        }
+    };
+
+    /**
+     * Handle "Mark all read"
+     */
+    const handleMarkAllRead = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const data = await markAllNotificationsRead();
+            const readAt = new Date().toISOString();
+
+            setNotifications((prev) => prev?.map((n) => (n.readAt ? n : { ...n, readAt })) || prev);
+            setUnreadCount(data.unreadCount);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to mark notifications as read');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="notification-bell" ref={containerRef}>
+            <button
+                type="button"
+                onClick={() => setIsOpen((open) => !open)}
+                className="btn btn-secondary"
+                aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+                aria-expanded={isOpen}
+            >
+                🔔
+                {unreadCount > 0 && (
+                    <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="notification-dropdown">
+                    <div className="flex justify-between items-center mb-2">
+                        <strong>Notifications</strong>
+                        {unreadCount > 0 && (
+                            <button
+                                type="button"
+                                onClick={handleMarkAllRead}
+                                className="btn btn-secondary btn-sm"
+                                disabled={isLoading}
+                            >
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+
+                    {error && <p className="text-danger text-sm mb-2">{error}</p>}
+
+                    {!notifications ? (
+                        <div className="spinner"></div>
+                    ) : notifications.length === 0 ? (
+                        <p className="text-muted text-sm">No notifications yet.</p>
+                    ) : (
+                        <ul className="notification-list">
+                            {notifications.map((notification) => (
+                                <li key={notification._id}>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleOpenNotification(notification)}
+                                        className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                                    >
+                                        <span>{describeNotification(notification)}</span>
+                                        <span className="text-muted text-sm">
+                                            {notification.workspace?.name && `${notification.workspace.name} · `}
+                                            {formatTaskDate(notification.createdAt, false, getUserTimeZone())}
+                                        </span>
+                                    </button>
+
+                                    {/* Reminders can come back later */}
+                                    {notification.type === 'due_soon' && (
+                                        <div className="notification-snooze text-sm text-muted">
+                                            {notification.snoozedUntil ? (
+                                                <span>
+                                                    Snoozed until {formatTaskDate(notification.snoozedUntil, false, getUserTimeZone())}
+                                                </span>
+                                            ) : (
+                                                <>
+                                                    <span>Snooze:</span>
+                                                    {SNOOZE_OPTIONS.map((option) => (
+                                                        <button
+                                                            key={option.minutes}
+                                                            type="button"
+                                                            onClick={() => handleSnooze(notification, option.minutes)}
+                                                            className="btn btn-secondary btn-sm"
+                                                        >
+                                                            {option.label}
+                                                        </button>
+                                                    ))}
+                                                </>
+                                            )}
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {nextCursor && (
+                        <button type="button" onClick={handleLoadMore} className="btn btn-secondary btn-sm mt-2" disabled={isLoading}>
+                            Show older notifications
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,306 @@
+/**
+ * PREFERENCE SETTINGS COMPONENT
+ *
+ * How dates are shown and entered:
+ * - Timezone: new tasks are created in it, and "today" / "overdue" use it
+ * - Language (locale): month names, 12 or 24 hour clock...
+ * - Date format: the locale's usual format, or a fixed one
+ *
+ * Empty timezone / language = use the browser's settings
+ *
+ * And which events notify the user (the bell in the Dashboard header),
+ * and when due date reminders are sent (in-app, and by email if wanted)
+ */
+
+// Import React hooks, context, API functions and helpers
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { updateProfile } from '../services/api';
+import { DATE_FORMATS, getBrowserTimeZone } from '../utils/taskDates';
+import { NOTIFICATION_TYPES, REMINDER_OFFSETS } from '../utils/notifications';
+
+/**
+ * Languages offered in the select (any BCP 47 tag is accepted by the server)
+ */
+const LOCALES = [
+    { key: 'en-US', label: 'English (United States)' },
+    { key: 'en-GB', label: 'English (United Kingdom)' },
+    { key: 'de-DE', label: 'Deutsch' },
+    { key: 'es-ES', label: 'Español' },
+    { key: 'fr-FR', label: 'Français' },
+    { key: 'it-IT', label: 'Italiano' },
+    { key: 'nl-NL', label: 'Nederlands' },
+    { key: 'pt-BR', label: 'Português (Brasil)' },
+    { key: 'ja-JP', label: '日本語' },
+    { key: 'zh-CN', label: '中文 (简体)' },
+];
+
+/**
+ * All timezones the browser knows (older browsers: only the current one)
+ */
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [getBrowserTimeZone()];
+
+/**
+ * PreferenceSettings Component
+ */
+const PreferenceSettings = () => {
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Form data ('' = browser's setting)
+     */
+    const [formData, setFormData] = useState({
+        timezone: user.timezone || '',
+        locale: user.locale || '',
+        dateFormat: user.dateFormat || 'auto',
+        notificationPreferences: { ...user.notificationPreferences },
+        reminderPreferences: {
+            offsets: user.reminderPreferences?.offsets || [],
+            email: user.reminderPreferences?.email !== false,
+        },
+    });
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Success message
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle input changes
+     */
+    const handleChange = (e) => {
+        setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+        setMessage('');
+    };
+
+    /**
+     * Handle a notification checkbox
+     */
+    const handleNotificationToggle = (type) => {
+        setFormData((prev) => ({
+            ...prev,
+            notificationPreferences: {
+                ...prev.notificationPreferences,
+                [type]: prev.notificationPreferences[type] === false,
+            },
+        }));
+        setMessage('');
+    };
+
+    /**
+     * Handle a reminder checkbox (minutes before the due time)
+     */
+    const handleReminderToggle = (minutes) => {
+        setFormData((prev) => {
+            const { offsets } = prev.reminderPreferences;
+            return {
+                ...prev,
+                reminderPreferences: {
+                    ...prev.reminderPreferences,
+                    offsets: offsets.includes(minutes)
+                        ? offsets.filter((offset) => offset !== minutes)
+                        : [...offsets, minutes],
+                },
+            };
+        });
+        setMessage('');
+    };
+
+    /**
+     * Handle the "email me reminders" checkbox
+     */
+    const handleReminderEmailToggle = () => {
+        setFormData((prev) => ({
+            ...prev,
+            reminderPreferences: { ...prev.reminderPreferences, email: !prev.reminderPreferences.email },
+        }));
+        setMessage('');
+    };
+
+    /**
+     * Handle form submission
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        try {
+            setIsSaving(true);
+            setError('');
+            const updated = await updateProfile({
+                timezone: formData.timezone || null,
+                locale: formData.locale || null,
+                dateFormat: formData.dateFormat,
+                notificationPreferences: formData.notificationPreferences,
+                reminderPreferences: formData.reminderPreferences,
+            });
+            updateUser(updated);
+            setMessage('Preferences saved');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save preferences');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    // Saved language that isn't in the list (set through the API)
+    const locales = formData.locale && !LOCALES.some((locale) => locale.key === formData.locale)
+        ? [...LOCALES, { key: formData.locale, label: formData.locale }]
+        : LOCALES;
+
+    // Saved reminders that aren't in the list (set through the API)
+    const reminderOffsets = [
+        ...REMINDER_OFFSETS,
+        ...formData.reminderPreferences.offsets
+            .filter((minutes) => !REMINDER_OFFSETS.some((offset) => offset.minutes === minutes))
+            .map((minutes) => ({ minutes, label: `${minutes} minutes before` })),
+    ];
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-3">Preferences</h3>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+            {message && <p className="text-success mb-3">{message}</p>}
+
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="timezone" className="form-label">
+                        Timezone
+                    </label>
+                    <select
+                        id="timezone"
+                        name="timezone"
+                        value={formData.timezone}
+                        onChange={handleChange}
+                        className="form-input"
+                        disabled={isSaving}
+                    >
+                        <option value="">Browser default ({getBrowserTimeZone()})</option>
+                        {TIME_ZONES.map((timeZone) => (
+                            <option key={timeZone} value={timeZone}>
+                                {timeZone}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="locale" className="form-label">
+                        Language for dates and times
+                    </label>
+                    <select
+                        id="locale"
+                        name="locale"
+                        value={formData.locale}
+                        onChange={handleChange}
+                        className="form-input"
+                        disabled={isSaving}
+                    >
+                        <option value="">Browser default ({navigator.language})</option>
+                        {locales.map((locale) => (
+                            <option key={locale.key} value={locale.key}>
+                                {locale.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="dateFormat" className="form-label">
+                        Date format
+                    </label>
+                    <select
+                        id="dateFormat"
+                        name="dateFormat"
+                        value={formData.dateFormat}
+                        onChange={handleChange}
+                        className="form-input"
+                        disabled={isSaving}
+                    >
+                        {DATE_FORMATS.map((format) => (
+                            <option key={format.key} value={format.key}>
+                                {format.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <span className="form-label">Notify me when</span>
+                    {NOTIFICATION_TYPES.map((type) => (
+                        <label key={type.key} className="flex items-center gap-2 mb-2">
+                            <input
+                                type="checkbox"
+                                className="form-checkbox"
+                                checked={formData.notificationPreferences[type.key] !== false}
+                                onChange={() => handleNotificationToggle(type.key)}
+                                disabled={isSaving}
+                            />
+                            <span>{type.label}</span>
+                        </label>
+                    ))}
+                </div>
+
+                <div className="form-group">
+                    <span className="form-label">Remind me before a task is due</span>
+                    {reminderOffsets.map((offset) => (
+                        <label key={offset.minutes} className="flex items-center gap-2 mb-2">
+                            <input
+                                type="checkbox"
+                                className="form-checkbox"
+                                checked={formData.reminderPreferences.offsets.includes(offset.minutes)}
+                                onChange={() => handleReminderToggle(offset.minutes)}
+                                disabled={isSaving}
+                            />
+                            <span>{offset.label}</span>
+                        </label>
+                    ))}
+                    <label className="flex items-center gap-2 mb-2">
+                        <input
+                            type="checkbox"
+                            className="form-checkbox"
+                            checked={formData.reminderPreferences.email}
+                            onChange={handleReminderEmailToggle}
+                            disabled={isSaving}
+                        />
+                        <span>Also email me the reminders</span>
+                    </label>
+                    <p className="text-muted text-sm">
+                        For tasks assigned to you, or created by you and not assigned to anyone.
+                        All-day tasks count from the start of their due day.
+                    </p>
+                </div>
+
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : 'Save preferences'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default PreferenceSettings;
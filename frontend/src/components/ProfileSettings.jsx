@@ -0,0 +1,174 @@
+/**
+ * PROFILE SETTINGS COMPONENT
+ *
+ * How the user is shown to others:
+ * - Avatar: upload an image (PNG, JPEG, GIF or WebP, up to 2 MB) or remove it
+ * - Display name: shown instead of the username
+ */
+
+// Import React hooks, context, API functions and components
+import { useState, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { updateProfile, uploadAvatar, removeAvatar } from '../services/api';
+import Avatar from './Avatar';
+
+// Largest avatar accepted by the server
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+/**
+ * ProfileSettings Component
+ */
+const ProfileSettings = () => {
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Display name being edited
+     */
+    const [displayName, setDisplayName] = useState(user.displayName || '');
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Success message
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    /**
+     * Hidden file input, opened by the "Upload" button
+     */
+    const fileInputRef = useRef(null);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a request that returns the updated user
+     *
+     * @param {Function} request - Async function returning the user
+     * @param {string} successMessage - Shown when it worked
+     */
+    const run = async (request, successMessage) => {
+        try {
+            setIsSaving(true);
+            setError('');
+            setMessage('');
+            updateUser(await request());
+            setMessage(successMessage);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Something went wrong');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle saving the display name
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        return run(() => updateProfile({ displayName: displayName.trim() }), 'Profile saved');
+    };
+
+    /**
+     * Handle choosing an avatar image
+     */
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        // Allow choosing the same file again
+        e.target.value = '';
+        if (!file) return;
+
+        if (file.size > MAX_AVATAR_BYTES) {
+            setError('The image cannot be larger than 2 MB');
+            return;
+        }
+
+        return run(() => uploadAvatar(file), 'Avatar updated');
+    };
+
+    /**
+     * Handle removing the avatar
+     */
+    const handleRemoveAvatar = () => run(removeAvatar, 'Avatar removed');
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-3">Profile</h3>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+            {message && <p className="text-success mb-3">{message}</p>}
+
+            {/* Avatar */}
+            <div className="flex items-center gap-3 mb-3">
+                <Avatar user={{ ...user, _id: user.id }} large />
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current.click()}
+                        className="btn btn-secondary btn-sm"
+                        disabled={isSaving}
+                    >
+                        Upload image
+                    </button>
+                    {user.avatarUrl && (
+                        <button type="button" onClick={handleRemoveAvatar} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                            Remove
+                        </button>
+                    )}
+                </div>
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={handleFileChange}
+                    accept="image/png,image/jpeg,image/gif,image/webp"
+                    style={{ display: 'none' }}
+                />
+            </div>
+
+            {/* Display name */}
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="displayName" className="form-label">
+                        Display name
+                    </label>
+                    <input
+                        type="text"
+                        id="displayName"
+                        value={displayName}
+                        onChange={(e) => setDisplayName(e.target.value)}
+                        className="form-input"
+                        placeholder={user.username}
+                        maxLength={50}
+                        disabled={isSaving}
+                    />
+                    <p className="text-muted mt-1" style={{ fontSize: 'var(--font-size-sm)' }}>
+                        Shown instead of your username ({user.username}). Leave empty to use the username.
+                    </p>
+                </div>
+
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : 'Save profile'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,315 @@
+/**
+ * PROJECT SIDEBAR COMPONENT
+ *
+ * Navigation between projects (lists / boards) on the Dashboard
+ *
+ * Features:
+ * - "All tasks" and one link per project (/projects/:id) with its open task count
+ * - Create a project with a name, color and icon
+ * - Rename, archive and delete projects - archiving / deleting asks
+ *   whether to keep, move or delete the project's tasks
+ * - Archived projects can be shown, restored or deleted
+ * - Only the actions the user's workspace role allows are shown
+ */
+
+// Import React hooks, router and API functions
+import { useState } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import {
+    getProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+} from '../services/api';
+import { pickTagColor } from '../utils/tags';
+import ProjectTasksDialog from './ProjectTasksDialog';
+
+/**
+ * ProjectSidebar Component
+ *
+ * @param {Object} props
+ * @param {Array} props.projects - The workspace's active projects
+ * @param {string} props.activeProjectId - Project shown on the Dashboard (undefined = all tasks)
+ * @param {Function} props.onChange - Called after projects (and possibly tasks) changed
+ * @param {boolean} props.canEdit - The user may create, rename and recolor projects
+ * @param {boolean} props.canManage - The user may archive, restore and delete projects
+ */
+const ProjectSidebar = ({ projects, activeProjectId, onChange, canEdit = true, canManage = true }) => {
+    const navigate = useNavigate();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * New project form state
+     */
+    const [formData, setFormData] = useState({ name: '', icon: '📁' });
+
+    /**
+     * Archived projects - only loaded when the user asks for them
+     * null while hidden
+     */
+    const [archivedProjects, setArchivedProjects] = useState(null);
+
+    /**
+     * Project being archived / deleted: { project, action }
+     */
+    const [pending, setPending] = useState(null);
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Reload the archived list (if shown) after a change
+     */
+    const refreshArchived = async (show = archivedProjects !== null) => {
+        try {
+            setArchivedProjects(show ? await getProjects({ archived: true }) : null);
+        } catch (err) {
+            console.error('Error fetching archived projects:', err);
+        }
+    };
+
+    /**
+     * Run a project request, then notify the parent
+     * Shows the server's error message if it fails
+     *
+     * @returns {Promise<boolean>} True if the request succeeded
+     */
+    const runUpdate = async (request, fallbackMessage) => {
+        try {
+            setIsSaving(true);
+            await request();
+            onChange();
+            await refreshArchived();
+            return true;
+        } catch (err) {
+            console.error(fallbackMessage, err);
+            alert(err.response?.data?.message || fallbackMessage);
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle input changes in the new project form
+     */
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+    };
+
+    /**
+     * Handle creating a project
+     */
+    const handleCreate = async (e) => {
+        e.preventDefault();
+
+        const name = formData.name.trim();
+        if (!name) {
+            return;
+        }
+
+        const created = await runUpdate(
+            () => createProject({ name, icon: formData.icon || '📁', color: pickTagColor(name) }),
+            'Failed to create project'
+        );
+        if (created) {
+            setFormData({ name: '', icon: '📁' });
+        }
+    };
+
+    /**
+     * Handle renaming a project
+     */
+    const handleRename = (project) => {
+        const name = window.prompt('Rename project:', project.name);
+        if (!name || !name.trim() || name.trim() === project.name) {
+            return;
+        }
+        runUpdate(() => updateProject(project._id, { name: name.trim() }), 'Failed to rename project');
+    };
+
+    /**
+     * Handle picking a new color
+     */
+    const handleColorChange = (project, color) => {
+        runUpdate(() => updateProject(project._id, { color }), 'Failed to change project color');
+    };
+
+    /**
+     * Handle restoring an archived project
+     */
+    const handleUnarchive = (project) => {
+        runUpdate(() => updateProject(project._id, { archived: false }), 'Failed to restore project');
+    };
+
+    /**
+     * Handle confirming the archive / delete dialog
+     * Leaves the project view if it was the one being shown
+     */
+    const handleConfirm = async ({ tasks, moveTo }) => {
+        const { project, action } = pending;
+
+        const done = await runUpdate(
+            () => action === 'archive'
+                ? updateProject(project._id, { archived: true, tasks, moveTo })
+                : deleteProject(project._id, { tasks, moveTo }),
+            `Failed to ${action} project`
+        );
+
+        if (done) {
+            setPending(null);
+            if (project._id === activeProjectId && action === 'delete') {
+                navigate('/dashboard');
+            }
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    /**
+     * One row of the project list
+     */
+    const renderProject = (project) => (
+        <li key={project._id}>
+            <div className="flex items-center gap-2">
+                <NavLink
+                    to={`/projects/${project._id}`}
+                    className="sidebar-link"
+                    style={{ borderLeftColor: project.color }}
+                >
+                    <span>{project.icon}</span>
+                    <span className="sidebar-link-name">{project.name}</span>
+                    <span className="text-muted text-sm">{project.openTaskCount}</span>
+                </NavLink>
+            </div>
+
+            {/* Actions for the active project */}
+            {project._id === activeProjectId && !pending && canEdit && (
+                <div className="flex gap-1 items-center mt-1">
+                    <input
+                        type="color"
+                        value={project.color}
+                        onChange={(e) => handleColorChange(project, e.target.value)}
+                        aria-label={`Color of ${project.name}`}
+                        disabled={isSaving}
+                    />
+                    {!project.archived && (
+                        <button type="button" onClick={() => handleRename(project)} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                            Rename
+                        </button>
+                    )}
+                    {/* Archiving and deleting affect everyone's tasks */}
+                    {canManage && (
+                        <>
+                            {project.archived ? (
+                                <button type="button" onClick={() => handleUnarchive(project)} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                                    Restore
+                                </button>
+                            ) : (
+                                <button type="button" onClick={() => setPending({ project, action: 'archive' })} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                                    Archive
+                                </button>
+                            )}
+                            <button type="button" onClick={() => setPending({ project, action: 'delete' })} className="btn btn-danger btn-sm" disabled={isSaving}>
+                                Delete
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Archive / delete dialog */}
+            {pending?.project._id === project._id && (
+                <ProjectTasksDialog
+                    project={project}
+                    action={pending.action}
+                    projects={projects}
+                    onConfirm={handleConfirm}
+                    onCancel={() => setPending(null)}
+                    disabled={isSaving}
+                />
+            )}
+        </li>
+    );
+
+    return (
+        <nav className="card sidebar" aria-label="Projects">
+            <NavLink to="/dashboard" end className="sidebar-link">
+                <span>🗂️</span>
+                <span className="sidebar-link-name">All tasks</span>
+            </NavLink>
+
+            <h3 className="mt-3 mb-2">Projects</h3>
+
+            {/* Active projects */}
+            <ul className="sidebar-list">
+                {projects.map(renderProject)}
+            </ul>
+
+            {/* New project form */}
+            {canEdit && (
+                <form onSubmit={handleCreate} className="flex gap-1 mt-2">
+                    <input
+                        type="text"
+                        name="icon"
+                        value={formData.icon}
+                        onChange={handleChange}
+                        className="form-input"
+                        style={{ width: '3rem', textAlign: 'center' }}
+                        aria-label="Project icon"
+                        maxLength={8}
+                        disabled={isSaving}
+                    />
+                    <input
+                        type="text"
+                        name="name"
+                        value={formData.name}
+                        onChange={handleChange}
+                        className="form-input"
+                        placeholder="New project"
+                        maxLength={50}
+                        disabled={isSaving}
+                    />
+                    <button type="submit" className="btn btn-primary btn-sm" disabled={isSaving || !formData.name.trim()}>
+                        Add
+                    </button>
+                </form>
+            )}
+
+            {/* Archived projects */}
+            <button
+                type="button"
+                onClick={() => refreshArchived(archivedProjects === null)}
+                className="btn btn-secondary btn-sm mt-3"
+            >
+                {archivedProjects === null ? 'Show archived' : 'Hide archived'}
+            </button>
+            {archivedProjects && (
+                archivedProjects.length === 0 ? (
+                    <p className="text-sm text-muted mt-2">No archived projects</p>
+                ) : (
+                    <ul className="sidebar-list mt-2" style={{ opacity: 0.7 }}>
+                        {archivedProjects.map(renderProject)}
+                    </ul>
+                )
+            )}
+        </nav>
+    );
+};
+
+export default ProjectSidebar;
@@ -0,0 +1,124 @@
+/**
+ * PROJECT TASKS DIALOG COMPONENT
+ *
+ * Asks what should happen to the tasks of a project that is being
+ * archived or deleted:
+ * - keep them in the (archived) project - archive only
+ * - move them to another project, or out of any project
+ * - delete them together with the project
+ */
+
+// Import React hooks
+import { useState } from 'react';
+
+/**
+ * ProjectTasksDialog Component
+ *
+ * @param {Object} props
+ * @param {Object} props.project - The project being archived / deleted
+ * @param {string} props.action - 'archive' or 'delete'
+ * @param {Array} props.projects - Active projects the tasks can be moved to
+ * @param {Function} props.onConfirm - Called with { tasks, moveTo }
+ * @param {Function} props.onCancel - Called when the dialog is dismissed
+ * @param {boolean} props.disabled - Disable the buttons (request in progress)
+ */
+const ProjectTasksDialog = ({ project, action, projects, onConfirm, onCancel, disabled = false }) => {
+    /**
+     * Chosen option: keep / move / delete
+     * Archiving keeps the tasks by default, deleting moves them out of the project
+     */
+    const [tasks, setTasks] = useState(action === 'archive' ? 'keep' : 'move');
+
+    /**
+     * Target project for "move" ('' = no project)
+     */
+    const [moveTo, setMoveTo] = useState('');
+
+    const targets = projects.filter((option) => option._id !== project._id);
+    const taskCount = project.taskCount || 0;
+
+    /**
+     * Handle confirming the dialog
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (tasks === 'delete' &&
+            !window.confirm(`Delete "${project.name}" and its ${taskCount} task(s)? This cannot be undone.`)) {
+            return;
+        }
+
+        onConfirm({ tasks, moveTo: tasks === 'move' ? moveTo || null : null });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="project-dialog">
+            <p className="text-sm">
+                {action === 'archive' ? 'Archive' : 'Delete'} <strong>{project.name}</strong>.
+                {' '}What should happen to its {taskCount} task(s)?
+            </p>
+
+            {action === 'archive' && (
+                <label className="flex items-center gap-2 text-sm">
+                    <input
+                        type="radio"
+                        name="tasks"
+                        value="keep"
+                        checked={tasks === 'keep'}
+                        onChange={() => setTasks('keep')}
+                    />
+                    Keep them in the archived project
+                </label>
+            )}
+
+            <label className="flex items-center gap-2 text-sm">
+                <input
+                    type="radio"
+                    name="tasks"
+                    value="move"
+                    checked={tasks === 'move'}
+                    onChange={() => setTasks('move')}
+                />
+                Move them to
+                <select
+                    value={moveTo}
+                    onChange={(e) => {
+                        setMoveTo(e.target.value);
+                        setTasks('move');
+                    }}
+                    className="status-select"
+                    aria-label="Move tasks to"
+                >
+                    <option value="">No project</option>
+                    {targets.map((option) => (
+                        <option key={option._id} value={option._id}>
+                            {option.icon} {option.name}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            <label className="flex items-center gap-2 text-sm">
+                <input
+                    type="radio"
+                    name="tasks"
+                    value="delete"
+                    checked={tasks === 'delete'}
+                    onChange={() => setTasks('delete')}
+                />
+                Delete them
+            </label>
+
+            <div className="flex gap-2 mt-2">
+                <button type="submit" className="btn btn-danger btn-sm" disabled={disabled}>
+                    {action === 'archive' ? 'Archive' : 'Delete'}
+                </button>
+                <button type="button" onClick={onCancel} className="btn btn-secondary btn-sm" disabled={disabled}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ProjectTasksDialog;
@@ -7,10 +7,13 @@
  * - If NO: redirects to login page
  * 
  * This ensures that only authenticated users can access certain pages
+ * 
+ * With a role (e.g. role="admin" for the admin console), other logged in
+ * users are sent to the dashboard. The server checks the role too.
  */
 
 // Import necessary dependencies
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 /**
@@ -18,11 +21,18 @@ import { useAuth } from '../context/AuthContext';
  * 
  * @param {Object} props
  * @param {React.ReactNode} props.children - The component/page to protect
+ * @param {string} props.role - Role the user needs (optional)
  * @returns {React.ReactNode} Either the protected content or redirect to login
  */
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, role }) => {
     // Get authentication status from context
-    const { isAuthenticated } = useAuth();
+    const { user, isAuthenticated } = useAuth();
+
+    /**
+     * Current location - remembered so the user comes back here after
+     * logging in (e.g. when opening an invite link while logged out)
+     */
+    const location = useLocation();
 
     /**
      * Check if user is authenticated
@@ -36,7 +46,12 @@ const ProtectedRoute = ({ children }) => {
      *   - Render the protected content (children)
      */
     if (!isAuthenticated()) {
-        return <Navigate to="/login" replace />;
+        return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+    }
+
+    // Logged in, but without the role this page needs
+    if (role && user.role !== role) {
+        return <Navigate to="/dashboard" replace />;
     }
 
     // User is authenticated, render the protected content
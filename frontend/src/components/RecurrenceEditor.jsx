@@ -0,0 +1,275 @@
+/**
+ * RECURRENCE EDITOR COMPONENT
+ *
+ * Edits the repeat rule of a task
+ *
+ * Features:
+ * - "Repeat" select: never, daily, weekly, monthly
+ * - Interval ("every 2 weeks")
+ * - Weekday toggles for weekly rules, day of month for monthly rules
+ * - End: never, on a date, or after a number of times
+ * - Preview of the next dates, calculated by the backend
+ */
+
+// Import React hooks, API functions and helpers
+import { useState, useEffect } from 'react';
+import { previewRecurrence } from '../services/api';
+import { formatTaskDate } from '../utils/taskDates';
+import {
+    EMPTY_RECURRENCE_FORM,
+    FREQUENCIES,
+    WEEKDAYS,
+    fromRecurrenceForm,
+} from '../utils/recurrence';
+
+/**
+ * How long to wait after the last change before fetching the preview (ms)
+ */
+const PREVIEW_DELAY = 400;
+
+/**
+ * RecurrenceEditor Component
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - Editor form values (null = does not repeat)
+ * @param {Function} props.onChange - Called with the new form values
+ * @param {string|null} props.start - First occurrence, as sent to the API (due or start date)
+ * @param {string} props.timeZone - Timezone of the task
+ * @param {boolean} props.disabled - Disable all inputs
+ */
+const RecurrenceEditor = ({ value, onChange, start, timeZone, disabled = false }) => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Latest preview from the backend
+     * Stored with the request it belongs to, so an outdated preview is never shown
+     */
+    const [preview, setPreview] = useState({ key: null, dates: [], error: null });
+
+    /**
+     * The request the preview should match
+     */
+    const previewKey = value && start
+        ? JSON.stringify([fromRecurrenceForm(value), start, timeZone])
+        : null;
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Fetch the preview once the user stops changing the rule
+     */
+    useEffect(() => {
+        if (!previewKey) {
+            return undefined;
+        }
+
+        const [rule, first, zone] = JSON.parse(previewKey);
+        const timer = setTimeout(async () => {
+            try {
+                const data = await previewRecurrence(rule, first, zone);
+                setPreview({ key: previewKey, dates: data.occurrences, error: null });
+            } catch (err) {
+                setPreview({
+                    key: previewKey,
+                    dates: [],
+                    error: err.response?.data?.message || 'Could not preview this rule',
+                });
+            }
+        }, PREVIEW_DELAY);
+
+        // Cancel the pending request if the rule keeps changing
+        return () => clearTimeout(timer);
+    }, [previewKey]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle the "Repeat" select
+     * Picking a frequency starts from the defaults, "none" removes the rule
+     */
+    const handleFrequencyChange = (e) => {
+        const freq = e.target.value;
+        onChange(freq ? { ...(value || EMPTY_RECURRENCE_FORM), freq } : null);
+    };
+
+    /**
+     * Handle any other field (name matches a key of the form values)
+     */
+    const handleFieldChange = (e) => {
+        const { name, value: fieldValue } = e.target;
+        onChange({ ...value, [name]: fieldValue });
+    };
+
+    /**
+     * Handle toggling a weekday on or off
+     */
+    const handleWeekdayToggle = (day) => {
+        const byDay = value.byDay.includes(day)
+            ? value.byDay.filter((key) => key !== day)
+            : [...value.byDay, day];
+        onChange({ ...value, byDay });
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    const frequency = value && FREQUENCIES.find((option) => option.key === value.freq);
+    const allDay = !start || !start.includes('T');
+
+    return (
+        <div className="form-group">
+            <label className="form-label">Repeat</label>
+
+            <div className="flex gap-2 items-center" style={{ flexWrap: 'wrap' }}>
+                <select
+                    value={value ? value.freq : ''}
+                    onChange={handleFrequencyChange}
+                    className="form-input"
+                    style={{ width: 'auto' }}
+                    disabled={disabled}
+                >
+                    <option value="">Does not repeat</option>
+                    {FREQUENCIES.map((option) => (
+                        <option key={option.key} value={option.key}>
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+
+                {/* Interval - "every N days/weeks/months" */}
+                {value && (
+                    <>
+                        <span className="text-sm text-muted">every</span>
+                        <input
+                            type="number"
+                            name="interval"
+                            min="1"
+                            max="365"
+                            value={value.interval}
+                            onChange={handleFieldChange}
+                            className="form-input"
+                            style={{ width: '5rem' }}
+                            aria-label="Interval"
+                            disabled={disabled}
+                        />
+                        <span className="text-sm text-muted">
+                            {frequency.unit}{Number(value.interval) === 1 ? '' : 's'}
+                        </span>
+                    </>
+                )}
+            </div>
+
+            {/* Weekdays for weekly rules */}
+            {value?.freq === 'WEEKLY' && (
+                <div className="flex gap-1 mt-2" role="group" aria-label="Repeat on">
+                    {WEEKDAYS.map((day) => (
+                        <button
+                            key={day.key}
+                            type="button"
+                            onClick={() => handleWeekdayToggle(day.key)}
+                            className={`btn btn-sm ${value.byDay.includes(day.key) ? 'btn-primary' : 'btn-secondary'}`}
+                            aria-pressed={value.byDay.includes(day.key)}
+                            disabled={disabled}
+                        >
+                            {day.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Day of the month for monthly rules */}
+            {value?.freq === 'MONTHLY' && (
+                <div className="flex gap-2 items-center mt-2">
+                    <span className="text-sm text-muted">on</span>
+                    <select
+                        name="byMonthDay"
+                        value={value.byMonthDay}
+                        onChange={handleFieldChange}
+                        className="form-input"
+                        style={{ width: 'auto' }}
+                        disabled={disabled}
+                    >
+                        <option value="">the same day as the task</option>
+                        {Array.from({ length: 31 }, (_, index) => (
+                            <option key={index + 1} value={index + 1}>
+                                day {index + 1}
+                            </option>
+                        ))}
+                        <option value="-1">the last day</option>
+                    </select>
+                </div>
+            )}
+
+            {/* End of the series */}
+            {value && (
+                <div className="flex gap-2 items-center mt-2">
+                    <span className="text-sm text-muted">ends</span>
+                    <select
+                        name="ends"
+                        value={value.ends}
+                        onChange={handleFieldChange}
+                        className="form-input"
+                        style={{ width: 'auto' }}
+                        disabled={disabled}
+                    >
+                        <option value="never">never</option>
+                        <option value="until">on</option>
+                        <option value="count">after</option>
+                    </select>
+                    {value.ends === 'until' && (
+                        <input
+                            type="date"
+                            name="until"
+                            value={value.until}
+                            onChange={handleFieldChange}
+                            className="form-input"
+                            style={{ width: 'auto' }}
+                            aria-label="Last date"
+                            disabled={disabled}
+                        />
+                    )}
+                    {value.ends === 'count' && (
+                        <>
+                            <input
+                                type="number"
+                                name="count"
+                                min="1"
+                                max="1000"
+                                value={value.count}
+                                onChange={handleFieldChange}
+                                className="form-input"
+                                style={{ width: '5rem' }}
+                                aria-label="Number of times"
+                                disabled={disabled}
+                            />
+                            <span className="text-sm text-muted">times</span>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Preview of the next dates */}
+            {value && !start && (
+                <p className="text-sm text-muted mt-2">Set a due or start date to repeat from.</p>
+            )}
+            {previewKey && preview.key === previewKey && (
+                preview.error ? (
+                    <p className="text-sm text-danger mt-2">{preview.error}</p>
+                ) : (
+                    <p className="text-sm text-muted mt-2">
+                        Next: {preview.dates.map((date) => formatTaskDate(date, allDay, timeZone)).join(' · ')}
+                    </p>
+                )
+            )}
+        </div>
+    );
+};
+
+export default RecurrenceEditor;
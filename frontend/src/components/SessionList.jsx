@@ -0,0 +1,168 @@
+/**
+ * SESSION LIST COMPONENT
+ *
+ * Where the user is logged in: browser, IP, when the session started
+ * and when it was last used
+ * - Log out one session, or every session except this one
+ * - Logging out this session is the normal logout
+ */
+
+// Import React hooks, context, API functions and helpers
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getSessions, revokeSession, revokeOtherSessions } from '../services/api';
+import { describeUserAgent } from '../utils/userAgent';
+
+/**
+ * Format a date and time for the session list
+ *
+ * @param {string} value - ISO date
+ * @returns {string} e.g. "3/14/2025, 9:30:00 AM"
+ */
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+/**
+ * SessionList Component
+ */
+const SessionList = () => {
+    const { logout } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Active sessions, most recently used first
+     */
+    const [sessions, setSessions] = useState(null);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the sessions
+     */
+    useEffect(() => {
+        getSessions()
+            .then(setSessions)
+            .catch((err) => {
+                console.error('Error fetching sessions:', err);
+                setError('Failed to load sessions');
+            });
+    }, []);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle logging a session out
+     *
+     * @param {Object} session - Session to log out
+     */
+    const handleRevoke = async (session) => {
+        // This browser: same as the logout button
+        if (session.current) {
+            logout();
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            setError('');
+            await revokeSession(session._id);
+            setSessions((prev) => prev.filter((s) => s._id !== session._id));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to log out the session');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle logging out every other session
+     */
+    const handleRevokeOthers = async () => {
+        if (!window.confirm('Log out of every other device and browser?')) {
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            setError('');
+            await revokeOtherSessions();
+            setSessions((prev) => prev.filter((s) => s.current));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to log out the other sessions');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    const otherCount = sessions ? sessions.filter((s) => !s.current).length : 0;
+
+    return (
+        <div className="card mb-4">
+            <div className="flex justify-between items-center mb-2">
+                <h3>Where you're logged in</h3>
+                {otherCount > 0 && (
+                    <button type="button" onClick={handleRevokeOthers} className="btn btn-danger btn-sm" disabled={isSaving}>
+                        Log out everywhere else
+                    </button>
+                )}
+            </div>
+            <p className="text-secondary mb-3">
+                Log out any session you don't recognize, then change your password.
+            </p>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+
+            {!sessions ? (
+                !error && <div className="spinner"></div>
+            ) : (
+                <ul className="member-list">
+                    {sessions.map((session) => (
+                        <li key={session._id} className="member-row">
+                            <div style={{ flex: 1 }}>
+                                <strong>{describeUserAgent(session.userAgent)}</strong>
+                                {session.current && <span className="text-success"> - this browser</span>}
+                                <div className="text-muted" style={{ fontSize: 'var(--font-size-sm)' }}>
+                                    {session.lastSeenIp || session.ip || 'Unknown IP'}
+                                    {' · '}
+                                    {session.current ? 'Active now' : `Last active ${formatDateTime(session.lastSeenAt)}`}
+                                    {' · '}
+                                    Logged in {formatDateTime(session.createdAt)}
+                                </div>
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => handleRevoke(session)}
+                                className="btn btn-secondary btn-sm"
+                                disabled={isSaving}
+                            >
+                                Log out
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SessionList;
@@ -0,0 +1,64 @@
+/**
+ * SSO BUTTONS COMPONENT
+ *
+ * "Sign in with ..." buttons for the single sign-on providers set up on
+ * the server (nothing is shown if there are none)
+ *
+ * The browser leaves the app to log in at the provider, and comes back
+ * to pages/SsoCallback.jsx
+ */
+
+// Import React hooks and API functions
+import { useState, useEffect } from 'react';
+import { getSsoProviders, startSsoLogin } from '../services/api';
+
+/**
+ * SsoButtons Component
+ *
+ * @param {Object} props
+ * @param {string} props.action - Button text before the provider name ("Sign in with", "Sign up with")
+ * @param {string} props.redirectTo - Page to go to after logging in
+ * @param {boolean} props.disabled - Disable the buttons (while another login is in progress)
+ */
+const SsoButtons = ({ action = 'Sign in with', redirectTo = '/dashboard', disabled = false }) => {
+    /**
+     * Providers set up on the server
+     */
+    const [providers, setProviders] = useState([]);
+
+    /**
+     * Load the providers
+     * If this fails, the page works as before with email and password
+     */
+    useEffect(() => {
+        getSsoProviders()
+            .then(setProviders)
+            .catch((err) => console.error('Error loading sign in providers:', err));
+    }, []);
+
+    if (providers.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="mt-3">
+            <p className="text-center text-muted mb-2">or</p>
+            <div className="flex flex-col gap-2">
+                {providers.map((provider) => (
+                    <button
+                        key={provider.id}
+                        type="button"
+                        onClick={() => startSsoLogin(provider.id, redirectTo)}
+                        className="btn btn-secondary"
+                        disabled={disabled}
+                        style={{ width: '100%' }}
+                    >
+                        {action} {provider.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SsoButtons;
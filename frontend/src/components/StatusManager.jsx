@@ -0,0 +1,183 @@
+/**
+ * STATUS MANAGER COMPONENT
+ * 
+ * Lets the user add and remove custom task statuses
+ * 
+ * Features:
+ * - Lists built-in statuses (read-only) and custom statuses
+ * - Form to add a custom status with a name, color and category
+ * - Delete button for custom statuses
+ * 
+ * The category decides how a custom status behaves, e.g. a "Shipped"
+ * status in the "Done" category completes the task
+ */
+
+// Import React hooks and API functions
+import { useState } from 'react';
+import { createStatus, deleteStatus } from '../services/api';
+import { STATUS_CATEGORIES } from '../utils/taskStatus';
+
+/**
+ * StatusManager Component
+ * 
+ * @param {Object} props
+ * @param {Array} props.statuses - Current statuses (built-in + custom)
+ * @param {Function} props.onChange - Called after a status was added or removed
+ */
+const StatusManager = ({ statuses, onChange }) => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * New status form state
+     */
+    const [formData, setFormData] = useState({
+        label: '',
+        color: '#6366f1',
+        category: 'in_progress',
+    });
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle input changes
+     */
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+    };
+
+    /**
+     * Handle creating a custom status
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.label.trim()) {
+            alert('Please enter a status name');
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            await createStatus(formData);
+
+            // Reset the name but keep color/category for the next one
+            setFormData((prev) => ({ ...prev, label: '' }));
+            onChange();
+        } catch (err) {
+            console.error('Error creating status:', err);
+            alert(err.response?.data?.message || 'Failed to create status');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle deleting a custom status
+     * Tasks using it move to the built-in status of the same category
+     */
+    const handleDelete = async (status) => {
+        if (!window.confirm(`Delete the "${status.label}" status? Tasks using it will be moved.`)) {
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            await deleteStatus(status.key);
+            onChange();
+        } catch (err) {
+            console.error('Error deleting status:', err);
+            alert(err.response?.data?.message || 'Failed to delete status');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card">
+            <h3>Statuses</h3>
+
+            {/* Current statuses */}
+            <div className="flex gap-2 mb-3" style={{ flexWrap: 'wrap' }}>
+                {statuses.map((status) => (
+                    <span
+                        key={status.key}
+                        className="badge"
+                        style={{ color: status.color, gap: 'var(--spacing-xs)' }}
+                    >
+                        {status.label}
+                        {!status.builtIn && (
+                            <button
+                                type="button"
+                                onClick={() => handleDelete(status)}
+                                className="badge-remove"
+                                aria-label={`Delete ${status.label}`}
+                                disabled={isSaving}
+                            >
+                                ×
+                            </button>
+                        )}
+                    </span>
+                ))}
+            </div>
+
+            {/* Add custom status form */}
+            <form onSubmit={handleSubmit} className="flex gap-2 items-center">
+                <input
+                    type="text"
+                    name="label"
+                    value={formData.label}
+                    onChange={handleChange}
+                    className="form-input"
+                    placeholder="New status, e.g. In Review"
+                    maxLength={40}
+                    disabled={isSaving}
+                />
+                <input
+                    type="color"
+                    name="color"
+                    value={formData.color}
+                    onChange={handleChange}
+                    aria-label="Status color"
+                    disabled={isSaving}
+                />
+                <select
+                    name="category"
+                    value={formData.category}
+                    onChange={handleChange}
+                    className="form-input"
+                    aria-label="Behaves like"
+                    style={{ width: 'auto' }}
+                    disabled={isSaving}
+                >
+                    {STATUS_CATEGORIES.map((category) => (
+                        <option key={category.key} value={category.key}>
+                            Behaves like: {category.label}
+                        </option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-primary btn-sm" disabled={isSaving}>
+                    Add
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default StatusManager;
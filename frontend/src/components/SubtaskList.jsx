@@ -0,0 +1,207 @@
+/**
+ * SUBTASK LIST COMPONENT
+ * 
+ * The checklist of a single task
+ * 
+ * Features:
+ * - Progress bar ("3/5 done")
+ * - Checkbox per subtask
+ * - Move up / down to reorder
+ * - Delete a subtask
+ * - Add a subtask
+ * - "Auto-complete" toggle: the task completes when every subtask is done
+ * - Read-only mode: only the subtasks and their state are shown
+ */
+
+// Import React hooks, API functions
+import { useState } from 'react';
+import {
+    addSubtask,
+    updateSubtask,
+    reorderSubtasks,
+    deleteSubtask,
+} from '../services/api';
+
+/**
+ * SubtaskList Component
+ * 
+ * @param {Object} props
+ * @param {Object} props.task - The task whose checklist is shown
+ * @param {Function} props.onTaskChange - Called with the updated task after every change
+ * @param {Function} props.onUpdate - Task update callback (used for the autoComplete toggle)
+ * @param {boolean} props.readOnly - Hide every editing control
+ */
+const SubtaskList = ({ task, onTaskChange, onUpdate, readOnly = false }) => {
+    /**
+     * Title of the subtask being added
+     */
+    const [newTitle, setNewTitle] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    const subtasks = task.subtasks || [];
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a subtask request, then hand the updated task to the parent
+     * Shows the server's error message if it fails
+     */
+    const runUpdate = async (request, fallbackMessage) => {
+        try {
+            setIsSaving(true);
+            const updatedTask = await request();
+            onTaskChange(updatedTask);
+            return true;
+        } catch (err) {
+            console.error(fallbackMessage, err);
+            alert(err.response?.data?.message || fallbackMessage);
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle adding a subtask
+     */
+    const handleAdd = async (e) => {
+        e.preventDefault();
+
+        if (!newTitle.trim()) {
+            return;
+        }
+
+        const added = await runUpdate(() => addSubtask(task._id, newTitle.trim()), 'Failed to add subtask');
+        if (added) {
+            setNewTitle('');
+        }
+    };
+
+    /**
+     * Handle checking / unchecking a subtask
+     */
+    const handleToggle = (subtask) => {
+        runUpdate(
+            () => updateSubtask(task._id, subtask._id, { done: !subtask.done }),
+            'Failed to update subtask'
+        );
+    };
+
+    /**
+     * Handle moving a subtask up (-1) or down (+1)
+     */
+    const handleMove = (index, direction) => {
+        const order = subtasks.map((subtask) => subtask._id);
+        const target = index + direction;
+        [order[index], order[target]] = [order[target], order[index]];
+
+        runUpdate(() => reorderSubtasks(task._id, order), 'Failed to reorder subtasks');
+    };
+
+    /**
+     * Handle deleting a subtask
+     */
+    const handleDelete = (subtask) => {
+        runUpdate(() => deleteSubtask(task._id, subtask._id), 'Failed to delete subtask');
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="subtask-list mt-3">
+            {/* One row per subtask */}
+            {subtasks.map((subtask, index) => (
+                <div key={subtask._id} className="subtask-row flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={subtask.done}
+                        onChange={() => handleToggle(subtask)}
+                        className="form-checkbox"
+                        disabled={isSaving || readOnly}
+                    />
+                    <span
+                        style={{
+                            flex: 1,
+                            textDecoration: subtask.done ? 'line-through' : 'none',
+                            opacity: subtask.done ? 0.6 : 1,
+                        }}
+                    >
+                        {subtask.title}
+                    </span>
+                    {!readOnly && (
+                        <>
+                            <button
+                                type="button"
+                                onClick={() => handleMove(index, -1)}
+                                className="badge-remove"
+                                aria-label={`Move ${subtask.title} up`}
+                                disabled={isSaving || index === 0}
+                            >
+                                ↑
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => handleMove(index, 1)}
+                                className="badge-remove"
+                                aria-label={`Move ${subtask.title} down`}
+                                disabled={isSaving || index === subtasks.length - 1}
+                            >
+                                ↓
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => handleDelete(subtask)}
+                                className="badge-remove"
+                                aria-label={`Delete ${subtask.title}`}
+                                disabled={isSaving}
+                            >
+                                ×
+                            </button>
+                        </>
+                    )}
+                </div>
+            ))}
+
+            {!readOnly && (
+                <>
+                    {/* Add subtask form */}
+                    <form onSubmit={handleAdd} className="flex gap-2 mt-2">
+                        <input
+                            type="text"
+                            value={newTitle}
+                            onChange={(e) => setNewTitle(e.target.value)}
+                            className="form-input"
+                            placeholder="Add a subtask..."
+                            maxLength={200}
+                            disabled={isSaving}
+                        />
+                        <button type="submit" className="btn btn-secondary btn-sm" disabled={isSaving || !newTitle.trim()}>
+                            Add
+                        </button>
+                    </form>
+
+                    {/* Auto-complete toggle */}
+                    <label className="flex items-center gap-2 mt-2 text-sm text-muted">
+                        <input
+                            type="checkbox"
+                            checked={!!task.autoComplete}
+                            onChange={() => onUpdate(task._id, { autoComplete: !task.autoComplete })}
+                            className="form-checkbox"
+                        />
+                        Complete the task when every subtask is done
+                    </label>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SubtaskList;
@@ -0,0 +1,41 @@
+/**
+ * TAG CHIP COMPONENT
+ * 
+ * A small colored label showing a tag name
+ * Optionally shows a "×" button to remove the tag
+ */
+
+/**
+ * TagChip Component
+ * 
+ * @param {Object} props
+ * @param {Object} props.tag - Tag object { _id, name, color }
+ * @param {Function} props.onRemove - Optional, shows a remove button when set
+ */
+const TagChip = ({ tag, onRemove }) => {
+    return (
+        <span
+            className="tag-chip"
+            style={{
+                color: tag.color,
+                borderColor: tag.color,
+                // 33 = ~20% opacity version of the tag color
+                backgroundColor: `${tag.color}33`,
+            }}
+        >
+            {tag.name}
+            {onRemove && (
+                <button
+                    type="button"
+                    onClick={() => onRemove(tag)}
+                    className="badge-remove"
+                    aria-label={`Remove tag ${tag.name}`}
+                >
+                    ×
+                </button>
+            )}
+        </span>
+    );
+};
+
+export default TagChip;
@@ -0,0 +1,188 @@
+/**
+ * TAG INPUT COMPONENT
+ * 
+ * Pick tags for a task (or a filter) with autocomplete
+ * 
+ * Features:
+ * - Selected tags shown as chips with a remove button
+ * - Suggestions of existing tags while typing
+ * - Enter picks the first suggestion, or creates a new tag
+ * - Backspace in the empty input removes the last tag
+ */
+
+// Import React hooks and components
+import { useState } from 'react';
+import TagChip from './TagChip';
+
+// Maximum number of suggestions shown at once
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * TagInput Component
+ * 
+ * @param {Object} props
+ * @param {Array} props.tags - All of the user's tags
+ * @param {Array<string>} props.value - Ids of the selected tags
+ * @param {Function} props.onChange - Called with the new list of ids
+ * @param {Function} props.onCreateTag - Optional, creates a tag from a name and
+ *   resolves to the new tag. New tags can only be created when this is set
+ * @param {string} props.placeholder - Input placeholder
+ * @param {boolean} props.disabled - Disable the input
+ */
+const TagInput = ({ tags, value, onChange, onCreateTag, placeholder = 'Add tags...', disabled = false }) => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Text typed in the input
+     */
+    const [text, setText] = useState('');
+
+    /**
+     * Whether the suggestion list is open
+     */
+    const [isOpen, setIsOpen] = useState(false);
+
+    // ============================================
+    // DERIVED VALUES
+    // ============================================
+
+    const search = text.trim().toLowerCase();
+
+    // Selected tag objects (ignores ids of tags that no longer exist)
+    const selectedTags = value
+        .map((id) => tags.find((tag) => tag._id === id))
+        .filter(Boolean);
+
+    // Existing tags starting with the typed text, not selected yet
+    const suggestions = search
+        ? tags
+            .filter((tag) => !value.includes(tag._id) && tag.name.toLowerCase().startsWith(search))
+            .slice(0, MAX_SUGGESTIONS)
+        : [];
+
+    // Tag with exactly the typed name (case-insensitive)
+    const exactMatch = tags.find((tag) => tag.name.toLowerCase() === search);
+
+    // Offer to create a tag when nothing matches exactly
+    const canCreate = !!onCreateTag && !!search && !exactMatch;
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Add a tag to the selection
+     */
+    const addTag = (tag) => {
+        if (!value.includes(tag._id)) {
+            onChange([...value, tag._id]);
+        }
+        setText('');
+    };
+
+    /**
+     * Remove a tag from the selection
+     */
+    const removeTag = (tag) => {
+        onChange(value.filter((id) => id !== tag._id));
+    };
+
+    /**
+     * Create a new tag from the typed text and select it
+     */
+    const createAndAddTag = async () => {
+        try {
+            const tag = await onCreateTag(text.trim());
+            addTag(tag);
+        } catch (err) {
+            // The parent already showed the error
+            console.error('Error creating tag:', err);
+        }
+    };
+
+    /**
+     * Keyboard handling
+     * - Enter: pick the exact match or first suggestion, else create a tag
+     * - Backspace in an empty input: remove the last selected tag
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            // Don't submit the surrounding form
+            e.preventDefault();
+
+            if (exactMatch) {
+                addTag(exactMatch);
+            } else if (suggestions.length > 0) {
+                addTag(suggestions[0]);
+            } else if (canCreate) {
+                createAndAddTag();
+            }
+        } else if (e.key === 'Backspace' && !text && selectedTags.length > 0) {
+            removeTag(selectedTags[selectedTags.length - 1]);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="tag-input">
+            {/* Selected tags */}
+            {selectedTags.map((tag) => (
+                <TagChip key={tag._id} tag={tag} onRemove={disabled ? undefined : removeTag} />
+            ))}
+
+            {/* Text input */}
+            <input
+                type="text"
+                value={text}
+                onChange={(e) => {
+                    setText(e.target.value);
+                    setIsOpen(true);
+                }}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+                placeholder={selectedTags.length === 0 ? placeholder : ''}
+                aria-label={placeholder}
+                maxLength={30}
+                disabled={disabled}
+            />
+
+            {/* Suggestions dropdown */}
+            {isOpen && (suggestions.length > 0 || canCreate) && (
+                <ul className="tag-suggestions" role="listbox">
+                    {suggestions.map((tag) => (
+                        <li
+                            key={tag._id}
+                            role="option"
+                            // onMouseDown runs before the input's onBlur closes the list
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                addTag(tag);
+                            }}
+                        >
+                            <TagChip tag={tag} />
+                        </li>
+                    ))}
+                    {canCreate && (
+                        <li
+                            role="option"
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                createAndAddTag();
+                            }}
+                        >
+                            Create tag "{text.trim()}"
+                        </li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TagInput;
@@ -0,0 +1,129 @@
+/**
+ * TAG MANAGER COMPONENT
+ * 
+ * Lets the user rename, recolor and delete tags
+ * 
+ * Features:
+ * - Lists all tags as colored chips
+ * - Color picker per tag
+ * - Rename (renaming onto an existing name merges the two tags)
+ * - Delete (the tag is removed from every task)
+ */
+
+// Import React hooks, API functions and components
+import { useState } from 'react';
+import { updateTag, deleteTag } from '../services/api';
+import TagChip from './TagChip';
+
+/**
+ * TagManager Component
+ * 
+ * @param {Object} props
+ * @param {Array} props.tags - All of the user's tags
+ * @param {Function} props.onChange - Called after a tag was changed or removed
+ */
+const TagManager = ({ tags, onChange }) => {
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a tag request, then notify the parent
+     * Shows the server's error message if it fails
+     */
+    const runUpdate = async (request, fallbackMessage) => {
+        try {
+            setIsSaving(true);
+            await request();
+            onChange();
+        } catch (err) {
+            console.error(fallbackMessage, err);
+            alert(err.response?.data?.message || fallbackMessage);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle renaming a tag
+     * Every task shows the new name, because tasks reference tags by id
+     */
+    const handleRename = (tag) => {
+        const name = window.prompt('Rename tag (using an existing name merges the tags):', tag.name);
+        if (!name || !name.trim() || name.trim() === tag.name) {
+            return;
+        }
+        runUpdate(() => updateTag(tag._id, { name: name.trim() }), 'Failed to rename tag');
+    };
+
+    /**
+     * Handle picking a new color
+     */
+    const handleColorChange = (tag, color) => {
+        runUpdate(() => updateTag(tag._id, { color }), 'Failed to change tag color');
+    };
+
+    /**
+     * Handle deleting a tag
+     */
+    const handleDelete = (tag) => {
+        if (!window.confirm(`Delete the "${tag.name}" tag? It will be removed from all tasks.`)) {
+            return;
+        }
+        runUpdate(() => deleteTag(tag._id), 'Failed to delete tag');
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card">
+            <h3>Tags</h3>
+
+            {tags.length === 0 ? (
+                <p className="text-muted">
+                    No tags yet. Add tags when creating or editing a task.
+                </p>
+            ) : (
+                <div className="flex flex-col gap-1">
+                    {tags.map((tag) => (
+                        <div key={tag._id} className="flex items-center gap-2">
+                            <TagChip tag={tag} />
+                            <input
+                                type="color"
+                                value={tag.color}
+                                onChange={(e) => handleColorChange(tag, e.target.value)}
+                                aria-label={`Color of ${tag.name}`}
+                                disabled={isSaving}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => handleRename(tag)}
+                                className="btn btn-secondary btn-sm"
+                                disabled={isSaving}
+                            >
+                                Rename
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => handleDelete(tag)}
+                                className="btn btn-danger btn-sm"
+                                disabled={isSaving}
+                            >
+                                Delete
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TagManager;
@@ -0,0 +1,239 @@
+/**
+ * TASK FILTERS COMPONENT
+ * 
+ * Search box and filter bar shown above the task list
+ * 
+ * Features:
+ * - Full-text search over title and description (debounced)
+ * - Status, priority and due date filters
+ * - Tag filter: tasks with ALL selected tags, or ANY of them
+ * - Sort field and direction
+ * - "Clear" button to reset everything
+ * 
+ * The component doesn't own the filter values: the Dashboard keeps them
+ * in the URL query string so filtered views can be bookmarked and shared
+ */
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+import { PRIORITIES } from '../utils/taskStatus';
+import TagInput from './TagInput';
+
+/**
+ * How long to wait after the last keystroke before searching (ms)
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * Sort options shown in the dropdown
+ */
+const SORT_OPTIONS = [
+    { value: 'createdAt', label: 'Created' },
+    { value: 'updatedAt', label: 'Last updated' },
+    { value: 'dueDate', label: 'Due date' },
+    { value: 'priority', label: 'Priority' },
+    { value: 'title', label: 'Title' },
+];
+
+/**
+ * TaskFilters Component
+ * 
+ * @param {Object} props
+ * @param {Object} props.filters - Current filter values (from the URL)
+ * @param {Function} props.onChange - Called with the new filter values
+ * @param {Array} props.statuses - Available statuses (built-in + custom)
+ * @param {Array} props.tags - All of the user's tags
+ */
+const TaskFilters = ({ filters, onChange, statuses = [], tags = [] }) => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Search input state
+     * Kept locally so typing feels instant; the URL is updated
+     * once the user stops typing
+     */
+    const [search, setSearch] = useState(filters.q || '');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Debounce the search box
+     * 
+     * Waits SEARCH_DELAY ms after the last keystroke, then
+     * updates the filters (which updates the URL and reloads tasks)
+     */
+    useEffect(() => {
+        if (search === (filters.q || '')) {
+            return undefined;
+        }
+
+        const timer = setTimeout(() => {
+            onChange({ ...filters, q: search });
+        }, SEARCH_DELAY);
+
+        // Cancel the pending search if the user keeps typing
+        return () => clearTimeout(timer);
+    }, [search, filters, onChange]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle changes of the select filters
+     * Applied immediately (no debounce needed)
+     */
+    const handleSelectChange = (e) => {
+        const { name, value } = e.target;
+        onChange({ ...filters, [name]: value });
+    };
+
+    /**
+     * Handle tag filter changes
+     * Tag ids are stored comma separated in the URL
+     */
+    const handleTagsChange = (tagIds) => {
+        onChange({ ...filters, tags: tagIds.join(',') });
+    };
+
+    /**
+     * Reset all filters and the search box
+     */
+    const handleClear = () => {
+        setSearch('');
+        onChange({});
+    };
+
+    // Selected tag ids from the comma separated URL value
+    const selectedTagIds = filters.tags ? filters.tags.split(',') : [];
+
+    // Whether any filter is active (shows the Clear button)
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="filter-bar mb-3">
+            {/* Search box */}
+            <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="form-input"
+                placeholder="Search tasks..."
+                aria-label="Search tasks"
+                style={{ flex: 2, minWidth: '180px' }}
+            />
+
+            {/* Status filter */}
+            <select
+                name="status"
+                value={filters.status || ''}
+                onChange={handleSelectChange}
+                className="form-input"
+                aria-label="Filter by status"
+            >
+                <option value="">All statuses</option>
+                {statuses.map((status) => (
+                    <option key={status.key} value={status.key}>
+                        {status.label}
+                    </option>
+                ))}
+            </select>
+
+            {/* Priority filter */}
+            <select
+                name="priority"
+                value={filters.priority || ''}
+                onChange={handleSelectChange}
+                className="form-input"
+                aria-label="Filter by priority"
+            >
+                <option value="">All priorities</option>
+                {PRIORITIES.map((priority) => (
+                    <option key={priority.key} value={priority.key}>
+                        {priority.label}
+                    </option>
+                ))}
+            </select>
+
+            {/* Due date filter */}
+            <select
+                name="due"
+                value={filters.due || ''}
+                onChange={handleSelectChange}
+                className="form-input"
+                aria-label="Filter by due date"
+            >
+                <option value="">Any due date</option>
+                <option value="overdue">Overdue</option>
+                <option value="today">Due today</option>
+                <option value="week">Due this week</option>
+            </select>
+
+            {/* Tag filter - no onCreateTag, filters only use existing tags */}
+            {tags.length > 0 && (
+                <div style={{ flex: 2, minWidth: '180px' }}>
+                    <TagInput
+                        tags={tags}
+                        value={selectedTagIds}
+                        onChange={handleTagsChange}
+                        placeholder="Filter by tags..."
+                    />
+                </div>
+            )}
+            {selectedTagIds.length > 1 && (
+                <select
+                    name="tagMode"
+                    value={filters.tagMode || 'all'}
+                    onChange={handleSelectChange}
+                    className="form-input"
+                    aria-label="Tag matching"
+                >
+                    <option value="all">Has all tags</option>
+                    <option value="any">Has any tag</option>
+                </select>
+            )}
+
+            {/* Sort field and direction */}
+            <select
+                name="sort"
+                value={filters.sort || 'createdAt'}
+                onChange={handleSelectChange}
+                className="form-input"
+                aria-label="Sort by"
+            >
+                {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                        Sort: {option.label}
+                    </option>
+                ))}
+            </select>
+            <select
+                name="order"
+                value={filters.order || ''}
+                onChange={handleSelectChange}
+                className="form-input"
+                aria-label="Sort direction"
+            >
+                <option value="">Default order</option>
+                <option value="asc">Ascending</option>
+                <option value="desc">Descending</option>
+            </select>
+
+            {hasFilters && (
+                <button type="button" onClick={handleClear} className="btn btn-secondary btn-sm">
+                    Clear
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TaskFilters;
@@ -6,32 +6,75 @@
  * Features:
  * - Title input (required)
  * - Description textarea (optional)
+ * - Status and priority selects
+ * - Project select
+ * - Tag picker with autocomplete
+ * - Assignee picker (members of the workspace)
+ * - Start and due date pickers with optional times (optional)
+ * - Repeat rule editor with a preview of the next dates
  * - Form validation
  * - Submit handling
  */
 
 // Import React hooks
 import { useState } from 'react';
+import { fromDateInputs, getUserTimeZone } from '../utils/taskDates';
+import { PRIORITIES } from '../utils/taskStatus';
+import { fromRecurrenceForm } from '../utils/recurrence';
+import TagInput from './TagInput';
+import AssigneePicker from './AssigneePicker';
+import RecurrenceEditor from './RecurrenceEditor';
+
+/**
+ * Empty form values
+ * Used for the initial state and to reset the form after submitting
+ */
+const EMPTY_FORM = {
+    title: '',
+    description: '',
+    status: 'todo',
+    priority: 'medium',
+    startDate: '',
+    startTime: '',
+    dueDate: '',
+    dueTime: '',
+    tags: [],
+    project: '', // Project id ('' = no project)
+    assignees: [], // User ids
+    recurrence: null, // Repeat rule form values (null = does not repeat)
+};
 
 /**
  * TaskForm Component
  * 
  * @param {Object} props
  * @param {Function} props.onSubmit - Callback function when form is submitted
+ * @param {Array} props.statuses - Available statuses (built-in + custom)
+ * @param {Array} props.tags - All of the user's tags (for autocomplete)
+ * @param {Function} props.onCreateTag - Creates a new tag from a name
+ * @param {Array} props.projects - The user's active projects
+ * @param {string} props.defaultProject - Project new tasks go into (the project being viewed)
+ * @param {Array} props.members - Members of the workspace (users who can be assigned)
  */
-const TaskForm = ({ onSubmit }) => {
+const TaskForm = ({
+    onSubmit,
+    statuses = [],
+    tags = [],
+    onCreateTag,
+    projects = [],
+    defaultProject = '',
+    members = [],
+}) => {
     // ============================================
     // STATE MANAGEMENT
     // ============================================
 
     /**
      * Form data state
-     * Stores the current values of title and description
+     * Stores the current values of all form fields
      */
-    const [formData, setFormData] = useState({
-        title: '',
-        description: '',
-    });
+    const initialForm = { ...EMPTY_FORM, project: defaultProject || '' };
+    const [formData, setFormData] = useState(initialForm);
 
     /**
      * Loading state
@@ -53,7 +96,38 @@ const TaskForm = ({ onSubmit }) => {
         const { name, value } = e.target;
         setFormData((prev) => ({
             ...prev,
-            [name]: value, // name can be 'title' or 'description'
+            [name]: value, // name matches one of the EMPTY_FORM keys
+        }));
+    };
+
+    /**
+     * Handle tag selection changes
+     * TagInput gives us the full list of selected tag ids
+     */
+    const handleTagsChange = (tagIds) => {
+        setFormData((prev) => ({
+            ...prev,
+            tags: tagIds,
+        }));
+    };
+
+    /**
+     * Handle assignee selection changes
+     */
+    const handleAssigneesChange = (userIds) => {
+        setFormData((prev) => ({
+            ...prev,
+            assignees: userIds,
+        }));
+    };
+
+    /**
+     * Handle repeat rule changes
+     */
+    const handleRecurrenceChange = (recurrence) => {
+        setFormData((prev) => ({
+            ...prev,
+            recurrence,
         }));
     };
 
@@ -77,14 +151,24 @@ const TaskForm = ({ onSubmit }) => {
             setIsSubmitting(true);
 
             // Call the parent's submit handler
-            // Pass the form data to create the task
-            await onSubmit(formData);
+            // Dates are sent as "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" in the
+            // browser's timezone, which the backend stores with the task
+            await onSubmit({
+                title: formData.title,
+                description: formData.description,
+                status: formData.status,
+                priority: formData.priority,
+                tags: formData.tags,
+                project: formData.project || null,
+                assignees: formData.assignees,
+                startDate: fromDateInputs(formData.startDate, formData.startTime),
+                dueDate: fromDateInputs(formData.dueDate, formData.dueTime),
+                timezone: getUserTimeZone(),
+                recurrence: fromRecurrenceForm(formData.recurrence),
+            });
 
             // Clear form after successful submission
-            setFormData({
-                title: '',
-                description: '',
-            });
+            setFormData(initialForm);
         } catch (error) {
             // Error is already handled by parent component
             console.error('Error submitting form:', error);
@@ -137,6 +221,162 @@ const TaskForm = ({ onSubmit }) => {
                     />
                 </div>
 
+                {/* Status and priority */}
+                <div className="flex gap-3">
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label htmlFor="status" className="form-label">
+                            Status
+                        </label>
+                        <select
+                            id="status"
+                            name="status"
+                            value={formData.status}
+                            onChange={handleChange}
+                            className="form-input"
+                            disabled={isSubmitting}
+                        >
+                            {statuses.map((status) => (
+                                <option key={status.key} value={status.key}>
+                                    {status.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label htmlFor="priority" className="form-label">
+                            Priority
+                        </label>
+                        <select
+                            id="priority"
+                            name="priority"
+                            value={formData.priority}
+                            onChange={handleChange}
+                            className="form-input"
+                            disabled={isSubmitting}
+                        >
+                            {PRIORITIES.map((priority) => (
+                                <option key={priority.key} value={priority.key}>
+                                    {priority.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Project */}
+                <div className="form-group">
+                    <label htmlFor="project" className="form-label">
+                        Project
+                    </label>
+                    <select
+                        id="project"
+                        name="project"
+                        value={formData.project}
+                        onChange={handleChange}
+                        className="form-input"
+                        disabled={isSubmitting}
+                    >
+                        <option value="">No project</option>
+                        {projects.map((project) => (
+                            <option key={project._id} value={project._id}>
+                                {project.icon} {project.name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Tags */}
+                <div className="form-group">
+                    <label className="form-label">Tags</label>
+                    <TagInput
+                        tags={tags}
+                        value={formData.tags}
+                        onChange={handleTagsChange}
+                        onCreateTag={onCreateTag}
+                        placeholder="Add tags (Enter to create)..."
+                        disabled={isSubmitting}
+                    />
+                </div>
+
+                {/* Assignees */}
+                <div className="form-group">
+                    <label className="form-label">Assignees</label>
+                    <AssigneePicker
+                        members={members}
+                        value={formData.assignees}
+                        onChange={handleAssigneesChange}
+                        disabled={isSubmitting}
+                    />
+                </div>
+
+                {/* Start and due dates - time is optional */}
+                <div className="flex gap-3">
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label htmlFor="startDate" className="form-label">
+                            Start Date
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                type="date"
+                                id="startDate"
+                                name="startDate"
+                                value={formData.startDate}
+                                onChange={handleChange}
+                                className="form-input"
+                                disabled={isSubmitting}
+                            />
+                            <input
+                                type="time"
+                                name="startTime"
+                                value={formData.startTime}
+                                onChange={handleChange}
+                                className="form-input"
+                                aria-label="Start time (optional)"
+                                disabled={isSubmitting || !formData.startDate}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label htmlFor="dueDate" className="form-label">
+                            Due Date
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                type="date"
+                                id="dueDate"
+                                name="dueDate"
+                                value={formData.dueDate}
+                                onChange={handleChange}
+                                className="form-input"
+                                disabled={isSubmitting}
+                            />
+                            <input
+                                type="time"
+                                name="dueTime"
+                                value={formData.dueTime}
+                                onChange={handleChange}
+                                className="form-input"
+                                aria-label="Due time (optional)"
+                                disabled={isSubmitting || !formData.dueDate}
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Repeat rule - repeats from the due date (or the start date) */}
+                <RecurrenceEditor
+                    value={formData.recurrence}
+                    onChange={handleRecurrenceChange}
+                    start={
+                        fromDateInputs(formData.dueDate, formData.dueTime) ||
+                        fromDateInputs(formData.startDate, formData.startTime)
+                    }
+                    timeZone={getUserTimeZone()}
+                    disabled={isSubmitting}
+                />
+
                 {/* Submit button */}
                 <button
                     type="submit"
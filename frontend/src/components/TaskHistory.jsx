@@ -0,0 +1,224 @@
+/**
+ * TASK HISTORY COMPONENT
+ *
+ * Timeline of a task (shown when a task is expanded): who created,
+ * edited, completed or restored it, and which fields changed
+ *
+ * Features:
+ * - Newest first, older entries on demand
+ * - Field-level before → after for every change
+ * - Restore the task to any earlier version (members who can edit any task)
+ * - Reloads when the task changes (e.g. edited here or on another device)
+ */
+
+// Import React hooks, components, API functions and helpers
+import { useState, useEffect } from 'react';
+import Avatar from './Avatar';
+import { getTaskHistory, restoreTaskVersion } from '../services/api';
+import { formatTaskDate, getUserTimeZone } from '../utils/taskDates';
+import { ACTIVITY_LABELS, describeChange } from '../utils/taskHistory';
+
+/**
+ * How many entries are loaded at once
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Shown instead of the actor once their account was deleted
+ */
+const DELETED_USER = { username: 'Deleted user' };
+
+/**
+ * TaskHistory Component
+ *
+ * @param {Object} props
+ * @param {Object} props.task - The task whose history is shown
+ * @param {Array} props.statuses - Available statuses (to show status labels)
+ * @param {boolean} props.canRestore - The user may restore earlier versions
+ * @param {Function} props.onRestore - Called with the restored task
+ */
+const TaskHistory = ({ task, statuses = [], canRestore = false, onRestore }) => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Entries loaded so far (null while the first page loads)
+     */
+    const [activities, setActivities] = useState(null);
+
+    /**
+     * Names of the projects, tags and users in the changes
+     */
+    const [references, setReferences] = useState({ projects: {}, tags: {}, users: {} });
+
+    /**
+     * Cursor of the next (older) page, null when everything is loaded
+     */
+    const [nextCursor, setNextCursor] = useState(null);
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isLoading, setIsLoading] = useState(false);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the history, and again whenever the task changes
+     * An answer for an older version of the task is ignored
+     */
+    useEffect(() => {
+        let ignore = false;
+
+        getTaskHistory(task._id, { limit: PAGE_SIZE })
+            .then((data) => {
+                if (ignore) return;
+                setActivities(data.activities);
+                setReferences(data.references);
+                setNextCursor(data.nextCursor);
+            })
+            .catch((err) => {
+                if (ignore) return;
+                console.error('Error fetching task history:', err);
+                setError(err.response?.data?.message || 'Failed to load history');
+                setActivities([]);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [task._id, task.updatedAt]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Load the next (older) page
+     */
+    const handleLoadMore = async () => {
+        try {
+            setIsLoading(true);
+            setError('');
+            const data = await getTaskHistory(task._id, { limit: PAGE_SIZE, cursor: nextCursor });
+
+            setActivities((prev) => [...prev, ...data.activities]);
+            setReferences((prev) => ({
+                projects: { ...prev.projects, ...data.references.projects },
+                tags: { ...prev.tags, ...data.references.tags },
+                users: { ...prev.users, ...data.references.users },
+            }));
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load more history');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    /**
+     * Handle restoring the version of an entry
+     * The parent replaces the task, which reloads the history
+     */
+    const handleRestore = async (activity) => {
+        if (!window.confirm('Restore the task to this version? The current version stays in the history.')) {
+            return;
+        }
+
+        try {
+            setIsLoading(true);
+            setError('');
+            const restored = await restoreTaskVersion(task._id, activity._id);
+            onRestore?.(restored);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to restore this version');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="task-history mt-3">
+            {error && <p className="text-danger mb-2">{error}</p>}
+
+            {!activities ? (
+                <div className="spinner"></div>
+            ) : activities.length === 0 ? (
+                <p className="text-muted text-sm">No history yet.</p>
+            ) : (
+                <ol className="history-list">
+                    {activities.map((activity, index) => {
+                        const actor = activity.actor || DELETED_USER;
+                        const context = { statuses, references, snapshot: activity.snapshot };
+
+                        return (
+                            <li key={activity._id} className="history-entry">
+                                <Avatar user={actor} />
+
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <div className="flex items-center gap-2 text-sm text-muted">
+                                        <strong>{actor.displayName || actor.username}</strong>
+                                        <span>{ACTIVITY_LABELS[activity.action] || activity.action}</span>
+                                        <span>{formatTaskDate(activity.createdAt, false, getUserTimeZone())}</span>
+
+                                        {/* The newest entry is the current version */}
+                                        {canRestore && index > 0 && (
+                                            <button
+                                                type="button"
+                                                onClick={() => handleRestore(activity)}
+                                                className="btn btn-secondary btn-sm"
+                                                style={{ marginLeft: 'auto' }}
+                                                disabled={isLoading}
+                                            >
+                                                Restore
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {activity.changes.length > 0 && (
+                                        <ul className="history-changes text-sm">
+                                            {activity.changes.map((change) => {
+                                                const { label, before, after, summary } = describeChange(change, context);
+
+                                                return (
+                                                    <li key={change.field}>
+                                                        <strong>{label}:</strong>{' '}
+                                                        {summary || (
+                                                            <>
+                                                                <del>{before}</del> → {after}
+                                                            </>
+                                                        )}
+                                                    </li>
+                                                );
+                                            })}
+                                        </ul>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+
+            {nextCursor && (
+                <button type="button" onClick={handleLoadMore} className="btn btn-secondary btn-sm mt-2" disabled={isLoading}>
+                    Show older changes
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TaskHistory;
@@ -4,15 +4,68 @@
  * Displays a single task with:
  * - Task title and description
  * - Checkbox to mark complete/incomplete
+ * - Status dropdown and priority badge
+ * - Colored tag chips
+ * - Avatars of the assignees (and an assignee picker in edit mode)
+ * - Project label (and a project select in edit mode)
+ * - Checklist progress ("3/5 done") and an expandable checklist
+ * - Comment count, and an expandable comment thread
  * - Edit button to modify task
  * - Delete button to remove task
+ * - Start and due dates, highlighted when the task is overdue
+ * - Repeat rule (edited with the recurrence editor)
  * - Visual styling based on completion status
+ * - Read-only mode for workspace viewers (no editing at all),
+ *   unless they are assigned to the task
  * 
  * This is a reusable component used in the Dashboard
  */
 
 // Import React hooks
 import { useState } from 'react';
+import {
+    formatDate,
+    formatTaskDate,
+    fromDateInputs,
+    isOverdue,
+    toDateInputs,
+} from '../utils/taskDates';
+import { PRIORITIES, findPriority, findStatus } from '../utils/taskStatus';
+import { describeRecurrence, fromRecurrenceForm, toRecurrenceForm } from '../utils/recurrence';
+import TagChip from './TagChip';
+import TagInput from './TagInput';
+import Avatar from './Avatar';
+import AssigneePicker from './AssigneePicker';
+import SubtaskList from './SubtaskList';
+import CommentThread from './CommentThread';
+import TaskHistory from './TaskHistory';
+import RecurrenceEditor from './RecurrenceEditor';
+
+/**
+ * Build the edit form values from a task
+ * Dates are split into date/time inputs in the task's own timezone
+ * 
+ * @param {Object} task - Task object from the API
+ * @returns {Object} Edit form state
+ */
+const getEditForm = (task) => {
+    const start = toDateInputs(task.startDate, task.startAllDay, task.timezone);
+    const due = toDateInputs(task.dueDate, task.dueAllDay, task.timezone);
+
+    return {
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority || 'medium',
+        tags: (task.tags || []).map((tag) => tag._id),
+        project: task.project?._id || '',
+        assignees: (task.assignees || []).map((user) => user._id),
+        startDate: start.date,
+        startTime: start.time,
+        dueDate: due.date,
+        dueTime: due.time,
+        recurrence: toRecurrenceForm(task.recurrence, task.timezone),
+    };
+};
 
 /**
  * TaskItem Component
@@ -21,8 +74,34 @@ import { useState } from 'react';
  * @param {Object} props.task - The task object to display
  * @param {Function} props.onUpdate - Callback when task is updated
  * @param {Function} props.onDelete - Callback when task is deleted
+ * @param {Array} props.statuses - Available statuses (built-in + custom)
+ * @param {Array} props.tags - All of the user's tags (for the tag picker)
+ * @param {Function} props.onCreateTag - Creates a new tag from a name
+ * @param {Function} props.onTaskChange - Called with the updated task after a checklist change
+ *                                        or when an earlier version is restored
+ * @param {Array} props.projects - The workspace's active projects (for the project select)
+ * @param {Array} props.members - Members of the workspace (for the assignee picker)
+ * @param {boolean} props.readOnly - Only show the task (the user can't edit tasks in this workspace)
+ * @param {boolean} props.canWrite - The user can edit any task: delete, assign and create tags
+ *                                   (false for a viewer editing a task assigned to them)
+ * @param {boolean} props.canManage - The user can delete anyone's comments (workspace admins)
+ * @param {Function} props.onCommentCountChange - Called with (taskId, count) after commenting
  */
-const TaskItem = ({ task, onUpdate, onDelete }) => {
+const TaskItem = ({
+    task,
+    onUpdate,
+    onDelete,
+    statuses = [],
+    tags = [],
+    onCreateTag,
+    onTaskChange,
+    projects = [],
+    members = [],
+    readOnly = false,
+    canWrite = true,
+    canManage = false,
+    onCommentCountChange,
+}) => {
     // ============================================
     // STATE MANAGEMENT
     // ============================================
@@ -36,12 +115,41 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
 
     /**
      * Edit form state
-     * Stores the current values of title and description while editing
+     * Stores the current values of the task fields while editing
      */
-    const [editForm, setEditForm] = useState({
-        title: task.title,
-        description: task.description || '',
-    });
+    const [editForm, setEditForm] = useState(() => getEditForm(task));
+
+    /**
+     * Whether the checklist is expanded
+     */
+    const [showSubtasks, setShowSubtasks] = useState(false);
+
+    /**
+     * Whether the comment thread is expanded
+     */
+    const [showComments, setShowComments] = useState(false);
+
+    /**
+     * Whether the history timeline is expanded
+     */
+    const [showHistory, setShowHistory] = useState(false);
+
+    /**
+     * Overdue flag - used to highlight the task
+     */
+    const overdue = isOverdue(task);
+
+    /**
+     * Current status and priority objects (label, color, ...)
+     */
+    const status = findStatus(statuses, task.status);
+    const priority = findPriority(task.priority);
+
+    /**
+     * Checklist progress
+     */
+    const subtaskCount = task.subtasks?.length || 0;
+    const subtasksDone = task.subtasks?.filter((subtask) => subtask.done).length || 0;
 
     // ============================================
     // EVENT HANDLERS
@@ -50,10 +158,18 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
     /**
      * Handle toggling task completion status
      * 
-     * When checkbox is clicked, update the task's completed status
+     * When checkbox is clicked, move the task to "done"
+     * or back to "todo" if it was already completed
      */
     const handleToggleComplete = () => {
-        onUpdate(task._id, { completed: !task.completed });
+        onUpdate(task._id, { status: task.completed ? 'todo' : 'done' });
+    };
+
+    /**
+     * Handle picking a status from the dropdown
+     */
+    const handleStatusChange = (e) => {
+        onUpdate(task._id, { status: e.target.value });
     };
 
     /**
@@ -69,6 +185,36 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
         }));
     };
 
+    /**
+     * Handle tag selection changes in edit mode
+     */
+    const handleTagsChange = (tagIds) => {
+        setEditForm((prev) => ({
+            ...prev,
+            tags: tagIds,
+        }));
+    };
+
+    /**
+     * Handle assignee changes in edit mode
+     */
+    const handleAssigneesChange = (userIds) => {
+        setEditForm((prev) => ({
+            ...prev,
+            assignees: userIds,
+        }));
+    };
+
+    /**
+     * Handle repeat rule changes in edit mode
+     */
+    const handleRecurrenceChange = (recurrence) => {
+        setEditForm((prev) => ({
+            ...prev,
+            recurrence,
+        }));
+    };
+
     /**
      * Handle saving edited task
      * 
@@ -84,7 +230,19 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
         }
 
         // Call the update callback with new data
-        onUpdate(task._id, editForm);
+        // Dates are interpreted in the task's original timezone
+        // Assignees are only sent by users who may change them
+        onUpdate(task._id, {
+            title: editForm.title,
+            description: editForm.description,
+            priority: editForm.priority,
+            tags: editForm.tags,
+            project: editForm.project || null,
+            ...(canWrite && { assignees: editForm.assignees }),
+            startDate: fromDateInputs(editForm.startDate, editForm.startTime),
+            dueDate: fromDateInputs(editForm.dueDate, editForm.dueTime),
+            recurrence: fromRecurrenceForm(editForm.recurrence),
+        });
 
         // Exit edit mode
         setIsEditing(false);
@@ -97,10 +255,7 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
      */
     const handleCancel = () => {
         // Reset form to original task data
-        setEditForm({
-            title: task.title,
-            description: task.description || '',
-        });
+        setEditForm(getEditForm(task));
 
         // Exit edit mode
         setIsEditing(false);
@@ -123,7 +278,7 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
     // ============================================
 
     return (
-        <div className="card fade-in">
+        <div className={`card fade-in ${overdue ? 'task-overdue' : ''}`}>
             {/* Show edit form if in edit mode, otherwise show task details */}
             {isEditing ? (
                 // ====== EDIT MODE ======
@@ -153,6 +308,128 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
                         />
                     </div>
 
+                    {/* Priority select */}
+                    <div className="form-group">
+                        <label className="form-label">Priority</label>
+                        <select
+                            name="priority"
+                            value={editForm.priority}
+                            onChange={handleInputChange}
+                            className="form-input"
+                        >
+                            {PRIORITIES.map((option) => (
+                                <option key={option.key} value={option.key}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Project */}
+                    <div className="form-group">
+                        <label className="form-label">Project</label>
+                        <select
+                            name="project"
+                            value={editForm.project}
+                            onChange={handleInputChange}
+                            className="form-input"
+                        >
+                            <option value="">No project</option>
+                            {/* An archived project isn't in the list, but stays selectable */}
+                            {task.project?.archived && (
+                                <option value={task.project._id}>
+                                    {task.project.icon} {task.project.name} (archived)
+                                </option>
+                            )}
+                            {projects.map((project) => (
+                                <option key={project._id} value={project._id}>
+                                    {project.icon} {project.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Tags */}
+                    <div className="form-group">
+                        <label className="form-label">Tags</label>
+                        <TagInput
+                            tags={tags}
+                            value={editForm.tags}
+                            onChange={handleTagsChange}
+                            onCreateTag={canWrite ? onCreateTag : undefined}
+                        />
+                    </div>
+
+                    {/* Assignees */}
+                    {canWrite && (
+                        <div className="form-group">
+                            <label className="form-label">Assignees</label>
+                            <AssigneePicker
+                                members={members}
+                                value={editForm.assignees}
+                                onChange={handleAssigneesChange}
+                            />
+                        </div>
+                    )}
+
+                    {/* Start and due dates */}
+                    <div className="flex gap-3">
+                        <div className="form-group" style={{ flex: 1 }}>
+                            <label className="form-label">Start Date</label>
+                            <div className="flex gap-2">
+                                <input
+                                    type="date"
+                                    name="startDate"
+                                    value={editForm.startDate}
+                                    onChange={handleInputChange}
+                                    className="form-input"
+                                />
+                                <input
+                                    type="time"
+                                    name="startTime"
+                                    value={editForm.startTime}
+                                    onChange={handleInputChange}
+                                    className="form-input"
+                                    aria-label="Start time (optional)"
+                                    disabled={!editForm.startDate}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="form-group" style={{ flex: 1 }}>
+                            <label className="form-label">Due Date</label>
+                            <div className="flex gap-2">
+                                <input
+                                    type="date"
+                                    name="dueDate"
+                                    value={editForm.dueDate}
+                                    onChange={handleInputChange}
+                                    className="form-input"
+                                />
+                                <input
+                                    type="time"
+                                    name="dueTime"
+                                    value={editForm.dueTime}
+                                    onChange={handleInputChange}
+                                    className="form-input"
+                                    aria-label="Due time (optional)"
+                                    disabled={!editForm.dueDate}
+                                />
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Repeat rule */}
+                    <RecurrenceEditor
+                        value={editForm.recurrence}
+                        onChange={handleRecurrenceChange}
+                        start={
+                            fromDateInputs(editForm.dueDate, editForm.dueTime) ||
+                            fromDateInputs(editForm.startDate, editForm.startTime)
+                        }
+                        timeZone={task.timezone}
+                    />
+
                     {/* Action buttons */}
                     <div className="flex gap-2">
                         <button type="submit" className="btn btn-primary btn-sm">
@@ -175,6 +452,7 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
                                 checked={task.completed}
                                 onChange={handleToggleComplete}
                                 className="form-checkbox"
+                                disabled={readOnly}
                             />
                             {/* Title - strike through if completed */}
                             <h3
@@ -188,14 +466,18 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
                         </div>
 
                         {/* Action buttons: Edit and Delete */}
-                        <div className="flex gap-2">
-                            <button onClick={() => setIsEditing(true)} className="btn btn-secondary btn-sm">
-                                Edit
-                            </button>
-                            <button onClick={handleDelete} className="btn btn-danger btn-sm">
-                                Delete
-                            </button>
-                        </div>
+                        {!readOnly && (
+                            <div className="flex gap-2">
+                                <button onClick={() => setIsEditing(true)} className="btn btn-secondary btn-sm">
+                                    Edit
+                                </button>
+                                {canWrite && (
+                                    <button onClick={handleDelete} className="btn btn-danger btn-sm">
+                                        Delete
+                                    </button>
+                                )}
+                            </div>
+                        )}
                     </div>
 
                     {/* Task description (if exists) */}
@@ -210,13 +492,123 @@ const TaskItem = ({ task, onUpdate, onDelete }) => {
                         </p>
                     )}
 
-                    {/* Task metadata: Created date and status badge */}
-                    <div className="flex gap-3 mt-3 text-sm text-muted">
-                        <span>Created: {new Date(task.createdAt).toLocaleDateString()}</span>
-                        <span className={task.completed ? 'text-success' : 'text-warning'}>
-                            {task.completed ? '✓ Completed' : '○ In Progress'}
+                    {/* Tag chips */}
+                    {task.tags?.length > 0 && (
+                        <div className="flex gap-1" style={{ flexWrap: 'wrap' }}>
+                            {task.tags.map((tag) => (
+                                <TagChip key={tag._id} tag={tag} />
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Task metadata: assignees, dates and status badge */}
+                    <div className="flex items-center gap-3 mt-3 text-sm text-muted">
+                        {task.assignees?.length > 0 && (
+                            <span className="avatar-stack">
+                                {task.assignees.map((user) => (
+                                    <Avatar key={user._id} user={user} />
+                                ))}
+                            </span>
+                        )}
+                        {task.project && (
+                            <span style={{ color: task.project.color }}>
+                                {task.project.icon} {task.project.name}
+                            </span>
+                        )}
+                        <span>Created: {formatDate(task.createdAt)}</span>
+                        {task.startDate && (
+                            <span>Starts: {formatTaskDate(task.startDate, task.startAllDay, task.timezone)}</span>
+                        )}
+                        {task.dueDate && (
+                            <span className={overdue ? 'text-danger' : ''}>
+                                {overdue ? '⚠ Overdue: ' : 'Due: '}
+                                {formatTaskDate(task.dueDate, task.dueAllDay, task.timezone)}
+                            </span>
+                        )}
+                        {task.recurrence && (
+                            <span title="Completing this task creates the next occurrence">
+                                ↻ {describeRecurrence(task.recurrence)}
+                            </span>
+                        )}
+                        <span className="badge" style={{ color: priority.color, borderColor: priority.color }}>
+                            {priority.label}
                         </span>
+                        {/* Status dropdown - shows every status the user has */}
+                        <select
+                            value={task.status}
+                            onChange={handleStatusChange}
+                            className="status-select"
+                            style={{ color: status.color }}
+                            aria-label="Task status"
+                            disabled={readOnly}
+                        >
+                            {statuses.length === 0 && <option value={task.status}>{status.label}</option>}
+                            {statuses.map((option) => (
+                                <option key={option.key} value={option.key}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Checklist progress and toggle */}
+                    <div className="flex items-center gap-2 mt-3 text-sm text-muted">
+                        {subtaskCount > 0 && (
+                            <>
+                                <div className="progress" aria-hidden="true">
+                                    <div
+                                        className="progress-fill"
+                                        style={{ width: `${(subtasksDone / subtaskCount) * 100}%` }}
+                                    />
+                                </div>
+                                <span>{subtasksDone}/{subtaskCount} done</span>
+                            </>
+                        )}
+                        {(subtaskCount > 0 || !readOnly) && (
+                            <button
+                                type="button"
+                                onClick={() => setShowSubtasks((prev) => !prev)}
+                                className="btn btn-secondary btn-sm"
+                            >
+                                {showSubtasks ? 'Hide checklist' : subtaskCount > 0 ? 'Show checklist' : 'Add checklist'}
+                            </button>
+                        )}
+                        {/* Comment count - opens the thread */}
+                        <button
+                            type="button"
+                            onClick={() => setShowComments((prev) => !prev)}
+                            className="btn btn-secondary btn-sm"
+                            aria-expanded={showComments}
+                            title={showComments ? 'Hide comments' : 'Show comments'}
+                        >
+                            💬 {task.commentCount || 0}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setShowHistory((prev) => !prev)}
+                            className="btn btn-secondary btn-sm"
+                            aria-expanded={showHistory}
+                        >
+                            {showHistory ? 'Hide history' : 'History'}
+                        </button>
                     </div>
+
+                    {showSubtasks && (
+                        <SubtaskList task={task} onTaskChange={onTaskChange} onUpdate={onUpdate} readOnly={readOnly} />
+                    )}
+
+                    {showComments && (
+                        <CommentThread
+                            task={task}
+                            canComment={!readOnly}
+                            canManage={canManage}
+                            onCountChange={(count) => onCommentCountChange?.(task._id, count)}
+                        />
+                    )}
+
+                    {showHistory && (
+                        <TaskHistory task={task} statuses={statuses} canRestore={canWrite} onRestore={onTaskChange} />
+                    )}
                 </>
             )}
         </div>
@@ -0,0 +1,272 @@
+/**
+ * TWO-FACTOR SETTINGS COMPONENT
+ *
+ * Turn two-factor authentication (2FA) on or off:
+ * - Setup: scan the QR code (or type the secret) in an authenticator app,
+ *   then confirm with a code from the app
+ * - Once on: recovery codes are shown once, and can be replaced
+ * - Turning it off needs the password (accounts without one: a recent
+ *   single sign-on login, see backend utils/passwords.js)
+ */
+
+// Import React hooks, context and API functions
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} from '../services/api';
+
+/**
+ * TwoFactorSettings Component
+ */
+const TwoFactorSettings = () => {
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * 2FA status from the server: { enabled, enabledAt, recoveryCodesLeft }
+     */
+    const [status, setStatus] = useState(null);
+
+    /**
+     * Setup in progress: { secret, otpauthUri, qrCode }
+     */
+    const [setup, setSetup] = useState(null);
+
+    /**
+     * Code typed to confirm the setup
+     */
+    const [code, setCode] = useState('');
+
+    /**
+     * Password typed to turn 2FA off or replace the recovery codes
+     */
+    const [password, setPassword] = useState('');
+
+    /**
+     * Recovery codes just created (only shown once)
+     */
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the 2FA status
+     */
+    useEffect(() => {
+        getTwoFactorStatus()
+            .then(setStatus)
+            .catch((err) => {
+                console.error('Error fetching 2FA status:', err);
+                setError('Failed to load two-factor settings');
+            });
+    }, []);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a request, showing errors and the saving state
+     *
+     * @param {Function} request - Async function
+     */
+    const run = async (request) => {
+        try {
+            setIsSaving(true);
+            setError('');
+            await request();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Something went wrong');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Start the setup: get a new secret and its QR code
+     */
+    const handleStartSetup = () => run(async () => {
+        setRecoveryCodes(null);
+        setSetup(await setupTwoFactor());
+    });
+
+    /**
+     * Confirm the setup with a code from the app
+     */
+    const handleEnable = (e) => {
+        e.preventDefault();
+        return run(async () => {
+            const data = await enableTwoFactor(code.trim());
+            setRecoveryCodes(data.recoveryCodes);
+            setSetup(null);
+            setCode('');
+            setStatus({ enabled: true, enabledAt: new Date().toISOString(), recoveryCodesLeft: data.recoveryCodes.length });
+            updateUser({ twoFactorEnabled: true });
+        });
+    };
+
+    /**
+     * Turn 2FA off
+     */
+    const handleDisable = (e) => {
+        e.preventDefault();
+        return run(async () => {
+            await disableTwoFactor(password);
+            setPassword('');
+            setRecoveryCodes(null);
+            setStatus({ enabled: false, enabledAt: null, recoveryCodesLeft: 0 });
+            updateUser({ twoFactorEnabled: false });
+        });
+    };
+
+    /**
+     * Replace the recovery codes
+     */
+    const handleRegenerate = () => run(async () => {
+        const data = await regenerateRecoveryCodes(password);
+        setPassword('');
+        setRecoveryCodes(data.recoveryCodes);
+        setStatus((prev) => ({ ...prev, recoveryCodesLeft: data.recoveryCodes.length }));
+    });
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="card mb-4">
+            <h3 className="mb-2">Two-factor authentication</h3>
+            <p className="text-secondary mb-3">
+                Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy...)
+                when logging in, in addition to your password.
+            </p>
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+
+            {/* Recovery codes just created */}
+            {recoveryCodes && (
+                <div className="mb-3">
+                    <p className="mb-2">
+                        <strong>Save your recovery codes.</strong> Each one can be used once to log in
+                        if you lose your device. They won't be shown again.
+                    </p>
+                    <ul className="recovery-codes secret-text mb-2">
+                        {recoveryCodes.map((recoveryCode) => (
+                            <li key={recoveryCode}>{recoveryCode}</li>
+                        ))}
+                    </ul>
+                    <button type="button" onClick={() => setRecoveryCodes(null)} className="btn btn-secondary btn-sm">
+                        I saved them
+                    </button>
+                </div>
+            )}
+
+            {!status ? (
+                !error && <div className="spinner"></div>
+            ) : status.enabled ? (
+                /* 2FA is on */
+                <form onSubmit={handleDisable}>
+                    <p className="text-success mb-2">
+                        Enabled{status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+                        {' '}- {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left
+                    </p>
+
+                    {user.hasPassword && (
+                        <div className="form-group">
+                            <label htmlFor="twoFactorPassword" className="form-label">
+                                Password
+                            </label>
+                            <input
+                                type="password"
+                                id="twoFactorPassword"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className="form-input"
+                                placeholder="Your password, to make changes"
+                                autoComplete="current-password"
+                                disabled={isSaving}
+                            />
+                        </div>
+                    )}
+
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={handleRegenerate}
+                            className="btn btn-secondary"
+                            disabled={isSaving || (user.hasPassword && !password)}
+                        >
+                            New recovery codes
+                        </button>
+                        <button type="submit" className="btn btn-danger" disabled={isSaving || (user.hasPassword && !password)}>
+                            Turn off
+                        </button>
+                    </div>
+                </form>
+            ) : setup ? (
+                /* Setup in progress */
+                <form onSubmit={handleEnable}>
+                    <p className="mb-2">1. Scan this QR code with your authenticator app:</p>
+                    <img src={setup.qrCode} alt="QR code to scan with an authenticator app" className="qr-code mb-2" />
+                    <p className="text-muted mb-3">
+                        Can't scan it? Enter this key instead: <span className="secret-text">{setup.secret}</span>
+                    </p>
+
+                    <div className="form-group">
+                        <label htmlFor="twoFactorCode" className="form-label">
+                            2. Enter the 6-digit code shown in the app
+                        </label>
+                        <input
+                            type="text"
+                            id="twoFactorCode"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="form-input"
+                            placeholder="123456"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            required
+                            disabled={isSaving}
+                        />
+                    </div>
+
+                    <div className="flex gap-2">
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {isSaving ? 'Checking...' : 'Turn on'}
+                        </button>
+                        <button type="button" onClick={() => setSetup(null)} className="btn btn-secondary" disabled={isSaving}>
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                /* 2FA is off */
+                <button type="button" onClick={handleStartSetup} className="btn btn-primary" disabled={isSaving}>
+                    Set up two-factor authentication
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
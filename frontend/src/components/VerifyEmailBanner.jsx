@@ -0,0 +1,60 @@
+/**
+ * VERIFY EMAIL BANNER COMPONENT
+ *
+ * Shown on the Dashboard until the user verified their email address
+ * Lets them send the verification email again
+ */
+
+// Import React hooks, context and API functions
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { resendVerification } from '../services/api';
+
+/**
+ * VerifyEmailBanner Component
+ */
+const VerifyEmailBanner = () => {
+    const { user } = useAuth();
+
+    /**
+     * Message shown after asking for a new email
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Loading state while the email is being sent
+     */
+    const [isSending, setIsSending] = useState(false);
+
+    /**
+     * Handle sending the verification email again
+     */
+    const handleResend = async () => {
+        try {
+            setIsSending(true);
+            const data = await resendVerification();
+            setMessage(data.message);
+        } catch (err) {
+            setMessage(err.response?.data?.message || 'Could not send the email');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    if (!user || user.emailVerified) {
+        return null;
+    }
+
+    return (
+        <div className="card mb-4 flex justify-between items-center gap-2" style={{ borderColor: 'var(--warning-color)' }}>
+            <p className="text-secondary">
+                {message || `Please verify your email address - we sent a link to ${user.email}.`}
+            </p>
+            <button type="button" onClick={handleResend} className="btn btn-secondary btn-sm" disabled={isSending}>
+                {isSending ? 'Sending...' : 'Resend email'}
+            </button>
+        </div>
+    );
+};
+
+export default VerifyEmailBanner;
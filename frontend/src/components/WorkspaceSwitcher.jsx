@@ -0,0 +1,105 @@
+/**
+ * WORKSPACE SWITCHER COMPONENT
+ *
+ * Shown in the Dashboard header
+ *
+ * Features:
+ * - Select the workspace to work in (with the user's role in each)
+ * - Create a new workspace
+ * - Link to the members page of the current workspace
+ */
+
+// Import React hooks, router, context and API functions
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useWorkspace } from '../context/workspace';
+import { createWorkspace } from '../services/api';
+
+/**
+ * Value of the "New workspace..." option in the select
+ */
+const NEW_WORKSPACE = '__new__';
+
+/**
+ * WorkspaceSwitcher Component
+ */
+const WorkspaceSwitcher = () => {
+    const navigate = useNavigate();
+    const { workspaces, currentWorkspace, switchWorkspace, refreshWorkspaces } = useWorkspace();
+
+    /**
+     * Loading state while a workspace is being created
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle creating a workspace - switches to it right away
+     */
+    const handleCreate = async () => {
+        const name = window.prompt('Name of the new workspace:');
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            const workspace = await createWorkspace({ name: name.trim() });
+            await refreshWorkspaces();
+            switchWorkspace(workspace._id);
+            navigate('/dashboard');
+        } catch (err) {
+            console.error('Error creating workspace:', err);
+            alert(err.response?.data?.message || 'Failed to create workspace');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle the select
+     * Projects belong to a workspace, so the page goes back to all tasks
+     */
+    const handleChange = (e) => {
+        if (e.target.value === NEW_WORKSPACE) {
+            handleCreate();
+            return;
+        }
+
+        switchWorkspace(e.target.value);
+        navigate('/dashboard');
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={currentWorkspace?._id || ''}
+                onChange={handleChange}
+                className="form-input"
+                style={{ width: 'auto' }}
+                aria-label="Workspace"
+                disabled={isSaving}
+            >
+                {workspaces.map((workspace) => (
+                    <option key={workspace._id} value={workspace._id}>
+                        {workspace.name} ({workspace.role})
+                    </option>
+                ))}
+                <option value={NEW_WORKSPACE}>+ New workspace...</option>
+            </select>
+
+            <Link to="/workspace/members" className="btn btn-secondary btn-sm">
+                Members
+            </Link>
+        </div>
+    );
+};
+
+export default WorkspaceSwitcher;
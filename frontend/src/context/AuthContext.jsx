@@ -6,16 +6,33 @@
  * Context API allows us to share authentication state across all components
  * without having to pass props down through multiple levels (prop drilling)
  * 
+ * The access token is kept in memory by services/api.js and refreshed
+ * there when it expires; only the user data is kept in localStorage,
+ * and it is reloaded from the server when the app starts
+ * 
  * This context provides:
  * - Current user data
- * - Login and logout functions
+ * - Login (with the two-factor step, or single sign-on) and logout functions
+ * - updateUser to change the stored user data (e.g. once the email is verified)
+ * - The user's date preferences, passed to utils/taskDates.js
  * - Loading state
  * - Authentication status
  */
 
 // Import React hooks and API functions
 import { createContext, useState, useContext, useEffect } from 'react';
-import { login as loginAPI, register as registerAPI } from '../services/api';
+import {
+    login as loginAPI,
+    loginTwoFactor as loginTwoFactorAPI,
+    register as registerAPI,
+    logout as logoutAPI,
+    getProfile,
+    refreshAccessToken,
+    onSessionExpired,
+    setAccessToken,
+    setCurrentWorkspaceId,
+} from '../services/api';
+import { setDatePreferences } from '../utils/taskDates';
 
 // ============================================
 // CREATE CONTEXT
@@ -27,6 +44,19 @@ import { login as loginAPI, register as registerAPI } from '../services/api';
  */
 const AuthContext = createContext();
 
+/**
+ * Turn a failed request into an Error with the server's message
+ * 
+ * @param {Error} err - Axios error
+ * @param {string} fallback - Message if the server didn't send one
+ * @returns {Error} Error with retryAfter (seconds) when there were too many attempts
+ */
+const toAuthError = (err, fallback) => {
+    const authError = new Error(err.response?.data?.message || fallback);
+    authError.retryAfter = err.response?.data?.retryAfter;
+    return authError;
+};
+
 // ============================================
 // CONTEXT PROVIDER COMPONENT
 // ============================================
@@ -69,14 +99,33 @@ export const AuthProvider = ({ children }) => {
     // AUTHENTICATION METHODS
     // ============================================
 
+    /**
+     * Start the session of a user who just logged in
+     * 
+     * @param {Object} data - Login response ({ token, user })
+     */
+    const startSession = (data) => {
+        // Use the access token for the next requests
+        // (the refresh token cookie keeps the user logged in after a page refresh)
+        setAccessToken(data.token);
+
+        // Store user data in localStorage
+        localStorage.setItem('user', JSON.stringify(data.user));
+
+        // Update user state
+        setUser(data.user);
+    };
+
     /**
      * Login function
      * 
      * Authenticates user with backend and stores token
+     * Users with two-factor authentication aren't logged in yet:
+     * the result has a challengeToken to pass to completeTwoFactorLogin
      * 
      * @param {string} email - User's email
      * @param {string} password - User's password
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<Object>} { twoFactorRequired, challengeToken }
      */
     const login = async (email, password) => {
         try {
@@ -87,27 +136,80 @@ export const AuthProvider = ({ children }) => {
             // Call the backend API to authenticate
             const data = await loginAPI({ email, password });
 
-            // Store token in localStorage for persistence
-            // This allows user to stay logged in even after page refresh
-            localStorage.setItem('token', data.token);
-
-            // Store user data in localStorage
-            localStorage.setItem('user', JSON.stringify(data.user));
+            // The password is right, the code comes next
+            if (data.twoFactorRequired) {
+                setLoading(false);
+                return { twoFactorRequired: true, challengeToken: data.challengeToken };
+            }
 
-            // Update user state
-            setUser(data.user);
+            startSession(data);
 
             setLoading(false);
-            return true;
+            return { twoFactorRequired: false };
         } catch (err) {
             // Handle login errors
             setLoading(false);
 
             // Extract error message from response or use default
-            const errorMessage = err.response?.data?.message || 'Login failed';
-            setError(errorMessage);
+            const authError = toAuthError(err, 'Login failed');
+            setError(authError.message);
+
+            throw authError;
+        }
+    };
+
+    /**
+     * Second login step for users with two-factor authentication
+     * 
+     * @param {string} challengeToken - Challenge token returned by login
+     * @param {string} code - Code from the authenticator app, or a recovery code
+     * @returns {Promise<Object>} { usedRecoveryCode }
+     */
+    const completeTwoFactorLogin = async (challengeToken, code) => {
+        try {
+            setError(null);
+            setLoading(true);
+
+            const data = await loginTwoFactorAPI(challengeToken, code);
+            startSession(data);
+
+            setLoading(false);
+            return { usedRecoveryCode: data.usedRecoveryCode };
+        } catch (err) {
+            setLoading(false);
+
+            const authError = toAuthError(err, 'Login failed');
+            setError(authError.message);
+
+            throw authError;
+        }
+    };
+
+    /**
+     * Finish a single sign-on login
+     * 
+     * The server already set the refresh token cookie when the provider
+     * sent the user back; this gets an access token and the user with it
+     * 
+     * @returns {Promise<void>}
+     */
+    const completeSsoLogin = async () => {
+        try {
+            setError(null);
+            setLoading(true);
+
+            const token = await refreshAccessToken();
+            const profile = await getProfile();
+            startSession({ token, user: profile });
+
+            setLoading(false);
+        } catch (err) {
+            setLoading(false);
 
-            throw new Error(errorMessage);
+            const authError = toAuthError(err, 'Sign in failed');
+            setError(authError.message);
+
+            throw authError;
         }
     };
 
@@ -130,46 +232,69 @@ export const AuthProvider = ({ children }) => {
             const data = await registerAPI({ username, email, password });
 
             // Store token and user data (same as login)
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('user', JSON.stringify(data.user));
-
-            // Update user state
-            setUser(data.user);
+            startSession(data);
 
             setLoading(false);
             return true;
         } catch (err) {
             setLoading(false);
 
-            const errorMessage = err.response?.data?.message || 'Registration failed';
-            setError(errorMessage);
+            const authError = toAuthError(err, 'Registration failed');
+            setError(authError.message);
 
-            throw new Error(errorMessage);
+            throw authError;
         }
     };
 
     /**
-     * Logout function
-     * 
-     * Clears authentication data and logs user out
+     * Clear the session in the browser
+     * Used on logout and when the session expired on the server
      */
-    const logout = () => {
-        // Clear all auth data from localStorage
-        localStorage.removeItem('token');
+    const clearSession = () => {
+        // Clear all auth data
+        setAccessToken(null);
         localStorage.removeItem('user');
 
+        // The next user starts in their own workspace
+        setCurrentWorkspaceId(null);
+
         // Clear user state
         setUser(null);
         setError(null);
     };
 
+    /**
+     * Logout function
+     * 
+     * Revokes the login on the server and clears authentication data
+     */
+    const logout = () => {
+        // Don't wait for the server - the user is logged out in the browser either way
+        logoutAPI().catch((err) => console.error('Error logging out:', err));
+        clearSession();
+    };
+
+    /**
+     * Update fields of the current user
+     * 
+     * @param {Object} fields - e.g. { emailVerified: true }, or the whole user from the server
+     */
+    const updateUser = (fields) => {
+        setUser((prevUser) => {
+            if (!prevUser) return prevUser;
+            const nextUser = { ...prevUser, ...fields };
+            localStorage.setItem('user', JSON.stringify(nextUser));
+            return nextUser;
+        });
+    };
+
     /**
      * Check if user is authenticated
      * 
      * @returns {boolean} True if user is logged in
      */
     const isAuthenticated = () => {
-        return !!user && !!localStorage.getItem('token');
+        return !!user;
     };
 
     // ============================================
@@ -177,26 +302,35 @@ export const AuthProvider = ({ children }) => {
     // ============================================
 
     /**
-     * Effect to validate token on mount
+     * Effect to log the user out when their session expires
      * 
-     * This ensures that if user refreshes the page,
-     * their authentication state is restored from localStorage
+     * services/api.js calls this when an access token can't be refreshed
+     * (refresh token expired, revoked, or logged out in another tab).
+     * ProtectedRoute then sends the user to the login page.
+     */
+    useEffect(() => onSessionExpired(clearSession), []);
+
+    /**
+     * Effect to reload the user from the server when the app starts
+     * 
+     * The copy in localStorage may be old (profile changed on another
+     * device, email verified...). If the session expired, the request
+     * fails and onSessionExpired logs the user out.
      */
     useEffect(() => {
-        const token = localStorage.getItem('token');
-        const savedUser = localStorage.getItem('user');
+        if (!localStorage.getItem('user')) return;
 
-        // If we have a token and user data, restore the session
-        if (token && savedUser) {
-            try {
-                setUser(JSON.parse(savedUser));
-            } catch (err) {
-                // If there's an error parsing user data, clear everything
-                console.error('Error restoring user session:', err);
-                logout();
-            }
-        }
-    }, []); // Empty dependency array means this runs once on mount
+        getProfile()
+            .then((profile) => updateUser(profile))
+            .catch((err) => console.error('Error loading profile:', err));
+    }, []);
+
+    /**
+     * Effect to show dates with the user's preferences
+     */
+    useEffect(() => {
+        setDatePreferences(user);
+    }, [user]);
 
     // ============================================
     // CONTEXT VALUE
@@ -211,8 +345,11 @@ export const AuthProvider = ({ children }) => {
         loading,           // Loading state
         error,             // Error message
         login,             // Login function
+        completeTwoFactorLogin, // Second login step (2FA code)
+        completeSsoLogin,  // Finish a single sign-on login
         register,          // Register function
         logout,            // Logout function
+        updateUser,        // Update the current user's data
         isAuthenticated,   // Check auth status function
         setError,          // Allow components to clear errors
     };
@@ -0,0 +1,141 @@
+/**
+ * WORKSPACE CONTEXT PROVIDER
+ *
+ * Tasks, tags, projects and statuses belong to a workspace.
+ * This provider loads the workspaces of the logged in user and
+ * remembers which one they are working in
+ * (the API sends it with every request, see services/api.js)
+ *
+ * This context provides (through useWorkspace in ./workspace.js):
+ * - workspaces: every workspace the user is a member of (with their role)
+ * - currentWorkspace: the workspace being worked in
+ * - switchWorkspace: change the current workspace
+ * - refreshWorkspaces: reload the list (after creating, renaming, joining...)
+ * - can: check a permission of the user's role, e.g. can('tasks:write')
+ */
+
+// Import React hooks, API functions and the auth context
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { WorkspaceContext } from './workspace';
+import {
+    getWorkspaces,
+    getCurrentWorkspaceId,
+    setCurrentWorkspaceId,
+} from '../services/api';
+
+/**
+ * WorkspaceProvider component
+ *
+ * Children are rendered again from scratch when the workspace changes,
+ * so no page keeps showing data of the previous workspace
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export const WorkspaceProvider = ({ children }) => {
+    const { user } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * The workspaces, and the user they were loaded for
+     * (so another user logging in never sees the previous user's list)
+     */
+    const [loaded, setLoaded] = useState({ userId: null, workspaces: [] });
+
+    /**
+     * ID of the current workspace
+     */
+    const [currentId, setCurrentId] = useState(getCurrentWorkspaceId);
+
+    // ============================================
+    // DATA FETCHING
+    // ============================================
+
+    /**
+     * Change the current workspace
+     *
+     * @param {string} id - Workspace ID
+     */
+    const switchWorkspace = useCallback((id) => {
+        setCurrentWorkspaceId(id);
+        setCurrentId(id);
+    }, []);
+
+    /**
+     * Store the user's workspaces
+     * Falls back to the first one if the saved workspace is gone
+     * (e.g. the user was removed from it, or another user logged in)
+     *
+     * @param {Array} data - Workspaces from the API
+     */
+    const applyWorkspaces = useCallback((data) => {
+        setLoaded({ userId: user.id, workspaces: data });
+
+        const savedId = getCurrentWorkspaceId();
+        if (data.length > 0 && !data.some((workspace) => workspace._id === savedId)) {
+            switchWorkspace(data[0]._id);
+        }
+    }, [user, switchWorkspace]);
+
+    /**
+     * Load the user's workspaces
+     *
+     * @returns {Promise} Resolves once the list is updated
+     */
+    const refreshWorkspaces = useCallback(() => getWorkspaces()
+        .then(applyWorkspaces)
+        .catch((err) => {
+            console.error('Error fetching workspaces:', err);
+            applyWorkspaces([]);
+        }), [applyWorkspaces]);
+
+    /**
+     * useEffect: Load the workspaces when a user logs in
+     */
+    useEffect(() => {
+        if (user) {
+            refreshWorkspaces();
+        }
+    }, [user, refreshWorkspaces]);
+
+    // ============================================
+    // CONTEXT VALUE
+    // ============================================
+
+    // null while the logged in user's workspaces are loading
+    const workspaces = user && loaded.userId === user.id ? loaded.workspaces : null;
+    const currentWorkspace = workspaces?.find((workspace) => workspace._id === currentId) || null;
+
+    const value = {
+        workspaces: workspaces || [],
+        currentWorkspace,
+        switchWorkspace,
+        refreshWorkspaces,
+        can: (permission) => Boolean(currentWorkspace?.permissions.includes(permission)),
+    };
+
+    // ============================================
+    // RENDER PROVIDER
+    // ============================================
+
+    // Wait for the workspaces, so the first requests go to the right one
+    if (user && workspaces === null) {
+        return (
+            <div className="text-center" style={{ padding: 'var(--spacing-2xl)' }}>
+                <div className="spinner" style={{ margin: '0 auto' }}></div>
+            </div>
+        );
+    }
+
+    return (
+        <WorkspaceContext.Provider value={value}>
+            <Fragment key={currentWorkspace?._id || 'none'}>{children}</Fragment>
+        </WorkspaceContext.Provider>
+    );
+};
+
+export default WorkspaceProvider;
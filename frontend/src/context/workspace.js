@@ -0,0 +1,36 @@
+/**
+ * WORKSPACE CONTEXT OBJECT AND HOOK
+ *
+ * The provider lives in WorkspaceContext.jsx - this file only holds
+ * the context object and the hook, so the provider file exports
+ * nothing but components (needed for fast refresh)
+ */
+
+// Import React context helpers
+import { createContext, useContext } from 'react';
+
+/**
+ * Workspace context
+ * Holds the user's workspaces and the one they are working in
+ */
+export const WorkspaceContext = createContext();
+
+/**
+ * useWorkspace hook
+ *
+ * Usage in components:
+ *   const { currentWorkspace, switchWorkspace, can } = useWorkspace();
+ *   if (can('tasks:write')) { ... }
+ *
+ * @returns {Object} Workspace context value
+ */
+export const useWorkspace = () => {
+    const context = useContext(WorkspaceContext);
+
+    // Throw error if used outside of WorkspaceProvider
+    if (!context) {
+        throw new Error('useWorkspace must be used within a WorkspaceProvider');
+    }
+
+    return context;
+};
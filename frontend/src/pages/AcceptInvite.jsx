@@ -0,0 +1,115 @@
+/**
+ * ACCEPT INVITE PAGE
+ *
+ * Opened from an invite link (/invite/:token)
+ * Shows which workspace the invite is for and lets the user join it
+ *
+ * This page is PROTECTED - users who aren't logged in are sent to
+ * the login page first and come back here afterwards
+ */
+
+// Import React hooks, router, context and API functions
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useWorkspace } from '../context/workspace';
+import { getInvite, acceptInvite } from '../services/api';
+import { findRole } from '../utils/workspaces';
+
+/**
+ * AcceptInvite Component
+ */
+const AcceptInvite = () => {
+    const navigate = useNavigate();
+    const { token } = useParams();
+    const { refreshWorkspaces, switchWorkspace } = useWorkspace();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * The invite: { workspace, role, email, expiresAt, alreadyMember }
+     */
+    const [invite, setInvite] = useState(null);
+
+    /**
+     * Error message (invalid / expired invite, wrong account...)
+     */
+    const [error, setError] = useState(null);
+
+    /**
+     * Loading state while the invite is being accepted
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * useEffect: Fetch the invite when the page loads
+     */
+    useEffect(() => {
+        getInvite(token)
+            .then(setInvite)
+            .catch((err) => setError(err.response?.data?.message || 'Could not load this invite'));
+    }, [token]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle joining the workspace - switches to it afterwards
+     */
+    const handleAccept = async () => {
+        try {
+            setIsSaving(true);
+            const workspace = await acceptInvite(token);
+            await refreshWorkspaces();
+            switchWorkspace(workspace._id);
+            navigate('/dashboard');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not accept this invite');
+            setIsSaving(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ maxWidth: '500px', paddingTop: '4rem' }}>
+            <div className="card text-center">
+                <h2 className="mb-3">Workspace invite</h2>
+
+                {error ? (
+                    <p className="text-danger">{error}</p>
+                ) : !invite ? (
+                    <div className="spinner" style={{ margin: '0 auto' }}></div>
+                ) : invite.alreadyMember ? (
+                    <p className="text-secondary">
+                        You are already a member of <strong>{invite.workspace.name}</strong>.
+                    </p>
+                ) : (
+                    <>
+                        <p className="text-secondary mb-3">
+                            You have been invited to join <strong>{invite.workspace.name}</strong> as{' '}
+                            {findRole(invite.role).label.toLowerCase()}.
+                        </p>
+                        <button onClick={handleAccept} className="btn btn-primary" disabled={isSaving}>
+                            {isSaving ? 'Joining...' : 'Join workspace'}
+                        </button>
+                    </>
+                )}
+
+                <p className="mt-3">
+                    <Link to="/dashboard" className="text-secondary">Go to my tasks</Link>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,36 @@
+/**
+ * ACCOUNT SECURITY PAGE
+ *
+ * Security settings of the logged in user:
+ * - Two-factor authentication (see components/TwoFactorSettings.jsx)
+ * - Where the user is logged in (see components/SessionList.jsx)
+ *
+ * The password is changed on the settings page
+ *
+ * This page is PROTECTED - only authenticated users can access it
+ */
+
+// Import context and components
+import { useAuth } from '../context/AuthContext';
+import AccountNav from '../components/AccountNav';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import SessionList from '../components/SessionList';
+
+/**
+ * AccountSecurity Component
+ */
+const AccountSecurity = () => {
+    const { user } = useAuth();
+
+    return (
+        <div className="container" style={{ maxWidth: '800px', paddingTop: '2rem', paddingBottom: '2rem' }}>
+            {/* Header and links to the other account pages */}
+            <AccountNav title="Account security" subtitle={user?.email} />
+
+            <TwoFactorSettings />
+            <SessionList />
+        </div>
+    );
+};
+
+export default AccountSecurity;
@@ -0,0 +1,40 @@
+/**
+ * ADMIN PAGE
+ *
+ * The admin console:
+ * - Counts of users, workspaces and tasks (see components/AdminStats.jsx)
+ * - Every user, with disable / enable and requiring a new password
+ *   (see components/AdminUserList.jsx)
+ *
+ * This page is PROTECTED - only users with the admin role can access it
+ */
+
+// Import router and components
+import { Link } from 'react-router-dom';
+import AdminStats from '../components/AdminStats';
+import AdminUserList from '../components/AdminUserList';
+
+/**
+ * Admin Component
+ */
+const Admin = () => {
+    return (
+        <div className="container" style={{ maxWidth: '1000px', paddingTop: '2rem', paddingBottom: '2rem' }}>
+            {/* Header */}
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h1>Admin</h1>
+                    <p className="text-secondary">Users and statistics of the whole app</p>
+                </div>
+                <Link to="/dashboard" className="btn btn-secondary">
+                    Back to tasks
+                </Link>
+            </div>
+
+            <AdminStats />
+            <AdminUserList />
+        </div>
+    );
+};
+
+export default Admin;
@@ -0,0 +1,334 @@
+/**
+ * API TOKENS PAGE
+ *
+ * Personal access tokens for scripts and integrations (CI jobs, shell scripts...)
+ * - Create a token with a name, scopes and an expiry
+ * - The token is shown once, right after it is created
+ * - List tokens with when they were last used, and revoke them
+ *
+ * This page is PROTECTED - only authenticated users can access it
+ */
+
+// Import React hooks, API functions and components
+import { useState, useEffect } from 'react';
+import { getApiTokens, createApiToken, revokeApiToken } from '../services/api';
+import AccountNav from '../components/AccountNav';
+
+/**
+ * Scopes a token can have
+ */
+const SCOPES = [
+    { key: 'tasks:read', label: 'Read tasks', description: 'List and view tasks, projects, tags and statuses' },
+    { key: 'tasks:write', label: 'Write tasks', description: 'Also create, edit and delete tasks, projects and tags' },
+];
+
+/**
+ * Expiry choices, in days (null = never)
+ */
+const EXPIRY_OPTIONS = [
+    { value: '30', label: '30 days' },
+    { value: '90', label: '90 days' },
+    { value: '365', label: '1 year' },
+    { value: '', label: 'Never' },
+];
+
+/**
+ * Empty create form
+ */
+const EMPTY_FORM = {
+    name: '',
+    scopes: ['tasks:read'],
+    expiresInDays: '90',
+};
+
+/**
+ * Format a date for the token list
+ *
+ * @param {string} value - ISO date
+ * @returns {string} e.g. "3/14/2025"
+ */
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+/**
+ * ApiTokens Component
+ */
+const ApiTokens = () => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * The user's tokens
+     */
+    const [tokens, setTokens] = useState([]);
+
+    /**
+     * Create form state
+     */
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    /**
+     * Token just created: { token, apiToken } (the token is only shown once)
+     */
+    const [createdToken, setCreatedToken] = useState(null);
+
+    /**
+     * Loading state
+     */
+    const [isLoading, setIsLoading] = useState(true);
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Load the tokens
+     */
+    useEffect(() => {
+        getApiTokens()
+            .then(setTokens)
+            .catch((err) => {
+                console.error('Error fetching API tokens:', err);
+                setError('Failed to load API tokens');
+            })
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle toggling a scope in the create form
+     *
+     * @param {string} scope - Scope key
+     */
+    const handleScopeToggle = (scope) => {
+        setForm((prev) => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter((key) => key !== scope)
+                : [...prev.scopes, scope],
+        }));
+    };
+
+    /**
+     * Handle creating a token
+     */
+    const handleCreate = async (e) => {
+        e.preventDefault();
+
+        if (!form.name.trim()) {
+            setError('Please add a token name');
+            return;
+        }
+        if (form.scopes.length === 0) {
+            setError('Please choose at least one scope');
+            return;
+        }
+
+        try {
+            setIsSaving(true);
+            setError('');
+            const data = await createApiToken({
+                name: form.name.trim(),
+                scopes: form.scopes,
+                expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null,
+            });
+            setTokens((prev) => [data.apiToken, ...prev]);
+            setCreatedToken(data);
+            setForm(EMPTY_FORM);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create API token');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle copying the token just created
+     */
+    const handleCopyToken = async () => {
+        try {
+            await navigator.clipboard.writeText(createdToken.token);
+        } catch {
+            window.prompt('Copy your API token:', createdToken.token);
+        }
+    };
+
+    /**
+     * Handle revoking a token
+     *
+     * @param {Object} token - Token to revoke
+     */
+    const handleRevoke = async (token) => {
+        if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+            return;
+        }
+
+        try {
+            setError('');
+            await revokeApiToken(token._id);
+            setTokens((prev) => prev.filter((t) => t._id !== token._id));
+            if (createdToken?.apiToken._id === token._id) {
+                setCreatedToken(null);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to revoke API token');
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ maxWidth: '800px', paddingTop: '2rem', paddingBottom: '2rem' }}>
+            {/* Header and links to the other account pages */}
+            <AccountNav title="API tokens" subtitle="Use the API from scripts and integrations" />
+
+            {error && <p className="text-danger mb-3">{error}</p>}
+
+            {/* Token just created */}
+            {createdToken && (
+                <div className="card mb-4" style={{ borderColor: 'var(--success-color)' }}>
+                    <p className="mb-2">
+                        <strong>Copy your new token now.</strong> You won't be able to see it again.
+                    </p>
+                    <div className="flex gap-2 mb-2">
+                        <input
+                            type="text"
+                            value={createdToken.token}
+                            readOnly
+                            className="form-input secret-text"
+                            aria-label="New API token"
+                        />
+                        <button type="button" onClick={handleCopyToken} className="btn btn-secondary btn-sm">
+                            Copy
+                        </button>
+                    </div>
+                    <p className="text-muted" style={{ fontSize: 'var(--font-size-sm)' }}>
+                        Send it in the Authorization header: <span className="secret-text">Authorization: Bearer {createdToken.token.slice(0, 11)}...</span>
+                    </p>
+                </div>
+            )}
+
+            {/* Create form */}
+            <div className="card mb-4">
+                <h3 className="mb-3">New token</h3>
+
+                <form onSubmit={handleCreate}>
+                    <div className="form-group">
+                        <label htmlFor="tokenName" className="form-label">
+                            Name
+                        </label>
+                        <input
+                            type="text"
+                            id="tokenName"
+                            value={form.name}
+                            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                            className="form-input"
+                            placeholder="e.g. CI deploy job"
+                            maxLength={100}
+                            disabled={isSaving}
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <span className="form-label">Scopes</span>
+                        {SCOPES.map((scope) => (
+                            <label key={scope.key} className="flex items-center gap-2 mb-2">
+                                <input
+                                    type="checkbox"
+                                    className="form-checkbox"
+                                    checked={form.scopes.includes(scope.key)}
+                                    onChange={() => handleScopeToggle(scope.key)}
+                                    disabled={isSaving}
+                                />
+                                <span>
+                                    <strong>{scope.label}</strong>{' '}
+                                    <span className="text-muted">- {scope.description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="tokenExpiry" className="form-label">
+                            Expires after
+                        </label>
+                        <select
+                            id="tokenExpiry"
+                            value={form.expiresInDays}
+                            onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+                            className="form-input"
+                            disabled={isSaving}
+                        >
+                            {EXPIRY_OPTIONS.map((option) => (
+                                <option key={option.label} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                        {isSaving ? 'Creating...' : 'Create token'}
+                    </button>
+                </form>
+            </div>
+
+            {/* Token list */}
+            <div className="card">
+                <h3 className="mb-3">Your tokens ({tokens.length})</h3>
+
+                {isLoading ? (
+                    <div className="spinner"></div>
+                ) : tokens.length === 0 ? (
+                    <p className="text-secondary">You don't have any API tokens yet.</p>
+                ) : (
+                    <ul className="member-list">
+                        {tokens.map((token) => {
+                            const isExpired = token.expiresAt && new Date(token.expiresAt) < new Date();
+
+                            return (
+                                <li key={token._id} className="member-row">
+                                    <div style={{ flex: 1 }}>
+                                        <strong>{token.name}</strong>{' '}
+                                        <span className="text-muted secret-text">...{token.lastCharacters}</span>
+                                        <div className="text-muted" style={{ fontSize: 'var(--font-size-sm)' }}>
+                                            {token.scopes.join(', ')}
+                                            {' · '}
+                                            {token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt)}` : 'Never used'}
+                                            {' · '}
+                                            {!token.expiresAt
+                                                ? 'Never expires'
+                                                : isExpired
+                                                    ? <span className="text-danger">Expired {formatDate(token.expiresAt)}</span>
+                                                    : `Expires ${formatDate(token.expiresAt)}`}
+                                        </div>
+                                    </div>
+                                    <button type="button" onClick={() => handleRevoke(token)} className="btn btn-danger btn-sm">
+                                        Revoke
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ApiTokens;
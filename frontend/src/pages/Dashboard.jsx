@@ -2,23 +2,77 @@
  * DASHBOARD PAGE
  * 
  * This is the main page of the application where users can:
- * - View all their tasks
+ * - View their tasks (loaded page by page with infinite scroll)
+ * - Search, filter and sort tasks (filters live in the URL so they can be bookmarked)
  * - Create new tasks
  * - Edit existing tasks
  * - Delete tasks
  * - Mark tasks as complete/incomplete
+ * - Change task status and priority, and manage custom statuses
+ * - Tag tasks, and rename / recolor / delete tags
+ * - Break tasks into checklists of subtasks
+ * - Discuss tasks in comments (Markdown, @mentions)
+ * - Repeat tasks (completing one creates the next occurrence)
+ * - Organise tasks into projects (sidebar, /projects/:projectId shows one project)
+ * - Switch between shared workspaces (what can be changed depends on the user's role)
+ * - Assign tasks to members, and see the tasks assigned to / created by the user
+ * - See changes made in other tabs and devices live (reloaded after a disconnect)
  * - Logout
  * 
  * This page is PROTECTED - only authenticated users can access it
  */
 
 // Import React hooks and dependencies
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useEffectEvent, useMemo, useCallback } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { getTasks, createTask, updateTask, deleteTask } from '../services/api';
+import { useWorkspace } from '../context/workspace';
+import {
+    getTasks,
+    getTaskStats,
+    createTask,
+    updateTask,
+    deleteTask,
+    getStatuses,
+    getTags,
+    createTag,
+    getProjects,
+    getProject,
+    getMembers,
+    subscribeToTaskEvents,
+} from '../services/api';
 import TaskForm from '../components/TaskForm';
 import TaskItem from '../components/TaskItem';
+import StatusManager from '../components/StatusManager';
+import TagManager from '../components/TagManager';
+import ProjectSidebar from '../components/ProjectSidebar';
+import TaskFilters from '../components/TaskFilters';
+import WorkspaceSwitcher from '../components/WorkspaceSwitcher';
+import NotificationBell from '../components/NotificationBell';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
+import AccountDeletionBanner from '../components/AccountDeletionBanner';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import Avatar from '../components/Avatar';
+import { getUserTimeZone } from '../utils/taskDates';
+import { pickTagColor } from '../utils/tags';
+
+/**
+ * Query string keys used for task filters
+ * e.g. /dashboard?q=invoice&status=blocked&sort=dueDate&order=asc
+ */
+const FILTER_KEYS = ['q', 'status', 'priority', 'tags', 'tagMode', 'due', 'sort', 'order', 'assignee', 'createdBy'];
+
+/**
+ * Tabs above the task list - each one is a set of people filters
+ * Kept apart from TaskFilters, so clearing the filters keeps the tab
+ */
+const VIEW_KEYS = ['assignee', 'createdBy'];
+const TASK_VIEWS = [
+    { key: 'all', label: 'All tasks', filters: {} },
+    { key: 'assigned', label: 'Assigned to me', filters: { assignee: 'me' } },
+    { key: 'created', label: 'Created by me', filters: { createdBy: 'me' } },
+    { key: 'unassigned', label: 'Unassigned', filters: { assignee: 'none' } },
+];
 
 /**
  * Dashboard Component
@@ -33,21 +87,117 @@ const Dashboard = () => {
      */
     const { user, logout } = useAuth();
 
+    /**
+     * Permissions of the user's role in the current workspace
+     * Viewers can only look at tasks
+     */
+    const { currentWorkspace, can } = useWorkspace();
+    const workspaceId = currentWorkspace?._id;
+    const canWrite = can('tasks:write');
+    const canManage = can('workspace:manage');
+
     /**
      * Navigation hook (currently not used but can be for future features)
      */
     const navigate = useNavigate();
 
+    /**
+     * URL query string - the single source of truth for the filters
+     */
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    /**
+     * Project shown on this page (/projects/:projectId)
+     * undefined on /dashboard, which shows the tasks of every active project
+     */
+    const { projectId } = useParams();
+
+    /**
+     * Current filter values read from the URL
+     * Memoized so it only changes when the query string changes
+     */
+    const filters = useMemo(() => {
+        const values = {};
+        FILTER_KEYS.forEach((key) => {
+            if (searchParams.get(key)) values[key] = searchParams.get(key);
+        });
+        return values;
+    }, [searchParams]);
+
+    /**
+     * The filters handled by TaskFilters (everything but the tab)
+     */
+    const listFilters = useMemo(() => {
+        const values = { ...filters };
+        VIEW_KEYS.forEach((key) => delete values[key]);
+        return values;
+    }, [filters]);
+
+    /**
+     * The tab matching the people filters in the URL
+     * (none for a bookmarked filter without a tab, e.g. ?assignee=<userId>)
+     */
+    const activeView = TASK_VIEWS.find((view) =>
+        VIEW_KEYS.every((key) => (view.filters[key] || '') === (filters[key] || '')));
+
     // ============================================
     // STATE MANAGEMENT
     // ============================================
 
     /**
      * Tasks array state
-     * Stores all tasks fetched from the backend
+     * Stores the tasks loaded so far (one or more pages)
      */
     const [tasks, setTasks] = useState([]);
 
+    /**
+     * Cursor for the next page of tasks
+     * null when every matching task has been loaded
+     */
+    const [nextCursor, setNextCursor] = useState(null);
+
+    /**
+     * Loading-more state
+     * True while the next page is being fetched
+     */
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    /**
+     * Statistics state
+     * Counts come from the server, so they're correct even though
+     * only some of the tasks are loaded
+     */
+    const [stats, setStats] = useState(null);
+
+    /**
+     * Statuses state
+     * Built-in and custom statuses of the workspace
+     */
+    const [statuses, setStatuses] = useState([]);
+
+    /**
+     * Tags state
+     * All of the workspace's tags (for pickers, filters and the tag manager)
+     */
+    const [tags, setTags] = useState([]);
+
+    /**
+     * Projects state
+     * The workspace's active projects (sidebar, project pickers)
+     */
+    const [projects, setProjects] = useState([]);
+
+    /**
+     * The project shown on this page (can be archived), null on /dashboard
+     */
+    const [currentProject, setCurrentProject] = useState(null);
+
+    /**
+     * Members state
+     * Users of the workspace (assignee pickers)
+     */
+    const [members, setMembers] = useState([]);
+
     /**
      * Loading state
      * Shows when tasks are being fetched
@@ -60,47 +210,319 @@ const Dashboard = () => {
      */
     const [error, setError] = useState(null);
 
-    // ============================================
-    // SIDE EFFECTS
-    // ============================================
+    /**
+     * Live updates state
+     * 'connecting', 'live', 'reconnecting' or 'offline'
+     */
+    const [liveStatus, setLiveStatus] = useState('connecting');
 
     /**
-     * useEffect: Fetch tasks when component mounts
-     * 
-     * This runs once when the Dashboard is first loaded
-     * It fetches all tasks for the authenticated user from the backend
+     * Bumped when a notification arrives, to reload the notification bell
      */
-    useEffect(() => {
-        fetchTasks();
-    }, []); // Empty dependency array = run once on mount
+    const [notificationKey, setNotificationKey] = useState(0);
 
     // ============================================
     // DATA FETCHING
     // ============================================
 
     /**
-     * Fetch all tasks from the backend
+     * Fetch the first page of tasks matching the current filters
      * 
      * This is called on component mount and can be called again to refresh tasks
+     * Any pages loaded before are replaced
      */
-    const fetchTasks = async () => {
+    const fetchTasks = useCallback(async () => {
         try {
             setLoading(true);
             setError(null);
 
             // Call API to get tasks
-            const data = await getTasks();
+            // The browser timezone decides what "due today" means
+            const data = await getTasks({ ...filters, project: projectId, tz: getUserTimeZone() });
 
             // Update tasks state
-            setTasks(data);
+            setTasks(data.tasks);
+            setNextCursor(data.nextCursor);
         } catch (err) {
             console.error('Error fetching tasks:', err);
             setError('Failed to load tasks. Please try again.');
         } finally {
             setLoading(false);
         }
+    }, [filters, projectId]);
+
+    /**
+     * Fetch the next page of tasks and append it to the list
+     * 
+     * Called by InfiniteScrollTrigger when the end of the list is visible
+     */
+    const loadMoreTasks = async () => {
+        if (!nextCursor || loadingMore) {
+            return;
+        }
+
+        try {
+            setLoadingMore(true);
+
+            const data = await getTasks({
+                ...filters,
+                project: projectId,
+                tz: getUserTimeZone(),
+                cursor: nextCursor,
+            });
+
+            // Skip tasks that are already in the list
+            // (e.g. a task created locally that also shows up in a later page)
+            setTasks((prevTasks) => {
+                const loadedIds = new Set(prevTasks.map((task) => task._id));
+                return [...prevTasks, ...data.tasks.filter((task) => !loadedIds.has(task._id))];
+            });
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            console.error('Error loading more tasks:', err);
+            setError('Failed to load more tasks. Please try again.');
+        } finally {
+            setLoadingMore(false);
+        }
     };
 
+    /**
+     * Fetch the statistics card counts
+     * 
+     * Called on mount and after every change to a task
+     */
+    const fetchStats = useCallback(async () => {
+        try {
+            const data = await getTaskStats({ project: projectId });
+            setStats(data);
+        } catch (err) {
+            console.error('Error fetching task stats:', err);
+        }
+    }, [projectId]);
+
+    /**
+     * Refresh the list and the statistics
+     * Used by the Refresh button
+     */
+    const handleRefresh = () => {
+        fetchTasks();
+        fetchStats();
+    };
+
+    /**
+     * Fetch the available statuses (built-in + custom)
+     * 
+     * Called on mount and after custom statuses change
+     */
+    const fetchStatuses = useCallback(async () => {
+        try {
+            const data = await getStatuses();
+            setStatuses(data);
+        } catch (err) {
+            console.error('Error fetching statuses:', err);
+        }
+    }, []);
+
+    /**
+     * Fetch all of the user's tags
+     * 
+     * Called on mount and after tags are renamed, merged or deleted
+     */
+    const fetchTags = useCallback(async () => {
+        try {
+            const data = await getTags();
+            setTags(data);
+        } catch (err) {
+            console.error('Error fetching tags:', err);
+        }
+    }, []);
+
+    /**
+     * Fetch the user's active projects
+     * 
+     * Called on mount and after projects change
+     */
+    const fetchProjects = useCallback(async () => {
+        try {
+            const data = await getProjects();
+            setProjects(data);
+        } catch (err) {
+            console.error('Error fetching projects:', err);
+        }
+    }, []);
+
+    /**
+     * Fetch the members of the workspace
+     * Only their users are kept - that's what tasks are assigned to
+     */
+    const fetchMembers = useCallback(async () => {
+        if (!workspaceId) return;
+        try {
+            const data = await getMembers(workspaceId);
+            setMembers(data.map((member) => member.user));
+        } catch (err) {
+            console.error('Error fetching members:', err);
+        }
+    }, [workspaceId]);
+
+    /**
+     * Fetch the project shown on this page
+     * Fetched on its own because archived projects aren't in the sidebar list
+     */
+    const fetchCurrentProject = useCallback(async () => {
+        if (!projectId) {
+            setCurrentProject(null);
+            return;
+        }
+
+        try {
+            const data = await getProject(projectId);
+            setCurrentProject(data);
+        } catch (err) {
+            console.error('Error fetching project:', err);
+            setError('Project not found.');
+        }
+    }, [projectId]);
+
+    /**
+     * Refresh after projects changed
+     * Archiving or deleting a project can move or delete tasks, so tasks are reloaded too
+     */
+    const handleProjectsChange = () => {
+        fetchProjects();
+        fetchCurrentProject();
+        fetchTasks();
+        fetchStats();
+    };
+
+    /**
+     * Check if a task is assigned to the user
+     */
+    const isAssignedToMe = (task) => Boolean(task.assignees?.some((assignee) => assignee._id === user?.id));
+
+    /**
+     * Check if a task belongs on this page
+     * (a task moved to another project leaves the project view,
+     * a task the user was unassigned from leaves "Assigned to me")
+     */
+    const isInView = (task) => {
+        if (projectId && task.project?._id !== projectId) return false;
+        if (filters.assignee === 'me' && !isAssignedToMe(task)) return false;
+        if (filters.assignee === 'none' && task.assignees?.length > 0) return false;
+        return true;
+    };
+
+    /**
+     * Create a tag from the tag picker
+     * 
+     * @param {string} name - Name typed by the user
+     * @returns {Promise<Object>} The new tag
+     */
+    const handleCreateTag = async (name) => {
+        try {
+            const tag = await createTag({ name, color: pickTagColor(name) });
+            setTags((prevTags) =>
+                [...prevTags, tag].sort((a, b) => a.name.localeCompare(b.name))
+            );
+            return tag;
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to create tag');
+            throw err;
+        }
+    };
+
+    /**
+     * Refresh after tags were renamed, merged or deleted
+     * Tasks are reloaded so their chips show the changes
+     */
+    const handleTagsChange = () => {
+        fetchTags();
+        fetchTasks();
+    };
+
+    /**
+     * Refresh after custom statuses changed
+     * Deleting a status can move tasks, so tasks are reloaded too
+     */
+    const handleStatusesChange = () => {
+        fetchStatuses();
+        fetchTasks();
+        fetchStats();
+    };
+
+    /**
+     * Update the filters
+     * 
+     * Writes them to the URL, which triggers a reload of the tasks
+     * Empty values are dropped to keep the URL short
+     * 
+     * @param {Object} nextFilters - New filter values
+     */
+    const handleFiltersChange = useCallback((nextFilters) => {
+        const params = {};
+        FILTER_KEYS.forEach((key) => {
+            if (nextFilters[key]) params[key] = nextFilters[key];
+        });
+        setSearchParams(params);
+    }, [setSearchParams]);
+
+    /**
+     * Update the filters from TaskFilters, keeping the current tab
+     */
+    const handleListFiltersChange = useCallback((nextFilters) => {
+        handleFiltersChange({ ...nextFilters, assignee: filters.assignee, createdBy: filters.createdBy });
+    }, [handleFiltersChange, filters.assignee, filters.createdBy]);
+
+    /**
+     * Switch tabs, keeping the other filters
+     */
+    const handleViewChange = (view) => {
+        handleFiltersChange({ ...listFilters, ...view.filters });
+    };
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * useEffect: Fetch statuses when component mounts
+     */
+    useEffect(() => {
+        fetchStatuses();
+        fetchTags();
+        fetchProjects();
+        fetchMembers();
+    }, [fetchStatuses, fetchTags, fetchProjects, fetchMembers]);
+
+    /**
+     * useEffect: Fetch the project and its statistics when the project changes
+     */
+    useEffect(() => {
+        fetchCurrentProject();
+        fetchStats();
+    }, [fetchCurrentProject, fetchStats]);
+
+    /**
+     * useEffect: Fetch tasks when the filters or the project change
+     * 
+     * Runs when the Dashboard is first loaded and again every time
+     * the filters in the URL change
+     */
+    useEffect(() => {
+        fetchTasks();
+    }, [fetchTasks]);
+
+    /**
+     * useEffect: Listen to the changes made in other tabs and devices
+     * 
+     * The page is mounted again when the workspace changes, so the
+     * stream is always the one of the current workspace
+     */
+    useEffect(() => subscribeToTaskEvents({
+        onEvent: (event, data) => handleLiveEvent(event, data),
+        onStatus: (status, details) => handleLiveStatus(status, details),
+    }), []);
+
     // ============================================
     // TASK OPERATIONS
     // ============================================
@@ -117,7 +539,11 @@ const Dashboard = () => {
 
             // Add new task to the beginning of the tasks array
             // This shows newest tasks first
-            setTasks((prevTasks) => [newTask, ...prevTasks]);
+            // (unless the live update for it already did)
+            if (isInView(newTask)) {
+                setTasks((prevTasks) => addTask(prevTasks, newTask));
+            }
+            fetchStats();
 
             // Show success feedback
             console.log('Task created successfully');
@@ -140,12 +566,7 @@ const Dashboard = () => {
             const updatedTask = await updateTask(taskId, updates);
 
             // Update the task in the local state
-            // Map through tasks and replace the updated one
-            setTasks((prevTasks) =>
-                prevTasks.map((task) =>
-                    task._id === taskId ? updatedTask : task
-                )
-            );
+            handleTaskReplaced(updatedTask);
 
             console.log('Task updated successfully');
         } catch (err) {
@@ -154,6 +575,42 @@ const Dashboard = () => {
         }
     };
 
+    /**
+     * Handle a task that was changed (edited, or its checklist changed)
+     * Replaces it in the list with the version returned by the server
+     * 
+     * @param {Object} updatedTask - The updated task
+     */
+    const handleTaskReplaced = (updatedTask) => {
+        // Completing a recurring task also returns the next occurrence
+        // Show it right below the completed one
+        const { nextOccurrence } = updatedTask;
+        const nextTask = nextOccurrence?._id ? nextOccurrence : null;
+        const task = nextTask ? { ...updatedTask, nextOccurrence: nextTask._id } : updatedTask;
+
+        // Map through tasks and replace the updated one
+        setTasks((prevTasks) =>
+            prevTasks.flatMap((prevTask) => {
+                if (prevTask._id !== task._id) return [prevTask];
+                return [task, nextTask].filter((item) => item && isInView(item));
+            })
+        );
+        // The status (or the number of tasks) may have changed
+        fetchStats();
+    };
+
+    /**
+     * Show a task's new number of comments
+     * 
+     * @param {string} taskId - ID of the task
+     * @param {number} commentCount - Its number of comments
+     */
+    const handleCommentCountChange = (taskId, commentCount) => {
+        setTasks((prevTasks) =>
+            prevTasks.map((task) => (task._id === taskId ? { ...task, commentCount } : task))
+        );
+    };
+
     /**
      * Handle deleting a task
      * 
@@ -169,6 +626,7 @@ const Dashboard = () => {
             setTasks((prevTasks) =>
                 prevTasks.filter((task) => task._id !== taskId)
             );
+            fetchStats();
 
             console.log('Task deleted successfully');
         } catch (err) {
@@ -177,6 +635,90 @@ const Dashboard = () => {
         }
     };
 
+    // ============================================
+    // LIVE UPDATES
+    // ============================================
+
+    /**
+     * Add a task to the top of the list, unless it is in the list already
+     * (the tab that creates a task gets both the response and the live update)
+     */
+    const addTask = (prevTasks, task) =>
+        prevTasks.some((prevTask) => prevTask._id === task._id) ? prevTasks : [task, ...prevTasks];
+
+    /**
+     * Apply a change made in another tab or device (or this one)
+     * Events are described in backend/services/realtime.js
+     * 
+     * @param {string} event - e.g. "task.updated"
+     * @param {Object} data - The task, { _id } or { reason }
+     */
+    const handleLiveEvent = useEffectEvent((event, data) => {
+        switch (event) {
+            case 'task.created':
+                if (isInView(data)) {
+                    setTasks((prevTasks) => addTask(prevTasks, data));
+                }
+                fetchStats();
+                break;
+
+            case 'task.updated':
+                // Someone else's edit can bring a task into this view
+                if (isInView(data)) {
+                    setTasks((prevTasks) => addTask(prevTasks, data));
+                }
+                handleTaskReplaced(data);
+                break;
+
+            case 'task.deleted':
+                setTasks((prevTasks) => prevTasks.filter((task) => task._id !== data._id));
+                fetchStats();
+                break;
+
+            // The comment count changed (an open thread reloads when it does)
+            case 'comment.created':
+            case 'comment.deleted':
+                handleCommentCountChange(data.task, data.commentCount);
+                break;
+
+            // Many tasks changed at once (a project, status or tag was changed)
+            case 'tasks.changed':
+                if (data.reason === 'project') {
+                    fetchProjects();
+                    fetchCurrentProject();
+                }
+                if (data.reason === 'status') fetchStatuses();
+                if (data.reason === 'tag') fetchTags();
+                fetchTasks();
+                fetchStats();
+                break;
+
+            // Something happened that the user should know about
+            case 'notification.created':
+                setNotificationKey((key) => key + 1);
+                break;
+
+            default:
+                break;
+        }
+    });
+
+    /**
+     * Show the state of the live updates
+     * Changes made while disconnected were missed, so the list is reloaded
+     * 
+     * @param {string} status - 'live', 'reconnecting' or 'offline'
+     * @param {Object} details - { reconnected } when live
+     */
+    const handleLiveStatus = useEffectEvent((status, details) => {
+        setLiveStatus(status);
+        if (details?.reconnected) {
+            fetchTasks();
+            fetchStats();
+            setNotificationKey((key) => key + 1);
+        }
+    });
+
     // ============================================
     // AUTH OPERATIONS
     // ============================================
@@ -200,104 +742,240 @@ const Dashboard = () => {
             {/* Header with welcome message and logout button */}
             <div className="flex justify-between items-center mb-4">
                 <div>
-                    <h1>Task Dashboard</h1>
+                    <h1>
+                        {currentProject
+                            ? `${currentProject.icon} ${currentProject.name}${currentProject.archived ? ' (archived)' : ''}`
+                            : 'Task Dashboard'}
+                    </h1>
                     <p className="text-secondary">
-                        Welcome back, <span style={{ color: 'var(--primary-color)' }}>{user?.username}</span>!
+                        Welcome back, <span style={{ color: 'var(--primary-color)' }}>{user?.displayName || user?.username}</span>!
                     </p>
                 </div>
 
-                <button onClick={handleLogout} className="btn btn-secondary">
-                    Logout
-                </button>
-            </div>
-
-            {/* Task creation form */}
-            <div className="mb-4">
-                <TaskForm onSubmit={handleCreateTask} />
-            </div>
-
-            {/* Tasks section */}
-            <div>
-                <div className="flex justify-between items-center mb-3">
-                    <h2>Your Tasks ({tasks.length})</h2>
-
-                    {/* Refresh button */}
-                    <button onClick={fetchTasks} className="btn btn-secondary btn-sm" disabled={loading}>
-                        {loading ? 'Refreshing...' : 'Refresh'}
+                <div className="flex items-center gap-2">
+                    <WorkspaceSwitcher />
+                    <NotificationBell refreshKey={notificationKey} />
+                    {user?.role === 'admin' && (
+                        <Link to="/admin" className="btn btn-secondary">
+                            Admin
+                        </Link>
+                    )}
+                    <Link to="/settings" className="btn btn-secondary flex items-center gap-2">
+                        {user && <Avatar user={{ ...user, _id: user.id }} />}
+                        Settings
+                    </Link>
+                    <button onClick={handleLogout} className="btn btn-secondary">
+                        Logout
                     </button>
                 </div>
+            </div>
 
-                {/* Error message */}
-                {error && (
-                    <div
-                        style={{
-                            padding: 'var(--spacing-md)',
-                            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                            border: '1px solid var(--danger-color)',
-                            borderRadius: 'var(--radius-md)',
-                            color: 'var(--danger-color)',
-                            marginBottom: 'var(--spacing-lg)',
-                        }}
-                    >
-                        {error}
-                    </div>
-                )}
-
-                {/* Loading state */}
-                {loading ? (
-                    <div className="text-center" style={{ padding: 'var(--spacing-2xl)' }}>
-                        <div className="spinner" style={{ margin: '0 auto' }}></div>
-                        <p className="mt-3 text-secondary">Loading tasks...</p>
-                    </div>
-                ) : tasks.length === 0 ? (
-                    /* Empty state - no tasks */
-                    <div className="card text-center">
-                        <h3>No tasks yet</h3>
-                        <p className="text-secondary">
-                            Create your first task above to get started!
-                        </p>
-                    </div>
-                ) : (
-                    /* Task list */
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-md)' }}>
-                        {tasks.map((task) => (
-                            <TaskItem
-                                key={task._id}
-                                task={task}
-                                onUpdate={handleUpdateTask}
-                                onDelete={handleDeleteTask}
+            {/* Reminder to verify the email address */}
+            <VerifyEmailBanner />
+
+            {/* Account waiting to be deleted */}
+            <AccountDeletionBanner />
+
+            <div className="dashboard-layout">
+                {/* Project navigation */}
+                <ProjectSidebar
+                    projects={projects}
+                    activeProjectId={projectId}
+                    onChange={handleProjectsChange}
+                    canEdit={canWrite}
+                    canManage={canManage}
+                />
+
+                <main>
+                    {/* Task creation form - new tasks go into the project shown */}
+                    {canWrite && (
+                        <div className="mb-4">
+                            <TaskForm
+                                key={projectId || 'all'}
+                                onSubmit={handleCreateTask}
+                                statuses={statuses}
+                                tags={tags}
+                                onCreateTag={handleCreateTag}
+                                projects={projects}
+                                defaultProject={projectId}
+                                members={members}
                             />
-                        ))}
+                        </div>
+                    )}
+
+                    {/* Tasks section */}
+                    <div>
+                        <div className="flex justify-between items-center mb-3">
+                            {/* Number of loaded tasks, "+" while more pages are available */}
+                            <h2>Your Tasks ({tasks.length}{nextCursor ? '+' : ''})</h2>
+
+                            <div className="flex items-center gap-2">
+                                {/* Live updates - changes from other devices show up without refreshing */}
+                                {liveStatus === 'live' && <span className="badge text-success">Live</span>}
+                                {liveStatus === 'reconnecting' && <span className="badge text-warning">Reconnecting...</span>}
+                                {liveStatus === 'offline' && <span className="badge text-muted">Not live</span>}
+
+                                {/* Refresh button */}
+                                <button onClick={handleRefresh} className="btn btn-secondary btn-sm" disabled={loading}>
+                                    {loading ? 'Refreshing...' : 'Refresh'}
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* Tabs: all / assigned to me / created by me / unassigned */}
+                        <div className="flex gap-2 mb-3" role="tablist">
+                            {TASK_VIEWS.map((view) => (
+                                <button
+                                    key={view.key}
+                                    type="button"
+                                    role="tab"
+                                    aria-selected={activeView === view}
+                                    onClick={() => handleViewChange(view)}
+                                    className={`btn btn-sm ${activeView === view ? 'btn-primary' : 'btn-secondary'}`}
+                                >
+                                    {view.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {/* Search and filters */}
+                        <TaskFilters
+                            filters={listFilters}
+                            onChange={handleListFiltersChange}
+                            statuses={statuses}
+                            tags={tags}
+                        />
+
+                        {/* Error message */}
+                        {error && (
+                            <div
+                                style={{
+                                    padding: 'var(--spacing-md)',
+                                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                                    border: '1px solid var(--danger-color)',
+                                    borderRadius: 'var(--radius-md)',
+                                    color: 'var(--danger-color)',
+                                    marginBottom: 'var(--spacing-lg)',
+                                }}
+                            >
+                                {error}
+                            </div>
+                        )}
+
+                        {/* Loading state */}
+                        {loading ? (
+                            <div className="text-center" style={{ padding: 'var(--spacing-2xl)' }}>
+                                <div className="spinner" style={{ margin: '0 auto' }}></div>
+                                <p className="mt-3 text-secondary">Loading tasks...</p>
+                            </div>
+                        ) : tasks.length === 0 ? (
+                            /* Empty state - no tasks (or none matching the filters) */
+                            <div className="card text-center">
+                                {Object.keys(filters).length > 0 ? (
+                                    <>
+                                        <h3>No matching tasks</h3>
+                                        <p className="text-secondary">
+                                            Try a different search or clear the filters.
+                                        </p>
+                                    </>
+                                ) : (
+                                    <>
+                                        <h3>No tasks yet</h3>
+                                        <p className="text-secondary">
+                                            {canWrite
+                                                ? 'Create your first task above to get started!'
+                                                : 'Nobody has added a task to this workspace yet.'}
+                                        </p>
+                                    </>
+                                )}
+                            </div>
+                        ) : (
+                            /* Task list */
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-md)' }}>
+                                {tasks.map((task) => (
+                                    <TaskItem
+                                        key={task._id}
+                                        task={task}
+                                        onUpdate={handleUpdateTask}
+                                        onDelete={handleDeleteTask}
+                                        statuses={statuses}
+                                        tags={tags}
+                                        onCreateTag={handleCreateTag}
+                                        onTaskChange={handleTaskReplaced}
+                                        projects={projects}
+                                        members={members}
+                                        readOnly={!canWrite && !isAssignedToMe(task)}
+                                        canWrite={canWrite}
+                                        canManage={canManage}
+                                        onCommentCountChange={handleCommentCountChange}
+                                    />
+                                ))}
+
+                                {/* Loads the next page when scrolled into view */}
+                                <InfiniteScrollTrigger onLoadMore={loadMoreTasks} disabled={!nextCursor || loadingMore} />
+                                {loadingMore && (
+                                    <div className="text-center">
+                                        <div className="spinner" style={{ margin: '0 auto' }}></div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
                     </div>
-                )}
-            </div>
 
-            {/* Task stats */}
-            {tasks.length > 0 && (
-                <div className="card mt-4">
-                    <h3>Statistics</h3>
-                    <div className="flex gap-4">
-                        <div>
-                            <p className="text-muted">Total Tasks</p>
-                            <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold' }}>
-                                {tasks.length}
-                            </p>
+                    {/* Task stats - counted on the server */}
+                    {stats && stats.total > 0 && (
+                        <div className="card mt-4">
+                            <h3>Statistics</h3>
+                            <div className="flex gap-4">
+                                <div>
+                                    <p className="text-muted">Total Tasks</p>
+                                    <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold' }}>
+                                        {stats.total}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-muted">Completed</p>
+                                    <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--success-color)' }}>
+                                        {stats.completed}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-muted">In Progress</p>
+                                    <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--warning-color)' }}>
+                                        {stats.inProgress}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-muted">Blocked</p>
+                                    <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--danger-color)' }}>
+                                        {stats.blocked}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-muted">Overdue</p>
+                                    <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--danger-color)' }}>
+                                        {stats.overdue}
+                                    </p>
+                                </div>
+                            </div>
                         </div>
-                        <div>
-                            <p className="text-muted">Completed</p>
-                            <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--success-color)' }}>
-                                {tasks.filter((t) => t.completed).length}
-                            </p>
+                    )}
+
+                    {/* Custom status management - the workflow is shared by the whole workspace */}
+                    {canManage && (
+                        <div className="mt-4">
+                            <StatusManager statuses={statuses} onChange={handleStatusesChange} />
                         </div>
-                        <div>
-                            <p className="text-muted">In Progress</p>
-                            <p style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'bold', color: 'var(--warning-color)' }}>
-                                {tasks.filter((t) => !t.completed).length}
-                            </p>
+                    )}
+
+                    {/* Tag management */}
+                    {canWrite && (
+                        <div className="mt-4">
+                            <TagManager tags={tags} onChange={handleTagsChange} />
                         </div>
-                    </div>
-                </div>
-            )}
+                    )}
+                </main>
+            </div>
         </div>
     );
 };
@@ -0,0 +1,149 @@
+/**
+ * FORGOT PASSWORD PAGE
+ *
+ * Lets a user who forgot their password ask for a reset link by email
+ *
+ * The answer is the same whether an account exists for the email or not,
+ * so this page can't be used to find out who has an account
+ */
+
+// Import React hooks and dependencies
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/api';
+
+/**
+ * ForgotPassword Component
+ */
+const ForgotPassword = () => {
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Email input value
+     */
+    const [email, setEmail] = useState('');
+
+    /**
+     * Message from the server once the request was sent
+     */
+    const [message, setMessage] = useState('');
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while the request is in progress
+     */
+    const [loading, setLoading] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle form submission
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (!email.trim()) {
+            setError('Please enter your email address');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            const data = await forgotPassword(email.trim());
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send the reset link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ paddingTop: '4rem' }}>
+            <div style={{ maxWidth: '450px', margin: '0 auto' }}>
+                {/* Page title */}
+                <div className="text-center mb-4">
+                    <h1>Forgot your password?</h1>
+                    <p className="text-secondary">We will email you a link to choose a new one</p>
+                </div>
+
+                <div className="card">
+                    {message ? (
+                        /* Request sent */
+                        <p className="text-secondary">
+                            {message}. Check your inbox (and spam folder) - the link works for 1 hour.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit}>
+                            {/* Display errors if any */}
+                            {error && (
+                                <div
+                                    className="mb-3"
+                                    style={{
+                                        padding: 'var(--spacing-md)',
+                                        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                                        border: '1px solid var(--danger-color)',
+                                        borderRadius: 'var(--radius-md)',
+                                        color: 'var(--danger-color)',
+                                    }}
+                                >
+                                    {error}
+                                </div>
+                            )}
+
+                            {/* Email input */}
+                            <div className="form-group">
+                                <label htmlFor="email" className="form-label">
+                                    Email Address
+                                </label>
+                                <input
+                                    type="email"
+                                    id="email"
+                                    name="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className="form-input"
+                                    placeholder="you@example.com"
+                                    required
+                                    disabled={loading}
+                                />
+                            </div>
+
+                            {/* Submit button */}
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={loading}
+                                style={{ width: '100%' }}
+                            >
+                                {loading ? 'Sending...' : 'Send reset link'}
+                            </button>
+                        </form>
+                    )}
+
+                    {/* Back to login */}
+                    <p className="text-center mt-3 text-secondary">
+                        <Link to="/login" style={{ color: 'var(--primary-color)', textDecoration: 'none', fontWeight: 500 }}>
+                            Back to login
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -8,13 +8,18 @@
  * - Form validation
  * - Error message display
  * - Link to registration page for new users
+ * - Link to the forgot password page
+ * - Second step for users with two-factor authentication (app or recovery code)
+ * - "Sign in with ..." buttons for single sign-on providers (see components/SsoButtons.jsx)
+ * - "Try again in N minutes" after too many attempts (the button is disabled until then)
  * - Automatic redirect to dashboard after successful login
  */
 
 // Import React hooks and dependencies
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SsoButtons from '../components/SsoButtons';
 
 /**
  * Login Component
@@ -27,10 +32,11 @@ const Login = () => {
     /**
      * Get authentication functions from context
      * - login: function to authenticate user
+     * - completeTwoFactorLogin: second step for users with 2FA
      * - error: any error from auth context
      * - setError: function to clear errors
      */
-    const { login, error, setError } = useAuth();
+    const { login, completeTwoFactorLogin, error, setError } = useAuth();
 
     /**
      * Navigation hook from React Router
@@ -38,6 +44,13 @@ const Login = () => {
      */
     const navigate = useNavigate();
 
+    /**
+     * Page to go to afterwards: the protected page that sent the user here
+     * (e.g. an invite link), or the dashboard
+     */
+    const location = useLocation();
+    const redirectTo = location.state?.from || '/dashboard';
+
     // ============================================
     // STATE MANAGEMENT
     // ============================================
@@ -63,6 +76,49 @@ const Login = () => {
      */
     const [loading, setLoading] = useState(false);
 
+    /**
+     * Two-factor step state
+     * challengeToken is set once the password was accepted for a user with 2FA
+     * (or passed by pages/SsoCallback.jsx after a single sign-on login)
+     */
+    const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+    const [code, setCode] = useState('');
+
+    /**
+     * Time (ms) until which the server refuses logins (too many attempts)
+     */
+    const [retryAt, setRetryAt] = useState(null);
+    const isBlocked = retryAt !== null;
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Allow logging in again once the wait is over
+     */
+    useEffect(() => {
+        if (!retryAt) return;
+
+        const timer = setTimeout(() => {
+            setRetryAt(null);
+            setError(null);
+        }, Math.max(0, retryAt - Date.now()));
+
+        return () => clearTimeout(timer);
+    }, [retryAt, setError]);
+
+    /**
+     * Remember how long to wait when the server says there were too many attempts
+     * 
+     * @param {Error} err - Error thrown by the auth context
+     */
+    const handleAuthError = (err) => {
+        if (err.retryAfter) {
+            setRetryAt(Date.now() + err.retryAfter * 1000);
+        }
+    };
+
     // ============================================
     // EVENT HANDLERS
     // ============================================
@@ -81,8 +137,15 @@ const Login = () => {
         }));
 
         // Clear errors when user starts typing
+        // (the "try again in N minutes" message stays until the wait is over)
         setLocalError('');
-        setError(null);
+        if (name === 'email') {
+            // Another account may not be locked - let the server decide
+            setRetryAt(null);
+            setError(null);
+        } else if (!isBlocked) {
+            setError(null);
+        }
     };
 
     /**
@@ -116,21 +179,142 @@ const Login = () => {
             setLoading(true);
 
             // Attempt to login using auth context
-            await login(formData.email, formData.password);
+            const result = await login(formData.email, formData.password);
+
+            // Users with 2FA type a code next
+            if (result.twoFactorRequired) {
+                setChallengeToken(result.challengeToken);
+                setLoading(false);
+                return;
+            }
 
-            // If successful, redirect to dashboard
-            navigate('/dashboard');
+            // If successful, go back to where the user came from (default: dashboard)
+            navigate(redirectTo);
         } catch (err) {
             // Error is already set in auth context
             // Just need to reset loading state
             setLoading(false);
+            handleAuthError(err);
         }
     };
 
+    /**
+     * Handle the two-factor code submission
+     */
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setLocalError('');
+        setError(null);
+
+        if (!code.trim()) {
+            setLocalError('Please enter your authentication code');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            await completeTwoFactorLogin(challengeToken, code.trim());
+            navigate(redirectTo);
+        } catch (err) {
+            // Error is already set in auth context
+            setLoading(false);
+            setCode('');
+            handleAuthError(err);
+        }
+    };
+
+    /**
+     * Go back to the email and password form
+     */
+    const handleCancelTwoFactor = () => {
+        setChallengeToken(null);
+        setCode('');
+        setLocalError('');
+        setError(null);
+    };
+
     // ============================================
     // RENDER
     // ============================================
 
+    /**
+     * Error box, shared by both steps
+     */
+    const errorBox = (localError || error) && (
+        <div
+            className="mb-3"
+            style={{
+                padding: 'var(--spacing-md)',
+                backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                border: '1px solid var(--danger-color)',
+                borderRadius: 'var(--radius-md)',
+                color: 'var(--danger-color)',
+            }}
+        >
+            {localError || error}
+        </div>
+    );
+
+    /**
+     * Second step: code from the authenticator app
+     */
+    if (challengeToken) {
+        return (
+            <div className="container" style={{ paddingTop: '4rem' }}>
+                <div style={{ maxWidth: '450px', margin: '0 auto' }}>
+                    <div className="text-center mb-4">
+                        <h1>Two-factor authentication</h1>
+                        <p className="text-secondary">Enter the 6-digit code from your authenticator app</p>
+                    </div>
+
+                    <div className="card">
+                        <form onSubmit={handleCodeSubmit}>
+                            {errorBox}
+
+                            {/* Code input */}
+                            <div className="form-group">
+                                <label htmlFor="code" className="form-label">
+                                    Authentication Code
+                                </label>
+                                <input
+                                    type="text"
+                                    id="code"
+                                    name="code"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    className="form-input"
+                                    placeholder="123456"
+                                    autoComplete="one-time-code"
+                                    autoFocus
+                                    required
+                                    disabled={loading}
+                                />
+                                <p className="text-muted mt-2" style={{ fontSize: 'var(--font-size-sm)' }}>
+                                    Lost your device? Enter one of your recovery codes instead.
+                                </p>
+                            </div>
+
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={loading || isBlocked}
+                                style={{ width: '100%' }}
+                            >
+                                {loading ? 'Verifying...' : 'Verify'}
+                            </button>
+
+                            <p className="text-center mt-3">
+                                <button type="button" onClick={handleCancelTwoFactor} className="btn btn-secondary btn-sm">
+                                    Back to login
+                                </button>
+                            </p>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="container" style={{ paddingTop: '4rem' }}>
             <div style={{ maxWidth: '450px', margin: '0 auto' }}>
@@ -144,20 +328,7 @@ const Login = () => {
                 <div className="card">
                     <form onSubmit={handleSubmit}>
                         {/* Display errors if any */}
-                        {(localError || error) && (
-                            <div
-                                className="mb-3"
-                                style={{
-                                    padding: 'var(--spacing-md)',
-                                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                                    border: '1px solid var(--danger-color)',
-                                    borderRadius: 'var(--radius-md)',
-                                    color: 'var(--danger-color)',
-                                }}
-                            >
-                                {localError || error}
-                            </div>
-                        )}
+                        {errorBox}
 
                         {/* Email input */}
                         <div className="form-group">
@@ -195,11 +366,21 @@ const Login = () => {
                             />
                         </div>
 
+                        {/* Link to the forgot password page */}
+                        <p className="mb-3 text-secondary" style={{ textAlign: 'right' }}>
+                            <Link
+                                to="/forgot-password"
+                                style={{ color: 'var(--primary-color)', textDecoration: 'none' }}
+                            >
+                                Forgot your password?
+                            </Link>
+                        </p>
+
                         {/* Submit button */}
                         <button
                             type="submit"
                             className="btn btn-primary"
-                            disabled={loading}
+                            disabled={loading || isBlocked}
                             style={{ width: '100%' }}
                         >
                             {loading ? 'Logging in...' : 'Login'}
@@ -210,6 +391,7 @@ const Login = () => {
                             Don't have an account?{' '}
                             <Link
                                 to="/register"
+                                state={location.state}
                                 style={{
                                     color: 'var(--primary-color)',
                                     textDecoration: 'none',
@@ -220,6 +402,9 @@ const Login = () => {
                             </Link>
                         </p>
                     </form>
+
+                    {/* Single sign-on */}
+                    <SsoButtons action="Sign in with" redirectTo={redirectTo} disabled={loading} />
                 </div>
             </div>
         </div>
@@ -8,13 +8,15 @@
  * - Form validation (password length, email format, etc.)
  * - Error message display
  * - Link to login page for existing users
+ * - "Sign up with ..." buttons for single sign-on providers (no password needed)
  * - Automatic redirect to dashboard after successful registration
  */
 
 // Import React hooks and dependencies
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SsoButtons from '../components/SsoButtons';
 
 /**
  * Register Component
@@ -34,6 +36,13 @@ const Register = () => {
      */
     const navigate = useNavigate();
 
+    /**
+     * Page to go to afterwards: the protected page that sent the user here
+     * (e.g. an invite link), or the dashboard
+     */
+    const location = useLocation();
+    const redirectTo = location.state?.from || '/dashboard';
+
     // ============================================
     // STATE MANAGEMENT
     // ============================================
@@ -132,8 +141,8 @@ const Register = () => {
             // Attempt to register using auth context
             await register(formData.username, formData.email, formData.password);
 
-            // If successful, redirect to dashboard
-            navigate('/dashboard');
+            // If successful, go back to where the user came from (default: dashboard)
+            navigate(redirectTo);
         } catch (err) {
             // Error is already set in auth context
             setLoading(false);
@@ -259,6 +268,7 @@ const Register = () => {
                             Already have an account?{' '}
                             <Link
                                 to="/login"
+                                state={location.state}
                                 style={{
                                     color: 'var(--primary-color)',
                                     textDecoration: 'none',
@@ -269,6 +279,9 @@ const Register = () => {
                             </Link>
                         </p>
                     </form>
+
+                    {/* Single sign-on (creates the account on first login) */}
+                    <SsoButtons action="Sign up with" redirectTo={redirectTo} disabled={loading} />
                 </div>
             </div>
         </div>
@@ -0,0 +1,195 @@
+/**
+ * RESET PASSWORD PAGE
+ *
+ * Opened from the link in the password reset email (/reset-password/:token)
+ * Lets the user choose a new password
+ *
+ * The link works once and for 1 hour. Resetting the password logs
+ * the account out everywhere, so the user logs in again afterwards.
+ */
+
+// Import React hooks and dependencies
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+
+/**
+ * ResetPassword Component
+ */
+const ResetPassword = () => {
+    const { token } = useParams();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Form data state - the new password, typed twice
+     */
+    const [formData, setFormData] = useState({
+        password: '',
+        confirmPassword: '',
+    });
+
+    /**
+     * Whether the password was reset
+     */
+    const [done, setDone] = useState(false);
+
+    /**
+     * Error message
+     */
+    const [error, setError] = useState('');
+
+    /**
+     * Loading state while the request is in progress
+     */
+    const [loading, setLoading] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle input changes
+     */
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+        setError('');
+    };
+
+    /**
+     * Handle form submission
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        // Same rules as registration
+        if (formData.password.length < 6) {
+            setError('Password must be at least 6 characters long');
+            return;
+        }
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            await resetPassword(token, formData.password);
+            setDone(true);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not reset the password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ paddingTop: '4rem' }}>
+            <div style={{ maxWidth: '450px', margin: '0 auto' }}>
+                {/* Page title */}
+                <div className="text-center mb-4">
+                    <h1>Choose a new password</h1>
+                </div>
+
+                <div className="card">
+                    {done ? (
+                        /* Password changed */
+                        <p className="text-secondary text-center">
+                            Your password has been reset.{' '}
+                            <Link to="/login" style={{ color: 'var(--primary-color)', textDecoration: 'none', fontWeight: 500 }}>
+                                Log in
+                            </Link>{' '}
+                            with your new password.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit}>
+                            {/* Display errors if any */}
+                            {error && (
+                                <div
+                                    className="mb-3"
+                                    style={{
+                                        padding: 'var(--spacing-md)',
+                                        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                                        border: '1px solid var(--danger-color)',
+                                        borderRadius: 'var(--radius-md)',
+                                        color: 'var(--danger-color)',
+                                    }}
+                                >
+                                    {error}
+                                </div>
+                            )}
+
+                            {/* New password input */}
+                            <div className="form-group">
+                                <label htmlFor="password" className="form-label">
+                                    New Password
+                                </label>
+                                <input
+                                    type="password"
+                                    id="password"
+                                    name="password"
+                                    value={formData.password}
+                                    onChange={handleChange}
+                                    className="form-input"
+                                    placeholder="At least 6 characters"
+                                    autoComplete="new-password"
+                                    required
+                                    disabled={loading}
+                                />
+                            </div>
+
+                            {/* Confirm password input */}
+                            <div className="form-group">
+                                <label htmlFor="confirmPassword" className="form-label">
+                                    Confirm Password
+                                </label>
+                                <input
+                                    type="password"
+                                    id="confirmPassword"
+                                    name="confirmPassword"
+                                    value={formData.confirmPassword}
+                                    onChange={handleChange}
+                                    className="form-input"
+                                    placeholder="Type the password again"
+                                    autoComplete="new-password"
+                                    required
+                                    disabled={loading}
+                                />
+                            </div>
+
+                            {/* Submit button */}
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={loading}
+                                style={{ width: '100%' }}
+                            >
+                                {loading ? 'Saving...' : 'Reset password'}
+                            </button>
+
+                            {/* The link may have expired */}
+                            <p className="text-center mt-3 text-secondary">
+                                Link expired?{' '}
+                                <Link to="/forgot-password" style={{ color: 'var(--primary-color)', textDecoration: 'none', fontWeight: 500 }}>
+                                    Get a new one
+                                </Link>
+                            </p>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,47 @@
+/**
+ * SETTINGS PAGE
+ *
+ * Account settings of the logged in user:
+ * - Profile: avatar and display name (see components/ProfileSettings.jsx)
+ * - Preferences: timezone, language and date format (see components/PreferenceSettings.jsx)
+ * - Email address (see components/EmailSettings.jsx)
+ * - Password (see components/ChangePasswordForm.jsx)
+ * - Data export and account deletion (see components/AccountDataSettings.jsx)
+ *
+ * This page is PROTECTED - only authenticated users can access it
+ */
+
+// Import context and components
+import { useAuth } from '../context/AuthContext';
+import AccountNav from '../components/AccountNav';
+import ProfileSettings from '../components/ProfileSettings';
+import PreferenceSettings from '../components/PreferenceSettings';
+import EmailSettings from '../components/EmailSettings';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import AccountDataSettings from '../components/AccountDataSettings';
+import AccountDeletionBanner from '../components/AccountDeletionBanner';
+
+/**
+ * Settings Component
+ */
+const Settings = () => {
+    const { user } = useAuth();
+
+    return (
+        <div className="container" style={{ maxWidth: '800px', paddingTop: '2rem', paddingBottom: '2rem' }}>
+            {/* Header and links to the other account pages */}
+            <AccountNav title="Settings" subtitle={user?.email} />
+
+            {/* Account waiting to be deleted */}
+            <AccountDeletionBanner />
+
+            <ProfileSettings />
+            <PreferenceSettings />
+            <EmailSettings />
+            <ChangePasswordForm />
+            <AccountDataSettings />
+        </div>
+    );
+};
+
+export default Settings;
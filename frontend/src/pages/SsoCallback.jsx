@@ -0,0 +1,100 @@
+/**
+ * SSO CALLBACK PAGE
+ *
+ * The server sends the browser here after a single sign-on login
+ * (routes/oidc.js). The URL fragment says how it went:
+ * - nothing: logged in - get an access token and go on
+ * - #challenge=...: the user has two-factor authentication, the login
+ *   page asks for the code
+ * - #error=...: the login failed, the message is shown
+ *
+ * Public route
+ */
+
+// Import React hooks and dependencies
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { takeSsoRedirect } from '../services/api';
+
+/**
+ * SsoCallback Component
+ */
+const SsoCallback = () => {
+    const { completeSsoLogin } = useAuth();
+    const navigate = useNavigate();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * What the server put in the URL fragment
+     */
+    const [params] = useState(() => new URLSearchParams(window.location.hash.slice(1)));
+
+    /**
+     * Error message (a failed login comes with one)
+     */
+    const [error, setError] = useState(() => params.get('error'));
+
+    /**
+     * Whether the login was already finished (effects run twice in development)
+     */
+    const startedRef = useRef(false);
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * Finish the login once, when the page opens
+     */
+    useEffect(() => {
+        if (startedRef.current) return;
+        startedRef.current = true;
+
+        const redirectTo = takeSsoRedirect();
+
+        if (params.get('error')) {
+            return;
+        }
+
+        if (params.get('challenge')) {
+            navigate('/login', {
+                replace: true,
+                state: { from: redirectTo, challengeToken: params.get('challenge') },
+            });
+            return;
+        }
+
+        completeSsoLogin()
+            .then(() => navigate(redirectTo, { replace: true }))
+            .catch((err) => setError(err.message));
+    }, [params, completeSsoLogin, navigate]);
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ maxWidth: '500px', paddingTop: '4rem' }}>
+            <div className="card text-center">
+                <h2 className="mb-3">Sign in</h2>
+
+                {error ? (
+                    <>
+                        <p className="text-danger mb-3">{error}</p>
+                        <Link to="/login" className="btn btn-primary">
+                            Back to login
+                        </Link>
+                    </>
+                ) : (
+                    <p className="text-secondary">Signing you in...</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SsoCallback;
@@ -0,0 +1,103 @@
+/**
+ * VERIFY EMAIL PAGE
+ *
+ * Opened from the link in the verification email (/verify-email/:token),
+ * or in the email sent to a new address after changing it in the settings
+ * The user confirms with a button, like accepting an invite
+ *
+ * Works whether the user is logged in or not (the link may be opened
+ * on another device). If they are logged in, the banner on the
+ * dashboard goes away right after.
+ */
+
+// Import React hooks and dependencies
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { verifyEmail } from '../services/api';
+
+/**
+ * VerifyEmail Component
+ */
+const VerifyEmail = () => {
+    const { token } = useParams();
+    const { user, updateUser } = useAuth();
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Whether the email address was verified
+     */
+    const [verified, setVerified] = useState(false);
+
+    /**
+     * Error message (invalid or expired link)
+     */
+    const [error, setError] = useState(null);
+
+    /**
+     * Loading state while the request is in progress
+     */
+    const [loading, setLoading] = useState(false);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handle confirming the email address
+     */
+    const handleVerify = async () => {
+        try {
+            setLoading(true);
+            const data = await verifyEmail(token);
+
+            // The logged in user verified their own address (or their new one)
+            if (user && data.user.id === user.id) {
+                updateUser(data.user);
+            }
+            setVerified(true);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not verify this email address');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    return (
+        <div className="container" style={{ maxWidth: '500px', paddingTop: '4rem' }}>
+            <div className="card text-center">
+                <h2 className="mb-3">Verify your email</h2>
+
+                {error ? (
+                    <p className="text-danger">{error}</p>
+                ) : verified ? (
+                    <p className="text-secondary">Thanks, your email address is verified.</p>
+                ) : (
+                    <>
+                        <p className="text-secondary mb-3">
+                            Confirm that this email address belongs to you.
+                        </p>
+                        <button onClick={handleVerify} className="btn btn-primary" disabled={loading}>
+                            {loading ? 'Verifying...' : 'Verify email address'}
+                        </button>
+                    </>
+                )}
+
+                <p className="mt-3">
+                    <Link to={user ? '/dashboard' : '/login'} className="text-secondary">
+                        {user ? 'Go to my tasks' : 'Go to login'}
+                    </Link>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,450 @@
+/**
+ * WORKSPACE MEMBERS PAGE
+ *
+ * Manage who has access to the current workspace:
+ * - List members and change their role (owner, admin, member, viewer)
+ * - Transfer ownership (owner only)
+ * - Remove members, or leave the workspace
+ * - Invite people by email, or create an invite link to share
+ * - Revoke pending invites
+ * - Rename or delete the workspace
+ *
+ * What is shown depends on the user's role in the workspace
+ *
+ * This page is PROTECTED - only authenticated users can access it
+ */
+
+// Import React hooks, router, contexts, API functions and helpers
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/workspace';
+import {
+    getMembers,
+    updateMember,
+    removeMember,
+    getInvites,
+    createInvite,
+    revokeInvite,
+    updateWorkspace,
+    deleteWorkspace,
+} from '../services/api';
+import { assignableRoles, findRole } from '../utils/workspaces';
+
+/**
+ * WorkspaceMembers Component
+ */
+const WorkspaceMembers = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const { currentWorkspace: workspace, refreshWorkspaces, can } = useWorkspace();
+
+    const workspaceId = workspace?._id;
+    const canManageMembers = can('members:manage');
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    /**
+     * Members of the workspace
+     */
+    const [members, setMembers] = useState([]);
+
+    /**
+     * Pending invites (only loaded for people who can manage members)
+     */
+    const [invites, setInvites] = useState([]);
+
+    /**
+     * New invite form state (empty email = invite link)
+     */
+    const [inviteForm, setInviteForm] = useState({ email: '', role: 'member' });
+
+    /**
+     * The invite created last - its link is only available right after creating it
+     */
+    const [createdInvite, setCreatedInvite] = useState(null);
+
+    /**
+     * Loading state while a request is in progress
+     */
+    const [isSaving, setIsSaving] = useState(false);
+
+    // ============================================
+    // DATA FETCHING
+    // ============================================
+
+    /**
+     * Fetch the members of the workspace
+     */
+    const fetchMembers = useCallback(async () => {
+        if (!workspaceId) return;
+        try {
+            setMembers(await getMembers(workspaceId));
+        } catch (err) {
+            console.error('Error fetching members:', err);
+        }
+    }, [workspaceId]);
+
+    /**
+     * Fetch the pending invites
+     */
+    const fetchInvites = useCallback(async () => {
+        if (!workspaceId || !canManageMembers) return;
+        try {
+            setInvites(await getInvites(workspaceId));
+        } catch (err) {
+            console.error('Error fetching invites:', err);
+        }
+    }, [workspaceId, canManageMembers]);
+
+    // ============================================
+    // SIDE EFFECTS
+    // ============================================
+
+    /**
+     * useEffect: Fetch members and invites when the page loads
+     */
+    useEffect(() => {
+        fetchMembers();
+        fetchInvites();
+    }, [fetchMembers, fetchInvites]);
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Run a request, then reload the page's data
+     * Shows the server's error message if it fails
+     *
+     * @returns {Promise<*>} The request's result, or undefined if it failed
+     */
+    const runUpdate = async (request, fallbackMessage) => {
+        try {
+            setIsSaving(true);
+            const result = await request();
+            await Promise.all([fetchMembers(), fetchInvites()]);
+            return result;
+        } catch (err) {
+            console.error(fallbackMessage, err);
+            alert(err.response?.data?.message || fallbackMessage);
+            return undefined;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Handle changing a member's role
+     * Picking "owner" transfers ownership - the current owner becomes an admin
+     */
+    const handleRoleChange = async (member, role) => {
+        if (role === 'owner' &&
+            !window.confirm(`Make ${member.user.username} the owner? You will become an admin.`)) {
+            return;
+        }
+
+        await runUpdate(() => updateMember(workspace._id, member.user._id, role), 'Failed to change role');
+
+        // The user's own role may have changed
+        if (role === 'owner') {
+            refreshWorkspaces();
+        }
+    };
+
+    /**
+     * Handle removing a member
+     */
+    const handleRemove = (member) => {
+        if (!window.confirm(`Remove ${member.user.username} from ${workspace.name}?`)) {
+            return;
+        }
+        runUpdate(() => removeMember(workspace._id, member.user._id), 'Failed to remove member');
+    };
+
+    /**
+     * Handle leaving the workspace
+     * The user is moved to one of their other workspaces
+     */
+    const handleLeave = async () => {
+        if (!window.confirm(`Leave ${workspace.name}? You will need a new invite to come back.`)) {
+            return;
+        }
+
+        const left = await runUpdate(() => removeMember(workspace._id, user.id), 'Failed to leave workspace');
+        if (left) {
+            navigate('/dashboard');
+            refreshWorkspaces();
+        }
+    };
+
+    /**
+     * Handle input changes in the invite form
+     */
+    const handleInviteChange = (e) => {
+        const { name, value } = e.target;
+        setInviteForm((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+    };
+
+    /**
+     * Handle creating an invite
+     */
+    const handleInvite = async (e) => {
+        e.preventDefault();
+
+        const invite = await runUpdate(
+            () => createInvite(workspace._id, {
+                email: inviteForm.email.trim() || null,
+                role: inviteForm.role,
+            }),
+            'Failed to create invite'
+        );
+
+        if (invite) {
+            setCreatedInvite(invite);
+            setInviteForm((prev) => ({ ...prev, email: '' }));
+        }
+    };
+
+    /**
+     * Handle copying the invite link
+     */
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(createdInvite.link);
+        } catch {
+            window.prompt('Copy the invite link:', createdInvite.link);
+        }
+    };
+
+    /**
+     * Handle revoking an invite
+     */
+    const handleRevoke = (invite) => {
+        runUpdate(() => revokeInvite(workspace._id, invite._id), 'Failed to revoke invite');
+    };
+
+    /**
+     * Handle renaming the workspace
+     */
+    const handleRename = async () => {
+        const name = window.prompt('Rename workspace:', workspace.name);
+        if (!name || !name.trim() || name.trim() === workspace.name) {
+            return;
+        }
+
+        const updated = await runUpdate(
+            () => updateWorkspace(workspace._id, { name: name.trim() }),
+            'Failed to rename workspace'
+        );
+        if (updated) {
+            refreshWorkspaces();
+        }
+    };
+
+    /**
+     * Handle deleting the workspace (and every task in it)
+     */
+    const handleDeleteWorkspace = async () => {
+        if (!window.confirm(`Delete ${workspace.name} and all of its tasks? This cannot be undone.`)) {
+            return;
+        }
+
+        const deleted = await runUpdate(() => deleteWorkspace(workspace._id), 'Failed to delete workspace');
+        if (deleted) {
+            navigate('/dashboard');
+            refreshWorkspaces();
+        }
+    };
+
+    // ============================================
+    // RENDER
+    // ============================================
+
+    if (!workspace) {
+        return (
+            <div className="container" style={{ paddingTop: '2rem' }}>
+                <p className="text-secondary">No workspace selected.</p>
+                <Link to="/dashboard">Back to tasks</Link>
+            </div>
+        );
+    }
+
+    const isOwner = workspace.role === 'owner';
+
+    return (
+        <div className="container" style={{ paddingTop: '2rem', paddingBottom: '2rem' }}>
+            {/* Header */}
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h1>{workspace.name}</h1>
+                    <p className="text-secondary">
+                        You are {findRole(workspace.role).label.toLowerCase()} of this workspace
+                    </p>
+                </div>
+                <Link to="/dashboard" className="btn btn-secondary">
+                    Back to tasks
+                </Link>
+            </div>
+
+            {/* Members */}
+            <div className="card mb-4">
+                <h3 className="mb-3">Members ({members.length})</h3>
+
+                <ul className="member-list">
+                    {members.map((member) => {
+                        const isSelf = member.user._id === user?.id;
+                        // Only the owner manages admins
+                        const editable = canManageMembers && member.role !== 'owner' && !isSelf
+                            && (member.role !== 'admin' || isOwner);
+
+                        return (
+                            <li key={member._id} className="member-row">
+                                <div style={{ flex: 1 }}>
+                                    <strong>{member.user.username}</strong>
+                                    {isSelf && <span className="text-muted"> (you)</span>}
+                                    <div className="text-sm text-muted">{member.user.email}</div>
+                                </div>
+
+                                {editable ? (
+                                    <select
+                                        value={member.role}
+                                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                                        className="status-select"
+                                        aria-label={`Role of ${member.user.username}`}
+                                        disabled={isSaving}
+                                    >
+                                        {/* Keep the current role even if it is above what the user can give */}
+                                        {!assignableRoles(workspace.role, isOwner).some((role) => role.key === member.role) && (
+                                            <option value={member.role}>{findRole(member.role).label}</option>
+                                        )}
+                                        {assignableRoles(workspace.role, isOwner).map((role) => (
+                                            <option key={role.key} value={role.key} title={role.description}>
+                                                {role.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                ) : (
+                                    <span className="badge">{findRole(member.role).label}</span>
+                                )}
+
+                                {editable && (
+                                    <button type="button" onClick={() => handleRemove(member)} className="btn btn-danger btn-sm" disabled={isSaving}>
+                                        Remove
+                                    </button>
+                                )}
+                                {isSelf && !isOwner && (
+                                    <button type="button" onClick={handleLeave} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                                        Leave
+                                    </button>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            </div>
+
+            {/* Invites */}
+            {canManageMembers && (
+                <div className="card mb-4">
+                    <h3 className="mb-3">Invite people</h3>
+
+                    <form onSubmit={handleInvite} className="flex gap-2 items-center">
+                        <input
+                            type="email"
+                            name="email"
+                            value={inviteForm.email}
+                            onChange={handleInviteChange}
+                            className="form-input"
+                            placeholder="Email (leave empty for an invite link)"
+                            disabled={isSaving}
+                        />
+                        <select
+                            name="role"
+                            value={inviteForm.role}
+                            onChange={handleInviteChange}
+                            className="form-input"
+                            style={{ width: 'auto' }}
+                            aria-label="Role"
+                            disabled={isSaving}
+                        >
+                            {assignableRoles(workspace.role).map((role) => (
+                                <option key={role.key} value={role.key} title={role.description}>
+                                    {role.label}
+                                </option>
+                            ))}
+                        </select>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {inviteForm.email.trim() ? 'Invite' : 'Create link'}
+                        </button>
+                    </form>
+
+                    {/* Link of the invite just created */}
+                    {createdInvite && (
+                        <div className="project-dialog mt-3">
+                            <p className="text-sm">
+                                {createdInvite.email
+                                    ? `Send this link to ${createdInvite.email}:`
+                                    : 'Anyone with this link can join until it expires:'}
+                            </p>
+                            <div className="flex gap-2">
+                                <input type="text" value={createdInvite.link} readOnly className="form-input" aria-label="Invite link" />
+                                <button type="button" onClick={handleCopyLink} className="btn btn-secondary btn-sm">
+                                    Copy
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Pending invites */}
+                    {invites.length > 0 && (
+                        <>
+                            <h4 className="mt-4 mb-2">Pending invites</h4>
+                            <ul className="member-list">
+                                {invites.map((invite) => (
+                                    <li key={invite._id} className="member-row">
+                                        <div style={{ flex: 1 }}>
+                                            {invite.email || 'Invite link'}
+                                            <div className="text-sm text-muted">
+                                                Expires {new Date(invite.expiresAt).toLocaleDateString()}
+                                                {invite.invitedBy && ` · invited by ${invite.invitedBy.username}`}
+                                            </div>
+                                        </div>
+                                        <span className="badge">{findRole(invite.role).label}</span>
+                                        <button type="button" onClick={() => handleRevoke(invite)} className="btn btn-secondary btn-sm" disabled={isSaving}>
+                                            Revoke
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Workspace settings */}
+            {can('workspace:manage') && (
+                <div className="card">
+                    <h3 className="mb-3">Workspace</h3>
+                    <div className="flex gap-2">
+                        <button type="button" onClick={handleRename} className="btn btn-secondary" disabled={isSaving}>
+                            Rename
+                        </button>
+                        {can('workspace:delete') && !workspace.personal && (
+                            <button type="button" onClick={handleDeleteWorkspace} className="btn btn-danger" disabled={isSaving}>
+                                Delete workspace
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WorkspaceMembers;
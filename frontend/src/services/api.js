@@ -7,6 +7,7 @@
  * Benefits:
  * - Single place to configure API settings
  * - Automatic JWT token inclusion in requests
+ * - Silent refresh of expired access tokens
  * - Centralized error handling
  * - Easy to maintain and test
  */
@@ -31,24 +32,94 @@ const api = axios.create({
     headers: {
         'Content-Type': 'application/json',
     },
+
+    // Send cookies - the refresh token is an httpOnly cookie
+    withCredentials: true,
 });
 
+/**
+ * The current access token
+ * 
+ * Kept in memory only (not in localStorage), so scripts injected into
+ * the page can't read it from storage. After a page reload it is empty,
+ * and the first request gets a new one from the refresh token cookie.
+ */
+let accessToken = null;
+
+// Access tokens were kept in localStorage before - don't leave an old one there
+localStorage.removeItem('token');
+
+/**
+ * Set the access token sent with every request
+ * 
+ * @param {string|null} token - Access token (null after logout)
+ */
+export const setAccessToken = (token) => {
+    accessToken = token;
+};
+
+/**
+ * Callbacks run when the session can't be refreshed (see onSessionExpired)
+ */
+const sessionExpiredListeners = new Set();
+
+/**
+ * Run a callback when the session expired (the refresh token was rejected)
+ * AuthContext uses it to log the user out
+ * 
+ * @param {Function} callback - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const onSessionExpired = (callback) => {
+    sessionExpiredListeners.add(callback);
+    return () => sessionExpiredListeners.delete(callback);
+};
+
+/**
+ * localStorage key of the workspace the user is working in
+ */
+const WORKSPACE_KEY = 'workspaceId';
+
+/**
+ * Get the id of the current workspace (null = the user's first workspace)
+ * 
+ * @returns {string|null} Workspace ID
+ */
+export const getCurrentWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+/**
+ * Remember the current workspace - sent with every request from now on
+ * 
+ * @param {string|null} id - Workspace ID (null forgets it)
+ */
+export const setCurrentWorkspaceId = (id) => {
+    if (id) {
+        localStorage.setItem(WORKSPACE_KEY, id);
+    } else {
+        localStorage.removeItem(WORKSPACE_KEY);
+    }
+};
+
 /**
  * REQUEST INTERCEPTOR
  * 
  * This runs before every request is sent
  * It automatically adds the JWT token to the Authorization header
- * This way we don't have to manually add the token to each request
+ * and the current workspace to the X-Workspace-Id header
+ * This way we don't have to manually add them to each request
  */
 api.interceptors.request.use(
     (config) => {
-        // Get token from localStorage
-        const token = localStorage.getItem('token');
-
-        // If token exists, add it to the Authorization header
+        // If we have an access token, add it to the Authorization header
         // Format: "Bearer <token>"
-        if (token) {
-            config.headers.Authorization = `Bearer ${token}`;
+        if (accessToken) {
+            config.headers.Authorization = `Bearer ${accessToken}`;
+        }
+
+        // Tasks, tags, projects and statuses belong to a workspace
+        const workspaceId = getCurrentWorkspaceId();
+        if (workspaceId) {
+            config.headers['X-Workspace-Id'] = workspaceId;
         }
 
         return config;
@@ -59,25 +130,61 @@ api.interceptors.request.use(
     }
 );
 
+/**
+ * The refresh request in progress, if any
+ * Requests failing at the same time all wait for the same refresh
+ */
+let refreshPromise = null;
+
+/**
+ * Get a new access token with the refresh token cookie
+ * 
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = api
+            .post('/auth/refresh', null, { skipAuthRefresh: true })
+            .then((response) => {
+                setAccessToken(response.data.token);
+                return response.data.token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
 /**
  * RESPONSE INTERCEPTOR
  * 
  * This runs after every response is received
- * It handles common errors like expired tokens
+ * On 401 (access token expired or missing) it gets a new access token
+ * and retries the request once. Only if that fails too is the user
+ * logged out (AuthContext clears the user and the router goes to /login).
  */
 api.interceptors.response.use(
     (response) => {
         // If response is successful, just return it
         return response;
     },
-    (error) => {
-        // Check if error is due to unauthorized access (401)
-        if (error.response && error.response.status === 401) {
-            // Token might be expired or invalid
-            // Clear local storage and redirect to login
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+    async (error) => {
+        const { config, response } = error;
+
+        // Login, register and refresh requests handle their own 401s
+        if (response?.status === 401 && config && !config.skipAuthRefresh && !config.isRetry) {
+            try {
+                await refreshAccessToken();
+            } catch {
+                // The refresh token is missing, expired or revoked
+                setAccessToken(null);
+                sessionExpiredListeners.forEach((listener) => listener());
+                return Promise.reject(error);
+            }
+
+            // Same request again, with the new token
+            return api({ ...config, isRetry: true });
         }
 
         return Promise.reject(error);
@@ -98,7 +205,7 @@ api.interceptors.response.use(
  * @returns {Promise} Response with token and user data
  */
 export const register = async (userData) => {
-    const response = await api.post('/auth/register', userData);
+    const response = await api.post('/auth/register', userData, { skipAuthRefresh: true });
     return response.data;
 };
 
@@ -108,10 +215,366 @@ export const register = async (userData) => {
  * @param {Object} credentials - Login credentials
  * @param {string} credentials.email - Email address
  * @param {string} credentials.password - Password
- * @returns {Promise} Response with token and user data
+ * @returns {Promise} Response with token and user data,
+ *   or { twoFactorRequired, challengeToken } for users with 2FA
  */
 export const login = async (credentials) => {
-    const response = await api.post('/auth/login', credentials);
+    const response = await api.post('/auth/login', credentials, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Second login step for users with two-factor authentication
+ * 
+ * @param {string} challengeToken - Challenge token returned by login
+ * @param {string} code - Code from the authenticator app, or a recovery code
+ * @returns {Promise} Response with token and user data
+ */
+export const loginTwoFactor = async (challengeToken, code) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code }, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Get the single sign-on providers to show "Sign in with ..." buttons for
+ * 
+ * @returns {Promise} Array of providers { id, name } (empty if none is set up)
+ */
+export const getSsoProviders = async () => {
+    const response = await api.get('/auth/oidc/providers', { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * sessionStorage key of the page to go to after a single sign-on login
+ * (the browser leaves the app to log in at the provider)
+ */
+const SSO_REDIRECT_KEY = 'ssoRedirect';
+
+/**
+ * Start a single sign-on login
+ * The browser goes to the server (not a request with axios), which sends
+ * the user to the provider, which sends them back to /auth/callback
+ * 
+ * @param {string} providerId - Provider id
+ * @param {string} redirectTo - Page to go to once logged in
+ */
+export const startSsoLogin = (providerId, redirectTo) => {
+    sessionStorage.setItem(SSO_REDIRECT_KEY, redirectTo);
+    window.location.assign(`${api.defaults.baseURL}/auth/oidc/${providerId}/start`);
+};
+
+/**
+ * Get (and forget) the page to go to after a single sign-on login
+ * 
+ * @returns {string} Page path (default: the dashboard)
+ */
+export const takeSsoRedirect = () => {
+    const redirectTo = sessionStorage.getItem(SSO_REDIRECT_KEY) || '/dashboard';
+    sessionStorage.removeItem(SSO_REDIRECT_KEY);
+    return redirectTo;
+};
+
+/**
+ * Logout user on the server
+ * Revokes the refresh token and clears its cookie
+ * 
+ * @returns {Promise} Response with a message
+ */
+export const logout = async () => {
+    const response = await api.post('/auth/logout', null, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Verify the user's email address with the token from the verification email
+ * 
+ * @param {string} token - Token from the /verify-email/:token link
+ * @returns {Promise} { message, user }
+ */
+export const verifyEmail = async (token) => {
+    const response = await api.post(`/auth/verify-email/${token}`, null, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Send the verification email again (logged in user)
+ * 
+ * @returns {Promise} { message }
+ */
+export const resendVerification = async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+};
+
+/**
+ * Ask for a password reset email
+ * 
+ * @param {string} email - Email address of the account
+ * @returns {Promise} { message } - the same whether the account exists or not
+ */
+export const forgotPassword = async (email) => {
+    const response = await api.post('/auth/forgot-password', { email }, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Set a new password with the token from the reset email
+ * 
+ * @param {string} token - Token from the /reset-password/:token link
+ * @param {string} password - New password
+ * @returns {Promise} { message }
+ */
+export const resetPassword = async (token, password) => {
+    const response = await api.post(`/auth/reset-password/${token}`, { password }, { skipAuthRefresh: true });
+    return response.data;
+};
+
+/**
+ * Change the password of the logged in user, or set one (single sign-on
+ * accounts without a password)
+ * Every other session is logged out
+ * 
+ * @param {string} currentPassword - Current password (empty when setting one)
+ * @param {string} password - New password
+ * @returns {Promise} { message, revokedSessions, user }
+ */
+export const changePassword = async (currentPassword, password) => {
+    const response = await api.post('/auth/change-password', { currentPassword, password });
+    return response.data;
+};
+
+// ============================================
+// USER PROFILE API CALLS
+// ============================================
+
+/**
+ * Get the logged in user's profile and preferences
+ * 
+ * @returns {Promise} User { id, username, displayName, email, pendingEmail, avatarUrl, timezone, locale, dateFormat, ... }
+ */
+export const getProfile = async () => {
+    const response = await api.get('/users/me');
+    return response.data;
+};
+
+/**
+ * Update the profile and preferences
+ * 
+ * @param {Object} profileData - { displayName, timezone, locale, dateFormat } (null timezone/locale = browser's)
+ * @returns {Promise} Updated user
+ */
+export const updateProfile = async (profileData) => {
+    const response = await api.patch('/users/me', profileData);
+    return response.data;
+};
+
+/**
+ * Upload a new avatar
+ * 
+ * @param {File} file - PNG, JPEG, GIF or WebP image (up to 2 MB)
+ * @returns {Promise} Updated user
+ */
+export const uploadAvatar = async (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    // Not the default JSON type (the browser adds the multipart boundary)
+    const response = await api.put('/users/me/avatar', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+};
+
+/**
+ * Remove the avatar
+ * 
+ * @returns {Promise} Updated user
+ */
+export const removeAvatar = async () => {
+    const response = await api.delete('/users/me/avatar');
+    return response.data;
+};
+
+/**
+ * Change the email address
+ * The new address is used once it is confirmed with the emailed link
+ * 
+ * @param {string} email - New address
+ * @param {string} password - Current password
+ * @returns {Promise} { message, user }
+ */
+export const changeEmail = async (email, password) => {
+    const response = await api.put('/users/me/email', { email, password });
+    return response.data;
+};
+
+/**
+ * Cancel an email change that wasn't confirmed yet
+ * 
+ * @returns {Promise} Updated user
+ */
+export const cancelEmailChange = async () => {
+    const response = await api.delete('/users/me/email');
+    return response.data;
+};
+
+/**
+ * Download everything stored about the user
+ * 
+ * @returns {Promise} Blob with the JSON export (profile, workspaces, tasks, ...)
+ */
+export const exportAccountData = async () => {
+    const response = await api.get('/users/me/export', { responseType: 'blob' });
+    return response.data;
+};
+
+/**
+ * Delete the account after the grace period
+ * Every session is logged out, including this one
+ * 
+ * @param {string} password - Current password
+ * @returns {Promise} { message, deletionScheduledAt }
+ */
+export const deleteAccount = async (password) => {
+    const response = await api.delete('/users/me', { data: { password } });
+    return response.data;
+};
+
+/**
+ * Cancel the deletion of the account (during the grace period)
+ * 
+ * @returns {Promise} Updated user
+ */
+export const cancelAccountDeletion = async () => {
+    const response = await api.delete('/users/me/deletion');
+    return response.data;
+};
+
+// ============================================
+// SESSION API CALLS
+// ============================================
+
+/**
+ * Get the user's active sessions (where they are logged in)
+ * 
+ * @returns {Promise} Array of sessions, the one of this browser has current: true
+ */
+export const getSessions = async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+};
+
+/**
+ * Log one session out
+ * 
+ * @param {string} id - Session id
+ * @returns {Promise} Response with a message
+ */
+export const revokeSession = async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+};
+
+/**
+ * Log out every session except this one
+ * 
+ * @returns {Promise} { message, revoked }
+ */
+export const revokeOtherSessions = async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+};
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION API CALLS
+// ============================================
+
+/**
+ * Get the user's 2FA settings
+ * 
+ * @returns {Promise} { enabled, enabledAt, recoveryCodesLeft }
+ */
+export const getTwoFactorStatus = async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+};
+
+/**
+ * Start setting up 2FA
+ * 
+ * @returns {Promise} { secret, otpauthUri, qrCode } - qrCode is an image data: URL
+ */
+export const setupTwoFactor = async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+};
+
+/**
+ * Turn 2FA on with a code from the authenticator app
+ * 
+ * @param {string} code - 6-digit code
+ * @returns {Promise} { message, recoveryCodes }
+ */
+export const enableTwoFactor = async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+};
+
+/**
+ * Turn 2FA off
+ * 
+ * @param {string} password - Current password
+ * @returns {Promise} { message }
+ */
+export const disableTwoFactor = async (password) => {
+    const response = await api.post('/auth/2fa/disable', { password });
+    return response.data;
+};
+
+/**
+ * Replace the recovery codes
+ * 
+ * @param {string} password - Current password
+ * @returns {Promise} { message, recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (password) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { password });
+    return response.data;
+};
+
+// ============================================
+// API TOKEN CALLS
+// ============================================
+
+/**
+ * Get the user's personal API tokens
+ * 
+ * @returns {Promise} Array of tokens (without their secret part)
+ */
+export const getApiTokens = async () => {
+    const response = await api.get('/tokens');
+    return response.data;
+};
+
+/**
+ * Create a personal API token
+ * 
+ * @param {Object} tokenData - { name, scopes, expiresInDays } (expiresInDays null = never)
+ * @returns {Promise} { token, apiToken } - token is only returned this once
+ */
+export const createApiToken = async (tokenData) => {
+    const response = await api.post('/tokens', tokenData);
+    return response.data;
+};
+
+/**
+ * Revoke a personal API token
+ * 
+ * @param {string} id - Token id
+ * @returns {Promise} Response with a message
+ */
+export const revokeApiToken = async (id) => {
+    const response = await api.delete(`/tokens/${id}`);
     return response.data;
 };
 
@@ -120,12 +583,38 @@ export const login = async (credentials) => {
 // ============================================
 
 /**
- * Get all tasks for the authenticated user
+ * Get one page of tasks of the current workspace
+ * 
+ * @param {Object} params - Optional filters sent as query parameters
+ * @param {string} params.project - Project id, or "none" for tasks without a project
+ * @param {string} params.q - Full-text search
+ * @param {string} params.status - Comma separated status keys
+ * @param {string} params.priority - Comma separated priorities
+ * @param {string} params.tags - Comma separated tag ids
+ * @param {string} params.tagMode - all (every tag) / any (at least one tag)
+ * @param {string} params.assignee - "me", a user id, or "none" for unassigned tasks
+ * @param {string} params.createdBy - "me" or a user id
+ * @param {string} params.due - overdue / today / week
+ * @param {string} params.sort - createdAt / updatedAt / dueDate / priority / title
+ * @param {string} params.order - asc / desc
+ * @param {string} params.tz - Timezone used for "today"
+ * @param {number} params.limit - Page size (default 20)
+ * @param {string} params.cursor - nextCursor of the previous page
+ * @returns {Promise} { tasks, nextCursor } - nextCursor is null on the last page
+ */
+export const getTasks = async (params = {}) => {
+    const response = await api.get('/tasks', { params });
+    return response.data;
+};
+
+/**
+ * Get task counts for the statistics card
  * 
- * @returns {Promise} Array of tasks
+ * @param {Object} params - { project } counts the tasks of one project
+ * @returns {Promise} { total, todo, inProgress, blocked, completed, overdue, byStatus }
  */
-export const getTasks = async () => {
-    const response = await api.get('/tasks');
+export const getTaskStats = async (params = {}) => {
+    const response = await api.get('/tasks/stats', { params });
     return response.data;
 };
 
@@ -135,6 +624,10 @@ export const getTasks = async () => {
  * @param {Object} taskData - Task data
  * @param {string} taskData.title - Task title
  * @param {string} taskData.description - Task description (optional)
+ * @param {string} taskData.status - Status key (optional, default "todo")
+ * @param {string} taskData.priority - low / medium / high / urgent (optional)
+ * @param {Array<string>} taskData.tags - Tag ids (optional)
+ * @param {Array<string>} taskData.assignees - User ids of workspace members (optional)
  * @returns {Promise} Created task object
  */
 export const createTask = async (taskData) => {
@@ -165,5 +658,707 @@ export const deleteTask = async (id) => {
     return response.data;
 };
 
+/**
+ * Preview the next dates of a repeat rule
+ * 
+ * @param {Object} recurrence - Repeat rule { freq, interval, byDay, byMonthDay, until, count }
+ * @param {string} start - First occurrence ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm")
+ * @param {string} timezone - Timezone of the task
+ * @returns {Promise} { rrule, occurrences: [date, ...] }
+ */
+export const previewRecurrence = async (recurrence, start, timezone) => {
+    const response = await api.post('/tasks/recurrence/preview', { recurrence, start, timezone });
+    return response.data;
+};
+
+// ============================================
+// SUBTASK API CALLS
+// Each call responds with the whole updated task
+// ============================================
+
+/**
+ * Add a subtask to the end of a task's checklist
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} title - Subtask title
+ * @returns {Promise} Updated task
+ */
+export const addSubtask = async (taskId, title) => {
+    const response = await api.post(`/tasks/${taskId}/subtasks`, { title });
+    return response.data;
+};
+
+/**
+ * Rename and/or check off a subtask
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ * @param {Object} updates - { title, done }
+ * @returns {Promise} Updated task
+ */
+export const updateSubtask = async (taskId, subtaskId, updates) => {
+    const response = await api.patch(`/tasks/${taskId}/subtasks/${subtaskId}`, updates);
+    return response.data;
+};
+
+/**
+ * Reorder a task's checklist
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Array} order - Every subtask ID, in the new order
+ * @returns {Promise} Updated task
+ */
+export const reorderSubtasks = async (taskId, order) => {
+    const response = await api.put(`/tasks/${taskId}/subtasks/order`, { order });
+    return response.data;
+};
+
+/**
+ * Delete a subtask
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise} Updated task
+ */
+export const deleteSubtask = async (taskId, subtaskId) => {
+    const response = await api.delete(`/tasks/${taskId}/subtasks/${subtaskId}`);
+    return response.data;
+};
+
+// ============================================
+// COMMENT API CALLS
+// Discussion on a task (Markdown, @username mentions)
+// ============================================
+
+/**
+ * Get the comments of a task, oldest first
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Object} params - { limit, cursor }
+ * @returns {Promise} { comments, nextCursor }
+ */
+export const getComments = async (taskId, params = {}) => {
+    const response = await api.get(`/tasks/${taskId}/comments`, { params });
+    return response.data;
+};
+
+/**
+ * Comment on a task
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} body - Comment text (Markdown)
+ * @returns {Promise} The comment, with the task's new commentCount
+ */
+export const createComment = async (taskId, body) => {
+    const response = await api.post(`/tasks/${taskId}/comments`, { body });
+    return response.data;
+};
+
+/**
+ * Edit one of the user's comments
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New text (Markdown)
+ * @returns {Promise} The updated comment
+ */
+export const updateComment = async (taskId, commentId, body) => {
+    const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body });
+    return response.data;
+};
+
+/**
+ * Delete a comment
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} { message, commentCount }
+ */
+export const deleteComment = async (taskId, commentId) => {
+    const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+    return response.data;
+};
+
+// ============================================
+// TASK HISTORY API CALLS
+// Who changed what on a task, and going back to an earlier version
+// ============================================
+
+/**
+ * Get the history of a task, newest first
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Object} params - { limit, cursor }
+ * @returns {Promise} { activities, references: { projects, tags, users }, nextCursor }
+ */
+export const getTaskHistory = async (taskId, params = {}) => {
+    const response = await api.get(`/tasks/${taskId}/history`, { params });
+    return response.data;
+};
+
+/**
+ * Restore a task to the version of one of its history entries
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} activityId - History entry ID
+ * @returns {Promise} The restored task
+ */
+export const restoreTaskVersion = async (taskId, activityId) => {
+    const response = await api.post(`/tasks/${taskId}/history/${activityId}/restore`);
+    return response.data;
+};
+
+// ============================================
+// NOTIFICATION API CALLS
+// The user's notifications, from every workspace
+// ============================================
+
+/**
+ * Get the notifications, newest first
+ * 
+ * @param {Object} params - { unread, limit, cursor }
+ * @returns {Promise} { notifications, unreadCount, nextCursor }
+ */
+export const getNotifications = async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+};
+
+/**
+ * Get the number of unread notifications
+ * 
+ * @returns {Promise} { unreadCount }
+ */
+export const getUnreadNotificationCount = async () => {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+};
+
+/**
+ * Mark a notification as read
+ * 
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise} { notification, unreadCount }
+ */
+export const markNotificationRead = async (notificationId) => {
+    const response = await api.post(`/notifications/${notificationId}/read`);
+    return response.data;
+};
+
+/**
+ * Snooze a reminder (due_soon notification): remind me again later
+ * Marks the notification as read
+ * 
+ * @param {string} notificationId - Notification ID
+ * @param {number} minutes - Delay (5 minutes to 7 days)
+ * @returns {Promise} { notification, unreadCount, remindAt }
+ */
+export const snoozeNotification = async (notificationId, minutes) => {
+    const response = await api.post(`/notifications/${notificationId}/snooze`, { minutes });
+    return response.data;
+};
+
+/**
+ * Mark every notification as read
+ * 
+ * @returns {Promise} { message, unreadCount }
+ */
+export const markAllNotificationsRead = async () => {
+    const response = await api.post('/notifications/read-all');
+    return response.data;
+};
+
+// ============================================
+// REAL-TIME EVENTS
+// Changes made in other tabs and devices, as they happen
+// ============================================
+
+/**
+ * Wait before reconnecting the event stream (ms)
+ * Doubles after every failed attempt, up to the maximum
+ */
+const EVENTS_RETRY_MIN = 1000;
+const EVENTS_RETRY_MAX = 30 * 1000;
+
+/**
+ * Parse one Server-Sent Event ("event: ...\ndata: ...")
+ *
+ * @param {string} block - Lines of the event
+ * @returns {Object|null} { event, data }, or null for comments (heartbeats)
+ */
+const parseServerEvent = (block) => {
+    let event = 'message';
+    const data = [];
+
+    block.split(/\r?\n/).forEach((line) => {
+        const [, field, value] = line.match(/^([^:]*):? ?(.*)$/);
+        if (field === 'event') event = value;
+        if (field === 'data') data.push(value);
+    });
+
+    return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * Listen to the task changes of the current workspace
+ *
+ * Uses fetch (not EventSource) so the stream is authenticated with the
+ * access token like every other request. It reconnects by itself when the
+ * connection drops, and gets a new access token when it expired. Events
+ * sent while disconnected are lost: onStatus says when the stream is back,
+ * so the caller can load its data again.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with (event, data),
+ *   e.g. ('task.updated', task) - see backend/services/realtime.js
+ * @param {Function} handlers.onStatus - Called with 'live', 'reconnecting' or 'offline'
+ *   (no access to the workspace any more), and { reconnected } for 'live'
+ * @returns {Function} Closes the stream
+ */
+export const subscribeToTaskEvents = ({ onEvent, onStatus = () => {} }) => {
+    const controller = new AbortController();
+    let retryDelay = EVENTS_RETRY_MIN;
+    let retryTimer = null;
+    let wasLive = false;
+
+    const retryLater = () => {
+        onStatus('reconnecting');
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, EVENTS_RETRY_MAX);
+    };
+
+    const handleEvent = ({ event, data }) => {
+        // Sent first on every connection
+        if (event === 'ready') {
+            retryDelay = EVENTS_RETRY_MIN;
+            onStatus('live', { reconnected: wasLive });
+            wasLive = true;
+            return;
+        }
+        onEvent(event, data);
+    };
+
+    const connect = async (isRetry = false) => {
+        try {
+            const headers = { Accept: 'text/event-stream' };
+            if (accessToken) {
+                headers.Authorization = `Bearer ${accessToken}`;
+            }
+            const workspaceId = getCurrentWorkspaceId();
+            if (workspaceId) {
+                headers['X-Workspace-Id'] = workspaceId;
+            }
+
+            const response = await fetch(`${api.defaults.baseURL}/events`, {
+                headers,
+                credentials: 'include',
+                signal: controller.signal,
+            });
+
+            // Access token expired - get a new one and try again once
+            if (response.status === 401 && !isRetry) {
+                try {
+                    await refreshAccessToken();
+                } catch {
+                    setAccessToken(null);
+                    sessionExpiredListeners.forEach((listener) => listener());
+                    return;
+                }
+                return connect(true);
+            }
+
+            // Not (or no longer) a member of the workspace
+            if (response.status === 403 || response.status === 404) {
+                onStatus('offline');
+                return;
+            }
+
+            if (!response.ok) {
+                retryLater();
+                return;
+            }
+
+            // Events are separated by a blank line
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += value;
+                const blocks = buffer.split(/\r?\n\r?\n/);
+                buffer = blocks.pop();
+                blocks.map(parseServerEvent).filter(Boolean).forEach(handleEvent);
+            }
+
+            // The server ended the stream (restart, logged out...)
+            retryLater();
+        } catch (error) {
+            // Closed by the caller
+            if (controller.signal.aborted) return;
+
+            console.error('Event stream error:', error);
+            retryLater();
+        }
+    };
+
+    connect();
+
+    return () => {
+        clearTimeout(retryTimer);
+        controller.abort();
+    };
+};
+
+// ============================================
+// STATUS API CALLS
+// ============================================
+
+/**
+ * Get the task statuses of the current workspace (built-in + custom)
+ * 
+ * @returns {Promise} Array of statuses { key, label, color, category, builtIn }
+ */
+export const getStatuses = async () => {
+    const response = await api.get('/statuses');
+    return response.data;
+};
+
+/**
+ * Create a custom status
+ * 
+ * @param {Object} statusData - { label, color, category }
+ * @returns {Promise} Created status
+ */
+export const createStatus = async (statusData) => {
+    const response = await api.post('/statuses', statusData);
+    return response.data;
+};
+
+/**
+ * Delete a custom status
+ * Tasks using it move to the built-in status of the same category
+ * 
+ * @param {string} key - Status key
+ * @returns {Promise} Success message
+ */
+export const deleteStatus = async (key) => {
+    const response = await api.delete(`/statuses/${key}`);
+    return response.data;
+};
+
+// ============================================
+// TAG API CALLS
+// ============================================
+
+/**
+ * Get all of the workspace's tags, sorted by name
+ * 
+ * @returns {Promise} Array of tags { _id, name, color }
+ */
+export const getTags = async () => {
+    const response = await api.get('/tags');
+    return response.data;
+};
+
+/**
+ * Create a tag
+ * 
+ * @param {Object} tagData - { name, color }
+ * @returns {Promise} Created tag
+ */
+export const createTag = async (tagData) => {
+    const response = await api.post('/tags', tagData);
+    return response.data;
+};
+
+/**
+ * Rename or recolor a tag
+ * Renaming onto an existing name merges the two tags
+ * 
+ * @param {string} id - Tag ID
+ * @param {Object} tagData - { name, color }
+ * @returns {Promise} Updated tag
+ */
+export const updateTag = async (id, tagData) => {
+    const response = await api.put(`/tags/${id}`, tagData);
+    return response.data;
+};
+
+/**
+ * Delete a tag (it is removed from every task)
+ * 
+ * @param {string} id - Tag ID
+ * @returns {Promise} Success message
+ */
+export const deleteTag = async (id) => {
+    const response = await api.delete(`/tags/${id}`);
+    return response.data;
+};
+
+// ============================================
+// PROJECT API CALLS
+// ============================================
+
+/**
+ * Get the workspace's projects, sorted by name, with task counts
+ * 
+ * @param {Object} params - { archived: true } lists the archived projects
+ * @returns {Promise} Array of projects { _id, name, color, icon, archived, taskCount, openTaskCount }
+ */
+export const getProjects = async (params = {}) => {
+    const response = await api.get('/projects', { params });
+    return response.data;
+};
+
+/**
+ * Get a single project
+ * 
+ * @param {string} id - Project ID
+ * @returns {Promise} Project
+ */
+export const getProject = async (id) => {
+    const response = await api.get(`/projects/${id}`);
+    return response.data;
+};
+
+/**
+ * Create a project
+ * 
+ * @param {Object} projectData - { name, color, icon }
+ * @returns {Promise} Created project
+ */
+export const createProject = async (projectData) => {
+    const response = await api.post('/projects', projectData);
+    return response.data;
+};
+
+/**
+ * Update a project
+ * When archiving, pass { archived: true, tasks: 'keep' | 'move' | 'delete', moveTo }
+ * 
+ * @param {string} id - Project ID
+ * @param {Object} projectData - { name, color, icon, archived, tasks, moveTo }
+ * @returns {Promise} Updated project
+ */
+export const updateProject = async (id, projectData) => {
+    const response = await api.put(`/projects/${id}`, projectData);
+    return response.data;
+};
+
+/**
+ * Delete a project
+ * 
+ * @param {string} id - Project ID
+ * @param {Object} params - { tasks: 'move' | 'delete', moveTo }
+ * @returns {Promise} Success message
+ */
+export const deleteProject = async (id, params = {}) => {
+    const response = await api.delete(`/projects/${id}`, { params });
+    return response.data;
+};
+
+// ============================================
+// WORKSPACE API CALLS
+// ============================================
+
+/**
+ * Get the workspaces the user is a member of
+ * 
+ * @returns {Promise} Array of workspaces { _id, name, personal, role, permissions }
+ */
+export const getWorkspaces = async () => {
+    const response = await api.get('/workspaces');
+    return response.data;
+};
+
+/**
+ * Create a workspace (the user becomes its owner)
+ * 
+ * @param {Object} workspaceData - { name }
+ * @returns {Promise} Created workspace
+ */
+export const createWorkspace = async (workspaceData) => {
+    const response = await api.post('/workspaces', workspaceData);
+    return response.data;
+};
+
+/**
+ * Rename a workspace
+ * 
+ * @param {string} id - Workspace ID
+ * @param {Object} workspaceData - { name }
+ * @returns {Promise} Updated workspace
+ */
+export const updateWorkspace = async (id, workspaceData) => {
+    const response = await api.put(`/workspaces/${id}`, workspaceData);
+    return response.data;
+};
+
+/**
+ * Delete a workspace with all its tasks (owner only)
+ * 
+ * @param {string} id - Workspace ID
+ * @returns {Promise} Success message
+ */
+export const deleteWorkspace = async (id) => {
+    const response = await api.delete(`/workspaces/${id}`);
+    return response.data;
+};
+
+/**
+ * Get the members of a workspace
+ * 
+ * @param {string} id - Workspace ID
+ * @returns {Promise} Array of memberships { _id, role, user: { _id, username, email } }
+ */
+export const getMembers = async (id) => {
+    const response = await api.get(`/workspaces/${id}/members`);
+    return response.data;
+};
+
+/**
+ * Change the role of a member
+ * Giving the "owner" role transfers ownership
+ * 
+ * @param {string} id - Workspace ID
+ * @param {string} userId - User ID of the member
+ * @param {string} role - owner / admin / member / viewer
+ * @returns {Promise} Updated membership
+ */
+export const updateMember = async (id, userId, role) => {
+    const response = await api.put(`/workspaces/${id}/members/${userId}`, { role });
+    return response.data;
+};
+
+/**
+ * Remove a member (or leave the workspace with your own user ID)
+ * 
+ * @param {string} id - Workspace ID
+ * @param {string} userId - User ID of the member
+ * @returns {Promise} Success message
+ */
+export const removeMember = async (id, userId) => {
+    const response = await api.delete(`/workspaces/${id}/members/${userId}`);
+    return response.data;
+};
+
+/**
+ * Get the pending invites of a workspace
+ * 
+ * @param {string} id - Workspace ID
+ * @returns {Promise} Array of invites { _id, email, role, expiresAt, invitedBy }
+ */
+export const getInvites = async (id) => {
+    const response = await api.get(`/workspaces/${id}/invites`);
+    return response.data;
+};
+
+/**
+ * Invite someone by email, or create an invite link (no email)
+ * 
+ * @param {string} id - Workspace ID
+ * @param {Object} inviteData - { email, role }
+ * @returns {Promise} Created invite, with its token and link
+ */
+export const createInvite = async (id, inviteData) => {
+    const response = await api.post(`/workspaces/${id}/invites`, inviteData);
+    return response.data;
+};
+
+/**
+ * Revoke an invite
+ * 
+ * @param {string} id - Workspace ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise} Success message
+ */
+export const revokeInvite = async (id, inviteId) => {
+    const response = await api.delete(`/workspaces/${id}/invites/${inviteId}`);
+    return response.data;
+};
+
+/**
+ * Look at an invite before accepting it
+ * 
+ * @param {string} token - Token from the invite link
+ * @returns {Promise} { workspace: { _id, name }, role, email, expiresAt, alreadyMember }
+ */
+export const getInvite = async (token) => {
+    const response = await api.get(`/invites/${token}`);
+    return response.data;
+};
+
+/**
+ * Accept an invite and join its workspace
+ * 
+ * @param {string} token - Token from the invite link
+ * @returns {Promise} The joined workspace (with role and permissions)
+ */
+export const acceptInvite = async (token) => {
+    const response = await api.post(`/invites/${token}/accept`);
+    return response.data;
+};
+
+// ============================================
+// ADMIN API CALLS
+// Only work for users with the admin role
+// ============================================
+
+/**
+ * Get users, newest first, one page at a time
+ *
+ * @param {Object} params - { q, status: active|disabled|deletion, role, limit, cursor }
+ * @returns {Promise} { users: [...], nextCursor }
+ */
+export const getAdminUsers = async (params = {}) => {
+    const response = await api.get('/admin/users', { params });
+    return response.data;
+};
+
+/**
+ * Disable an account (logged out everywhere, can't log in)
+ *
+ * @param {string} id - User id
+ * @param {string} reason - Shown to the user when they try to log in (optional)
+ * @returns {Promise} { message, revokedSessions, user }
+ */
+export const disableUser = async (id, reason) => {
+    const response = await api.post(`/admin/users/${id}/disable`, { reason });
+    return response.data;
+};
+
+/**
+ * Enable a disabled account again
+ *
+ * @param {string} id - User id
+ * @returns {Promise} { message, user }
+ */
+export const enableUser = async (id) => {
+    const response = await api.post(`/admin/users/${id}/enable`);
+    return response.data;
+};
+
+/**
+ * Make a user choose a new password (a reset link is emailed to them)
+ *
+ * @param {string} id - User id
+ * @returns {Promise} { message, emailSent, revokedSessions, user }
+ */
+export const requirePasswordReset = async (id) => {
+    const response = await api.post(`/admin/users/${id}/password-reset`);
+    return response.data;
+};
+
+/**
+ * Get counts of users, workspaces and tasks across the app
+ *
+ * @returns {Promise} { recentDays, users: {...}, workspaces: {...}, tasks: {...} }
+ */
+export const getAdminStats = async () => {
+    const response = await api.get('/admin/stats');
+    return response.data;
+};
+
 // Export the configured axios instance for custom requests if needed
 export default api;
@@ -0,0 +1,70 @@
+/**
+ * MENTION HELPERS
+ *
+ * Comments mention members with @username
+ * The server decides who was mentioned (comment.mentions), this only
+ * highlights those names - the pattern matches backend/utils/mentions.js
+ */
+
+/**
+ * An @ at the start or after a space / bracket, then the username
+ */
+const MENTION_PATTERN = /(^|[\s([{])@([A-Za-z0-9_.-]+)/g;
+
+/**
+ * Split a text into text and mention nodes
+ *
+ * @param {string} text - Text of a Markdown text node
+ * @param {Set<string>} usernames - Usernames to highlight
+ * @returns {Array} Markdown (mdast) nodes
+ */
+const splitMentions = (text, usernames) => {
+    const nodes = [];
+    let last = 0;
+
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        // "thanks @bob." mentions "bob"
+        const username = match[2].replace(/[.-]+$/, '');
+        if (!usernames.has(username)) continue;
+
+        const start = match.index + match[1].length;
+        if (start > last) {
+            nodes.push({ type: 'text', value: text.slice(last, start) });
+        }
+        // Rendered as <span class="mention">
+        nodes.push({
+            type: 'mention',
+            data: { hName: 'span', hProperties: { className: ['mention'] } },
+            children: [{ type: 'text', value: `@${username}` }],
+        });
+        last = start + username.length + 1;
+    }
+
+    if (last < text.length) {
+        nodes.push({ type: 'text', value: text.slice(last) });
+    }
+    return nodes;
+};
+
+/**
+ * Markdown (remark) plugin highlighting @mentions
+ * Code and links are left alone
+ *
+ * Usage: <ReactMarkdown remarkPlugins={[remarkMentions(['alice'])]}>
+ *
+ * @param {Array<string>} usernames - Usernames to highlight
+ * @returns {Function} remark plugin
+ */
+export const remarkMentions = (usernames) => () => (tree) => {
+    const known = new Set(usernames);
+    if (known.size === 0) return;
+
+    const visit = (node) => {
+        node.children = node.children.flatMap((child) => {
+            if (child.type === 'text') return splitMentions(child.value, known);
+            if (child.children && child.type !== 'link') visit(child);
+            return [child];
+        });
+    };
+    visit(tree);
+};
@@ -0,0 +1,62 @@
+/**
+ * NOTIFICATION HELPERS
+ *
+ * The kinds of notifications (backend/models/Notification.js) and how
+ * they are shown
+ */
+
+/**
+ * Notification types, with the label of their preference (settings page)
+ */
+export const NOTIFICATION_TYPES = [
+    { key: 'assigned', label: 'Someone assigns a task to me' },
+    { key: 'due_soon', label: 'A task of mine is due soon (reminders)' },
+    { key: 'comment', label: 'Someone comments on a task I created or work on' },
+    { key: 'mention', label: 'Someone mentions me in a comment' },
+];
+
+/**
+ * When due date reminders can be sent, in minutes before the due time
+ * (the server accepts any number of minutes up to 30 days)
+ */
+export const REMINDER_OFFSETS = [
+    { minutes: 7 * 24 * 60, label: '1 week before' },
+    { minutes: 2 * 24 * 60, label: '2 days before' },
+    { minutes: 24 * 60, label: '1 day before' },
+    { minutes: 3 * 60, label: '3 hours before' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 15, label: '15 minutes before' },
+];
+
+/**
+ * How long a reminder can be snoozed, in minutes
+ */
+export const SNOOZE_OPTIONS = [
+    { minutes: 60, label: '1 hour' },
+    { minutes: 3 * 60, label: '3 hours' },
+    { minutes: 24 * 60, label: '1 day' },
+];
+
+/**
+ * Text of a notification, e.g. 'alice assigned you to "Write docs"'
+ *
+ * @param {Object} notification - Notification from the API
+ * @returns {string}
+ */
+export const describeNotification = (notification) => {
+    const actor = notification.actor?.displayName || notification.actor?.username || 'Someone';
+    const title = `"${notification.taskTitle}"`;
+
+    switch (notification.type) {
+        case 'assigned':
+            return `${actor} assigned you to ${title}`;
+        case 'due_soon':
+            return `${title} is due soon`;
+        case 'comment':
+            return `${actor} commented on ${title}`;
+        case 'mention':
+            return `${actor} mentioned you on ${title}`;
+        default:
+            return title;
+    }
+};
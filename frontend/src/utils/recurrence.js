@@ -0,0 +1,124 @@
+/**
+ * RECURRENCE HELPERS
+ * 
+ * Helpers for editing and showing the repeat rule of a task
+ * 
+ * The API stores rules as { freq, interval, byDay, byMonthDay, until, count }
+ * following iCalendar RRULE semantics (see backend/utils/recurrence.js).
+ * The editor works on a slightly different "form" shape, with an explicit
+ * `ends` field and the until date as a date input value.
+ */
+
+import { toDateInputs } from './taskDates';
+
+/**
+ * Supported frequencies, with the unit used in "every N ..."
+ */
+export const FREQUENCIES = [
+    { key: 'DAILY', label: 'Daily', unit: 'day' },
+    { key: 'WEEKLY', label: 'Weekly', unit: 'week' },
+    { key: 'MONTHLY', label: 'Monthly', unit: 'month' },
+];
+
+/**
+ * Weekdays in RRULE order (weeks start on Monday)
+ */
+export const WEEKDAYS = [
+    { key: 'MO', label: 'Mon' },
+    { key: 'TU', label: 'Tue' },
+    { key: 'WE', label: 'Wed' },
+    { key: 'TH', label: 'Thu' },
+    { key: 'FR', label: 'Fri' },
+    { key: 'SA', label: 'Sat' },
+    { key: 'SU', label: 'Sun' },
+];
+
+/**
+ * Form values for a new rule
+ */
+export const EMPTY_RECURRENCE_FORM = {
+    freq: 'WEEKLY',
+    interval: 1,
+    byDay: [],
+    byMonthDay: '',
+    ends: 'never',
+    until: '',
+    count: 10,
+};
+
+/**
+ * Convert a rule from the API into editor form values
+ * 
+ * @param {Object|null} rule - Task recurrence from the API
+ * @param {string} timeZone - Timezone of the task (for the until date)
+ * @returns {Object|null} Form values, or null for a one-off task
+ */
+export const toRecurrenceForm = (rule, timeZone) => {
+    if (!rule) {
+        return null;
+    }
+
+    return {
+        freq: rule.freq,
+        interval: rule.interval || 1,
+        byDay: rule.byDay || [],
+        byMonthDay: rule.byMonthDay ?? '',
+        ends: rule.until ? 'until' : rule.count ? 'count' : 'never',
+        until: rule.until ? toDateInputs(rule.until, true, timeZone).date : '',
+        count: rule.count || EMPTY_RECURRENCE_FORM.count,
+    };
+};
+
+/**
+ * Convert editor form values into the rule the API expects
+ * 
+ * @param {Object|null} form - Editor form values
+ * @returns {Object|null} Rule for the request body (null stops repeating)
+ */
+export const fromRecurrenceForm = (form) => {
+    if (!form) {
+        return null;
+    }
+
+    return {
+        freq: form.freq,
+        interval: Number(form.interval) || 1,
+        byDay: form.freq === 'WEEKLY' ? form.byDay : [],
+        byMonthDay: form.freq === 'MONTHLY' && form.byMonthDay !== '' ? Number(form.byMonthDay) : null,
+        until: form.ends === 'until' && form.until ? form.until : null,
+        count: form.ends === 'count' ? Number(form.count) || null : null,
+    };
+};
+
+/**
+ * Describe a rule in words, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+ * 
+ * @param {Object} rule - Task recurrence from the API
+ * @returns {string}
+ */
+export const describeRecurrence = (rule) => {
+    const frequency = FREQUENCIES.find((option) => option.key === rule.freq);
+    if (!frequency) {
+        return '';
+    }
+
+    let text = rule.interval > 1
+        ? `Every ${rule.interval} ${frequency.unit}s`
+        : frequency.label;
+
+    if (rule.byDay?.length > 0) {
+        const labels = WEEKDAYS.filter((day) => rule.byDay.includes(day.key)).map((day) => day.label);
+        text += ` on ${labels.join(', ')}`;
+    }
+    if (rule.byMonthDay) {
+        text += rule.byMonthDay === -1 ? ' on the last day' : ` on day ${rule.byMonthDay}`;
+    }
+    if (rule.count) {
+        text += `, ${rule.count} times`;
+    }
+    if (rule.until) {
+        text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+    }
+
+    return text;
+};
@@ -0,0 +1,33 @@
+/**
+ * TAG HELPERS
+ */
+
+/**
+ * Colors used for new tags
+ * Readable on the dark theme
+ */
+export const TAG_COLORS = [
+    '#6366f1', // Indigo
+    '#8b5cf6', // Violet
+    '#ec4899', // Pink
+    '#ef4444', // Red
+    '#f59e0b', // Amber
+    '#10b981', // Green
+    '#06b6d4', // Cyan
+    '#3b82f6', // Blue
+];
+
+/**
+ * Pick a color for a new tag
+ * The same name always gets the same color
+ * 
+ * @param {string} name - Tag name
+ * @returns {string} Hex color
+ */
+export const pickTagColor = (name) => {
+    let hash = 0;
+    for (const char of name.toLowerCase()) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+    }
+    return TAG_COLORS[hash % TAG_COLORS.length];
+};
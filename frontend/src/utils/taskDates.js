@@ -0,0 +1,147 @@
+/**
+ * TASK DATE HELPERS
+ * 
+ * Helpers for showing and editing task start/due dates
+ * 
+ * The backend stores dates as UTC instants plus the timezone they were
+ * entered in. All-day due dates are stored as the END of the day, so
+ * "overdue" is simply "due date is in the past and the task is not done".
+ * 
+ * Dates are shown with the user's preferences (timezone, locale and date
+ * format from the settings page), which AuthContext passes to
+ * setDatePreferences. Without preferences the browser's settings are used.
+ */
+
+/**
+ * Date formats that can be chosen in the settings (match the backend)
+ */
+export const DATE_FORMATS = [
+    { key: 'auto', label: 'Language default' },
+    { key: 'YYYY-MM-DD', label: 'YYYY-MM-DD (2025-03-14)' },
+    { key: 'DD/MM/YYYY', label: 'DD/MM/YYYY (14/03/2025)' },
+    { key: 'MM/DD/YYYY', label: 'MM/DD/YYYY (03/14/2025)' },
+];
+
+/**
+ * Preferences of the logged in user (null = the browser's setting)
+ */
+let datePreferences = { timezone: null, locale: null, dateFormat: 'auto' };
+
+/**
+ * Use the date preferences of the logged in user
+ * 
+ * @param {Object|null} user - User { timezone, locale, dateFormat } (null after logout)
+ */
+export const setDatePreferences = (user) => {
+    datePreferences = {
+        timezone: user?.timezone || null,
+        locale: user?.locale || null,
+        dateFormat: user?.dateFormat || 'auto',
+    };
+};
+
+/**
+ * Get the user's timezone from the browser (e.g. "Europe/Berlin")
+ * 
+ * @returns {string} IANA timezone name
+ */
+export const getBrowserTimeZone = () => {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the timezone new tasks are created in and lists are filtered in
+ * 
+ * @returns {string} The user's preferred timezone, or the browser's
+ */
+export const getUserTimeZone = () => datePreferences.timezone || getBrowserTimeZone();
+
+/**
+ * Split a stored date into values for <input type="date"> and <input type="time">
+ * 
+ * @param {string|null} value - ISO date string from the API
+ * @param {boolean} allDay - True if the date has no time of day
+ * @param {string} timeZone - Timezone the task was created in
+ * @returns {{ date: string, time: string }} e.g. { date: '2024-05-20', time: '09:30' }
+ */
+export const toDateInputs = (value, allDay, timeZone = 'UTC') => {
+    if (!value) {
+        return { date: '', time: '' };
+    }
+
+    // en-CA formats dates as YYYY-MM-DD, which is what date inputs expect
+    const instant = new Date(value);
+    const date = instant.toLocaleDateString('en-CA', { timeZone });
+    const time = allDay
+        ? ''
+        : instant.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+    return { date, time };
+};
+
+/**
+ * Combine date and time input values into the format the API expects
+ * 
+ * @param {string} date - "YYYY-MM-DD" (empty string clears the date)
+ * @param {string} time - "HH:mm" (optional)
+ * @returns {string|null} "YYYY-MM-DD", "YYYY-MM-DDTHH:mm" or null
+ */
+export const fromDateInputs = (date, time) => {
+    if (!date) {
+        return null;
+    }
+    return time ? `${date}T${time}` : date;
+};
+
+/**
+ * Format a task date for display
+ * 
+ * @param {string} value - ISO date string from the API
+ * @param {boolean} allDay - Hide the time for all-day dates
+ * @param {string} timeZone - Timezone the task was created in
+ * @returns {string} Human readable date, e.g. "5/20/2024, 09:30"
+ */
+export const formatTaskDate = (value, allDay, timeZone = 'UTC') => {
+    const { locale, dateFormat } = datePreferences;
+    const instant = new Date(value);
+
+    if (dateFormat === 'auto') {
+        // The date parts are needed too: asking for the time alone leaves them out
+        const options = allDay
+            ? { timeZone }
+            : { timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+        const formatter = allDay ? 'toLocaleDateString' : 'toLocaleString';
+        return instant[formatter](locale || undefined, options);
+    }
+
+    // en-CA gives YYYY-MM-DD, rearranged into the chosen format
+    const [year, month, day] = instant.toLocaleDateString('en-CA', { timeZone }).split('-');
+    const date = dateFormat
+        .replace('YYYY', year)
+        .replace('MM', month)
+        .replace('DD', day);
+
+    if (allDay) {
+        return date;
+    }
+    return `${date}, ${instant.toLocaleTimeString(locale || undefined, { timeZone, hour: '2-digit', minute: '2-digit' })}`;
+};
+
+/**
+ * Format a date (without time) in the user's timezone, e.g. when a task was created
+ * 
+ * @param {string} value - ISO date string from the API
+ * @returns {string} Human readable date
+ */
+export const formatDate = (value) => formatTaskDate(value, true, getUserTimeZone());
+
+/**
+ * Check if a task is overdue (not done and the due time has passed)
+ * 
+ * @param {Object} task - Task object from the API
+ * @returns {boolean}
+ */
+export const isOverdue = (task) => {
+    return !task.completed && !!task.dueDate && new Date(task.dueDate) < new Date();
+};
@@ -0,0 +1,143 @@
+/**
+ * TASK HISTORY HELPERS
+ *
+ * Turn the entries of GET /api/tasks/:id/history into readable text
+ * The format of a change is described in backend/services/taskHistory.js
+ */
+
+import { findStatus, findPriority } from './taskStatus';
+import { formatTaskDate, getUserTimeZone } from './taskDates';
+import { describeRecurrence } from './recurrence';
+
+/**
+ * What each action of the history says, after the name of who did it
+ */
+export const ACTIVITY_LABELS = {
+    created: 'created the task',
+    updated: 'edited the task',
+    completed: 'completed the task',
+    reopened: 're-opened the task',
+    deleted: 'deleted the task',
+    restored: 'restored an earlier version',
+};
+
+/**
+ * Display names of the tracked fields
+ */
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    priority: 'Priority',
+    completed: 'Completed',
+    startDate: 'Start',
+    startAllDay: 'Start all day',
+    dueDate: 'Due',
+    dueAllDay: 'Due all day',
+    timezone: 'Timezone',
+    project: 'Project',
+    tags: 'Tags',
+    assignees: 'Assignees',
+    subtasks: 'Checklist',
+    autoComplete: 'Complete with checklist',
+    recurrence: 'Repeat',
+};
+
+/**
+ * Shown for an empty value
+ */
+const EMPTY = '—';
+
+/**
+ * Long texts (descriptions) are cut in the timeline
+ */
+const MAX_TEXT = 80;
+
+/**
+ * Format one value of a change
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Value from the history
+ * @param {Object} context - { statuses, references, snapshot }
+ * @returns {string}
+ */
+const formatValue = (field, value, { statuses, references, snapshot }) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return EMPTY;
+    }
+
+    switch (field) {
+        case 'status':
+            return findStatus(statuses, value).label;
+        case 'priority':
+            return findPriority(value).label;
+        case 'startDate':
+            return formatTaskDate(value, snapshot.startAllDay, getUserTimeZone());
+        case 'dueDate':
+            return formatTaskDate(value, snapshot.dueAllDay, getUserTimeZone());
+        case 'project':
+            return references.projects[value]?.name || 'Deleted project';
+        case 'tags':
+            return value.map((id) => references.tags[id]?.name || 'deleted tag').join(', ');
+        case 'assignees':
+            return value.map((id) => references.users[id]?.username || 'former member').join(', ');
+        case 'recurrence':
+            return describeRecurrence(value);
+        default:
+            if (typeof value === 'boolean') {
+                return value ? 'Yes' : 'No';
+            }
+            return value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT)}…` : String(value);
+    }
+};
+
+/**
+ * Summarize a checklist change, e.g. "1 added, 2 checked off"
+ *
+ * @param {Array} before - Subtasks before ({ _id, title, done })
+ * @param {Array} after - Subtasks after
+ * @returns {string}
+ */
+const describeSubtaskChange = (before = [], after = []) => {
+    const previous = new Map(before.map((subtask) => [subtask._id, subtask]));
+    const counts = { added: 0, removed: 0, 'checked off': 0, unchecked: 0, renamed: 0 };
+
+    after.forEach((subtask) => {
+        const old = previous.get(subtask._id);
+        if (!old) {
+            counts.added += 1;
+            return;
+        }
+        if (!old.done && subtask.done) counts['checked off'] += 1;
+        if (old.done && !subtask.done) counts.unchecked += 1;
+        if (old.title !== subtask.title) counts.renamed += 1;
+    });
+    counts.removed = before.filter((subtask) => !after.some((other) => other._id === subtask._id)).length;
+
+    const parts = Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([change, count]) => `${count} ${change}`);
+
+    return parts.length > 0 ? parts.join(', ') : 'reordered';
+};
+
+/**
+ * Describe one field change of a history entry
+ *
+ * @param {Object} change - { field, before, after }
+ * @param {Object} context - { statuses, references (from the API), snapshot (of the entry) }
+ * @returns {Object} { label, before, after } or { label, summary } for the checklist
+ */
+export const describeChange = (change, context) => {
+    const label = FIELD_LABELS[change.field] || change.field;
+
+    if (change.field === 'subtasks') {
+        return { label, summary: describeSubtaskChange(change.before, change.after) };
+    }
+
+    return {
+        label,
+        before: formatValue(change.field, change.before, context),
+        after: formatValue(change.field, change.after, context),
+    };
+};
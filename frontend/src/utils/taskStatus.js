@@ -0,0 +1,54 @@
+/**
+ * TASK STATUS & PRIORITY HELPERS
+ * 
+ * The list of statuses comes from the backend (GET /api/statuses)
+ * because users can define their own. Every status has a category
+ * (todo, in_progress, blocked, done) that decides how it behaves.
+ */
+
+/**
+ * Priority levels, lowest first, with display labels and colors
+ */
+export const PRIORITIES = [
+    { key: 'low', label: 'Low', color: 'var(--text-muted)' },
+    { key: 'medium', label: 'Medium', color: 'var(--primary-light)' },
+    { key: 'high', label: 'High', color: 'var(--warning-color)' },
+    { key: 'urgent', label: 'Urgent', color: 'var(--danger-color)' },
+];
+
+/**
+ * Status categories that custom statuses can belong to
+ */
+export const STATUS_CATEGORIES = [
+    { key: 'todo', label: 'To Do' },
+    { key: 'in_progress', label: 'In Progress' },
+    { key: 'blocked', label: 'Blocked' },
+    { key: 'done', label: 'Done' },
+];
+
+/**
+ * Find a status by key
+ * Falls back to a plain status object if the key is unknown
+ * (e.g. statuses haven't loaded yet)
+ * 
+ * @param {Array} statuses - Statuses from the API
+ * @param {string} key - Status key stored on the task
+ * @returns {Object} Status object { key, label, color, category }
+ */
+export const findStatus = (statuses, key) => {
+    return (
+        statuses.find((status) => status.key === key) || {
+            key,
+            label: key,
+            color: 'var(--text-muted)',
+            category: key,
+        }
+    );
+};
+
+/**
+ * Find a priority by key (defaults to medium)
+ */
+export const findPriority = (key) => {
+    return PRIORITIES.find((priority) => priority.key === key) || PRIORITIES[1];
+};
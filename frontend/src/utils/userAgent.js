@@ -0,0 +1,46 @@
+/**
+ * USER AGENT HELPERS
+ *
+ * Turn a User-Agent header into something readable, e.g. "Firefox on Windows"
+ * Only the common browsers and systems are recognized - good enough to tell
+ * the user's devices apart on the sessions list
+ */
+
+/**
+ * Browsers, checked in order (Edge and Opera also say "Chrome", Chrome also says "Safari")
+ */
+const BROWSERS = [
+    { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+    { name: 'Opera', pattern: /OPR\/|Opera/ },
+    { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+    { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+    { name: 'Safari', pattern: /Safari\// },
+];
+
+/**
+ * Operating systems, checked in order (iOS user agents also say "Mac OS X")
+ */
+const SYSTEMS = [
+    { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'Linux', pattern: /Linux|X11/ },
+];
+
+/**
+ * Describe a user agent
+ *
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Chrome on macOS", or "Unknown device"
+ */
+export const describeUserAgent = (userAgent = '') => {
+    const browser = BROWSERS.find((b) => b.pattern.test(userAgent));
+    const system = SYSTEMS.find((s) => s.pattern.test(userAgent));
+
+    if (browser && system) return `${browser.name} on ${system.name}`;
+    if (browser || system) return (browser || system).name;
+
+    // Scripts (curl, node...) - show the start of the header
+    return userAgent ? userAgent.split(' ')[0] : 'Unknown device';
+};
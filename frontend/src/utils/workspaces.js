@@ -0,0 +1,60 @@
+/**
+ * WORKSPACE HELPERS
+ *
+ * Roles match the backend (backend/utils/permissions.js)
+ */
+
+import { pickTagColor } from './tags';
+
+/**
+ * Roles, from most to least powerful
+ */
+export const ROLES = [
+    { key: 'owner', label: 'Owner', description: 'Everything, including deleting the workspace' },
+    { key: 'admin', label: 'Admin', description: 'Manage members, invites, statuses and projects' },
+    { key: 'member', label: 'Member', description: 'Create and edit tasks' },
+    { key: 'viewer', label: 'Viewer', description: 'Read only' },
+];
+
+/**
+ * Find a role by key
+ *
+ * @param {string} key - Role key
+ * @returns {Object} Role (falls back to viewer)
+ */
+export const findRole = (key) => ROLES.find((role) => role.key === key) || ROLES[ROLES.length - 1];
+
+/**
+ * Roles someone with the given role may hand out
+ * (nobody can give a role above their own, and there is one owner)
+ *
+ * @param {string} role - Role of the current user
+ * @param {boolean} includeOwner - Include "owner" (transferring ownership)
+ * @returns {Array} Roles
+ */
+export const assignableRoles = (role, includeOwner = false) => {
+    const index = ROLES.findIndex((option) => option.key === role);
+    return ROLES.filter((option, optionIndex) =>
+        optionIndex >= index && (includeOwner || option.key !== 'owner'));
+};
+
+/**
+ * Initials shown in a member's avatar
+ * e.g. "john_doe" -> "JD", "alice" -> "AL"
+ *
+ * @param {string} name - Username
+ * @returns {string} One or two uppercase letters
+ */
+export const getInitials = (name = '') => {
+    const words = name.split(/[\s._-]+/).filter(Boolean);
+    const initials = words.length > 1 ? words[0][0] + words[1][0] : name.slice(0, 2);
+    return initials.toUpperCase() || '?';
+};
+
+/**
+ * Avatar color of a member - always the same for the same user
+ *
+ * @param {Object} user - User { _id, username }
+ * @returns {string} Hex color
+ */
+export const getAvatarColor = (user) => pickTagColor(user._id || user.username || '');